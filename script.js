@@ -38,6 +38,53 @@ const currency = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: '
  */
 const uuid = () => (crypto && crypto.randomUUID) ? crypto.randomUUID() : 'id-' + Math.random().toString(36).slice(2, 9);
 
+// Remove tudo que não for dígito. Ex: somenteDigitos('123.456-78') -> '12345678'
+const somenteDigitos = (valor) => String(valor || '').replace(/\D/g, '');
+
+/**
+ * Valida um CPF pelos dois dígitos verificadores (aceita com ou sem pontuação).
+ * Ex: validarCpf('529.982.247-25') -> true
+ */
+function validarCpf(cpf) {
+    const d = somenteDigitos(cpf);
+    if (d.length !== 11 || /^(\d)\1+$/.test(d)) return false;
+    const digito = (tamanho) => {
+        const soma = [...d.slice(0, tamanho)].reduce((acc, n, i) => acc + Number(n) * (tamanho + 1 - i), 0);
+        const resto = (soma * 10) % 11;
+        return resto === 10 ? 0 : resto;
+    };
+    return digito(9) === Number(d[9]) && digito(10) === Number(d[10]);
+}
+
+/**
+ * Valida um CNPJ pelos dois dígitos verificadores (aceita com ou sem pontuação).
+ * Ex: validarCnpj('11.222.333/0001-81') -> true
+ */
+function validarCnpj(cnpj) {
+    const d = somenteDigitos(cnpj);
+    if (d.length !== 14 || /^(\d)\1+$/.test(d)) return false;
+    const digito = (tamanho) => {
+        const pesos = tamanho === 12 ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2] : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+        const resto = [...d.slice(0, tamanho)].reduce((acc, n, i) => acc + Number(n) * pesos[i], 0) % 11;
+        return resto < 2 ? 0 : 11 - resto;
+    };
+    return digito(12) === Number(d[12]) && digito(13) === Number(d[13]);
+}
+
+/**
+ * Formata um CPF (11 dígitos) ou CNPJ (14 dígitos). Outros valores voltam como vieram.
+ * Ex: formatarDocumento('52998224725') -> '529.982.247-25'
+ */
+function formatarDocumento(documento) {
+    const d = somenteDigitos(documento);
+    if (d.length === 11) return d.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
+    if (d.length === 14) return d.replace(/(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/, '$1.$2.$3/$4-$5');
+    return documento || '';
+}
+
+// Formata um CEP de 8 dígitos. Ex: formatarCep('80010000') -> '80010-000'
+const formatarCep = (cep) => somenteDigitos(cep).replace(/^(\d{5})(\d{3})$/, '$1-$2');
+
 /**
  * Exibe uma mensagem temporária (toast) no canto da tela.
  * É melhor que um 'alert()' porque não interrompe o usuário.
@@ -50,12 +97,194 @@ function toast(msg, ms = 2200) {
 }
 
 
+// --- Cliente MQTT (balança IoT) ---
+
+// Motivos de recusa da conexão devolvidos pelo broker no CONNACK (MQTT 3.1.1).
+const RECUSAS_CONEXAO_MQTT = {
+    1: 'Versão do protocolo não aceita pelo broker',
+    2: 'Identificador do cliente recusado',
+    3: 'Broker indisponível',
+    4: 'Usuário ou senha inválidos',
+    5: 'Cliente não autorizado'
+};
+
+/**
+ * Cliente MQTT 3.1.1 mínimo sobre WebSocket, usado para falar com a balança através de um broker
+ * (ex: Mosquitto com um listener 'websockets'). Conecta com usuário e senha opcionais, assina tópicos,
+ * recebe mensagens QoS 0 e 1, publica com QoS 0 e mantém a conexão viva com PINGREQ.
+ * Os avisos chegam pelos callbacks onConectado(), onMensagem(topico, texto) e onFechado(motivo).
+ * Ex: const mqtt = criarClienteMqtt({ url: 'ws://localhost:9001', clientId: 'gestao-tintas' });
+ *     mqtt.onConectado = () => mqtt.assinar('balanca/peso'); mqtt.conectar();
+ */
+function criarClienteMqtt({ url, clientId, usuario, senha, keepAlive = 30 }) {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    let ws = null;
+    let recebido = new Uint8Array(0); // Bytes que chegaram e ainda não formam um pacote inteiro.
+    let pingTimer = null;
+    let proximoIdPacote = 1;
+    let motivoFechamento = '';
+
+    const cliente = {
+        conectado: false,
+        onConectado: () => {},
+        onMensagem: () => {},
+        onFechado: () => {},
+        conectar,
+        assinar,
+        publicar,
+        desconectar
+    };
+
+    // Tamanho restante do pacote: 7 bits por byte; o bit mais alto avisa que vem mais um byte.
+    function codificarTamanho(tamanho) {
+        const bytes = [];
+        do {
+            let byte = tamanho % 128;
+            tamanho = Math.floor(tamanho / 128);
+            if (tamanho > 0) byte |= 128;
+            bytes.push(byte);
+        } while (tamanho > 0);
+        return bytes;
+    }
+
+    // Strings do MQTT vão com 2 bytes de tamanho na frente, em UTF-8.
+    function codificarString(texto) {
+        const bytes = encoder.encode(texto);
+        return [bytes.length >> 8, bytes.length & 255, ...bytes];
+    }
+
+    function enviarPacote(cabecalho, corpo = []) {
+        if (ws?.readyState !== WebSocket.OPEN) return;
+        ws.send(new Uint8Array([cabecalho, ...codificarTamanho(corpo.length), ...corpo]));
+    }
+
+    function conectar() {
+        motivoFechamento = '';
+        try {
+            ws = new WebSocket(url, 'mqtt');
+        } catch (e) {
+            // URL malformada: avisa pelo mesmo caminho de uma conexão recusada (fora desta chamada,
+            // para quem criou o cliente já ter a referência quando o aviso chegar).
+            ws = null;
+            setTimeout(() => cliente.onFechado(`Endereço do broker inválido: ${url}`), 0);
+            return;
+        }
+        ws.binaryType = 'arraybuffer';
+        ws.onopen = () => {
+            // Flags: sessão limpa, mais usuário e senha quando informados (senha só vai junto com usuário).
+            let flags = 0x02;
+            const identificacao = codificarString(clientId);
+            if (usuario) {
+                flags |= 0x80;
+                identificacao.push(...codificarString(usuario));
+                if (senha) {
+                    flags |= 0x40;
+                    identificacao.push(...codificarString(senha));
+                }
+            }
+            enviarPacote(0x10, [...codificarString('MQTT'), 4, flags, keepAlive >> 8, keepAlive & 255, ...identificacao]);
+        };
+        ws.onmessage = (e) => {
+            const novos = new Uint8Array(e.data);
+            const juntos = new Uint8Array(recebido.length + novos.length);
+            juntos.set(recebido);
+            juntos.set(novos, recebido.length);
+            recebido = juntos;
+            processarRecebidos();
+        };
+        ws.onclose = () => {
+            const estavaConectado = cliente.conectado;
+            cliente.conectado = false;
+            clearInterval(pingTimer);
+            recebido = new Uint8Array(0);
+            cliente.onFechado(motivoFechamento || (estavaConectado ? 'Conexão com o broker encerrada' : 'Não foi possível conectar ao broker'));
+        };
+    }
+
+    // Separa os pacotes completos que estão no buffer (um WebSocket pode trazer meio pacote ou vários).
+    function processarRecebidos() {
+        while (recebido.length >= 2) {
+            let tamanho = 0;
+            let multiplicador = 1;
+            let posicao = 1;
+            let byte;
+            do {
+                if (posicao >= recebido.length) return; // O tamanho ainda não chegou inteiro.
+                byte = recebido[posicao++];
+                tamanho += (byte & 127) * multiplicador;
+                multiplicador *= 128;
+            } while (byte & 128);
+            if (recebido.length < posicao + tamanho) return;
+            const cabecalho = recebido[0];
+            const corpo = recebido.slice(posicao, posicao + tamanho);
+            recebido = recebido.slice(posicao + tamanho);
+            tratarPacote(cabecalho, corpo);
+        }
+    }
+
+    function tratarPacote(cabecalho, corpo) {
+        const tipo = cabecalho >> 4;
+        if (tipo === 2) { // CONNACK
+            const codigo = corpo[1];
+            if (codigo !== 0) {
+                motivoFechamento = RECUSAS_CONEXAO_MQTT[codigo] || `Conexão recusada pelo broker (código ${codigo})`;
+                ws.close();
+                return;
+            }
+            cliente.conectado = true;
+            // Um PINGREQ na metade do keep alive evita que o broker derrube a conexão parada.
+            pingTimer = setInterval(() => enviarPacote(0xC0), keepAlive * 500);
+            cliente.onConectado();
+        } else if (tipo === 3) { // PUBLISH
+            const qos = (cabecalho >> 1) & 3;
+            const tamanhoTopico = (corpo[0] << 8) | corpo[1];
+            const topico = decoder.decode(corpo.slice(2, 2 + tamanhoTopico));
+            let inicio = 2 + tamanhoTopico;
+            if (qos > 0) {
+                // Mensagens QoS 1 precisam ser confirmadas com PUBACK (assinamos com QoS 0, mas o broker pode repassar assim).
+                const idPacote = corpo.slice(inicio, inicio + 2);
+                inicio += 2;
+                if (qos === 1) enviarPacote(0x40, [...idPacote]);
+            }
+            cliente.onMensagem(topico, decoder.decode(corpo.slice(inicio)));
+        } else if (tipo === 9) { // SUBACK
+            if (corpo.slice(2).some(codigo => codigo === 0x80)) {
+                motivoFechamento = 'O broker recusou a assinatura do tópico';
+                ws.close();
+            }
+        }
+        // PINGRESP (13) e os demais não precisam de resposta.
+    }
+
+    function assinar(topico) {
+        const id = proximoIdPacote;
+        proximoIdPacote = proximoIdPacote % 65535 + 1; // O id do pacote vai de 1 a 65535.
+        enviarPacote(0x82, [id >> 8, id & 255, ...codificarString(topico), 0]);
+    }
+
+    function publicar(topico, texto) {
+        enviarPacote(0x30, [...codificarString(topico), ...encoder.encode(String(texto))]);
+    }
+
+    function desconectar() {
+        motivoFechamento = 'Desconectado';
+        clearInterval(pingTimer);
+        if (!ws) return;
+        enviarPacote(0xE0);
+        ws.close();
+    }
+
+    return cliente;
+}
+
+
 // ===== 2. STORE (Gerenciador de Dados com localStorage) =====
 
 const store = {
     key: 'gestao-tintas@v0.4', // Chave única para o localStorage. Mudar a versão pode ajudar em atualizações futuras.
     // Estrutura de dados padrão. Adicionamos clientes e fornecedores.
-    data: { produtos: [], clientes: [], fornecedores: [], vendas: [], pedidos: [], formulas: [], pigmentos: [], producaoHistorico: [], categoriasProdutos: [] },
+    data: { produtos: [], clientes: [], fornecedores: [], vendas: [], pedidos: [], formulas: [], pigmentos: [], producaoHistorico: [], categoriasProdutos: [], movimentosEstoque: [], movimentosPigmentos: [], catalogoFornecedores: [], orcamentos: [], devolucoes: [], contasReceber: [], contasPagar: [], caixas: [], tabelasPreco: [], codigosCor: [], empresa: {}, balanca: { resolucao: 0.1 } },
 
     // Carrega os dados. Se for a primeira vez, usa dados de exemplo.
     load() {
@@ -69,6 +298,7 @@ const store = {
                 this.data = { ...this.data, ...loadedData };
             }
         } catch (e) { console.error('Erro ao ler localStorage', e); }
+        this.migrate();
         this.seedOnFirstRun();
         this.updateBadges();
     },
@@ -83,10 +313,48 @@ const store = {
     clear() {
         localStorage.removeItem(this.key);
         // Reseta para a estrutura padrão para evitar erros.
-        this.data = { produtos: [], clientes: [], fornecedores: [], vendas: [], pedidos: [], formulas: [], pigmentos: [], producaoHistorico: [], formasPagamento: [] };
+        this.data = { produtos: [], clientes: [], fornecedores: [], vendas: [], pedidos: [], formulas: [], pigmentos: [], producaoHistorico: [], formasPagamento: [], movimentosEstoque: [], movimentosPigmentos: [], catalogoFornecedores: [], orcamentos: [], devolucoes: [], contasReceber: [], contasPagar: [], caixas: [], tabelasPreco: [], codigosCor: [], empresa: {}, balanca: { resolucao: 0.1 } };
         this.save();
     },
 
+    // Atualiza registros salvos por versões anteriores para o formato atual.
+    migrate() {
+        // Pedidos antigos só tinham produtos, na chave 'produtos'. Agora os itens podem ser produtos ou pigmentos.
+        (this.data.pedidos || []).forEach(pedido => {
+            if (!pedido.itens) {
+                pedido.itens = (pedido.produtos || []).map(item => ({ ...item, tipo: 'produto' }));
+                delete pedido.produtos;
+            }
+            // Pedidos sem status são de antes do ciclo de vida: já deram entrada total no estoque.
+            if (!pedido.status) {
+                pedido.status = 'recebido';
+                pedido.itens.forEach(item => item.quantidadeRecebida = item.quantidade);
+            }
+        });
+        // Vendas e orçamentos antigos tinham uma só forma de pagamento, no campo 'pagamento', pagando o total.
+        [...(this.data.vendas || []), ...(this.data.orcamentos || [])].forEach(venda => {
+            if (!venda.pagamentos) {
+                const total = Number(venda.total) || 0;
+                venda.pagamentos = venda.pagamento ? [{ forma: venda.pagamento, valor: total, parcelas: 1, taxa: 0, valorLiquido: total }] : [];
+            }
+        });
+        // Instalações de antes do fiado não têm forma de pagamento a prazo: ganham a 'Fiado' uma única vez
+        // (a marca evita recriá-la se depois ela for excluída). Sem formas cadastradas, o seed já cria a lista toda.
+        const formas = this.data.formasPagamento || [];
+        if (formas.length && !this.data.fiadoMigrado && !formas.some(f => f.aPrazo)) {
+            const fiado = formas.find(f => f.nome === 'Fiado');
+            if (fiado) Object.assign(fiado, { aPrazo: true, prazoDias: Number(fiado.prazoDias) || 30 });
+            else formas.push({ id: uuid(), nome: 'Fiado', maxParcelas: 3, taxa: 0, taxaParcelado: 0, aPrazo: true, prazoDias: 30 });
+        }
+        if (formas.length) this.data.fiadoMigrado = true;
+        // O número de pedidos do cliente agora é calculado pelas vendas; o contador antigo saía do compasso.
+        (this.data.clientes || []).forEach(cliente => delete cliente.quantidadePedidos);
+        // Fórmulas de antes do versionamento ganham a receita atual como versão 1.
+        (this.data.formulas || []).forEach(formula => {
+            if (!formula.versoes?.length) registrarVersaoFormula(formula, { autor: 'Sistema', nota: 'Versão inicial (registrada na migração)' });
+        });
+    },
+
     // Insere dados de exemplo se a aplicação for aberta pela primeira vez.
     seedOnFirstRun() {
         if ((this.data.produtos || []).length === 0) {
@@ -103,16 +371,17 @@ const store = {
         }
         if ((this.data.pigmentos || []).length === 0) {
             this.data.pigmentos = [
-                { id: uuid(), nome: "Pigmento Vermelho Intenso", codigo: "P-VML-01", quantidade: 5000, preco: 150.00 },
-                { id: uuid(), nome: "Pigmento Branco PW6", codigo: "P-BRC-06", quantidade: 10000, preco: 95.00 },
+                { id: uuid(), nome: "Pigmento Vermelho Intenso", codigo: "P-VML-01", quantidade: 5000, preco: 150.00, unidade: 'ml', densidade: 1.15 },
+                { id: uuid(), nome: "Pigmento Branco PW6", codigo: "P-BRC-06", quantidade: 10000, preco: 95.00, unidade: 'ml', densidade: 1.6 },
             ];
         }
         if ((this.data.formasPagamento || []).length === 0) {
             this.data.formasPagamento = [
-                { id: uuid(), nome: 'Dinheiro' },
-                { id: uuid(), nome: 'PIX' },
-                { id: uuid(), nome: 'Cartão de Crédito' },
-                { id: uuid(), nome: 'Cartão de Débito' }
+                { id: uuid(), nome: 'Dinheiro', maxParcelas: 1, taxa: 0, taxaParcelado: 0 },
+                { id: uuid(), nome: 'PIX', maxParcelas: 1, taxa: 0, taxaParcelado: 0 },
+                { id: uuid(), nome: 'Cartão de Crédito', maxParcelas: 12, taxa: 3.2, taxaParcelado: 4.9 },
+                { id: uuid(), nome: 'Cartão de Débito', maxParcelas: 1, taxa: 1.4, taxaParcelado: 0 },
+                { id: uuid(), nome: 'Fiado', maxParcelas: 3, taxa: 0, taxaParcelado: 0, aPrazo: true, prazoDias: 30 }
             ];
         }
         if ((this.data.categoriasProdutos || []).length === 0) {
@@ -142,7 +411,9 @@ const store = {
                 stats.skipped.push(`Produto ${obj.nome || '(sem nome)'}: código repetido (${codigo})`);
                 return;
             }
-            const novo = { id: uuid(), nome: obj.nome || '(sem nome)', codigo, categoria: obj.categoria || '', cor: obj.cor || '', preco: Number(obj.preco) || 0, custo: Number(obj.custo) || 0, estoqueAtual: Number(obj.estoqueAtual) || 0, estoqueMin: Number(obj.estoqueMin) || 0, unidade: obj.unidade || '', fornecedor: obj.fornecedor || '' };
+            const novo = { id: uuid(), nome: obj.nome || '(sem nome)', codigo, categoria: obj.categoria || '', cor: obj.cor || '', preco: Number(obj.preco) || 0, custo: Number(obj.custo) || 0, estoqueAtual: 0, estoqueMin: Number(obj.estoqueMin) || 0, unidade: obj.unidade || '', fornecedor: obj.fornecedor || '' };
+            // O estoque inicial entra pelo kardex para que o saldo tenha origem.
+            if (Number(obj.estoqueAtual)) movimentarEstoqueProduto(novo, Number(obj.estoqueAtual), 'ajuste', { descricao: 'Importação CSV' });
             this.data.produtos.push(novo);
             stats.added++;
         });
@@ -165,2117 +436,6306 @@ function parseCsv(text) {
     return rows;
 }
 
+// --- Regras de Estoque (Kardex de Produtos) ---
 
-// ===== 3. ROUTER (Gerenciador de Navegação) =====
-
-const routes = new Map(); // Usamos um Map para guardar a associação "nome da rota -> função que renderiza".
+// Tipos de movimento aceitos no kardex e o rótulo exibido na tela.
+const TIPOS_MOVIMENTO_ESTOQUE = {
+    compra: 'Compra',
+    venda: 'Venda',
+    ajuste: 'Ajuste manual',
+    devolucao: 'Devolução',
+    producao: 'Produção'
+};
 
-// Adiciona uma nova rota. Ex: addRoute('dashboard', renderDashboardView)
-function addRoute(name, renderFn) {
-    routes.set(name, renderFn);
+/**
+ * Altera o estoque de um produto e registra o movimento no kardex (não salva o store).
+ * @param {object} produto - O produto do store que terá o estoque alterado.
+ * @param {number} quantidade - Positiva para entradas, negativa para saídas.
+ * @param {string} tipo - Uma das chaves de TIPOS_MOVIMENTO_ESTOQUE.
+ * @param {object} documento - Origem do movimento: { id, descricao }. Ex: { id: venda.id, descricao: 'Venda P-123456' }.
+ */
+function movimentarEstoqueProduto(produto, quantidade, tipo, documento = {}) {
+    produto.estoqueAtual = (Number(produto.estoqueAtual) || 0) + quantidade;
+    store.data.movimentosEstoque.push({
+        id: uuid(),
+        data: new Date().toISOString(),
+        produtoId: produto.id,
+        tipo,
+        quantidade,
+        saldo: produto.estoqueAtual,
+        documentoId: documento.id || null,
+        documento: documento.descricao || ''
+    });
 }
 
-// Função principal de navegação. É chamada quando o hash da URL muda.
-function navigate() {
-    const hash = location.hash || '#/dashboard';
-    const name = hash.replace('#/', '').split('/')[0]; // Pega a parte principal da rota, ex: 'produtos' de '#/produtos/novo'
-
-    // Atualiza o item de menu ativo
-    $$('#nav a').forEach(a => a.classList.toggle('active', a.getAttribute('data-view') === name));
-
-    const view = document.getElementById('view');
-    const render = routes.get(name) || routes.get('dashboard'); // Se a rota não existir, vai para o dashboard.
-
-    view.innerHTML = ''; // Limpa a tela anterior
-    view.appendChild(render()); // Renderiza e anexa a nova tela.
+/**
+ * Soma as quantidades de uma lista de itens de venda, agrupando por produto.
+ * Ex: [{ id: 'a', qtd: 2 }, { id: 'a', qtd: 1 }] -> { a: 3 }
+ */
+function quantidadesPorProduto(itens = []) {
+    return itens.reduce((acc, item) => {
+        acc[item.id] = (acc[item.id] || 0) + (Number(item.qtd) || 0);
+        return acc;
+    }, {});
 }
 
+/**
+ * Calcula quanto de cada produto deve sair do estoque ao trocar os itens de uma venda.
+ * Valores positivos saem do estoque e negativos voltam para ele.
+ * Para uma venda nova, 'itensAntigos' é vazio; para uma exclusão, 'itensNovos' é vazio.
+ */
+function diferencaEstoqueVenda(itensAntigos, itensNovos) {
+    const antes = quantidadesPorProduto(itensAntigos);
+    const depois = quantidadesPorProduto(itensNovos);
+    const diferenca = {};
+    new Set([...Object.keys(antes), ...Object.keys(depois)]).forEach(id => {
+        const delta = (depois[id] || 0) - (antes[id] || 0);
+        if (delta !== 0) diferenca[id] = delta;
+    });
+    return diferenca;
+}
 
-// ===== 4. COMPONENTS (Partes Reutilizáveis da UI) =====
-
-// Cria um card de KPI (Key Performance Indicator) para o dashboard.
-function kpiCard(title, value, trend) {
-    const el = document.createElement('div');
-    el.className = 'card';
-    el.innerHTML = `<h3>${title}</h3><div class="value">${value}</div>${trend ? `<div class="trend">${trend}</div>` : ''}`;
-    return el;
+/**
+ * Lista os produtos que não têm estoque suficiente para a diferença informada.
+ * Retorna um array vazio quando está tudo certo.
+ */
+function verificarEstoqueVenda(diferenca) {
+    return Object.entries(diferenca)
+        .filter(([, delta]) => delta > 0)
+        .map(([id, delta]) => ({ produto: store.data.produtos.find(p => p.id === id), necessario: delta }))
+        .filter(({ produto, necessario }) => produto && (Number(produto.estoqueAtual) || 0) < necessario);
 }
 
-// Cria uma tabela a partir de cabeçalhos e linhas de dados.
-function table(headers, rows) {
-    const wrap = document.createElement('div');
-    wrap.className = 'table-wrap card';
-    const tbl = document.createElement('table');
-    const thead = document.createElement('thead');
-    const thr = document.createElement('tr');
-    headers.forEach(h => {
-        const th = document.createElement('th');
-        th.textContent = h;
-        thr.appendChild(th);
+/**
+ * Aplica a diferença no estoque dos produtos, registrando cada saída/retorno no kardex (não salva o store).
+ * @param {object} diferenca - Resultado de diferencaEstoqueVenda().
+ * @param {object} venda - A venda que originou o movimento.
+ * @param {string} observacao - (Opcional) Complemento do documento. Ex: 'edição', 'excluída'.
+ */
+function aplicarEstoqueVenda(diferenca, venda, observacao) {
+    const descricao = `Venda ${venda.numeroPedido}${observacao ? ` (${observacao})` : ''}`;
+    Object.entries(diferenca).forEach(([id, delta]) => {
+        const produto = store.data.produtos.find(p => p.id === id);
+        if (produto) {
+            movimentarEstoqueProduto(produto, -delta, 'venda', { id: venda.id, descricao });
+        }
     });
-    thead.appendChild(thr);
-    const tbody = document.createElement('tbody');
-    rows.forEach(r => {
-        const tr = document.createElement('tr');
-        r.forEach(c => {
-            const td = document.createElement('td');
-            td.innerHTML = c; // Usamos innerHTML para permitir HTML dentro das células (ex: botões).
-            tr.appendChild(td);
+}
+
+/**
+ * Estatísticas de compra de um cliente, sempre calculadas a partir das vendas (nada fica guardado no cliente).
+ * O total comprado e os produtos mais comprados já descontam as devoluções.
+ * Ex: { vendas: [...], quantidadePedidos: 3, totalComprado: 900, ticketMedio: 300, ultimaCompra: '2025-09-18', produtos: [...] }
+ */
+function estatisticasCliente(clientId) {
+    const vendas = clientId ? store.data.vendas.filter(v => v.clientId === clientId) : [];
+    const totalDevolvido = (store.data.devolucoes || [])
+        .filter(d => vendas.some(v => v.id === d.vendaId))
+        .reduce((acc, d) => acc + (Number(d.total) || 0), 0);
+    const totalComprado = vendas.reduce((acc, v) => acc + (Number(v.total) || 0), 0) - totalDevolvido;
+
+    // Produtos mais comprados, por quantidade. O que foi devolvido sai pelo mesmo preço do item na venda.
+    const porProduto = {};
+    vendas.forEach(v => {
+        const devolvido = quantidadesDevolvidas(v);
+        v.itens.forEach(i => {
+            const linha = porProduto[i.id] || (porProduto[i.id] = { id: i.id, nome: i.nome, codigo: i.codigo, qtd: 0, valor: 0 });
+            const qtd = (Number(i.qtd) || 0) - Math.min(devolvido[i.id] || 0, Number(i.qtd) || 0);
+            devolvido[i.id] = Math.max(0, (devolvido[i.id] || 0) - (Number(i.qtd) || 0));
+            linha.qtd += qtd;
+            linha.valor += (Number(i.preco) || 0) * qtd;
         });
-        tbody.appendChild(tr);
     });
-    tbl.append(thead, tbody);
-    wrap.appendChild(tbl);
-    return wrap;
+
+    return {
+        vendas,
+        quantidadePedidos: vendas.length,
+        totalComprado,
+        ticketMedio: vendas.length ? totalComprado / vendas.length : 0,
+        ultimaCompra: vendas.map(v => v.data).sort().pop() || null,
+        produtos: Object.values(porProduto).filter(p => p.qtd > 0).sort((a, b) => b.qtd - a.qtd)
+    };
 }
 
-// Cria um formulário genérico para CRUD (Criar, Ler, Atualizar, Excluir).
-// `config` define o título, os campos e os dados iniciais.
-function genericForm(config) {
-    const { title, fields, data, onSave, onCancel } = config;
-    const item = data ? { ...data } : { id: uuid() };
+// Campos do endereço estruturado do cliente (guardados em 'cliente.endereco').
+const CAMPOS_ENDERECO = ['cep', 'logradouro', 'numero', 'complemento', 'bairro', 'cidade', 'uf'];
 
-    const el = document.createElement('div');
-    el.className = 'card';
+// Placa no padrão antigo (ABC1234) ou Mercosul (ABC1D23).
+const validarPlaca = (placa) => /^[A-Z]{3}\d[A-Z0-9]\d{2}$/.test(String(placa || '').toUpperCase().replace(/[^A-Z0-9]/g, ''));
 
-    // Gera o HTML dos campos do formulário a partir da configuração.
-    const fieldsHtml = fields.map(f => {
-    item[f.key] = item[f.key] ?? '';
-    // SE o campo tiver a propriedade 'html', usa ela. SENÃO, cria o input padrão.
-    const fieldContent = f.html 
-        ? f.html 
-        : `<input type="${f.type || 'text'}" value="${item[f.key]}" data-key="${f.key}" placeholder="${f.placeholder || ''}" />`;
+// Endereço em uma linha. Ex: 'Rua XV, 100 - Centro, Curitiba/PR - CEP 80010-000'
+function enderecoResumido(endereco = {}) {
+    const rua = [endereco.logradouro, endereco.numero].filter(Boolean).join(', ');
+    const cidade = [endereco.cidade, endereco.uf].filter(Boolean).join('/');
+    const partes = [[rua, endereco.complemento].filter(Boolean).join(' '), endereco.bairro, cidade].filter(Boolean).join(' - ');
+    return [partes, endereco.cep ? `CEP ${formatarCep(endereco.cep)}` : ''].filter(Boolean).join(' - ');
+}
 
-    return `
-      <div class="field" style="grid-column: span ${f.span || 6}">
-        <label>${f.label}</label>
-        ${fieldContent}
-      </div>`;
-    }).join('');
+// Descrição curta de um veículo. Ex: 'VW Gol 2023 Prata (ABC1D23)'
+function descricaoVeiculo(v) {
+    return `${[v.marca, v.modelo, v.ano, v.cor].filter(Boolean).join(' ')}${v.placa ? ` (${v.placa})` : ''}`;
+}
 
+// Todos os termos da busca precisam aparecer no texto. Ex: termosNoTexto('gol prata', 'VW Gol 2023 Prata') -> true
+function termosNoTexto(query, texto) {
+    const termos = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return termos.every(t => texto.toLowerCase().includes(t));
+}
 
-    el.innerHTML = `
-    <div class="toolbar" style="justify-content:space-between; margin-bottom:10px">
-      <h2 style="margin:0">${title}</h2>
-      <div style="display:flex; gap:8px">
-        <button class="btn secondary" data-action="cancelar">Cancelar</button>
-        <button class="btn" data-action="salvar">Salvar</button>
-      </div>
-    </div>
-    <div class="form">${fieldsHtml}</div>
-  `;
+// Um veículo corresponde à busca pela marca, modelo, ano, cor, placa ou código da cor.
+const veiculoCorrespondeBusca = (v, query) => termosNoTexto(query, [v.marca, v.modelo, v.ano, v.cor, v.placa, v.codigoCor].join(' '));
 
-    // Adiciona os listeners para os botões de salvar e cancelar.
-    el.addEventListener('click', (e) => {
-        const action = e.target?.dataset?.action;
-        if (!action) return;
+/**
+ * Busca de clientes por nome, telefone, email, CPF/CNPJ ou por um dos seus veículos.
+ * Ex: 'gol prata' encontra o cliente que tem um 'VW Gol 2023 Prata'.
+ */
+function clienteCorrespondeBusca(cliente, query) {
+    const textoCliente = [cliente.nome, cliente.telefone, cliente.email, cliente.documento, somenteDigitos(cliente.documento)].join(' ');
+    return termosNoTexto(query, textoCliente) || (cliente.veiculos || []).some(v => veiculoCorrespondeBusca(v, query));
+}
 
-        if (action === 'cancelar') {
-            onCancel(); // Executa a função de cancelamento passada na configuração.
-        }
-        if (action === 'salvar') {
-            // Coleta os valores de todos os inputs.
-            $$('[data-key]', el).forEach(input => {
-                item[input.dataset.key] = input.value;
-            });
-            onSave(item); // Executa a função de salvamento com o item preenchido.
-        }
-    });
+// --- Regras do Catálogo de Cores de Fábrica ---
 
-    return el;
+// Faixa de anos de uma cor. Ex: { anoInicio: 2010, anoFim: 2020 } -> '2010–2020'; sem fim -> '2010–atual'
+function faixaAnosCor(cor) {
+    if (!cor?.anoInicio && !cor?.anoFim) return '';
+    return `${cor.anoInicio || '?'}–${cor.anoFim || 'atual'}`;
 }
 
-// ===== 5. VIEWS (Renderizadores de cada tela) =====
+// Ex: 'Volkswagen LA7W Prata Sargas (2010–2020)'
+function descricaoCodigoCor(cor) {
+    if (!cor) return '';
+    const anos = faixaAnosCor(cor);
+    return `${cor.montadora} ${cor.codigo} ${cor.nomeCor}${anos ? ` (${anos})` : ''}`;
+}
 
+// Cor do catálogo ligada à fórmula (ou undefined).
+function codigoCorDaFormula(formula) {
+    return (store.data.codigosCor || []).find(c => c.id === formula?.codigoCorId);
+}
 
-// --- TELA: Dashboard ---
-addRoute('dashboard', () => {
-    const root = document.createElement('div');
-    
-    root.innerHTML = `<h1>Dashboard</h1>`;
-    const cards = document.createElement('div');
-    cards.className = 'grid cards dashboard'; // A classe 'cards' responsiva
-    // Cálculos específicos para o dashboard
-    const totalEstoqueProdutos = store.data.produtos.reduce((acc, p) => acc + (Number(p.estoqueAtual) || 0), 0);
-    const baixoEstoqueProdutos = store.data.produtos.filter(p => Number(p.estoqueAtual) <= Number(p.estoqueMin)).length;
+/**
+ * Busca de fórmulas pelo nome/código da fórmula ou pela cor de fábrica ligada a ela
+ * (montadora, código da cor, nome da cor e modelos). Ex: 'LA7W' ou 'gol prata'.
+ */
+function formulaCorrespondeBusca(formula, query) {
+    const cor = codigoCorDaFormula(formula);
+    const texto = [formula.nome, formula.codigo, cor?.montadora, cor?.codigo, cor?.nomeCor, cor?.modelos].join(' ');
+    return termosNoTexto(query, texto);
+}
 
-    // --- Montagem dos Cards ---
-    cards.append(
-        kpiCard('Produtos Cadastrados', (store.data.produtos || []).length),
-        kpiCard('Itens em Estoque (Produtos)', totalEstoqueProdutos),
-        kpiCard('Produtos com Baixo Estoque', baixoEstoqueProdutos, baixoEstoqueProdutos ? `<span class="badge-warn">Atenção</span>` : '<span class="badge-soft">OK</span>'),
-        kpiCard('Total de Vendas', (store.data.vendas || []).length),
-        kpiCard('Clientes Cadastrados', (store.data.clientes || []).length),
-        kpiCard('Fornecedores Cadastrados', (store.data.fornecedores || []).length),
-        kpiCard('Tintas Produzidas', (store.data.producaoHistorico || []).length),
-        kpiCard('Fórmulas Cadastradas', (store.data.formulas || []).length),
-        kpiCard('Pigmentos Cadastrados', (store.data.pigmentos || []).length),
-        kpiCard('Total de Pedidos', (store.data.pedidos || []).length)
-    );
-    
-    root.appendChild(cards);
-    return root;
-});
+// --- Regras de Densidade dos Pigmentos ---
 
+// Densidade do pigmento em g/ml (1 quando não informada, como a água).
+function densidadePigmento(pigmentoId) {
+    const pigmento = (store.data.pigmentos || []).find(p => p.id === pigmentoId);
+    return Number(pigmento?.densidade) > 0 ? Number(pigmento.densidade) : 1;
+}
 
-// --- TELA: Vendas (Container com Abas) ---
-addRoute('vendas', () => {
-    const root = document.createElement('div');
-    const hashParts = location.hash.split('/'); // Ex: ['#', 'vendas', 'editar', 'ID_DA_VENDA']
-    const subView = hashParts[2] || 'registrar'; // A sub-view é 'registrar', 'historico' ou 'editar'
+// Unidade em que o estoque e o preço do pigmento são controlados ('ml' ou 'g').
+function unidadePigmento(pigmentoId) {
+    const pigmento = (store.data.pigmentos || []).find(p => p.id === pigmentoId);
+    return pigmento?.unidade === 'g' ? 'g' : 'ml';
+}
 
-    // Deixamos a aba "Registrar Venda" ativa tanto para criar uma nova quanto para editar.
-    const isRegisterActive = subView === 'registrar' || subView === 'editar';
+/**
+ * Linha de pigmento com a quantidade nas duas unidades, convertendo pela densidade.
+ * Ex: pigmento de densidade 1.2, linhaEmAmbasUnidades(linha, 12, 'g') -> { ...linha, g: 12, ml: 10 }
+ */
+function linhaEmAmbasUnidades(linha, quantidade, unidade) {
+    const densidade = densidadePigmento(linha.id);
+    const valor = Number(quantidade) || 0;
+    return unidade === 'g'
+        ? { ...linha, g: Number(valor.toFixed(4)), ml: Number((valor / densidade).toFixed(4)) }
+        : { ...linha, ml: Number(valor.toFixed(4)), g: Number((valor * densidade).toFixed(4)) };
+}
 
-    root.innerHTML = `
-        <div class="tabs">
-            <a href="#/vendas/registrar" data-subview="registrar" class="tab ${isRegisterActive ? 'active' : ''}">Registrar Venda</a>
-            <a href="#/vendas/historico" data-subview="historico" class="tab ${subView === 'historico' ? 'active' : ''}">Histórico de Vendas</a>
-        </div>
-        <div id="vendas-content"></div>
-    `;
+// Gramas de uma linha de pigmento. Nas fórmulas só a unidade digitada é guardada; a outra sai da densidade.
+function gramasDaLinha(linha) {
+    return linha.g ?? (Number(linha.ml) || 0) * densidadePigmento(linha.id);
+}
 
-    const content = root.querySelector('#vendas-content');
+// Mililitros de uma linha de pigmento (convertidos pela densidade quando ela foi escrita em gramas).
+function mlDaLinha(linha) {
+    return linha.ml ?? (Number(linha.g) || 0) / densidadePigmento(linha.id);
+}
 
-    // Se a sub-view for 'editar', encontramos a venda e passamos para o formulário.
-    if (subView === 'editar') {
-        const saleId = hashParts[3]; // O ID da venda é a 4ª parte da URL
-        const saleToEdit = store.data.vendas.find(v => v.id === saleId);
-        content.appendChild(renderRegistrarVendas(saleToEdit)); // Passamos a venda para a função de renderização
-    } else if (subView === 'registrar') {
-        content.appendChild(renderRegistrarVendas()); // Chamamos sem argumentos para um formulário limpo
-    } else if (subView === 'historico') {
-        content.appendChild(renderHistoricoVendas());
-    }
+// Quantidade de uma linha na unidade pedida. Ex: quantidadeNaUnidade({ id, ml: 10, g: 12 }, 'g') -> 12
+function quantidadeNaUnidade(linha, unidade) {
+    return unidade === 'g' ? gramasDaLinha(linha) : mlDaLinha(linha);
+}
 
-    return root;
-});
+// Quantidade de uma linha na unidade de estoque do próprio pigmento (é o que sai do estoque).
+function quantidadeNaUnidadeDoPigmento(linha) {
+    return quantidadeNaUnidade(linha, unidadePigmento(linha.id));
+}
+
+// --- Regras de Produção ---
+
+// Resolução da balança: a menor quantidade que ela consegue medir (configurada em Configurações).
+function resolucaoBalanca() {
+    return Number(configBalanca().resolucao) || 0.1;
+}
+
+// Arredonda uma quantidade para a resolução da balança. Ex: arredondarPesagem(12.345, 0.1) -> 12.3
+function arredondarPesagem(quantidade, resolucao = resolucaoBalanca()) {
+    const casas = Math.max(0, -Math.floor(Math.log10(resolucao)));
+    return Number((Math.round(quantidade / resolucao) * resolucao).toFixed(casas));
+}
 
 /**
- * Renderiza a tela de "Registrar Venda".
- * Agora ela permite adicionar múltiplos formulários de venda na mesma tela.
+ * Escala os pigmentos de uma fórmula para o volume desejado, usando a base da fórmula (fator = volume / base).
+ * A balança pesa em gramas: cada pigmento é escalado e arredondado em gramas para a resolução
+ * da balança e os ml saem da densidade. Um pigmento da receita nunca fica zerado, no mínimo
+ * vai a menor quantidade que a balança mede.
+ * Ex: base 900 ml e volume 3600 ml -> fator 4, cada pigmento x4
  */
+function escalarFormula(formula, volume) {
+    const resolucao = resolucaoBalanca();
+    const fator = (Number(volume) || 0) / (Number(formula.base) || 900);
+    const pigmentos = formula.pigmentos.map(p => {
+        const gramas = gramasDaLinha(p);
+        return linhaEmAmbasUnidades(p, gramas > 0 ? Math.max(resolucao, arredondarPesagem(gramas * fator, resolucao)) : 0, 'g');
+    });
+    return { fator, pigmentos };
+}
+
+// Custo de uma lista de pigmentos { id, ml, g } pelo preço de estoque (o preço é por 900 unidades do pigmento).
+function custoPigmentos(pigmentos) {
+    return pigmentos.reduce((acc, p) => {
+        const pigmentoBase = store.data.pigmentos.find(base => base.id === p.id);
+        return acc + (pigmentoBase ? ((Number(pigmentoBase.preco) || 0) / 900) * quantidadeNaUnidadeDoPigmento(p) : 0);
+    }, 0);
+}
 
 /**
- * Renderiza a tela de "Registrar Venda".
- * @param {object} saleToEdit - (Opcional) A venda a ser editada.
+ * Tolerância de excesso (em gramas) na pesagem de uma linha de pigmento: valor fixo em g ou percentual
+ * da quantidade prevista, conforme o cadastro do pigmento. Sem tolerância cadastrada, vale a resolução da balança,
+ * e nunca fica abaixo de meia resolução (a balança não mede menos que isso).
+ * Ex: tolerância de 5% e linha de 20 g -> 1
  */
-function renderRegistrarVendas(saleToEdit) {
-    const root = document.createElement('div');
+function toleranciaPigmento(linha) {
+    const pigmento = (store.data.pigmentos || []).find(p => p.id === linha.id);
+    const valor = Number(pigmento?.tolerancia);
+    if (!(valor > 0)) return resolucaoBalanca();
+    const tolerancia = pigmento.tipoTolerancia === '%' ? gramasDaLinha(linha) * valor / 100 : valor;
+    return Math.max(tolerancia, resolucaoBalanca() / 2);
+}
 
-    // Se estamos editando, não mostramos o botão "Adicionar Outra Venda"
-    // para manter a interface focada na edição de um único item.
-    const addButtonHtml = !saleToEdit
-        ? `<div class="toolbar" style="margin-top: 24px; padding-top: 16px; border-top: 1px dashed var(--border); justify-content: center;">
-               <button class="btn secondary" id="add-sale-btn">Adicionar Venda</button>
-           </div>`
-        : '';
+// Como cada excesso de pesagem foi tratado (gravado no histórico da produção).
+const CORRECOES_EXCESSO = {
+    nenhuma: 'Nenhuma',
+    restantes: 'Pigmentos restantes recalculados',
+    todos: 'Restantes recalculados e já pesados completados'
+};
 
-    root.innerHTML = `
-        <div id="sales-container" style="display: flex; flex-direction: column; gap: 24px;"></div>
-        ${addButtonHtml}
-    `;
+// --- Regras da Balança ---
+
+// Configuração padrão da balança: sem balança física, a pesagem usa o simulador.
+const BALANCA_PADRAO = {
+    resolucao: 0.1,
+    fonte: 'simulador',
+    url: 'ws://localhost:9001',
+    usuario: '',
+    senha: '',
+    topicoLeitura: 'gestao-tintas/balanca/peso',
+    topicoComando: 'gestao-tintas/balanca/comando'
+};
 
-    const salesContainer = root.querySelector('#sales-container');
-    // Passamos a venda a ser editada para o componente do formulário
-    salesContainer.appendChild(createSaleComponent(saleToEdit));
+// Fontes de leitura de peso que podem ser escolhidas em Configurações.
+const FONTES_BALANCA = { simulador: 'Simulador (sem balança)', mqtt: 'Balança MQTT (ESP32)' };
 
-    // O botão de adicionar só existe se não estivermos editando
-    const addButton = root.querySelector('#add-sale-btn');
-    if (addButton) {
-        addButton.addEventListener('click', () => {
-            salesContainer.appendChild(createSaleComponent());
-        });
+// Configuração da balança, completando com o padrão o que ainda não foi configurado.
+function configBalanca() {
+    return { ...BALANCA_PADRAO, ...store.data.balanca };
+}
+
+/**
+ * Lê o peso (em gramas) de uma mensagem da balança: um número puro ou um JSON com o campo 'peso'.
+ * Ex: lerPesoMensagem('12.5') -> 12.5 | lerPesoMensagem('{"peso": 3.2}') -> 3.2 | lerPesoMensagem('erro') -> null
+ */
+function lerPesoMensagem(texto) {
+    let valor = String(texto).trim();
+    if (valor.startsWith('{')) {
+        try {
+            valor = String(JSON.parse(valor).peso ?? '');
+        } catch (e) {
+            return null;
+        }
     }
+    if (!valor) return null;
+    const peso = Number(valor.replace(',', '.'));
+    return Number.isFinite(peso) ? peso : null;
+}
 
-    return root;
+/**
+ * Balança simulada, para trabalhar sem a balança física: enquanto há um alvo, o peso sobe
+ * aos poucos como se o pigmento estivesse sendo despejado e para exatamente no alvo.
+ */
+function criarBalancaSimulada({ aoLer, aoMudarStatus }) {
+    let peso = 0;
+    let alvo = null;
+    const timer = setInterval(() => {
+        if (alvo === null || peso >= alvo) return;
+        peso = Math.min(alvo, peso + Math.random() * 2.5); // simula a pesagem
+        aoLer(peso);
+    }, 100);
+    setTimeout(() => {
+        aoMudarStatus('conectado');
+        aoLer(peso);
+    }, 0);
+
+    return {
+        // Tara e zero fazem o mesmo no simulador: o peso atual passa a ser zero.
+        comando: () => { peso = 0; aoLer(peso); },
+        despejarAte: (valor) => { alvo = valor; },
+        desconectar: () => clearInterval(timer)
+    };
 }
 
+/**
+ * Balança real ligada por MQTT: assina o tópico de leitura (peso em gramas) e publica
+ * os comandos 'tara' e 'zero' no tópico de comando. Se a conexão cair, tenta de novo a cada 5 segundos.
+ */
+function criarBalancaMqtt(config, { aoLer, aoMudarStatus }) {
+    let encerrada = false;
+    let religar = null;
+    let mqtt = null;
+
+    const conectar = () => {
+        if (encerrada) return;
+        aoMudarStatus('conectando');
+        mqtt = criarClienteMqtt({ url: config.url, clientId: `gestao-tintas-${uuid().slice(0, 8)}`, usuario: config.usuario, senha: config.senha });
+        mqtt.onConectado = () => {
+            mqtt.assinar(config.topicoLeitura);
+            aoMudarStatus('conectado');
+        };
+        mqtt.onMensagem = (topico, texto) => {
+            if (topico !== config.topicoLeitura) return;
+            const peso = lerPesoMensagem(texto);
+            if (peso !== null) aoLer(peso);
+        };
+        mqtt.onFechado = (motivo) => {
+            if (encerrada) return;
+            // Agenda antes de avisar: quem recebe o aviso pode chamar desconectar() e cancelar a religação.
+            religar = setTimeout(conectar, 5000);
+            aoMudarStatus('desconectado', motivo);
+        };
+        mqtt.conectar();
+    };
+    conectar();
+
+    return {
+        comando: (comando) => mqtt.publicar(config.topicoComando, comando),
+        // Na balança real quem despeja é o operador; não há o que simular.
+        despejarAte: () => {},
+        desconectar: () => {
+            encerrada = true;
+            clearTimeout(religar);
+            mqtt.desconectar();
+        }
+    };
+}
 
 /**
- * Cria um componente de venda, seja para uma nova venda ou para editar uma existente.
- * @param {object} saleToEdit - (Opcional) A venda a ser editada.
+ * Abre a fonte de pesagem configurada (simulador ou MQTT). As leituras chegam em aoLer(pesoEmGramas)
+ * e as mudanças de conexão em aoMudarStatus(status, motivo), com status 'conectando', 'conectado' ou 'desconectado'.
+ * Ex: const balanca = conectarBalanca(configBalanca(), { aoLer: peso => ..., aoMudarStatus: status => ... });
+ *     balanca.comando('tara'); balanca.desconectar();
  */
-function createSaleComponent(saleToEdit) {
-    // 1. VERIFICAÇÃO DO MODO: Esta variável controla se o formulário é para 'editar' ou 'criar'.
-    const isEditing = !!saleToEdit; // !! transforma o objeto em booleano (true se existir, false se não)
-    const componentRoot = document.createElement('div');
-    componentRoot.className = 'vendas-grid';
+function conectarBalanca(config, callbacks) {
+    return config.fonte === 'mqtt' ? criarBalancaMqtt(config, callbacks) : criarBalancaSimulada(callbacks);
+}
 
-    // 2. CARREGAMENTO DE ITENS: Se 'isEditing' for true, a lista de itens já começa
-    // com os produtos da venda que estamos editando. Senão, começa vazia.
-    let itens = isEditing ? JSON.parse(JSON.stringify(saleToEdit.itens)) : [];
+// --- Regras de Versões de Fórmula ---
 
-    // Guardamos o ID do cliente selecionado.
-    let selectedClientId = isEditing ? saleToEdit.clientId : null;
+// Campos de uma fórmula que são guardados em cada versão.
+const CAMPOS_VERSAO_FORMULA = ['nome', 'codigo', 'base', 'unidade', 'produtoId', 'codigoCorId', 'pigmentos', 'valorTotal'];
 
-    // Buscamos as formas de pagamento do store.
-    const formasDePagamento = store.data.formasPagamento || [];
+// Cópia dos campos versionados de uma fórmula.
+function snapshotFormula(formula) {
+    const snapshot = {};
+    CAMPOS_VERSAO_FORMULA.forEach(campo => snapshot[campo] = JSON.parse(JSON.stringify(formula[campo] ?? null)));
+    return snapshot;
+}
 
-    // Criamos o HTML das <options> dinamicamente.
-    const paymentOptionsHtml = formasDePagamento.map(f => 
-        `<option value="${f.nome}">${f.nome}</option>`
-    ).join('');
+// Versão 'numero' de uma fórmula (ou undefined se ela não existir).
+function versaoDaFormula(formula, numero) {
+    return (formula?.versoes || []).find(v => v.versao === Number(numero));
+}
 
+// Diz se alguma coisa versionada mudou entre a fórmula salva e a editada (o custo não conta, ele é derivado).
+function formulaMudou(anterior, nova) {
+    return CAMPOS_VERSAO_FORMULA.filter(c => c !== 'valorTotal')
+        .some(campo => JSON.stringify(anterior[campo] ?? null) !== JSON.stringify(nova[campo] ?? null));
+}
 
-    // 3. PRÉ-PREENCHIMENTO DO FORMULÁRIO: Os atributos 'value' dos inputs agora
-    // tentam pegar os dados de 'saleToEdit'. Se não existir, usam um valor padrão.
-    // A sintaxe 'saleToEdit?.cliente' (optional chaining) previne erros se 'saleToEdit' for nulo.
-    componentRoot.innerHTML = `
-        <div class="card">
-            <div class="toolbar" style="justify-content:space-between; margin-bottom:10px">
-                <h2 style="margin:0">${isEditing ? 'Editar Venda' : 'Registrar Venda'}</h2>
-            </div>
-            <div class="form">
-                <div class="field" style="grid-column: span 3"><label>Nº Pedido</label><input data-field="numeroPedido" value="${saleToEdit?.numeroPedido || ''}" placeholder="Opcional" /></div>
-                
-                <div class="field autocomplete-container" style="grid-column: span 6">
-                    <label>Cliente</label>
-                    <input data-field="cliente" value="${saleToEdit?.cliente || ''}" placeholder="Digite para buscar ou deixe em branco" autocomplete="off" />
-                    <div class="autocomplete-results"></div>
-                </div>
+/**
+ * Grava o estado atual da fórmula como uma nova versão, com autor, data e nota da alteração.
+ * A fórmula passa a apontar para essa versão (não salva o store).
+ */
+function registrarVersaoFormula(formula, { autor, nota }) {
+    formula.versoes = formula.versoes || [];
+    const versao = (formula.versoes[formula.versoes.length - 1]?.versao || 0) + 1;
+    formula.versoes.push({ versao, data: new Date().toISOString(), autor: autor || '', nota: nota || '', ...snapshotFormula(formula) });
+    formula.versao = versao;
+    return versao;
+}
 
-                <div class="field" style="grid-column: span 3"><label>Data</label><input data-field="data" type="date" value="${saleToEdit?.data || new Date().toISOString().slice(0, 10)}"/></div>
-                
-                <div class="field full"><label>Itens</label>
-                    <div data-container="lista-itens" class="grid" style="gap:8px; margin-top:8px; border:1px dashed var(--border); padding:10px; border-radius:10px; min-height:80px;"></div>
-                </div>
+/**
+ * Compara os pigmentos de duas versões de uma fórmula, na unidade da versão B (ml ou g).
+ * Ex: [{ id, nome, codigo, qtdA: 10, qtdB: 12, unidade: 'g', situacao: 'alterado' }, { ..., qtdA: 0, qtdB: 3, situacao: 'adicionado' }]
+ */
+function diferencasVersoesFormula(versaoA, versaoB) {
+    const unidade = versaoB.unidade === 'g' ? 'g' : 'ml';
+    const ids = [...new Set([...versaoA.pigmentos, ...versaoB.pigmentos].map(p => p.id))];
+    return ids.map(id => {
+        const a = versaoA.pigmentos.find(p => p.id === id);
+        const b = versaoB.pigmentos.find(p => p.id === id);
+        const qtdA = a ? quantidadeNaUnidade(a, unidade) : 0;
+        const qtdB = b ? quantidadeNaUnidade(b, unidade) : 0;
+        const situacao = !a ? 'adicionado' : !b ? 'removido' : Math.abs(qtdA - qtdB) > 0.0001 ? 'alterado' : 'igual';
+        return { id, nome: (a || b).nome, codigo: (a || b).codigo, qtdA, qtdB, unidade, situacao };
+    });
+}
 
-                <div class="field" style="grid-column: span 3"><label>Pagamento</label><select data-field="pagamento" value="${saleToEdit?.pagamento || formasDePagamento[0]?.nome || ''}">${paymentOptionsHtml}</select></div>
-                <div class="field" style="grid-column: span 3"><label>Desconto (R$)</label><input data-field="desconto" type="number" step="0.01" value="${saleToEdit?.desconto || 0}" /></div>
-                <div class="field" style="grid-column: span 3"><label>Subtotal</label><input data-field="subtotal" disabled /></div>
-                <div class="field" style="grid-column: span 3"><label>Total</label><input data-field="total" disabled /></div>
+/**
+ * Registra uma venda nova: dá baixa no estoque, gera as contas a receber do que foi vendido a prazo,
+ * gasta o crédito na loja usado no pagamento, liga a venda ao turno de caixa aberto
+ * e a adiciona à lista (não salva o store).
+ */
+function registrarVenda(venda) {
+    venda.caixaId = caixaAberto()?.id || null;
+    aplicarEstoqueVenda(diferencaEstoqueVenda([], venda.itens), venda);
+    gerarContasReceber(venda);
+    movimentarCreditoLoja(venda.clientId, -creditoLojaDaVenda(venda));
+    store.data.vendas.push(venda);
+}
 
-                <button class="btn" data-action="finalizar" style="grid-column: 1 / -1; margin-top:12px;">${isEditing ? 'Salvar Alterações' : 'Finalizar'}</button>
-            </div>
-        </div>
-        <div class="card vendas-right">
-             <div><label>Pesquisar Produtos</label><input data-action="search-product" placeholder="Digite nome ou código e pressione Enter" style="width:100%; margin-top:8px;" /></div>
-             <div data-container="search-results" class="prod-search-results"></div>
-        </div>
-    `;
+// --- Regras de Tabelas de Preço ---
 
-    const listaItensEl = componentRoot.querySelector('[data-container="lista-itens"]');
+// Aplica um desconto percentual a um valor, arredondando para centavos. Ex: aplicarPercentual(100, 12) -> 88
+function aplicarPercentual(valor, percentual) {
+    return Number(((Number(valor) || 0) * (1 - (Number(percentual) || 0) / 100)).toFixed(2));
+}
 
-    const calcTotais = () => {
-        const sub = itens.reduce((a, i) => a + (Number(i.preco) || 0) * (Number(i.qtd) || 0), 0);
-        componentRoot.querySelector('[data-field="subtotal"]').value = currency.format(sub);
-        const desc = Number(componentRoot.querySelector('[data-field="desconto"]').value || 0);
-        componentRoot.querySelector('[data-field="total"]').value = currency.format(Math.max(0, sub - desc));
-    };
+// Tabela de preço atribuída ao cliente (ou undefined quando ele usa o preço de venda normal).
+function tabelaPrecoDoCliente(clientId) {
+    const cliente = (store.data.clientes || []).find(c => c.id === clientId);
+    return (store.data.tabelasPreco || []).find(t => t.id === cliente?.tabelaPrecoId);
+}
 
-    // A renderização da lista de itens foi restaurada para a versão mais detalhada.
-    const renderItens = () => {
-        listaItensEl.innerHTML = '';
-        if (!itens.length) {
-            listaItensEl.innerHTML = `<div class="muted" style="text-align:center;width:100%;">Pesquise e adicione produtos...</div>`;
-            calcTotais();
-            return;
-        }
-        itens.forEach((it, idx) => {
-            const row = document.createElement('div');
-            row.className = 'toolbar';
-            row.style.border = '1px solid var(--border)';
-            row.style.borderRadius = '10px';
-            row.style.padding = '8px 10px';
-            row.innerHTML = `
-                <div style="flex:1">${it.nome} <small style="color:var(--muted)">(${it.codigo || '—'})</small></div>
-                <div>Qtd <input type="number" min="1" value="${it.qtd}" data-i="${idx}" data-f="qtd" style="width:72px; margin-left:6px" /></div>
-                <div>Preço <input type="number" step="0.01" value="${it.preco}" data-i="${idx}" data-f="preco" style="width:100px; margin-left:6px" /></div>
-                <button class="btn ghost" data-i="${idx}" data-act="rm">Remover</button>
-            `;
-            listaItensEl.appendChild(row);
-        });
-        calcTotais();
-    };
+/**
+ * Preço de um produto em uma tabela: o preço fixo do produto na tabela, se houver;
+ * senão, o preço de venda com o desconto percentual da tabela. Sem tabela, é o preço de venda.
+ * Ex: tabela 'Oficinas -12%' e produto de R$ 100 -> 88
+ */
+function precoNaTabela(produto, tabela) {
+    const precoBase = Number(produto?.preco) || 0;
+    if (!tabela) return precoBase;
+    const precoFixo = (tabela.precos || []).find(p => p.produtoId === produto.id);
+    if (precoFixo) return Number(precoFixo.preco) || 0;
+    return aplicarPercentual(precoBase, tabela.descontoPercentual);
+}
 
-    // Função interna para adicionar produto, garantindo que o código seja salvo no item.
-    function addProductToSale(prod, quantidade = 1) {
-        const existing = itens.find(i => i.id === prod.id);
-        if (existing) {
-            existing.qtd = Number(existing.qtd) + Number(quantidade);
-        } else {
-            itens.push({ id: prod.id, nome: prod.nome, codigo: prod.codigo, preco: Number(prod.preco) || 0, qtd: Number(quantidade) || 1 });
-        }
-        renderItens();
-    }
+// --- Regras de Pagamentos ---
 
-    const clienteInput = componentRoot.querySelector('[data-field="cliente"]');
-    const resultsContainer = componentRoot.querySelector('.autocomplete-results');
+/**
+ * Taxa (%) que a forma de pagamento cobra: uma para pagamento à vista (1x) e outra para parcelado.
+ */
+function taxaPagamento(formaPagamento, parcelas = 1) {
+    if (!formaPagamento) return 0;
+    return Number(parcelas) > 1 ? Number(formaPagamento.taxaParcelado) || 0 : Number(formaPagamento.taxa) || 0;
+}
 
-    clienteInput.addEventListener('input', () => {
-        const query = clienteInput.value.toLowerCase().trim();
-        resultsContainer.innerHTML = ''; // Limpa resultados anteriores
+/**
+ * Completa uma linha de pagamento com a taxa da forma escolhida e o valor líquido recebido.
+ * Ex: { forma: 'Cartão de Crédito', valor: 300, parcelas: 3 } -> { ..., taxa: 4.5, valorLiquido: 286.5 }
+ */
+function calcularPagamento({ forma, valor, parcelas }) {
+    const formaPagamento = (store.data.formasPagamento || []).find(f => f.nome === forma);
+    const taxa = taxaPagamento(formaPagamento, parcelas);
+    const valorNumerico = Number(valor) || 0;
+    return { forma, valor: valorNumerico, parcelas: Number(parcelas) || 1, taxa, valorLiquido: valorNumerico * (1 - taxa / 100) };
+}
 
-        // Se o campo estiver vazio, não selecionamos nenhum cliente
-        if (!query) {
-            selectedClientId = null;
-            return;
-        }
+// Resumo das formas de pagamento de uma venda. Ex: 'PIX + Cartão de Crédito 3x'
+function resumoPagamentos(pagamentos = []) {
+    return pagamentos.map(p => p.parcelas > 1 ? `${p.forma} ${p.parcelas}x` : p.forma).join(' + ');
+}
 
-        // Filtra os clientes que correspondem à busca
-        const results = store.data.clientes.filter(c => c.nome.toLowerCase().includes(query));
+// As linhas de pagamento precisam somar exatamente o total (com tolerância de meio centavo).
+function pagamentosFecham(pagamentos = [], total) {
+    const soma = pagamentos.reduce((acc, p) => acc + (Number(p.valor) || 0), 0);
+    return Math.abs(soma - (Number(total) || 0)) < 0.005;
+}
 
-        results.forEach(cliente => {
-            const itemEl = document.createElement('div');
-            itemEl.className = 'autocomplete-item';
-            itemEl.textContent = cliente.nome;
-            itemEl.dataset.id = cliente.id; // Guarda o ID no elemento
-            resultsContainer.appendChild(itemEl);
-        });
-    });
+// --- Regras de Parcelamento ---
 
-    // Listener para o clique em um dos resultados
-    resultsContainer.addEventListener('click', e => {
-        if (e.target.classList.contains('autocomplete-item')) {
-            const clienteId = e.target.dataset.id;
-            const cliente = store.data.clientes.find(c => c.id === clienteId);
-            if (cliente) {
-                clienteInput.value = cliente.nome; // Preenche o input com o nome
-                selectedClientId = cliente.id;   // Guarda o ID do cliente selecionado
-                resultsContainer.innerHTML = ''; // Limpa e esconde a lista
-            }
-        }
-    });
+/**
+ * Divide um valor em parcelas iguais; a última leva os centavos que sobram da divisão.
+ * Ex: dividirEmParcelas(100, 3) -> [33.33, 33.33, 33.34]
+ */
+function dividirEmParcelas(valor, parcelas = 1) {
+    const quantidade = Math.max(1, Number(parcelas) || 1);
+    const valorParcela = Math.floor(valor / quantidade * 100) / 100;
+    return Array.from({ length: quantidade }, (_, idx) =>
+        idx < quantidade - 1 ? valorParcela : Number((valor - valorParcela * (quantidade - 1)).toFixed(2)));
+}
 
-    // Listener de pesquisa de produto
-    componentRoot.querySelector('[data-action="search-product"]').addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            const q = e.target.value.toLowerCase().trim();
-            const results = store.data.produtos.filter(p => (p.nome || '').toLowerCase().includes(q) || (p.codigo || '').toLowerCase().includes(q));
-            const wrap = componentRoot.querySelector('[data-container="search-results"]');
-            wrap.innerHTML = '';
-            if (!results.length) {
-                wrap.innerHTML = '<div class="empty">Nenhum produto encontrado</div>';
-                return;
-            }
-            // A renderização dos resultados da pesquisa foi restaurada para a versão mais detalhada.
-            results.forEach(p => {
-                const row = document.createElement('div');
-                row.className = 'prod-row search-result';
-                row.innerHTML = `
-                    <div>
-                        <strong>${p.nome}</strong>
-                        <div style="font-size:12px;color:var(--muted)">${p.codigo || '—'} • ${p.unidade || ''} • ${currency.format(Number(p.preco || 0))}</div>
-                    </div>
-                    <div style="display:flex; gap:8px; align-items-center; justify-content: flex-end;">
-                        <input type="number" min="1" value="1" class="qtd-add" style="width:64px" />
-                        <button class="btn" data-id="${p.id}">Adicionar</button>
-                    </div>
-                `;
-                wrap.appendChild(row);
-                row.querySelector('button').addEventListener('click', () => {
-                    const qEl = row.querySelector('.qtd-add');
-                    const qtd = Number(qEl.value || 1);
-                    addProductToSale(p, qtd);
-                });
-            });
-        }
-    });
+// Soma dias a uma data 'AAAA-MM-DD'. Ex: somarDias('2025-09-18', 30) -> '2025-10-18'
+function somarDias(data, dias) {
+    const d = new Date(data + 'T12:00:00Z');
+    d.setUTCDate(d.getUTCDate() + Number(dias || 0));
+    return d.toISOString().slice(0, 10);
+}
 
+// --- Regras de Contas a Receber (Fiado) ---
 
-    // Lógica de eventos (finalizar, remover, alterar campos)
-    componentRoot.addEventListener('click', (e) => {
-        const target = e.target;
-        const action = target.dataset.action; // Para o botão 'finalizar'
-        const act = target.dataset.act;       // Para o botão 'remover'
+// Status de uma conta (a receber ou a pagar) e o rótulo exibido na tela.
+const STATUS_CONTA = {
+    aberta: 'Em aberto',
+    parcial: 'Parcial',
+    vencida: 'Vencida',
+    quitada: 'Quitada'
+};
 
-        // Lógica para finalizar a venda
-        if (action === 'finalizar') {
-            const updatedSaleData = {
-                id: saleToEdit?.id || uuid(),
-                numeroPedido: componentRoot.querySelector('[data-field="numeroPedido"]').value || `P-${Date.now().toString().slice(-6)}`,
-                data: componentRoot.querySelector('[data-field="data"]').value,
-                cliente: componentRoot.querySelector('[data-field="cliente"]').value || 'Consumidor Final',
-                pagamento: componentRoot.querySelector('[data-field="pagamento"]').value,
-                itens: itens,
-                subtotal: itens.reduce((a, i) => a + (i.preco * i.qtd), 0),
-                desconto: Number(componentRoot.querySelector('[data-field="desconto"]').value || 0),
-                total: 0,
-                clientId: selectedClientId
-            };
-            updatedSaleData.total = Math.max(0, updatedSaleData.subtotal - updatedSaleData.desconto);
+// Quanto ainda falta quitar de uma conta, descontando as baixas já registradas.
+function saldoConta(conta) {
+    const pago = (conta.baixas || []).reduce((acc, b) => acc + (Number(b.valor) || 0), 0);
+    return Math.max(0, (Number(conta.valor) || 0) - pago);
+}
 
-            if (isEditing) {
-                const index = store.data.vendas.findIndex(v => v.id === updatedSaleData.id);
-                if (index !== -1) {
-                    store.data.vendas[index] = updatedSaleData;
-                    toast('Venda atualizada com sucesso!');
-                }
-            } else {
-                if (selectedClientId) {
-                    const cliente = store.data.clientes.find(c => c.id === selectedClientId);
-                    if (cliente) {
-                        cliente.quantidadePedidos = (cliente.quantidadePedidos || 0) + 1;
-                    }
-                }
-                store.data.vendas.push(updatedSaleData);
-                toast(`Venda ${updatedSaleData.numeroPedido} registrada.`);
-            }
+function statusConta(conta) {
+    const saldo = saldoConta(conta);
+    if (saldo < 0.005) return 'quitada';
+    if (conta.vencimento < new Date().toISOString().slice(0, 10)) return 'vencida';
+    return saldo < conta.valor ? 'parcial' : 'aberta';
+}
 
-            store.save();
-            location.hash = '#/vendas/historico';
-        }
+// Formas de pagamento marcadas como "a prazo" (fiado) geram contas a receber para o cliente.
+function formaAPrazo(nomeForma) {
+    return !!(store.data.formasPagamento || []).find(f => f.nome === nomeForma)?.aPrazo;
+}
 
-        // Lógica para remover um item da lista
-        if (act === 'rm') {
-            itens.splice(Number(target.dataset.i), 1);
-            renderItens();
-        }
-    });
+// Saldo em aberto do cliente no fiado. Na edição, as contas da própria venda não contam.
+function saldoFiadoCliente(clientId, ignorarVendaId) {
+    return (store.data.contasReceber || [])
+        .filter(c => c.clientId === clientId && c.vendaId !== ignorarVendaId)
+        .reduce((acc, c) => acc + saldoConta(c), 0);
+}
 
-    // Listener para qualquer input (alteração de quantidade, preço, etc.)
-    componentRoot.addEventListener('input', (e) => {
-        const el = e.target;
-        // Verifica se o input alterado é de um item da lista (qtd ou preço)
-        if (el.dataset.i && el.dataset.f) {
-            itens[Number(el.dataset.i)][el.dataset.f] = el.value;
-        }
-        calcTotais();
+/**
+ * Verifica se a parte a prazo de uma venda cabe no limite de crédito do cliente.
+ * Retorna a mensagem de bloqueio, ou null se a venda pode seguir.
+ */
+function verificarVendaAPrazo(venda) {
+    const valorAPrazo = (venda.pagamentos || []).filter(p => formaAPrazo(p.forma)).reduce((acc, p) => acc + p.valor, 0);
+    if (!valorAPrazo) return null;
+
+    const cliente = venda.clientId && store.data.clientes.find(c => c.id === venda.clientId);
+    if (!cliente) return 'Vendas a prazo (fiado) precisam de um cliente cadastrado.';
+
+    const limite = Number(cliente.limiteCredito) || 0;
+    if (!limite) return `${cliente.nome} não tem limite de crédito. Defina o limite no cadastro do cliente para vender a prazo.`;
+
+    const saldo = saldoFiadoCliente(cliente.id, venda.id);
+    if (saldo + valorAPrazo > limite + 0.005) {
+        return `Limite de crédito de ${cliente.nome} excedido.\nLimite: ${currency.format(limite)}\nEm aberto: ${currency.format(saldo)}\nEsta venda: ${currency.format(valorAPrazo)}`;
+    }
+    return null;
+}
+
+/**
+ * Gera as contas a receber das formas a prazo de uma venda: uma por parcela, vencendo a cada
+ * 'prazoDias' da forma de pagamento (padrão 30) a partir da data da venda (não salva o store).
+ */
+function gerarContasReceber(venda) {
+    (venda.pagamentos || []).filter(p => formaAPrazo(p.forma)).forEach(p => {
+        const forma = store.data.formasPagamento.find(f => f.nome === p.forma);
+        const prazo = Number(forma.prazoDias) || 30;
+        dividirEmParcelas(p.valor, p.parcelas).forEach((valor, idx) => {
+            store.data.contasReceber.push({
+                id: uuid(),
+                vendaId: venda.id,
+                numeroVenda: venda.numeroPedido,
+                clientId: venda.clientId,
+                cliente: venda.cliente,
+                forma: p.forma,
+                parcela: idx + 1,
+                totalParcelas: p.parcelas,
+                valor,
+                vencimento: somarDias(venda.data, prazo * (idx + 1)),
+                baixas: []
+            });
+        });
     });
-    renderItens();
+}
 
-    return componentRoot;
+function contasReceberDaVenda(vendaId) {
+    return (store.data.contasReceber || []).filter(c => c.vendaId === vendaId);
+}
+
+// Remove as contas a receber de uma venda (usado ao editar ou excluir a venda).
+function removerContasReceberDaVenda(vendaId) {
+    store.data.contasReceber = (store.data.contasReceber || []).filter(c => c.vendaId !== vendaId);
 }
 
 /**
- * Renderiza a tela de "Histórico de Vendas".
- * Inclui listagem, exclusão e pesquisa.
+ * Registra um pagamento (total ou parcial) numa conta, sem passar do saldo (não salva o store).
+ * @returns {object} A baixa registrada.
  */
-function renderHistoricoVendas() {
-    const root = document.createElement('div');
-    root.innerHTML = `
-        <div class="toolbar card" style="padding: 12px; margin-bottom: 16px;">
-            <input id="search-historico" type="text" placeholder="Pesquisar por cliente, pedido ou data (AAAA-MM-DD)..." style="flex: 1;">
-        </div>
-        <div id="historico-table-container"></div>
-    `;
+function registrarBaixaConta(conta, valor, forma, data = new Date().toISOString().slice(0, 10)) {
+    const baixa = { id: uuid(), data, valor: Math.min(Number(valor) || 0, saldoConta(conta)), forma };
+    conta.baixas = conta.baixas || [];
+    conta.baixas.push(baixa);
+    return baixa;
+}
 
-    const container = root.querySelector('#historico-table-container');
+// --- Regras de Orçamentos ---
 
-    const renderTable = (vendas) => {
-        container.innerHTML = ''; // Limpa antes de renderizar
+// Status de um orçamento e o rótulo exibido na tela. 'expirado' não é salvo: vem da data de validade.
+const STATUS_ORCAMENTO = {
+    aberto: 'Aberto',
+    aceito: 'Aceito',
+    expirado: 'Expirado'
+};
 
-        if (!vendas.length) {
-            container.innerHTML = `<div class="empty card">Nenhuma venda encontrada.</div>`;
-            return;
-        }
+// Um orçamento aberto cuja validade já passou é considerado expirado.
+function statusOrcamento(orcamento) {
+    if (orcamento.status === 'aberto' && orcamento.validade && orcamento.validade < new Date().toISOString().slice(0, 10)) {
+        return 'expirado';
+    }
+    return orcamento.status;
+}
 
-        const headers = ['Nº Pedido', 'Data', 'Cliente', 'Total', 'Itens', ''];
-        const rows = vendas.map(v => [
-            v.numeroPedido,
-            new Date(v.data + 'T03:00:00Z').toLocaleDateString('pt-BR'), // Ajuste de fuso
-            v.cliente,
-            currency.format(v.total),
-            v.itens.length,
-            `<div class="actions">
-                <button class="btn secondary" data-act="edit" data-id="${v.id}">Editar</button>
-                <button class="btn danger" data-act="del" data-id="${v.id}">Excluir</button>
-            </div>`
-        ]);
+/**
+ * Monta a venda (ainda não registrada) que um orçamento gera, com a data de hoje.
+ */
+function vendaDoOrcamento(orcamento) {
+    const venda = {
+        id: uuid(),
+        numeroPedido: `P-${Date.now().toString().slice(-6)}`,
+        data: new Date().toISOString().slice(0, 10),
+        cliente: orcamento.cliente,
+        itens: JSON.parse(JSON.stringify(orcamento.itens)),
+        subtotal: orcamento.subtotal,
+        desconto: orcamento.desconto,
+        descontoPercentual: orcamento.descontoPercentual || 0,
+        tabelaPrecoId: orcamento.tabelaPrecoId || null,
+        total: orcamento.total,
+        clientId: orcamento.clientId,
+        orcamentoId: orcamento.id
+    };
+    // Se as formas do orçamento não fecham o total, a venda é lançada inteira na primeira forma.
+    const pagamentos = pagamentosFecham(orcamento.pagamentos, orcamento.total)
+        ? orcamento.pagamentos
+        : [{ forma: orcamento.pagamentos?.[0]?.forma || store.data.formasPagamento?.[0]?.nome, valor: orcamento.total, parcelas: 1 }];
+    venda.pagamentos = pagamentos.map(calcularPagamento);
+    venda.pagamento = resumoPagamentos(venda.pagamentos);
+    return venda;
+}
 
-        const tbl = table(headers, rows);
-        container.appendChild(tbl);
+/**
+ * Converte um orçamento em venda. Só aqui o estoque é baixado.
+ * Marca o orçamento como aceito e devolve a venda criada (não salva o store).
+ */
+function converterOrcamentoEmVenda(orcamento, venda = vendaDoOrcamento(orcamento)) {
+    registrarVenda(venda);
+    orcamento.status = 'aceito';
+    orcamento.vendaId = venda.id;
+    orcamento.dataConversao = new Date().toISOString();
+    return venda;
+}
 
-        // Adiciona listeners para os botões da tabela
-        tbl.addEventListener('click', (e) => {
-            const btn = e.target.closest('button[data-act]');
-            if (!btn) return;
-            const id = btn.dataset.id;
+// --- Regras de Devoluções ---
 
-            if (btn.dataset.act === 'del') {
-                if (confirm('Deseja mesmo excluir esta venda? Esta ação não pode ser desfeita.')) {
-                    store.data.vendas = store.data.vendas.filter(venda => venda.id !== id);
-                    store.save();
-                    toast('Venda excluída.');
-                    // Re-renderiza a tabela com os dados atualizados
-                    filterAndRender();
-                }
-            }
+// Devoluções já registradas para uma venda.
+function devolucoesDaVenda(venda) {
+    return (store.data.devolucoes || []).filter(d => d.vendaId === venda.id);
+}
 
-            if (btn.dataset.act === 'edit') {
-                // Agora, ao clicar em "Editar", nós mudamos a URL (hash) para a rota de edição,
-                // passando o ID único da venda no final.
-                // Exemplo: #/vendas/editar/id-a1b2c3d4
-                location.hash = `#/vendas/editar/${id}`;
-            }
+// Quantidade já devolvida de cada produto de uma venda. Ex: { 'id-do-produto': 1 }
+function quantidadesDevolvidas(venda) {
+    return quantidadesPorProduto(devolucoesDaVenda(venda).flatMap(d => d.itens));
+}
+
+// Se ainda sobra algum item da venda para devolver.
+function vendaTemItensParaDevolver(venda) {
+    const jaDevolvido = quantidadesDevolvidas(venda);
+    return venda.itens.some(i => (Number(i.qtd) || 0) - (jaDevolvido[i.id] || 0) > 0);
+}
+
+/**
+ * Motivo que impede editar ou excluir uma venda, ou null se ela ainda pode ser alterada.
+ * Uma venda com devolução ou com parcelas do fiado já recebidas não muda mais, para não reescrever o histórico.
+ */
+function motivoBloqueioVenda(venda) {
+    if (devolucoesDaVenda(venda).length) return `A venda ${venda.numeroPedido} tem devolução e não pode mais ser editada nem excluída.`;
+    if (contasReceberDaVenda(venda.id).some(c => c.baixas.length)) return `A venda ${venda.numeroPedido} tem parcelas do fiado já recebidas e não pode mais ser editada nem excluída.`;
+    return null;
+}
+
+/**
+ * Valor de uma unidade do item como ela foi paga: o desconto da venda é rateado entre os itens.
+ */
+function valorUnitarioPago(venda, item) {
+    const fatorDesconto = venda.subtotal ? (Number(venda.total) || 0) / venda.subtotal : 1;
+    return (Number(item.preco) || 0) * fatorDesconto;
+}
+
+/**
+ * Registra a devolução de itens de uma venda: os produtos voltam ao estoque e o valor é
+ * reembolsado por uma forma de pagamento, vira crédito na loja para o cliente ou, numa venda a prazo,
+ * é abatido das parcelas ainda em aberto.
+ * @param {object} venda - A venda original.
+ * @param {Array} quantidades - [{ id, qtd }] dos produtos devolvidos.
+ * @param {object} reembolso - { tipo: 'pagamento' | 'credito' | 'abatimento', formaPagamento, motivo }
+ * @returns {object|null} A devolução criada, ou null se nada foi devolvido (não salva o store).
+ */
+function registrarDevolucao(venda, quantidades, { tipo, formaPagamento, motivo }) {
+    const itens = quantidades
+        .filter(q => Number(q.qtd) > 0)
+        .map(q => {
+            const item = venda.itens.find(i => i.id === q.id);
+            return { id: item.id, nome: item.nome, codigo: item.codigo, qtd: Number(q.qtd), valorUnitario: valorUnitarioPago(venda, item) };
         });
+    if (!itens.length) return null;
+
+    const devolucao = {
+        id: uuid(),
+        numero: `D-${Date.now().toString().slice(-6)}`,
+        data: new Date().toISOString().slice(0, 10),
+        vendaId: venda.id,
+        numeroVenda: venda.numeroPedido,
+        cliente: venda.cliente,
+        clientId: venda.clientId,
+        itens,
+        total: itens.reduce((acc, i) => acc + i.valorUnitario * i.qtd, 0),
+        tipoReembolso: tipo,
+        formaPagamento: tipo === 'pagamento' ? formaPagamento : null,
+        // O reembolso em dinheiro, PIX etc. sai do caixa do turno aberto.
+        caixaId: tipo === 'pagamento' ? caixaAberto()?.id || null : null,
+        motivo: motivo || ''
     };
 
-    const filterAndRender = () => {
-        const query = root.querySelector('#search-historico').value.toLowerCase().trim();
-        const todasVendas = store.data.vendas;
-
-        if (!query) {
-            renderTable(todasVendas);
-            return;
+    itens.forEach(i => {
+        const produto = store.data.produtos.find(p => p.id === i.id);
+        if (produto) {
+            movimentarEstoqueProduto(produto, i.qtd, 'devolucao', { id: devolucao.id, descricao: `Devolução ${devolucao.numero} da venda ${venda.numeroPedido}` });
         }
+    });
 
-        const vendasFiltradas = todasVendas.filter(v =>
-            v.cliente.toLowerCase().includes(query) ||
-            v.data.includes(query) ||
-            v.numeroPedido.toLowerCase().includes(query)
-        );
+    if (tipo === 'credito') movimentarCreditoLoja(venda.clientId, devolucao.total);
+
+    // Abate o valor das parcelas em aberto, começando pela que vence primeiro.
+    // O que passar do saldo em aberto (parcelas já pagas) vira crédito na loja.
+    if (tipo === 'abatimento') {
+        let restante = devolucao.total;
+        contasReceberDaVenda(venda.id)
+            .sort((a, b) => a.vencimento.localeCompare(b.vencimento))
+            .forEach(conta => {
+                if (restante < 0.005 || saldoConta(conta) < 0.005) return;
+                restante -= registrarBaixaConta(conta, restante, `Devolução ${devolucao.numero}`).valor;
+            });
+        const cliente = store.data.clientes.find(c => c.id === venda.clientId);
+        if (restante > 0.005 && cliente) {
+            cliente.creditoLoja = (Number(cliente.creditoLoja) || 0) + restante;
+            devolucao.creditoLoja = restante;
+        }
+    }
 
-        renderTable(vendasFiltradas);
-    };
+    store.data.devolucoes.push(devolucao);
+    return devolucao;
+}
 
-    // Listener para o campo de busca
-    root.querySelector('#search-historico').addEventListener('input', filterAndRender);
+// --- Regras de Crédito na Loja ---
 
-    // Renderização inicial
-    filterAndRender();
+// Forma de pagamento que gasta o crédito na loja do cliente (gerado pelas devoluções).
+// Não fica no cadastro de formas de pagamento.
+const FORMA_CREDITO_LOJA = 'Crédito na Loja';
 
-    return root;
+// Quanto do crédito na loja a venda usa. Ex: pagamentos [PIX 50, Crédito na Loja 30] -> 30
+function creditoLojaDaVenda(venda) {
+    if (!venda) return 0;
+    return pagamentosDaVenda(venda).filter(p => p.forma === FORMA_CREDITO_LOJA).reduce((acc, p) => acc + (Number(p.valor) || 0), 0);
 }
 
-// --- TELA: Produção (Container com Abas) ---
-addRoute('producao', () => {
-    const root = document.createElement('div');
-    const subView = location.hash.split('/')[2] || 'em-producao';
+// Soma (valor positivo) ou gasta (negativo) crédito na loja do cliente (não salva o store).
+function movimentarCreditoLoja(clientId, valor) {
+    const cliente = clientId && store.data.clientes.find(c => c.id === clientId);
+    if (cliente && valor) cliente.creditoLoja = Number(((Number(cliente.creditoLoja) || 0) + valor).toFixed(2));
+}
 
-    root.innerHTML = `
-        <div class="tabs">
-            <a href="#/producao/em-producao" class="tab ${subView === 'em-producao' ? 'active' : ''}">Produção</a>
-            <a href="#/producao/historico" class="tab ${subView === 'historico' ? 'active' : ''}">Histórico de Produção</a>
-            <a href="#/producao/formulas" class="tab ${subView === 'formulas' ? 'active' : ''}">Fórmulas</a>
-            <a href="#/producao/criar" class="tab ${['criar', 'editar-formula'].includes(subView) ? 'active' : ''}">Criar/Editar Fórmula</a>
-            <a href="#/producao/pigmentos" class="tab ${['pigmentos', 'criar-pigmento', 'editar-pigmento'].includes(subView) ? 'active' : ''}">Pigmentos</a>
-        </div>
-        <div id="producao-content"></div>
-    `;
+/**
+ * Verifica se o crédito na loja usado na venda cabe no saldo do cliente. Na edição, o crédito
+ * que a própria venda já usava volta a contar como disponível.
+ * Retorna a mensagem de bloqueio, ou null se a venda pode seguir.
+ */
+function verificarCreditoLoja(venda, vendaOriginal) {
+    const usado = creditoLojaDaVenda(venda);
+    if (!usado) return null;
 
-    const content = root.querySelector('#producao-content');
+    const cliente = venda.clientId && store.data.clientes.find(c => c.id === venda.clientId);
+    if (!cliente) return 'O crédito na loja só pode ser usado com um cliente cadastrado.';
 
-    // Roteador interno da seção "Produção"
-    if (subView === 'pigmentos') {
-        content.appendChild(renderPigmentosListView());
-    } else if (subView === 'criar-pigmento' || subView === 'editar-pigmento') {
-        const pigmentoId = location.hash.split('/')[3];
-        const pigmentoToEdit = store.data.pigmentos.find(p => p.id === pigmentoId);
-        content.appendChild(renderCriarPigmentoView(pigmentoToEdit));
-    } else if (subView === 'criar' || subView === 'editar-formula') {
-        const formulaId = location.hash.split('/')[3];
-        const formulaToEdit = store.data.formulas.find(f => f.id === formulaId);
-        content.appendChild(renderCriarFormulaView(formulaToEdit));
-    } else if (subView === 'formulas') {
-        content.appendChild(renderFormulasListView());
-    } else if (subView === 'historico') {
-        content.appendChild(renderHistoricoProducaoView());
-    } else { // 'em-producao' é o padrão
-        content.appendChild(renderEmProducaoView());
+    const disponivel = (Number(cliente.creditoLoja) || 0) + (vendaOriginal?.clientId === cliente.id ? creditoLojaDaVenda(vendaOriginal) : 0);
+    if (usado > disponivel + 0.005) {
+        return `Crédito na loja de ${cliente.nome} insuficiente.\nDisponível: ${currency.format(disponivel)}\nEsta venda: ${currency.format(usado)}`;
     }
+    return null;
+}
 
-    return root;
-});
+// --- Regras de Caixa (Turnos) ---
+
+// Forma de pagamento que representa o dinheiro da gaveta: é nela que entram o troco inicial, sangrias e reforços.
+const FORMA_DINHEIRO = 'Dinheiro';
 
+const TIPOS_MOVIMENTO_CAIXA = {
+    sangria: 'Sangria',
+    reforco: 'Reforço'
+};
+
+// O turno de caixa aberto no momento (só pode haver um).
+function caixaAberto() {
+    return (store.data.caixas || []).find(c => c.status === 'aberto') || null;
+}
 
 /**
- * Aba "Pigmentos" (Listagem)
+ * Abre um turno de caixa com o valor inicial (troco) da gaveta (não salva o store).
  */
-function renderPigmentosListView() {
-    const root = document.createElement('div');
-    root.innerHTML = `
-        <div class="toolbar" style="margin-bottom:16px;">
-            <h2 style="margin:0;">Estoque de Pigmentos</h2>
-            <div class="spacer"></div>
-            <button class="btn" onclick="location.hash='#/producao/criar-pigmento'">Novo Pigmento</button>
-        </div>
-        <div class="card" style="padding: 12px; margin-bottom: 16px;">
-            <input id="search-pigmentos" type="text" placeholder="Pesquisar por nome ou código do pigmento...">
-        </div>
-        <div id="pigmentos-list-container"></div>
-    `;
-
-    const container = root.querySelector('#pigmentos-list-container');
-    const searchInput = root.querySelector('#search-pigmentos');
+function abrirCaixa(valorInicial, operador) {
+    const caixa = {
+        id: uuid(),
+        abertura: new Date().toISOString(),
+        operador: operador || '',
+        valorInicial: Number(valorInicial) || 0,
+        status: 'aberto',
+        movimentos: []
+    };
+    store.data.caixas.push(caixa);
+    return caixa;
+}
 
-    const renderTable = (pigmentos) => {
-        container.innerHTML = '';
-        if (!pigmentos.length) {
-            container.innerHTML = `<div class="empty card">Nenhum pigmento encontrado.</div>`;
-            return;
-        }
-        const headers = ['Nome', 'Código', 'Estoque (Litros)', 'Preço (por 900ml)', ''];
-        const rows = pigmentos.map(p => [
-            p.nome,
-            p.codigo,
-            `${(p.quantidade / 1000).toFixed(2)} L`,
-            currency.format(p.preco),
-            `<div class="actions">
-                <button class="btn secondary" data-act="editar" data-id="${p.id}">Editar</button>
-                <button class="btn danger" data-act="excluir" data-id="${p.id}">Excluir</button>
-            </div>`
-        ]);
-        const tbl = table(headers, rows);
-        container.appendChild(tbl);
+/**
+ * Valores esperados em cada forma de pagamento de um turno: vendas, recebimentos do fiado,
+ * devoluções reembolsadas e contas de fornecedores pagas no turno. O dinheiro também soma o troco inicial,
+ * reforços e sangrias. Formas a prazo e o crédito na loja não entram, pois não passam pelo caixa.
+ * @returns {object} Ex: { 'Dinheiro': { vendas: 100, recebimentos: 0, devolucoes: 0, pagamentos: 0, movimentos: 50, esperado: 150 } }
+ */
+function resumoCaixa(caixa) {
+    const porForma = {};
+    const linha = forma => porForma[forma] = porForma[forma] || { vendas: 0, recebimentos: 0, devolucoes: 0, pagamentos: 0, movimentos: 0, esperado: 0 };
+
+    linha(FORMA_DINHEIRO).movimentos += caixa.valorInicial;
+    caixa.movimentos.forEach(m => linha(FORMA_DINHEIRO).movimentos += m.tipo === 'sangria' ? -m.valor : m.valor);
+    (store.data.vendas || []).filter(v => v.caixaId === caixa.id).forEach(v => {
+        pagamentosDaVenda(v).filter(p => !formaAPrazo(p.forma) && p.forma !== FORMA_CREDITO_LOJA).forEach(p => linha(p.forma).vendas += Number(p.valor) || 0);
+    });
+    (store.data.contasReceber || []).flatMap(c => c.baixas).filter(b => b.caixaId === caixa.id).forEach(b => linha(b.forma).recebimentos += b.valor);
+    (store.data.devolucoes || []).filter(d => d.caixaId === caixa.id && d.tipoReembolso === 'pagamento').forEach(d => linha(d.formaPagamento).devolucoes += d.total);
+    (store.data.contasPagar || []).flatMap(c => c.baixas).filter(b => b.caixaId === caixa.id).forEach(b => linha(b.forma).pagamentos += b.valor);
 
-        tbl.addEventListener('click', e => {
-            const btn = e.target.closest('button[data-act]');
-            if (!btn) return;
-            const id = btn.dataset.id;
-            if (btn.dataset.act === 'excluir') {
-                if (confirm('Deseja realmente excluir este pigmento?')) {
-                    store.data.pigmentos = store.data.pigmentos.filter(p => p.id !== id);
-                    store.save();
-                    filterAndRender();
-                }
-            }
-            if (btn.dataset.act === 'editar') {
-                location.hash = `#/producao/editar-pigmento/${id}`;
-            }
-        });
-    };
+    Object.values(porForma).forEach(f => f.esperado = f.vendas + f.recebimentos - f.devolucoes - f.pagamentos + f.movimentos);
+    return porForma;
+}
 
-    const filterAndRender = () => {
-        const query = searchInput.value.toLowerCase().trim();
-        const todosPigmentos = store.data.pigmentos || [];
+/**
+ * Fecha o turno com os valores contados em cada forma, guardando o esperado e a diferença (não salva o store).
+ * @param {object} contagem - Ex: { 'Dinheiro': 148.5, 'PIX': 300 }
+ */
+function fecharCaixa(caixa, contagem, observacao) {
+    const resumo = resumoCaixa(caixa);
+    caixa.fechamento = new Date().toISOString();
+    caixa.status = 'fechado';
+    caixa.observacao = observacao || '';
+    caixa.conferencia = Object.keys({ ...resumo, ...contagem }).map(forma => {
+        const esperado = resumo[forma]?.esperado || 0;
+        const contado = Number(contagem[forma]) || 0;
+        return { forma, esperado, contado, diferenca: Number((contado - esperado).toFixed(2)) };
+    });
+}
 
-        const pigmentosFiltrados = query
-            ? todosPigmentos.filter(p =>
-                p.nome.toLowerCase().includes(query) ||
-                (p.codigo || '').toLowerCase().includes(query)
-            )
-            : todosPigmentos;
+// --- Regras de Estoque (Movimentos de Pigmentos) ---
 
-        renderTable(pigmentosFiltrados);
-    };
+// Tipos de movimento de pigmento e o rótulo exibido na tela.
+const TIPOS_MOVIMENTO_PIGMENTO = {
+    entrada: 'Entrada',
+    producao: 'Consumo na produção',
+    ajuste: 'Correção manual'
+};
 
-    searchInput.addEventListener('input', filterAndRender);
-    filterAndRender();
-    return root;
+/**
+ * Altera o estoque (ml) de um pigmento e registra o movimento (não salva o store).
+ * O estoque nunca fica negativo, mas o movimento que tentaria isso é marcado com 'estoqueNegativo'.
+ * @param {object} pigmento - O pigmento do store.
+ * @param {number} quantidadeMl - Positiva para entradas, negativa para consumos.
+ * @param {string} tipo - Uma das chaves de TIPOS_MOVIMENTO_PIGMENTO.
+ * @param {object} detalhes - { producaoId, documentoId, descricao, motivo } conforme a origem do movimento.
+ */
+function movimentarEstoquePigmento(pigmento, quantidadeMl, tipo, detalhes = {}) {
+    const saldoCalculado = (Number(pigmento.quantidade) || 0) + quantidadeMl;
+    pigmento.quantidade = Math.max(0, saldoCalculado);
+    store.data.movimentosPigmentos.push({
+        id: uuid(),
+        data: new Date().toISOString(),
+        pigmentoId: pigmento.id,
+        tipo,
+        quantidade: quantidadeMl,
+        saldo: pigmento.quantidade,
+        producaoId: detalhes.producaoId || null,
+        documentoId: detalhes.documentoId || null,
+        documento: detalhes.descricao || '',
+        motivo: detalhes.motivo || '',
+        estoqueNegativo: saldoCalculado < 0
+    });
 }
 
+// --- Regras de Estoque (Pedidos de Compra) ---
 
 /**
- * Aba "Criar/Editar Pigmento"
+ * Identificador curto de um pedido de compra, usado na tela e nos movimentos de estoque.
+ * Ex: 'A1B2C3D4'
  */
-function renderCriarPigmentoView(pigmentoToEdit) {
-    const isEditing = !!pigmentoToEdit;
+const codigoPedido = (pedido) => pedido.id.slice(0, 8).toUpperCase();
 
-    // Usamos nosso formulário genérico para simplificar
-    const config = {
-        title: isEditing ? 'Editar Pigmento' : 'Novo Pigmento',
-        data: pigmentoToEdit,
-        fields: [
-            { key: 'nome', label: 'Nome do Pigmento', span: 6 },
-            { key: 'codigo', label: 'Código', span: 6 },
-            { key: 'quantidade', label: 'Quantidade em Estoque (ml)', type: 'number', span: 6, placeholder: 'Ex: 5000 para 5L' },
-            { key: 'preco', label: 'Preço (por 900ml)', type: 'number', span: 6, placeholder: 'Custo para uma lata base' },
-        ],
-        onSave: (item) => {
-            // Converte os valores para número para garantir consistência
-            item.quantidade = Number(item.quantidade);
-            item.preco = Number(item.preco);
+/**
+ * Converte a quantidade de um item de pedido de pigmento para ml. Pigmentos com estoque em gramas
+ * são convertidos pela densidade na entrada do estoque.
+ * Ex: quantidadePigmentoEmMl(2, 'L') -> 2000
+ */
+const quantidadePigmentoEmMl = (quantidade, unidade) => unidade === 'L' ? quantidade * 1000 : quantidade;
 
-            if (isEditing) {
-                const index = store.data.pigmentos.findIndex(p => p.id === item.id);
-                store.data.pigmentos[index] = item;
-            } else {
-                store.data.pigmentos.push(item);
-            }
-            store.save();
-            toast('Pigmento salvo com sucesso!');
-            location.hash = '#/producao/pigmentos';
-        },
-        onCancel: () => location.hash = '#/producao/pigmentos'
-    };
-
-    return genericForm(config);
-}
+// Quantidade de um item de pedido em uma unidade comum (ml para pigmentos, unidades para produtos).
+const quantidadeEstoqueItemPedido = (item, quantidade) => item.tipo === 'pigmento' ? quantidadePigmentoEmMl(quantidade, item.unidade) : quantidade;
 
 /**
- * Aba "Criar/Editar Fórmula"
- * @param {object} formulaToEdit - A fórmula a ser editada (opcional).
+ * Dá entrada no estoque de um item de pedido de compra, seja produto ou pigmento (não salva o store).
+ * Uma quantidade negativa estorna a entrada.
+ * @param {object} item - Item do pedido: { tipo: 'produto' | 'pigmento', id, unidade, ... }.
+ * @param {number} quantidade - Quantidade recebida, na unidade do item.
+ * @param {object} pedido - O pedido de origem.
+ * @param {string} observacao - (Opcional) Complemento do documento. Ex: 'edição', 'cancelado'.
  */
-function renderCriarFormulaView(formulaToEdit) {
-    const isEditing = !!formulaToEdit;
-    const root = document.createElement('div');
-    root.className = 'formula-grid';
+function entradaEstoquePedido(item, quantidade, pedido, observacao) {
+    const documento = { id: pedido.id, descricao: `Pedido ${codigoPedido(pedido)}${observacao ? ` (${observacao})` : ''}` };
+    if (item.tipo === 'pigmento') {
+        const pigmento = store.data.pigmentos.find(p => p.id === item.id);
+        if (pigmento) {
+            const ml = quantidadePigmentoEmMl(quantidade, item.unidade);
+            movimentarEstoquePigmento(pigmento, quantidadeNaUnidadeDoPigmento({ id: pigmento.id, ml }), 'entrada', { documentoId: documento.id, descricao: documento.descricao });
+        }
+    } else {
+        const produto = store.data.produtos.find(p => p.id === item.id);
+        if (produto) {
+            movimentarEstoqueProduto(produto, quantidade, 'compra', documento);
+        }
+    }
+}
 
-    // A variável que guarda os pigmentos da fórmula.
-    let pigmentosDaFormula = isEditing ? JSON.parse(JSON.stringify(formulaToEdit.pigmentos)) : [];
 
-    // Função central para calcular e exibir o custo total da fórmula.
-    function calcularEExibirCustoTotal() {
-        const totalEl = root.querySelector('#formula-valor-total');
-        if (!totalEl) return;
+// Estados de um pedido de compra e o rótulo exibido na tela.
+const STATUS_PEDIDO = {
+    rascunho: 'Rascunho',
+    enviado: 'Enviado',
+    parcial: 'Recebido parcialmente',
+    recebido: 'Recebido',
+    cancelado: 'Cancelado'
+};
 
-        // Usamos .reduce() para somar o custo de cada pigmento na fórmula.
-        const valorTotal = pigmentosDaFormula.reduce((acc, p) => {
-            const pigmentoBase = store.data.pigmentos.find(base => base.id === p.id);
-            if (!pigmentoBase || !pigmentoBase.preco) {
-                return acc; // Se o pigmento não for encontrado ou não tiver preço, não soma nada.
-            }
-            // Calcula o custo para a quantidade de ml usada na fórmula.
-            const custoDoPigmento = (pigmentoBase.preco / 900) * p.ml;
-            return acc + custoDoPigmento;
-        }, 0); // O '0' é o valor inicial da soma.
+// Quanto ainda falta receber de um item do pedido (na unidade do item).
+const pendenteItemPedido = (item) => Math.max(0, (Number(item.quantidade) || 0) - (Number(item.quantidadeRecebida) || 0));
 
-        totalEl.textContent = currency.format(valorTotal);
-    }
+/**
+ * Registra a chegada de mercadorias de um pedido: dá entrada no estoque,
+ * soma o recebido em cada item e atualiza o status (não salva o store).
+ * @param {object} pedido - O pedido que está sendo recebido.
+ * @param {number[]} quantidades - Quantidade que chegou agora, na mesma ordem de 'pedido.itens'.
+ */
+function registrarRecebimentoPedido(pedido, quantidades) {
+    const recebimento = { id: uuid(), data: new Date().toISOString(), itens: [] };
+    pedido.itens.forEach((item, idx) => {
+        const quantidade = Number(quantidades[idx]) || 0;
+        if (quantidade <= 0) return;
+        entradaEstoquePedido(item, quantidade, pedido);
+        item.quantidadeRecebida = (Number(item.quantidadeRecebida) || 0) + quantidade;
+        recebimento.itens.push({ tipo: item.tipo, id: item.id, quantidade });
+    });
+    if (!recebimento.itens.length) return false;
 
-    // Função interna que desenha a lista de pigmentos na tela.
-    function renderPigmentosNaFormula() {
-        const container = root.querySelector('#pigmentos-formula-container');
-        container.innerHTML = '';
+    pedido.recebimentos = [...(pedido.recebimentos || []), recebimento];
+    atualizarStatusPedido(pedido);
+    return true;
+}
 
-        // O 'if' e o 'forEach' agora usam a variável correta: 'pigmentosDaFormula'
-        if (!pigmentosDaFormula.length) {
-            container.innerHTML = '<div class="muted" style="text-align:center;">Busque e adicione pigmentos à fórmula.</div>';
-        } else {
-            pigmentosDaFormula.forEach((p, index) => {
-                const row = document.createElement('div');
-                // Usamos a classe base e a modificadora para o layout correto de 5 colunas
-                row.className = 'pigmento-row pigmento-row--formula';
+/**
+ * Recalcula o status do pedido a partir das quantidades recebidas.
+ * Rascunhos e pedidos enviados sem nada recebido mantêm o status atual.
+ */
+function atualizarStatusPedido(pedido) {
+    if (pedido.status === 'cancelado') return;
+    const algumRecebido = pedido.itens.some(item => Number(item.quantidadeRecebida) > 0);
+    if (!algumRecebido) {
+        if (['parcial', 'recebido'].includes(pedido.status)) pedido.status = 'enviado';
+        return;
+    }
+    if (pedido.itens.every(item => pendenteItemPedido(item) === 0)) {
+        pedido.status = 'recebido';
+        pedido.encerradoComPendencia = false;
+    } else {
+        pedido.status = pedido.encerradoComPendencia ? 'recebido' : 'parcial';
+    }
+}
 
-                const pigmentoBase = store.data.pigmentos.find(base => base.id === p.id);
-                let custoDoPigmentoHtml = 'Preço indisponível';
-                if (pigmentoBase && pigmentoBase.preco) {
-                    const custo = (pigmentoBase.preco / 900) * p.ml;
-                    custoDoPigmentoHtml = currency.format(custo);
-                }
+/**
+ * Aplica no estoque o efeito da edição de um pedido: compara, item a item, o que constava
+ * como recebido antes e depois, e lança só a diferença (não salva o store).
+ * @param {object[]} itensAntigos - Os itens do pedido antes da edição.
+ * @param {object} pedidoEditado - O pedido já com os itens novos.
+ */
+function aplicarEdicaoPedido(itensAntigos, pedidoEditado) {
+    const chave = (item) => `${item.tipo}:${item.id}`;
+    const recebidoEmEstoque = (itens) => itens.reduce((acc, item) => {
+        acc[chave(item)] = (acc[chave(item)] || 0) + quantidadeEstoqueItemPedido(item, Number(item.quantidadeRecebida) || 0);
+        return acc;
+    }, {});
+    const antes = recebidoEmEstoque(itensAntigos);
+    const depois = recebidoEmEstoque(pedidoEditado.itens);
+    const todosItens = [...itensAntigos, ...pedidoEditado.itens];
+
+    new Set([...Object.keys(antes), ...Object.keys(depois)]).forEach(k => {
+        const delta = (depois[k] || 0) - (antes[k] || 0);
+        if (Math.abs(delta) < 0.0001) return;
+        const item = todosItens.find(i => chave(i) === k);
+        // A diferença de pigmento já está em ml; por isso ele vai como 'ml'.
+        entradaEstoquePedido({ ...item, unidade: 'ml' }, delta, pedidoEditado, 'edição');
+    });
+}
 
-                // O HTML da linha agora está completo, com 5 colunas de conteúdo
-                row.innerHTML = `
-                    <div class="pigmento-nome">${p.nome} <small>(${p.codigo})</small></div>
-                    <div class="pigmento-valor">
-                        <input type="number" min="0.01" step="0.01" data-index="${index}" data-key="ml" value="${p.ml || 0}" style="width: 80px; text-align: right;" />
-                    </div>
-                    <div class="pigmento-total">ml</div>
-                    <div class="pigmento-preco" style="font-weight: 500;">${custoDoPigmentoHtml}</div>
-                    <div class="pigmento-acao">
-                        <button class="btn danger" data-action="remove-pigmento" data-index="${index}">Remover</button>
-                    </div>
-                `;
-                container.appendChild(row);
-            });
-        }
+/**
+ * Cancela um pedido, estornando do estoque tudo o que já tinha sido recebido e retirando
+ * as contas a pagar em aberto (não salva o store). O pedido continua no store, marcado como cancelado.
+ */
+function cancelarPedido(pedido) {
+    pedido.itens.forEach(item => {
+        const recebido = Number(item.quantidadeRecebida) || 0;
+        if (recebido > 0) entradaEstoquePedido(item, -recebido, pedido, 'cancelado');
+        item.quantidadeRecebida = 0;
+    });
+    pedido.status = 'cancelado';
+    pedido.dataCancelamento = new Date().toISOString();
+    // Parcelas ainda não pagas deixam de existir; as que já tiveram pagamento ficam só com o valor pago.
+    store.data.contasPagar = (store.data.contasPagar || []).filter(c => c.pedidoId !== pedido.id || c.baixas.length);
+    contasPagarDoPedido(pedido.id).forEach(c => c.valor -= saldoConta(c));
+}
 
-        // A chamada para calcular o custo total é feita aqui, após a lista ser redesenhada
-        calcularEExibirCustoTotal();
-    }
+// --- Regras de Contas a Pagar ---
 
-    // HTML principal da tela.
-    // Dividimos o conteúdo em duas colunas: 'leftColumnHtml' e 'rightColumnHtml'.
+// Contas a pagar geradas por um pedido de compra.
+function contasPagarDoPedido(pedidoId) {
+    return (store.data.contasPagar || []).filter(c => c.pedidoId === pedidoId);
+}
 
-    // Coluna da esquerda: Formulário da fórmula e lista de pigmentos na fórmula.
-    const leftColumnHtml = `
-        <div class="card">
-            <div class="toolbar" style="justify-content:space-between; margin-bottom:10px;">
-                <h2 style="margin:0">${isEditing ? 'Editar Fórmula' : 'Criar Nova Fórmula'}</h2>
-                <button class="btn" data-action="salvar-formula">Salvar Fórmula</button>
-            </div>
-            <div class="form">
-                <div class="field" style="grid-column: span 5"><label>Nome da Fórmula</label><input id="f-nome" value="${formulaToEdit?.nome || ''}"></div>
-                <div class="field" style="grid-column: span 3"><label>Código</label><input id="f-codigo" value="${formulaToEdit?.codigo || ''}"></div>
-                <div class="field" style="grid-column: span 2"><label>Base (ml)</label><input id="f-base" type="number" value="${formulaToEdit?.base || 900}"></div>
-                <div class="field" style="grid-column: span 2; text-align: right;">
-                    <label>Valor Total da Fórmula</label>
-                    <div id="formula-valor-total" style="font-size: 1.5em; font-weight: 600; color: var(--primary);">${currency.format(0)}</div>
-                </div>
-            </div>
+/**
+ * Gera as contas a pagar (boletos) de um pedido, conforme a condição de pagamento do pedido:
+ * { parcelas, primeiroVencimento, intervaloDias }. Sem condição, é uma parcela para 30 dias (não salva o store).
+ */
+function gerarContasPagar(pedido) {
+    const { parcelas = 1, primeiroVencimento, intervaloDias = 30 } = pedido.condicaoPagamento || {};
+    const primeiro = primeiroVencimento || somarDias(pedido.data, 30);
+    dividirEmParcelas(pedido.valorTotal || 0, parcelas).forEach((valor, idx) => {
+        store.data.contasPagar.push({
+            id: uuid(),
+            pedidoId: pedido.id,
+            codigoPedido: codigoPedido(pedido),
+            fornecedorId: pedido.fornecedor?.id,
+            fornecedor: pedido.fornecedor?.nome,
+            parcela: idx + 1,
+            totalParcelas: parcelas,
+            valor,
+            vencimento: somarDias(primeiro, intervaloDias * idx),
+            baixas: []
+        });
+    });
+}
 
-            <div class="toolbar" style="margin-top:20px; border-top:1px solid var(--border); padding-top:10px;">
-                <h3>Pigmentos na Fórmula</h3>
-            </div>
-            <div id="pigmentos-formula-container" style="display:flex; flex-direction:column; gap:8px; margin-top:10px;">
-                </div>
-        </div>
-    `;
+/**
+ * Refaz as contas a pagar de um pedido depois de salvo. Rascunhos e cancelados não geram contas.
+ * Se alguma parcela já teve pagamento, as contas ficam como estão e a função retorna false (não salva o store).
+ */
+function atualizarContasPagarPedido(pedido) {
+    if (contasPagarDoPedido(pedido.id).some(c => c.baixas.length)) return false;
+    store.data.contasPagar = (store.data.contasPagar || []).filter(c => c.pedidoId !== pedido.id);
+    if (!['rascunho', 'cancelado'].includes(pedido.status)) gerarContasPagar(pedido);
+    return true;
+}
 
-    // Coluna da direita: Busca e adição de pigmentos.
-    const rightColumnHtml = `
-        <div class="card">
-            <label>Adicionar Pigmento à Fórmula</label>
-            <input id="pigmento-search" placeholder="Digite o nome ou código do pigmento..." style="width:100%; margin-top:8px;">
-            <div id="pigmento-search-results" style="margin-top:8px;"></div>
-        </div>
-    `;
 
-    // Juntamos as duas colunas dentro do elemento raiz 'root'.
-    root.innerHTML = `
-        <div>${leftColumnHtml}</div>
-        <div>${rightColumnHtml}</div>
-    `;
+// --- Catálogo de Fornecedores ---
 
-    // Chamada inicial para desenhar a lista (importante para o modo de edição).
-    renderPigmentosNaFormula();
+// Entradas do catálogo (produtos e pigmentos vendidos) de um fornecedor.
+const catalogoDoFornecedor = (fornecedorId) => (store.data.catalogoFornecedores || []).filter(c => c.fornecedorId === fornecedorId);
 
-    // Listener para o campo de busca de pigmentos.
-    root.querySelector('#pigmento-search').addEventListener('input', e => {
-        const query = e.target.value.toLowerCase().trim();
-        const resultsContainer = root.querySelector('#pigmento-search-results');
-        resultsContainer.innerHTML = '';
-        if (query.length < 2) return;
+// Produto ou pigmento ao qual uma entrada do catálogo se refere.
+const itemDoCatalogo = (entrada) => (entrada.tipo === 'pigmento' ? store.data.pigmentos : store.data.produtos).find(x => x.id === entrada.itemId);
 
-        const results = store.data.pigmentos.filter(p => p.nome.toLowerCase().includes(query) || p.codigo.toLowerCase().includes(query));
-        results.forEach(p => {
-            const row = document.createElement('div');
-            row.className = 'prod-row search-result';
-            row.innerHTML = `<div><strong>${p.nome}</strong> <small>(${p.codigo})</small></div><button class="btn secondary" data-id="${p.id}">Adicionar</button>`;
-            row.querySelector('button').addEventListener('click', () => {
-                if (pigmentosDaFormula.some(pf => pf.id === p.id)) {
-                    toast('Este pigmento já está na fórmula.');
-                    return;
-                }
-                // Adiciona o pigmento selecionado à lista da fórmula.
-                pigmentosDaFormula.push({ id: p.id, nome: p.nome, codigo: p.codigo, ml: 0 });
-                // E o mais importante: chama a função para redesenhar a lista na tela.
-                renderPigmentosNaFormula();
-                resultsContainer.innerHTML = ''; // Limpa os resultados
-                e.target.value = ''; // Limpa o campo de busca
-            });
-            resultsContainer.appendChild(row);
-        });
+/**
+ * Atualiza o último preço do catálogo com os preços de um pedido enviado ao fornecedor.
+ * Itens que ainda não estavam no catálogo do fornecedor passam a constar nele (não salva o store).
+ * Pigmentos ficam no catálogo sempre com preço por litro.
+ */
+function atualizarCatalogoComPedido(pedido) {
+    if (!pedido.fornecedor?.id) return;
+    pedido.itens.forEach(item => {
+        const preco = item.tipo === 'pigmento' && item.unidade === 'ml' ? item.precoUnitario * 1000 : item.precoUnitario;
+        let entrada = store.data.catalogoFornecedores.find(c => c.fornecedorId === pedido.fornecedor.id && c.tipo === item.tipo && c.itemId === item.id);
+        if (!entrada) {
+            entrada = { id: uuid(), fornecedorId: pedido.fornecedor.id, tipo: item.tipo, itemId: item.id, codigoFornecedor: '', qtdMinima: 0, prazoEntregaDias: 0 };
+            store.data.catalogoFornecedores.push(entrada);
+        }
+        entrada.ultimoPreco = Number(preco) || 0;
     });
+}
 
-    // Listener para as ações de salvar, remover, etc.
-    root.addEventListener('click', e => {
-        const action = e.target.dataset.action;
-        if (action === 'remove-pigmento') {
-            pigmentosDaFormula.splice(e.target.dataset.index, 1);
-            renderPigmentosNaFormula();
-        }
-        if (action === 'salvar-formula') {
-            const valorTotalCalculado = pigmentosDaFormula.reduce((acc, p) => {
-                const pigmentoBase = store.data.pigmentos.find(base => base.id === p.id);
-                return acc + (pigmentoBase ? (pigmentoBase.preco / 900) * p.ml : 0);
-            }, 0);
 
-            const formula = {
-                id: formulaToEdit?.id || uuid(),
-                nome: root.querySelector('#f-nome').value,
-                codigo: root.querySelector('#f-codigo').value,
-                base: Number(root.querySelector('#f-base').value) || 900,
-                unidade: "ml",
-                pigmentos: pigmentosDaFormula,
-                valorTotal: valorTotalCalculado
-            };
-            if (!formula.nome || !formula.pigmentos.length) {
-                alert('O nome da fórmula e ao menos um pigmento são obrigatórios.');
-                return;
-            }
-            if (isEditing) {
-                const index = store.data.formulas.findIndex(f => f.id === formula.id);
-                store.data.formulas[index] = formula;
-            } else {
-                store.data.formulas.push(formula);
-            }
-            store.save();
-            toast('Fórmula salva com sucesso!');
-            location.hash = '#/producao/formulas';
-        }
-    });
+// ===== 3. ROUTER (Gerenciador de Navegação) =====
 
-    // Listener para atualizar a quantidade de 'ml' e os preços em tempo real.
-    root.addEventListener('input', e => {
-        const { key, index } = e.target.dataset;
-        // Verifica se o input alterado foi um campo de 'ml'
-        if (key === 'ml' && index !== undefined) {
-            // 1. Atualiza o dado na memória, como antes.
-            pigmentosDaFormula[index].ml = Number(e.target.value) || 0;
+const routes = new Map(); // Usamos um Map para guardar a associação "nome da rota -> função que renderiza".
 
-            // 2. Encontra a linha específica (o elemento <div> pai) que está sendo editada.
-            const row = e.target.closest('.pigmento-row');
-            if (!row) return; // Se não encontrar a linha, não faz nada.
+// Adiciona uma nova rota. Ex: addRoute('dashboard', renderDashboardView)
+function addRoute(name, renderFn) {
+    routes.set(name, renderFn);
+}
 
-            // 3. Encontra o elemento do preço APENAS nessa linha.
-            const precoEl = row.querySelector('.pigmento-preco');
-            const pigmentoBase = store.data.pigmentos.find(base => base.id === pigmentosDaFormula[index].id);
+// Função principal de navegação. É chamada quando o hash da URL muda.
+function navigate() {
+    const hash = location.hash || '#/dashboard';
+    const name = hash.replace('#/', '').split('/')[0]; // Pega a parte principal da rota, ex: 'produtos' de '#/produtos/novo'
 
-            // 4. Recalcula e atualiza o preço APENAS daquela linha.
-            if (precoEl && pigmentoBase && pigmentoBase.preco) {
-                const custo = (pigmentoBase.preco / 900) * pigmentosDaFormula[index].ml;
-                precoEl.textContent = currency.format(custo);
-            }
+    // Atualiza o item de menu ativo
+    $$('#nav a').forEach(a => a.classList.toggle('active', a.getAttribute('data-view') === name));
 
-            // 5. Recalcula e atualiza o total geral (esta função já existe e só atualiza o total).
-            calcularEExibirCustoTotal();
-        }
-    });
+    const view = document.getElementById('view');
+    const render = routes.get(name) || routes.get('dashboard'); // Se a rota não existir, vai para o dashboard.
 
-    return root;
+    view.innerHTML = ''; // Limpa a tela anterior
+    view.appendChild(render()); // Renderiza e anexa a nova tela.
 }
 
 
-/**
- * Aba "Fórmulas" (Listagem)
- */
-function renderFormulasListView() {
-    const root = document.createElement('div');
-    root.innerHTML = `
-        <div class="toolbar" style="margin-bottom:16px;">
-            <h2 style="margin:0;">Fórmulas Cadastradas</h2>
-            <div class="spacer"></div>
-            <button class="btn" onclick="location.hash='#/producao/criar'">Nova Fórmula</button>
-        </div>
-        <div class="card" style="padding: 12px; margin-bottom: 16px;">
-            <input id="search-formulas" type="text" placeholder="Pesquisar por nome ou código da fórmula...">
-        </div>
-        <div id="formulas-list-container"></div>
-    `;
+// ===== 4. COMPONENTS (Partes Reutilizáveis da UI) =====
 
-    const formulasContainer = root.querySelector('#formulas-list-container');
-    const searchInput = root.querySelector('#search-formulas');
-    formulasContainer.className = 'card';
+// Cria um card de KPI (Key Performance Indicator) para o dashboard.
+function kpiCard(title, value, trend) {
+    const el = document.createElement('div');
+    el.className = 'card';
+    el.innerHTML = `<h3>${title}</h3><div class="value">${value}</div>${trend ? `<div class="trend">${trend}</div>` : ''}`;
+    return el;
+}
 
-    const renderList = (formulas) => {
-        formulasContainer.innerHTML = '';
-        if (!formulas.length) {
-            formulasContainer.innerHTML = `<div class="empty card">Nenhuma fórmula encontrada.</div>`;
-            return;
-        }
-        // 1. Cria o cabeçalho da lista.
-        const headerRow = document.createElement('div');
-        headerRow.className = 'formula-row header'; // Adiciona a classe 'header' para o estilo
-        headerRow.innerHTML = `
-            <div>Nome</div>
-            <div>Código</div>
-            <div>Base</div>
-            <div>Nº Pigmentos</div>
-            <div class="actions">Ações</div>
+// Cria uma tabela a partir de cabeçalhos e linhas de dados.
+function table(headers, rows) {
+    const wrap = document.createElement('div');
+    wrap.className = 'table-wrap card';
+    const tbl = document.createElement('table');
+    const thead = document.createElement('thead');
+    const thr = document.createElement('tr');
+    headers.forEach(h => {
+        const th = document.createElement('th');
+        th.textContent = h;
+        thr.appendChild(th);
+    });
+    thead.appendChild(thr);
+    const tbody = document.createElement('tbody');
+    rows.forEach(r => {
+        const tr = document.createElement('tr');
+        r.forEach(c => {
+            const td = document.createElement('td');
+            td.innerHTML = c; // Usamos innerHTML para permitir HTML dentro das células (ex: botões).
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    tbl.append(thead, tbody);
+    wrap.appendChild(tbl);
+    return wrap;
+}
+
+// Cria um formulário genérico para CRUD (Criar, Ler, Atualizar, Excluir).
+// `config` define o título, os campos e os dados iniciais.
+function genericForm(config) {
+    const { title, fields, data, onSave, onCancel } = config;
+    const item = data ? { ...data } : { id: uuid() };
+
+    const el = document.createElement('div');
+    el.className = 'card';
+
+    // Gera o HTML dos campos do formulário a partir da configuração.
+    const fieldsHtml = fields.map(f => {
+    item[f.key] = item[f.key] ?? '';
+    // SE o campo tiver a propriedade 'html', usa ela. SENÃO, cria o input padrão.
+    const fieldContent = f.html 
+        ? f.html 
+        : `<input type="${f.type || 'text'}" value="${item[f.key]}" data-key="${f.key}" placeholder="${f.placeholder || ''}" />`;
+
+    return `
+      <div class="field" style="grid-column: span ${f.span || 6}">
+        <label>${f.label}</label>
+        ${fieldContent}
+      </div>`;
+    }).join('');
+
+
+    el.innerHTML = `
+    <div class="toolbar" style="justify-content:space-between; margin-bottom:10px">
+      <h2 style="margin:0">${title}</h2>
+      <div style="display:flex; gap:8px">
+        <button class="btn secondary" data-action="cancelar">Cancelar</button>
+        <button class="btn" data-action="salvar">Salvar</button>
+      </div>
+    </div>
+    <div class="form">${fieldsHtml}</div>
+  `;
+
+    // Adiciona os listeners para os botões de salvar e cancelar.
+    el.addEventListener('click', (e) => {
+        const action = e.target?.dataset?.action;
+        if (!action) return;
+
+        if (action === 'cancelar') {
+            onCancel(); // Executa a função de cancelamento passada na configuração.
+        }
+        if (action === 'salvar') {
+            // Coleta os valores de todos os inputs.
+            $$('[data-key]', el).forEach(input => {
+                item[input.dataset.key] = input.value;
+            });
+            onSave(item); // Executa a função de salvamento com o item preenchido.
+        }
+    });
+
+    return el;
+}
+
+// ===== 5. VIEWS (Renderizadores de cada tela) =====
+
+
+// --- TELA: Dashboard ---
+addRoute('dashboard', () => {
+    const root = document.createElement('div');
+    
+    root.innerHTML = `<h1>Dashboard</h1>`;
+    const cards = document.createElement('div');
+    cards.className = 'grid cards dashboard'; // A classe 'cards' responsiva
+    // Cálculos específicos para o dashboard
+    const totalEstoqueProdutos = store.data.produtos.reduce((acc, p) => acc + (Number(p.estoqueAtual) || 0), 0);
+    const baixoEstoqueProdutos = store.data.produtos.filter(p => Number(p.estoqueAtual) <= Number(p.estoqueMin)).length;
+
+    // --- Montagem dos Cards ---
+    cards.append(
+        kpiCard('Produtos Cadastrados', (store.data.produtos || []).length),
+        kpiCard('Itens em Estoque (Produtos)', totalEstoqueProdutos),
+        kpiCard('Produtos com Baixo Estoque', baixoEstoqueProdutos, baixoEstoqueProdutos ? `<span class="badge-warn">Atenção</span>` : '<span class="badge-soft">OK</span>'),
+        kpiCard('Total de Vendas', (store.data.vendas || []).length),
+        kpiCard('Clientes Cadastrados', (store.data.clientes || []).length),
+        kpiCard('Fornecedores Cadastrados', (store.data.fornecedores || []).length),
+        kpiCard('Tintas Produzidas', (store.data.producaoHistorico || []).length),
+        kpiCard('Fórmulas Cadastradas', (store.data.formulas || []).length),
+        kpiCard('Pigmentos Cadastrados', (store.data.pigmentos || []).length),
+        kpiCard('Total de Pedidos', (store.data.pedidos || []).length)
+    );
+    
+    root.appendChild(cards);
+    return root;
+});
+
+
+// --- TELA: Vendas (Container com Abas) ---
+addRoute('vendas', () => {
+    const root = document.createElement('div');
+    const hashParts = location.hash.split('/'); // Ex: ['#', 'vendas', 'editar', 'ID_DA_VENDA']
+    const subView = hashParts[2] || 'registrar'; // 'registrar', 'historico', 'editar', 'imprimir', 'devolver', 'devolucoes' ou 'orcamentos'
+
+    // Deixamos a aba "Registrar Venda" ativa tanto para criar uma nova quanto para editar.
+    const isRegisterActive = subView === 'registrar' || subView === 'editar';
+
+    root.innerHTML = `
+        <div class="tabs">
+            <a href="#/vendas/registrar" data-subview="registrar" class="tab ${isRegisterActive ? 'active' : ''}">Registrar Venda</a>
+            <a href="#/vendas/historico" data-subview="historico" class="tab ${['historico', 'devolver', 'imprimir'].includes(subView) ? 'active' : ''}">Histórico de Vendas</a>
+            <a href="#/vendas/devolucoes" data-subview="devolucoes" class="tab ${subView === 'devolucoes' ? 'active' : ''}">Devoluções</a>
+            <a href="#/vendas/orcamentos" data-subview="orcamentos" class="tab ${subView === 'orcamentos' ? 'active' : ''}">Orçamentos</a>
+        </div>
+        <div id="vendas-content"></div>
+    `;
+
+    const content = root.querySelector('#vendas-content');
+
+    // Se a sub-view for 'editar', encontramos a venda e passamos para o formulário.
+    if (subView === 'editar') {
+        const saleId = hashParts[3]; // O ID da venda é a 4ª parte da URL
+        const saleToEdit = store.data.vendas.find(v => v.id === saleId);
+        // Uma venda bloqueada (ex: com devolução) volta para o histórico em vez de abrir o formulário.
+        const bloqueio = saleToEdit && motivoBloqueioVenda(saleToEdit);
+        if (bloqueio) toast(bloqueio);
+        content.appendChild(bloqueio ? renderHistoricoVendas() : renderRegistrarVendas(saleToEdit)); // Passamos a venda para a função de renderização
+    } else if (subView === 'registrar') {
+        content.appendChild(renderRegistrarVendas()); // Chamamos sem argumentos para um formulário limpo
+    } else if (subView === 'historico') {
+        // Ex: #/vendas/historico/ID_DA_VENDA abre o histórico já filtrado nessa venda.
+        const venda = store.data.vendas.find(v => v.id === hashParts[3]);
+        content.appendChild(renderHistoricoVendas(venda?.numeroPedido));
+    } else if (subView === 'imprimir') {
+        // Ex: #/vendas/imprimir/ID_DA_VENDA/a4
+        const venda = store.data.vendas.find(v => v.id === hashParts[3]);
+        content.appendChild(venda ? renderImprimirVendaView(venda, hashParts[4]) : renderHistoricoVendas());
+    } else if (subView === 'devolver') {
+        const venda = store.data.vendas.find(v => v.id === hashParts[3]);
+        content.appendChild(venda && vendaTemItensParaDevolver(venda) ? renderDevolucaoVendaView(venda) : renderHistoricoVendas());
+    } else if (subView === 'devolucoes') {
+        // Ex: #/vendas/devolucoes/ID_DA_DEVOLUCAO abre a lista já filtrada nessa devolução.
+        const devolucao = store.data.devolucoes.find(d => d.id === hashParts[3]);
+        content.appendChild(renderDevolucoesView(devolucao?.numero));
+    } else if (subView === 'orcamentos') {
+        // Ex: #/vendas/orcamentos/novo ou #/vendas/orcamentos/editar/ID_DO_ORCAMENTO
+        if (hashParts[3] === 'novo') {
+            content.appendChild(createSaleComponent(null, { modo: 'orcamento' }));
+        } else if (hashParts[3] === 'editar') {
+            const orcamento = store.data.orcamentos.find(o => o.id === hashParts[4]);
+            content.appendChild(orcamento ? createSaleComponent(orcamento, { modo: 'orcamento' }) : renderOrcamentosView());
+        } else {
+            content.appendChild(renderOrcamentosView());
+        }
+    }
+
+    return root;
+});
+
+/**
+ * Renderiza a tela de "Registrar Venda".
+ * Agora ela permite adicionar múltiplos formulários de venda na mesma tela.
+ */
+
+/**
+ * Renderiza a tela de "Registrar Venda".
+ * @param {object} saleToEdit - (Opcional) A venda a ser editada.
+ */
+function renderRegistrarVendas(saleToEdit) {
+    const root = document.createElement('div');
+
+    // Se estamos editando, não mostramos o botão "Adicionar Outra Venda"
+    // para manter a interface focada na edição de um único item.
+    const addButtonHtml = !saleToEdit
+        ? `<div class="toolbar" style="margin-top: 24px; padding-top: 16px; border-top: 1px dashed var(--border); justify-content: center;">
+               <button class="btn secondary" id="add-sale-btn">Adicionar Venda</button>
+           </div>`
+        : '';
+
+    root.innerHTML = `
+        <div id="sales-container" style="display: flex; flex-direction: column; gap: 24px;"></div>
+        ${addButtonHtml}
+    `;
+
+    const salesContainer = root.querySelector('#sales-container');
+    // Passamos a venda a ser editada para o componente do formulário
+    salesContainer.appendChild(createSaleComponent(saleToEdit));
+
+    // O botão de adicionar só existe se não estivermos editando
+    const addButton = root.querySelector('#add-sale-btn');
+    if (addButton) {
+        addButton.addEventListener('click', () => {
+            salesContainer.appendChild(createSaleComponent());
+        });
+    }
+
+    return root;
+}
+
+
+/**
+ * Pergunta se a operação deve continuar quando algum produto não tem estoque suficiente.
+ * Retorna true se não houver falta ou se o usuário confirmar.
+ */
+function confirmarFaltasEstoque(diferenca, pergunta) {
+    const faltas = verificarEstoqueVenda(diferenca);
+    if (!faltas.length) return true;
+    const lista = faltas.map(f => `- ${f.produto.nome}: disponível ${Number(f.produto.estoqueAtual) || 0}, necessário ${f.necessario}`).join('\n');
+    return confirm(`Estoque insuficiente:\n${lista}\n\n${pergunta}`);
+}
+
+/**
+ * Cria um componente de venda, seja para uma nova venda ou para editar uma existente.
+ * O mesmo formulário serve para orçamentos: com { modo: 'orcamento' } ele ganha a data de validade,
+ * salva em 'store.data.orcamentos' e não mexe no estoque.
+ * @param {object} saleToEdit - (Opcional) A venda (ou orçamento) a ser editada.
+ * @param {object} [opcoes] - { modo: 'venda' | 'orcamento' }
+ */
+function createSaleComponent(saleToEdit, { modo = 'venda' } = {}) {
+    // 1. VERIFICAÇÃO DO MODO: Esta variável controla se o formulário é para 'editar' ou 'criar'.
+    const isEditing = !!saleToEdit; // !! transforma o objeto em booleano (true se existir, false se não)
+    const isOrcamento = modo === 'orcamento';
+    const componentRoot = document.createElement('div');
+    componentRoot.className = 'vendas-grid';
+
+    // 2. CARREGAMENTO DE ITENS: Se 'isEditing' for true, a lista de itens já começa
+    // com os produtos da venda que estamos editando. Senão, começa vazia.
+    let itens = isEditing ? JSON.parse(JSON.stringify(saleToEdit.itens)) : [];
+    // Itens de vendas antigas só têm o preço final: ele vira o preço de tabela, sem desconto no item.
+    itens.forEach(i => {
+        i.precoTabela = i.precoTabela ?? i.preco;
+        i.descontoPercentual = i.descontoPercentual || 0;
+    });
+
+    // Guardamos o ID do cliente selecionado.
+    let selectedClientId = isEditing ? saleToEdit.clientId : null;
+
+    // Tabela de preço em uso: a gravada na venda ou, numa venda nova, a do cliente.
+    let tabelaAtual = isEditing
+        ? (store.data.tabelasPreco || []).find(t => t.id === saleToEdit.tabelaPrecoId)
+        : undefined;
+
+    // Buscamos as formas de pagamento do store.
+    const formasDePagamento = store.data.formasPagamento || [];
+
+    // Linhas de pagamento: a venda pode ser dividida entre várias formas, cada uma com seu valor e parcelas.
+    let pagamentos = saleToEdit?.pagamentos?.length
+        ? saleToEdit.pagamentos.map(p => ({ forma: p.forma, valor: p.valor, parcelas: p.parcelas || 1 }))
+        : [{ forma: formasDePagamento[0]?.nome || '', valor: 0, parcelas: 1 }];
+
+    // Crédito na loja que o cliente selecionado pode gastar; na edição, soma o que a própria venda já usava.
+    const creditoDisponivel = () => {
+        const cliente = selectedClientId && store.data.clientes.find(c => c.id === selectedClientId);
+        if (!cliente) return 0;
+        return (Number(cliente.creditoLoja) || 0) + (saleToEdit?.clientId === cliente.id && !isOrcamento ? creditoLojaDaVenda(saleToEdit) : 0);
+    };
+
+    // Orçamentos valem 7 dias por padrão.
+    const validadePadrao = new Date(Date.now() + 7 * 86400000).toISOString().slice(0, 10);
+    const titulo = isOrcamento
+        ? (isEditing ? 'Editar Orçamento' : 'Novo Orçamento')
+        : (isEditing ? 'Editar Venda' : 'Registrar Venda');
+
+
+    // 3. PRÉ-PREENCHIMENTO DO FORMULÁRIO: Os atributos 'value' dos inputs agora
+    // tentam pegar os dados de 'saleToEdit'. Se não existir, usam um valor padrão.
+    // A sintaxe 'saleToEdit?.cliente' (optional chaining) previne erros se 'saleToEdit' for nulo.
+    componentRoot.innerHTML = `
+        <div class="card">
+            <div class="toolbar" style="justify-content:space-between; margin-bottom:10px">
+                <h2 style="margin:0">${titulo}</h2>
+                ${isOrcamento || isEditing ? '' : (caixaAberto()
+                    ? '<span class="badge-soft">Caixa aberto</span>'
+                    : '<a href="#/financeiro/caixa" class="badge-warn">Nenhum caixa aberto</a>')}
+            </div>
+            <div class="form">
+                <div class="field" style="grid-column: span ${isOrcamento ? 2 : 3}"><label>${isOrcamento ? 'Nº Orçamento' : 'Nº Pedido'}</label><input data-field="numeroPedido" value="${(isOrcamento ? saleToEdit?.numero : saleToEdit?.numeroPedido) || ''}" placeholder="Opcional" /></div>
+                
+                <div class="field autocomplete-container" style="grid-column: span ${isOrcamento ? 4 : 6}">
+                    <label>Cliente</label>
+                    <input data-field="cliente" value="${saleToEdit?.cliente || ''}" placeholder="Digite para buscar ou deixe em branco" autocomplete="off" />
+                    <div class="autocomplete-results"></div>
+                    <small class="muted" data-container="tabela-preco"></small>
+                </div>
+
+                <div class="field" style="grid-column: span 3"><label>Data</label><input data-field="data" type="date" value="${saleToEdit?.data || new Date().toISOString().slice(0, 10)}"/></div>
+                ${isOrcamento ? `<div class="field" style="grid-column: span 3"><label>Válido até</label><input data-field="validade" type="date" value="${saleToEdit?.validade || validadePadrao}"/></div>` : ''}
+                
+                <div class="field full"><label>Itens</label>
+                    <div data-container="lista-itens" class="grid" style="gap:8px; margin-top:8px; border:1px dashed var(--border); padding:10px; border-radius:10px; min-height:80px;"></div>
+                </div>
+
+                <div class="field" style="grid-column: span 4"><label>Desconto na Venda</label>
+                    <div style="display:flex; gap:6px;">
+                        <input data-field="desconto" type="number" step="0.01" min="0" value="${saleToEdit?.descontoPercentual || saleToEdit?.desconto || 0}" />
+                        <select data-field="tipoDesconto" style="width:auto;">
+                            <option value="valor">R$</option>
+                            <option value="percentual" ${saleToEdit?.descontoPercentual ? 'selected' : ''}>%</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="field" style="grid-column: span 4"><label>Subtotal</label><input data-field="subtotal" disabled /></div>
+                <div class="field" style="grid-column: span 4"><label>Total</label><input data-field="total" disabled /></div>
+
+                <div class="field full">
+                    <div class="toolbar"><label>Pagamento</label><div class="spacer"></div><button class="btn ghost" data-action="add-pagamento">Adicionar Forma de Pagamento</button></div>
+                    <div data-container="lista-pagamentos" class="grid" style="gap:8px; margin-top:8px;"></div>
+                    <div data-container="resumo-pagamentos" class="muted" style="margin-top:8px; font-size:0.9rem;"></div>
+                </div>
+
+                <button class="btn" data-action="finalizar" style="grid-column: 1 / -1; margin-top:12px;">${isEditing ? 'Salvar Alterações' : (isOrcamento ? 'Salvar Orçamento' : 'Finalizar')}</button>
+            </div>
+        </div>
+        <div class="card vendas-right">
+             <div><label>Pesquisar Produtos</label><input data-action="search-product" placeholder="Digite nome ou código e pressione Enter" style="width:100%; margin-top:8px;" /></div>
+             <div data-container="search-results" class="prod-search-results"></div>
+        </div>
+    `;
+
+    const listaItensEl = componentRoot.querySelector('[data-container="lista-itens"]');
+    const listaPagamentosEl = componentRoot.querySelector('[data-container="lista-pagamentos"]');
+
+    const subtotalDaVenda = () => itens.reduce((a, i) => a + (Number(i.preco) || 0) * (Number(i.qtd) || 0), 0);
+
+    // O desconto da venda pode ser em reais ou em percentual do subtotal; aqui ele sempre volta em reais.
+    const descontoDaVenda = () => {
+        const valor = Number(componentRoot.querySelector('[data-field="desconto"]').value || 0);
+        if (componentRoot.querySelector('[data-field="tipoDesconto"]').value !== 'percentual') return valor;
+        return Number((subtotalDaVenda() * valor / 100).toFixed(2));
+    };
+
+    const totalDaVenda = () => Math.max(0, subtotalDaVenda() - descontoDaVenda());
+
+    // Atualiza o texto das parcelas e o resumo (restante e líquido) sem redesenhar as linhas,
+    // para não tirar o foco do campo que está sendo digitado.
+    const atualizarResumoPagamentos = () => {
+        const total = totalDaVenda();
+        // Com uma só forma de pagamento, ela sempre paga o total.
+        if (pagamentos.length === 1) {
+            pagamentos[0].valor = Number(total.toFixed(2));
+            const valorInput = listaPagamentosEl.querySelector('[data-p="0"][data-pf="valor"]');
+            if (valorInput) valorInput.value = pagamentos[0].valor;
+        }
+        const calculados = pagamentos.map(calcularPagamento);
+        calculados.forEach((p, idx) => {
+            const info = listaPagamentosEl.querySelector(`[data-info="${idx}"]`);
+            if (info) info.textContent = `${p.parcelas > 1 ? `${p.parcelas}x de ${currency.format(p.valor / p.parcelas)} • ` : ''}Taxa ${p.taxa}% • Líquido ${currency.format(p.valorLiquido)}`;
+        });
+        const restante = total - calculados.reduce((acc, p) => acc + p.valor, 0);
+        const liquido = calculados.reduce((acc, p) => acc + p.valorLiquido, 0);
+        componentRoot.querySelector('[data-container="resumo-pagamentos"]').innerHTML = `
+            ${Math.abs(restante) < 0.005
+                ? '<span class="badge-soft">Pagamento fechado</span>'
+                : `<span class="badge-warn">${restante > 0 ? 'Falta' : 'Excede'} ${currency.format(Math.abs(restante))}</span>`}
+            • Valor líquido a receber: <strong>${currency.format(liquido)}</strong>`;
+    };
+
+    const renderPagamentos = () => {
+        // O crédito na loja só aparece nas vendas, quando o cliente tem saldo (ou a linha já o usa).
+        const credito = creditoDisponivel();
+        const usaCredito = !isOrcamento && (credito > 0.005 || pagamentos.some(p => p.forma === FORMA_CREDITO_LOJA));
+        listaPagamentosEl.innerHTML = pagamentos.map((p, idx) => {
+            const formaPagamento = formasDePagamento.find(f => f.nome === p.forma);
+            const maxParcelas = Math.max(1, Number(formaPagamento?.maxParcelas) || 1);
+            const opcoesParcelas = Array.from({ length: maxParcelas }, (_, i) => i + 1)
+                .map(n => `<option value="${n}" ${Number(p.parcelas) === n ? 'selected' : ''}>${n}x</option>`).join('');
+            return `
+                <div class="toolbar" style="border:1px solid var(--border); border-radius:10px; padding:8px 10px;">
+                    <select data-p="${idx}" data-pf="forma" style="width:auto;">
+                        ${formasDePagamento.map(f => `<option value="${f.nome}" ${f.nome === p.forma ? 'selected' : ''}>${f.nome}</option>`).join('')}
+                        ${usaCredito ? `<option value="${FORMA_CREDITO_LOJA}" ${p.forma === FORMA_CREDITO_LOJA ? 'selected' : ''}>${FORMA_CREDITO_LOJA} (saldo ${currency.format(credito)})</option>` : ''}
+                    </select>
+                    <div>R$ <input type="number" step="0.01" min="0" value="${p.valor}" data-p="${idx}" data-pf="valor" style="width:110px; margin-left:6px" ${pagamentos.length === 1 ? 'disabled' : ''} /></div>
+                    <select data-p="${idx}" data-pf="parcelas" style="width:auto;" ${maxParcelas === 1 ? 'disabled' : ''}>${opcoesParcelas}</select>
+                    <small class="muted" data-info="${idx}" style="flex:1"></small>
+                    ${pagamentos.length > 1 ? `<button class="btn ghost" data-p="${idx}" data-act="rm-pagamento">Remover</button>` : ''}
+                </div>
+            `;
+        }).join('');
+        atualizarResumoPagamentos();
+    };
+
+    const calcTotais = () => {
+        componentRoot.querySelector('[data-field="subtotal"]').value = currency.format(subtotalDaVenda());
+        componentRoot.querySelector('[data-field="total"]').value = currency.format(totalDaVenda());
+        atualizarResumoPagamentos();
+    };
+
+    // A renderização da lista de itens foi restaurada para a versão mais detalhada.
+    const renderItens = () => {
+        listaItensEl.innerHTML = '';
+        if (!itens.length) {
+            listaItensEl.innerHTML = `<div class="muted" style="text-align:center;width:100%;">Pesquise e adicione produtos...</div>`;
+            calcTotais();
+            return;
+        }
+        itens.forEach((it, idx) => {
+            const row = document.createElement('div');
+            row.className = 'toolbar';
+            row.style.border = '1px solid var(--border)';
+            row.style.borderRadius = '10px';
+            row.style.padding = '8px 10px';
+            row.innerHTML = `
+                <div style="flex:1">${it.nome} <small style="color:var(--muted)">(${it.codigo || '—'})</small></div>
+                <div>Qtd <input type="number" min="1" value="${it.qtd}" data-i="${idx}" data-f="qtd" style="width:72px; margin-left:6px" /></div>
+                <div>Preço <input type="number" step="0.01" value="${it.precoTabela}" data-i="${idx}" data-f="precoTabela" style="width:100px; margin-left:6px" /></div>
+                <div>Desc. % <input type="number" step="0.1" min="0" max="100" value="${it.descontoPercentual}" data-i="${idx}" data-f="descontoPercentual" style="width:72px; margin-left:6px" /></div>
+                <small class="muted" data-unitario="${idx}" style="min-width:90px;">${currency.format(it.preco)} un.</small>
+                <button class="btn ghost" data-i="${idx}" data-act="rm">Remover</button>
+            `;
+            listaItensEl.appendChild(row);
+        });
+        calcTotais();
+    };
+
+    // Função interna para adicionar produto, garantindo que o código seja salvo no item.
+    // O preço do item já vem da tabela de preço do cliente, quando ele tem uma.
+    function addProductToSale(prod, quantidade = 1) {
+        const existing = itens.find(i => i.id === prod.id);
+        if (existing) {
+            existing.qtd = Number(existing.qtd) + Number(quantidade);
+        } else {
+            const precoTabela = precoNaTabela(prod, tabelaAtual);
+            itens.push({ id: prod.id, nome: prod.nome, codigo: prod.codigo, precoTabela, descontoPercentual: 0, preco: precoTabela, qtd: Number(quantidade) || 1 });
+        }
+        renderItens();
+    }
+
+    const renderTabelaPreco = () => {
+        componentRoot.querySelector('[data-container="tabela-preco"]').innerHTML = tabelaAtual
+            ? `Tabela de preço: <span class="badge-info">${tabelaAtual.nome}</span>`
+            : '';
+    };
+
+    // Ao trocar de cliente, os itens já lançados são recalculados pela tabela do novo cliente.
+    // Se a tabela não mudou, os preços digitados à mão são mantidos.
+    const aplicarTabelaDoCliente = (clientId) => {
+        const novaTabela = tabelaPrecoDoCliente(clientId);
+        if (novaTabela?.id === tabelaAtual?.id) return;
+        tabelaAtual = novaTabela;
+        itens.forEach(item => {
+            const produto = store.data.produtos.find(p => p.id === item.id);
+            if (!produto) return;
+            item.precoTabela = precoNaTabela(produto, tabelaAtual);
+            item.preco = aplicarPercentual(item.precoTabela, item.descontoPercentual);
+        });
+        renderTabelaPreco();
+        renderItens();
+        if (itens.length) toast(tabelaAtual ? `Tabela "${tabelaAtual.nome}" aplicada aos itens.` : 'Itens voltaram ao preço de venda.');
+    };
+
+    const clienteInput = componentRoot.querySelector('[data-field="cliente"]');
+    const resultsContainer = componentRoot.querySelector('.autocomplete-results');
+
+    clienteInput.addEventListener('input', () => {
+        const query = clienteInput.value.toLowerCase().trim();
+        resultsContainer.innerHTML = ''; // Limpa resultados anteriores
+
+        // Se o campo estiver vazio, não selecionamos nenhum cliente
+        if (!query) {
+            selectedClientId = null;
+            aplicarTabelaDoCliente(null);
+            renderPagamentos();
+            return;
+        }
+
+        // Filtra os clientes que correspondem à busca
+        // A busca também encontra o cliente pelo CPF/CNPJ ou por um dos veículos (ex: placa).
+        const results = store.data.clientes.filter(c => clienteCorrespondeBusca(c, query));
+
+        results.forEach(cliente => {
+            const itemEl = document.createElement('div');
+            itemEl.className = 'autocomplete-item';
+            const veiculo = (cliente.veiculos || []).find(v => veiculoCorrespondeBusca(v, query));
+            itemEl.textContent = veiculo ? `${cliente.nome} — ${descricaoVeiculo(veiculo)}` : cliente.nome;
+            itemEl.dataset.id = cliente.id; // Guarda o ID no elemento
+            resultsContainer.appendChild(itemEl);
+        });
+    });
+
+    // Listener para o clique em um dos resultados
+    resultsContainer.addEventListener('click', e => {
+        if (e.target.classList.contains('autocomplete-item')) {
+            const clienteId = e.target.dataset.id;
+            const cliente = store.data.clientes.find(c => c.id === clienteId);
+            if (cliente) {
+                clienteInput.value = cliente.nome; // Preenche o input com o nome
+                selectedClientId = cliente.id;   // Guarda o ID do cliente selecionado
+                resultsContainer.innerHTML = ''; // Limpa e esconde a lista
+                aplicarTabelaDoCliente(cliente.id);
+                renderPagamentos();
+            }
+        }
+    });
+
+    // Listener de pesquisa de produto
+    componentRoot.querySelector('[data-action="search-product"]').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            const q = e.target.value.toLowerCase().trim();
+            const results = store.data.produtos.filter(p => (p.nome || '').toLowerCase().includes(q) || (p.codigo || '').toLowerCase().includes(q));
+            const wrap = componentRoot.querySelector('[data-container="search-results"]');
+            wrap.innerHTML = '';
+            if (!results.length) {
+                wrap.innerHTML = '<div class="empty">Nenhum produto encontrado</div>';
+                return;
+            }
+            // A renderização dos resultados da pesquisa foi restaurada para a versão mais detalhada.
+            results.forEach(p => {
+                const row = document.createElement('div');
+                row.className = 'prod-row search-result';
+                row.innerHTML = `
+                    <div>
+                        <strong>${p.nome}</strong>
+                        <div style="font-size:12px;color:var(--muted)">${p.codigo || '—'} • ${p.unidade || ''} • ${currency.format(Number(p.preco || 0))} • Estoque: ${Number(p.estoqueAtual) || 0}</div>
+                    </div>
+                    <div style="display:flex; gap:8px; align-items-center; justify-content: flex-end;">
+                        <input type="number" min="1" value="1" class="qtd-add" style="width:64px" />
+                        <button class="btn" data-id="${p.id}">Adicionar</button>
+                    </div>
+                `;
+                wrap.appendChild(row);
+                row.querySelector('button').addEventListener('click', () => {
+                    const qEl = row.querySelector('.qtd-add');
+                    const qtd = Number(qEl.value || 1);
+                    addProductToSale(p, qtd);
+                });
+            });
+        }
+    });
+
+
+    // Lógica de eventos (finalizar, remover, alterar campos)
+    componentRoot.addEventListener('click', (e) => {
+        const target = e.target;
+        const action = target.dataset.action; // Para o botão 'finalizar'
+        const act = target.dataset.act;       // Para o botão 'remover'
+
+        // Lógica para finalizar a venda
+        if (action === 'finalizar') {
+            // Os inputs guardam texto; convertemos qtd e preços para número antes de salvar.
+            // 'preco' é o valor unitário cobrado, já com o desconto percentual do item.
+            const itensNormalizados = itens.map(i => {
+                const precoTabela = Number(i.precoTabela) || 0;
+                const descontoPercentual = Number(i.descontoPercentual) || 0;
+                return { ...i, qtd: Number(i.qtd) || 0, precoTabela, descontoPercentual, preco: aplicarPercentual(precoTabela, descontoPercentual) };
+            });
+            const descontoEmPercentual = componentRoot.querySelector('[data-field="tipoDesconto"]').value === 'percentual';
+            const updatedSaleData = {
+                id: saleToEdit?.id || uuid(),
+                numeroPedido: componentRoot.querySelector('[data-field="numeroPedido"]').value || `P-${Date.now().toString().slice(-6)}`,
+                data: componentRoot.querySelector('[data-field="data"]').value,
+                cliente: componentRoot.querySelector('[data-field="cliente"]').value || 'Consumidor Final',
+                itens: itensNormalizados,
+                subtotal: itensNormalizados.reduce((a, i) => a + (i.preco * i.qtd), 0),
+                desconto: descontoDaVenda(),
+                descontoPercentual: descontoEmPercentual ? Number(componentRoot.querySelector('[data-field="desconto"]').value || 0) : 0,
+                total: 0,
+                clientId: selectedClientId,
+                tabelaPrecoId: tabelaAtual?.id || null
+            };
+            updatedSaleData.total = Math.max(0, updatedSaleData.subtotal - updatedSaleData.desconto);
+            updatedSaleData.pagamentos = pagamentos.map(calcularPagamento);
+            updatedSaleData.pagamento = resumoPagamentos(updatedSaleData.pagamentos);
+
+            // Orçamentos só são guardados: o estoque é baixado apenas quando o orçamento vira venda.
+            if (isOrcamento) {
+                if (!itensNormalizados.length) {
+                    toast('Adicione ao menos um produto ao orçamento.');
+                    return;
+                }
+                const { numeroPedido, ...dadosOrcamento } = updatedSaleData;
+                const orcamento = {
+                    ...dadosOrcamento,
+                    numero: componentRoot.querySelector('[data-field="numeroPedido"]').value || `O-${Date.now().toString().slice(-6)}`,
+                    validade: componentRoot.querySelector('[data-field="validade"]').value,
+                    status: saleToEdit?.status || 'aberto'
+                };
+                if (isEditing) {
+                    const index = store.data.orcamentos.findIndex(o => o.id === orcamento.id);
+                    if (index !== -1) store.data.orcamentos[index] = orcamento;
+                    toast('Orçamento atualizado com sucesso!');
+                } else {
+                    store.data.orcamentos.push(orcamento);
+                    toast(`Orçamento ${orcamento.numero} salvo.`);
+                }
+                store.save();
+                location.hash = '#/vendas/orcamentos';
+                return;
+            }
+
+            // A venda pode ter ganhado uma devolução depois que o formulário foi aberto.
+            const bloqueio = isEditing && motivoBloqueioVenda(saleToEdit);
+            if (bloqueio) {
+                alert(bloqueio);
+                return;
+            }
+
+            // A venda só é finalizada quando as formas de pagamento somam exatamente o total.
+            if (pagamentos.length > 1 && updatedSaleData.pagamentos.some(p => p.valor <= 0)) {
+                alert('Informe o valor de cada forma de pagamento ou remova as que não serão usadas.');
+                return;
+            }
+            if (!pagamentosFecham(updatedSaleData.pagamentos, updatedSaleData.total)) {
+                const soma = updatedSaleData.pagamentos.reduce((acc, p) => acc + p.valor, 0);
+                alert(`As formas de pagamento somam ${currency.format(soma)}, mas o total da venda é ${currency.format(updatedSaleData.total)}.`);
+                return;
+            }
+            const bloqueioCredito = verificarCreditoLoja(updatedSaleData, saleToEdit);
+            if (bloqueioCredito) {
+                alert(bloqueioCredito);
+                return;
+            }
+
+            const bloqueioPrazo = verificarVendaAPrazo(updatedSaleData);
+            if (bloqueioPrazo) {
+                alert(bloqueioPrazo);
+                return;
+            }
+
+            // Na edição, só a diferença entre os itens antigos e os novos mexe no estoque.
+            const diferenca = diferencaEstoqueVenda(isEditing ? saleToEdit.itens : [], itensNormalizados);
+            if (!confirmarFaltasEstoque(diferenca, 'Deseja registrar a venda mesmo assim? O estoque ficará negativo.')) {
+                return;
+            }
+
+            if (isEditing) {
+                const index = store.data.vendas.findIndex(v => v.id === updatedSaleData.id);
+                if (index !== -1) {
+                    aplicarEstoqueVenda(diferenca, updatedSaleData, 'edição');
+                    // O turno de caixa e o orçamento de origem continuam os da venda original.
+                    updatedSaleData.caixaId = saleToEdit.caixaId || null;
+                    if (saleToEdit.orcamentoId) updatedSaleData.orcamentoId = saleToEdit.orcamentoId;
+                    // As parcelas a prazo são geradas de novo com os pagamentos atualizados.
+                    removerContasReceberDaVenda(updatedSaleData.id);
+                    gerarContasReceber(updatedSaleData);
+                    // O crédito na loja usado antes volta ao cliente e o novo valor é gasto.
+                    movimentarCreditoLoja(saleToEdit.clientId, creditoLojaDaVenda(saleToEdit));
+                    movimentarCreditoLoja(updatedSaleData.clientId, -creditoLojaDaVenda(updatedSaleData));
+                    store.data.vendas[index] = updatedSaleData;
+                    toast('Venda atualizada com sucesso!');
+                }
+            } else {
+                registrarVenda(updatedSaleData);
+                store.save();
+                // Oferece o comprovante para entregar ao cliente logo após a venda.
+                const imprimir = confirm(`Venda ${updatedSaleData.numeroPedido} registrada. Deseja imprimir o comprovante?`);
+                location.hash = imprimir ? `#/vendas/imprimir/${updatedSaleData.id}` : '#/vendas/historico';
+                return;
+            }
+
+            store.save();
+            location.hash = '#/vendas/historico';
+        }
+
+        // Lógica para remover um item da lista
+        if (act === 'rm') {
+            itens.splice(Number(target.dataset.i), 1);
+            renderItens();
+        }
+
+        // Uma nova forma de pagamento já começa com o valor que falta para fechar o total.
+        if (action === 'add-pagamento') {
+            const restante = totalDaVenda() - pagamentos.reduce((acc, p) => acc + (Number(p.valor) || 0), 0);
+            pagamentos.push({ forma: formasDePagamento[0]?.nome || '', valor: Number(Math.max(0, restante).toFixed(2)), parcelas: 1 });
+            renderPagamentos();
+        }
+
+        if (act === 'rm-pagamento') {
+            pagamentos.splice(Number(target.dataset.p), 1);
+            renderPagamentos();
+        }
+    });
+
+    // Trocar a forma redesenha a linha, pois o número de parcelas permitido muda.
+    componentRoot.addEventListener('change', (e) => {
+        const el = e.target;
+        if (!el.dataset.p || el.dataset.pf === 'valor') return;
+        const pagamento = pagamentos[Number(el.dataset.p)];
+        pagamento[el.dataset.pf] = el.dataset.pf === 'parcelas' ? Number(el.value) : el.value;
+        if (el.dataset.pf === 'forma') pagamento.parcelas = 1;
+        renderPagamentos();
+    });
+
+    // Listener para qualquer input (alteração de quantidade, preço, etc.)
+    componentRoot.addEventListener('input', (e) => {
+        const el = e.target;
+        // Verifica se o input alterado é de um item da lista (qtd, preço ou desconto)
+        if (el.dataset.i && el.dataset.f) {
+            const item = itens[Number(el.dataset.i)];
+            item[el.dataset.f] = el.value;
+            item.preco = aplicarPercentual(item.precoTabela, item.descontoPercentual);
+            const unitario = listaItensEl.querySelector(`[data-unitario="${el.dataset.i}"]`);
+            if (unitario) unitario.textContent = `${currency.format(item.preco)} un.`;
+        }
+        if (el.dataset.p && el.dataset.pf === 'valor') {
+            pagamentos[Number(el.dataset.p)].valor = el.value;
+        }
+        calcTotais();
+    });
+    // O tipo de desconto (R$ ou %) muda o total.
+    componentRoot.querySelector('[data-field="tipoDesconto"]').addEventListener('change', calcTotais);
+
+    renderTabelaPreco();
+    renderPagamentos();
+    renderItens();
+
+    return componentRoot;
+}
+
+/**
+ * Renderiza a tela de "Histórico de Vendas".
+ * Inclui listagem, exclusão e pesquisa.
+ * @param {string} [busca] - Texto que já vem na pesquisa (ex: o número de uma venda).
+ */
+function renderHistoricoVendas(busca = '') {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-historico" type="text" placeholder="Pesquisar por cliente, pedido ou data (AAAA-MM-DD)..." style="flex: 1;">
+        </div>
+        <div id="historico-table-container"></div>
+    `;
+
+    const container = root.querySelector('#historico-table-container');
+    root.querySelector('#search-historico').value = busca;
+
+    const renderTable = (vendas) => {
+        container.innerHTML = ''; // Limpa antes de renderizar
+
+        if (!vendas.length) {
+            container.innerHTML = `<div class="empty card">Nenhuma venda encontrada.</div>`;
+            return;
+        }
+
+        const headers = ['Nº Pedido', 'Data', 'Cliente', 'Total', 'Itens', 'Devoluções', ''];
+        const rows = vendas.map(v => {
+            const devolucoes = devolucoesDaVenda(v);
+            return [
+                v.numeroPedido,
+                new Date(v.data + 'T03:00:00Z').toLocaleDateString('pt-BR'), // Ajuste de fuso
+                v.cliente,
+                currency.format(v.total),
+                v.itens.length,
+                devolucoes.length
+                    ? devolucoes.map(d => `<a href="#/vendas/devolucoes/${d.id}" class="badge-warn">${d.numero}</a>`).join(' ')
+                    : '—',
+                `<div class="actions">
+                    <button class="btn secondary" data-act="imprimir" data-id="${v.id}">Imprimir</button>
+                    ${vendaTemItensParaDevolver(v) ? `<button class="btn secondary" data-act="devolver" data-id="${v.id}">Devolver</button>` : ''}
+                    ${motivoBloqueioVenda(v) ? '' : `
+                    <button class="btn secondary" data-act="edit" data-id="${v.id}">Editar</button>
+                    <button class="btn danger" data-act="del" data-id="${v.id}">Excluir</button>`}
+                </div>`
+            ];
+        });
+
+        const tbl = table(headers, rows);
+        container.appendChild(tbl);
+
+        // Adiciona listeners para os botões da tabela
+        tbl.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-act]');
+            if (!btn) return;
+            const id = btn.dataset.id;
+
+            if (btn.dataset.act === 'del') {
+                if (confirm('Deseja mesmo excluir esta venda? Os itens voltarão para o estoque. Esta ação não pode ser desfeita.')) {
+                    const venda = store.data.vendas.find(v => v.id === id);
+                    if (venda) {
+                        // Devolve os itens ao estoque.
+                        aplicarEstoqueVenda(diferencaEstoqueVenda(venda.itens, []), venda, 'excluída');
+                        removerContasReceberDaVenda(venda.id);
+                        movimentarCreditoLoja(venda.clientId, creditoLojaDaVenda(venda));
+                    }
+                    store.data.vendas = store.data.vendas.filter(venda => venda.id !== id);
+                    store.save();
+                    toast('Venda excluída e itens devolvidos ao estoque.');
+                    // Re-renderiza a tabela com os dados atualizados
+                    filterAndRender();
+                }
+            }
+
+            if (btn.dataset.act === 'devolver') {
+                location.hash = `#/vendas/devolver/${id}`;
+            }
+
+            if (btn.dataset.act === 'imprimir') {
+                location.hash = `#/vendas/imprimir/${id}`;
+            }
+
+            if (btn.dataset.act === 'edit') {
+                // Agora, ao clicar em "Editar", nós mudamos a URL (hash) para a rota de edição,
+                // passando o ID único da venda no final.
+                // Exemplo: #/vendas/editar/id-a1b2c3d4
+                location.hash = `#/vendas/editar/${id}`;
+            }
+        });
+    };
+
+    const filterAndRender = () => {
+        const query = root.querySelector('#search-historico').value.toLowerCase().trim();
+        const todasVendas = store.data.vendas;
+
+        if (!query) {
+            renderTable(todasVendas);
+            return;
+        }
+
+        const vendasFiltradas = todasVendas.filter(v =>
+            v.cliente.toLowerCase().includes(query) ||
+            v.data.includes(query) ||
+            v.numeroPedido.toLowerCase().includes(query)
+        );
+
+        renderTable(vendasFiltradas);
+    };
+
+    // Listener para o campo de busca
+    root.querySelector('#search-historico').addEventListener('input', filterAndRender);
+
+    // Renderização inicial
+    filterAndRender();
+
+    return root;
+}
+
+/**
+ * Monta o comprovante de uma venda (cupom de 80mm ou folha A4) com o cabeçalho da loja,
+ * cliente, itens, desconto e as formas de pagamento. Não é um documento fiscal.
+ * @param {object} venda - A venda a ser impressa.
+ * @param {'80mm' | 'a4'} formato
+ */
+function renderComprovanteVenda(venda, formato) {
+    const empresa = store.data.empresa || {};
+    const cliente = store.data.clientes.find(c => c.id === venda.clientId);
+    const el = document.createElement('div');
+    el.className = `recibo recibo-${formato}`;
+
+    const itensHtml = venda.itens.map(i => `
+        <tr>
+            <td>${i.qtd}</td>
+            <td>${i.nome}${formato === 'a4' ? ` <small>(${i.codigo || '—'})</small>` : ''}${Number(i.descontoPercentual) ? ` <small>-${i.descontoPercentual}%</small>` : ''}</td>
+            <td class="num">${currency.format(i.preco)}</td>
+            <td class="num">${currency.format(i.preco * i.qtd)}</td>
+        </tr>`).join('');
+
+    const pagamentosHtml = pagamentosDaVenda(venda).map(p => `
+        <tr>
+            <td colspan="3">${p.forma}${p.parcelas > 1 ? ` (${p.parcelas}x de ${currency.format(p.valor / p.parcelas)})` : ''}</td>
+            <td class="num">${currency.format(p.valor)}</td>
+        </tr>`).join('');
+
+    el.innerHTML = `
+        <header>
+            <strong class="recibo-loja">${empresa.nome || 'Gestão Tintas'}</strong>
+            ${empresa.cnpj ? `<div>CNPJ: ${empresa.cnpj}</div>` : ''}
+            ${empresa.endereco ? `<div>${empresa.endereco}</div>` : ''}
+            ${empresa.telefone ? `<div>Tel: ${empresa.telefone}</div>` : ''}
+        </header>
+        <div class="recibo-titulo">Comprovante de Venda</div>
+        <div>Pedido Nº <strong>${venda.numeroPedido}</strong></div>
+        <div>Data: ${new Date(venda.data + 'T03:00:00Z').toLocaleDateString('pt-BR')}</div>
+        <div>Cliente: ${venda.cliente}</div>
+        ${cliente?.documento ? `<div>CPF/CNPJ: ${cliente.documento}</div>` : ''}
+        ${formato === 'a4' && enderecoResumido(cliente?.endereco) ? `<div>${enderecoResumido(cliente.endereco)}</div>` : ''}
+        <table>
+            <thead><tr><th>Qtd</th><th>Descrição</th><th class="num">Unit.</th><th class="num">Total</th></tr></thead>
+            <tbody>${itensHtml}</tbody>
+            <tfoot>
+                <tr><td colspan="3">Subtotal</td><td class="num">${currency.format(venda.subtotal)}</td></tr>
+                ${Number(venda.desconto) ? `<tr><td colspan="3">Desconto${Number(venda.descontoPercentual) ? ` (${venda.descontoPercentual}%)` : ''}</td><td class="num">-${currency.format(venda.desconto)}</td></tr>` : ''}
+                <tr class="recibo-total"><td colspan="3">Total</td><td class="num">${currency.format(venda.total)}</td></tr>
+            </tfoot>
+        </table>
+        <table>
+            <thead><tr><th colspan="4">Pagamento</th></tr></thead>
+            <tbody>${pagamentosHtml}</tbody>
+        </table>
+        <footer>
+            ${empresa.rodape ? `<div>${empresa.rodape}</div>` : '<div>Obrigado pela preferência!</div>'}
+            <small>Documento sem valor fiscal</small>
+        </footer>
+    `;
+    return el;
+}
+
+/**
+ * Tela de impressão de uma venda, com a escolha entre cupom de 80mm e folha A4.
+ * O último formato usado fica salvo no navegador.
+ */
+function renderImprimirVendaView(venda, formatoDaUrl) {
+    const formato = formatoDaUrl || localStorage.getItem('gestao-tintas:formato-impressao') || '80mm';
+    localStorage.setItem('gestao-tintas:formato-impressao', formato);
+
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar card no-print" style="padding: 12px; margin-bottom: 16px;">
+            <strong>Comprovante da Venda ${venda.numeroPedido}</strong>
+            <div class="spacer"></div>
+            <a href="#/vendas/imprimir/${venda.id}/80mm" class="btn ${formato === '80mm' ? '' : 'ghost'}">Cupom 80mm</a>
+            <a href="#/vendas/imprimir/${venda.id}/a4" class="btn ${formato === 'a4' ? '' : 'ghost'}">Folha A4</a>
+            <button class="btn secondary" data-act="voltar">Voltar</button>
+            <button class="btn" data-act="imprimir">Imprimir</button>
+        </div>
+    `;
+    root.appendChild(renderComprovanteVenda(venda, formato));
+
+    root.addEventListener('click', e => {
+        const act = e.target.dataset.act;
+        if (act === 'voltar') location.hash = '#/vendas/historico';
+        if (act === 'imprimir') window.print();
+    });
+    return root;
+}
+
+/**
+ * Renderiza a tela de devolução de uma venda.
+ * Cada item pode ser devolvido por inteiro ou em parte; o valor é reembolsado por uma forma
+ * de pagamento ou vira crédito na loja para o cliente.
+ * @param {object} venda - A venda original.
+ */
+function renderDevolucaoVendaView(venda) {
+    const root = document.createElement('div');
+    const jaDevolvido = quantidadesDevolvidas(venda);
+    const cliente = venda.clientId && store.data.clientes.find(c => c.id === venda.clientId);
+    const formasDePagamento = store.data.formasPagamento || [];
+
+    // 1. Uma linha por item, com o máximo que ainda pode ser devolvido.
+    const linhas = venda.itens.map(item => ({
+        item,
+        disponivel: Math.max(0, (Number(item.qtd) || 0) - (jaDevolvido[item.id] || 0)),
+        valorUnitario: valorUnitarioPago(venda, item)
+    }));
+
+    root.innerHTML = `
+        <div class="card">
+            <div class="toolbar" style="margin-bottom:10px;">
+                <h2 style="margin:0">Devolução da Venda ${venda.numeroPedido}</h2>
+                <div class="spacer"></div>
+                <button class="btn ghost" data-act="tudo">Devolver Tudo</button>
+            </div>
+            <div class="muted" style="margin-bottom:12px;">Cliente: ${venda.cliente} • Data: ${new Date(venda.data + 'T03:00:00Z').toLocaleDateString('pt-BR')} • Total: ${currency.format(venda.total)}</div>
+            <div id="devolucao-itens"></div>
+            <div class="form" style="margin-top:16px;">
+                <div class="field" style="grid-column: span 4"><label>Reembolso</label>
+                    <select id="devolucao-reembolso">
+                        ${contasReceberDaVenda(venda.id).some(c => saldoConta(c) > 0.005) ? `<option value="abatimento">Abater do fiado (${currency.format(contasReceberDaVenda(venda.id).reduce((acc, c) => acc + saldoConta(c), 0))} em aberto)</option>` : ''}
+                        ${cliente ? `<option value="credito">Crédito na loja para ${cliente.nome}</option>` : ''}
+                        ${formasDePagamento.filter(f => !f.aPrazo).map(f => `<option value="pagamento:${f.nome}">Devolver em ${f.nome}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="field" style="grid-column: span 5"><label>Motivo</label><input id="devolucao-motivo" placeholder="Ex: cor errada, lata amassada..." /></div>
+                <div class="field" style="grid-column: span 3"><label>Valor a Reembolsar</label><input id="devolucao-total" disabled /></div>
+                <div class="toolbar" style="grid-column: 1 / -1; justify-content:flex-end; margin-top:8px;">
+                    <button class="btn ghost" data-act="cancelar">Cancelar</button>
+                    <button class="btn" data-act="confirmar">Confirmar Devolução</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    root.querySelector('#devolucao-itens').appendChild(table(
+        ['Produto', 'Vendido', 'Já Devolvido', 'Valor Unitário Pago', 'Devolver Agora'],
+        linhas.map((l, idx) => [
+            `${l.item.nome} <small>(${l.item.codigo || '—'})</small>`,
+            l.item.qtd,
+            jaDevolvido[l.item.id] || 0,
+            currency.format(l.valorUnitario),
+            l.disponivel
+                ? `<input type="number" min="0" max="${l.disponivel}" step="1" value="0" data-i="${idx}" style="width:90px;" />`
+                : '<span class="badge-soft">Devolvido</span>'
+        ])
+    ));
+
+    const quantidadesInformadas = () => $$('input[data-i]', root).map(input => {
+        const linha = linhas[Number(input.dataset.i)];
+        return { id: linha.item.id, qtd: Math.min(Math.max(0, Number(input.value) || 0), linha.disponivel), linha };
+    });
+
+    const calcularTotal = () => {
+        const total = quantidadesInformadas().reduce((acc, q) => acc + q.qtd * q.linha.valorUnitario, 0);
+        root.querySelector('#devolucao-total').value = currency.format(total);
+    };
+
+    root.addEventListener('input', calcularTotal);
+
+    root.addEventListener('click', (e) => {
+        const act = e.target.dataset.act;
+
+        if (act === 'tudo') {
+            $$('input[data-i]', root).forEach(input => input.value = linhas[Number(input.dataset.i)].disponivel);
+            calcularTotal();
+        }
+
+        if (act === 'cancelar') location.hash = '#/vendas/historico';
+
+        if (act === 'confirmar') {
+            const quantidades = quantidadesInformadas();
+            if (!quantidades.some(q => q.qtd > 0)) {
+                toast('Informe a quantidade devolvida de ao menos um item.');
+                return;
+            }
+            const [tipo, formaPagamento] = root.querySelector('#devolucao-reembolso').value.split(':');
+            if (!tipo) {
+                alert('Cadastre uma forma de pagamento em Configurações para reembolsar esta venda.');
+                return;
+            }
+            const devolucao = registrarDevolucao(venda, quantidades, {
+                tipo,
+                formaPagamento,
+                motivo: root.querySelector('#devolucao-motivo').value.trim()
+            });
+            store.save();
+            const mensagens = {
+                credito: `${currency.format(devolucao.total)} de crédito para ${venda.cliente}.`,
+                abatimento: devolucao.creditoLoja
+                    ? `${currency.format(devolucao.total - devolucao.creditoLoja)} abatidos do fiado e ${currency.format(devolucao.creditoLoja)} de crédito na loja.`
+                    : `${currency.format(devolucao.total)} abatidos do fiado.`,
+                pagamento: `Reembolsar ${currency.format(devolucao.total)} em ${formaPagamento}.`
+            };
+            toast(`Devolução ${devolucao.numero} registrada. ${mensagens[tipo]}`, 4000);
+            location.hash = '#/vendas/devolucoes';
+        }
+    });
+
+    calcularTotal();
+    return root;
+}
+
+/**
+ * Renderiza a lista de "Devoluções", com o link para a venda de origem.
+ * @param {string} [busca] - Texto que já vem na pesquisa (ex: o número de uma devolução).
+ */
+function renderDevolucoesView(busca = '') {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-devolucoes" type="text" placeholder="Pesquisar por cliente, devolução, venda ou data (AAAA-MM-DD)..." style="flex: 1;">
+        </div>
+        <div id="devolucoes-table-container"></div>
+    `;
+
+    const container = root.querySelector('#devolucoes-table-container');
+    root.querySelector('#search-devolucoes').value = busca;
+
+    const filterAndRender = () => {
+        const query = root.querySelector('#search-devolucoes').value.toLowerCase().trim();
+        const devolucoes = [...store.data.devolucoes]
+            .sort((a, b) => b.data.localeCompare(a.data))
+            .filter(d => !query ||
+                d.cliente.toLowerCase().includes(query) ||
+                d.numero.toLowerCase().includes(query) ||
+                d.numeroVenda.toLowerCase().includes(query) ||
+                d.data.includes(query)
+            );
+
+        container.innerHTML = '';
+        if (!devolucoes.length) {
+            container.innerHTML = `<div class="empty card">Nenhuma devolução encontrada.</div>`;
+            return;
+        }
+
+        container.appendChild(table(
+            ['Nº Devolução', 'Data', 'Venda', 'Cliente', 'Itens', 'Valor', 'Reembolso', 'Motivo'],
+            devolucoes.map(d => [
+                d.numero,
+                new Date(d.data + 'T03:00:00Z').toLocaleDateString('pt-BR'),
+                store.data.vendas.some(v => v.id === d.vendaId)
+                    ? `<a href="#/vendas/historico/${d.vendaId}" class="badge-info">${d.numeroVenda}</a>`
+                    : d.numeroVenda,
+                d.cliente,
+                d.itens.map(i => `${i.qtd}x ${i.nome}`).join('<br>'),
+                currency.format(d.total),
+                d.tipoReembolso === 'credito' ? '<span class="badge-soft">Crédito na loja</span>'
+                    : d.tipoReembolso === 'abatimento' ? '<span class="badge-info">Abatido do fiado</span>'
+                    : d.formaPagamento,
+                d.motivo || '—'
+            ])
+        ));
+    };
+
+    root.querySelector('#search-devolucoes').addEventListener('input', filterAndRender);
+    filterAndRender();
+
+    return root;
+}
+
+/**
+ * Renderiza a lista de "Orçamentos", com busca, status e a conversão em venda com um clique.
+ */
+function renderOrcamentosView() {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-orcamentos" type="text" placeholder="Pesquisar por cliente, número, data (AAAA-MM-DD) ou status..." style="flex: 1;">
+            <a href="#/vendas/orcamentos/novo" class="btn">Novo Orçamento</a>
+        </div>
+        <div id="orcamentos-table-container"></div>
+    `;
+
+    const container = root.querySelector('#orcamentos-table-container');
+    const badges = { aberto: 'badge-info', aceito: 'badge-soft', expirado: 'badge-warn' };
+    const dataBR = d => new Date(d + 'T03:00:00Z').toLocaleDateString('pt-BR');
+
+    const renderTable = (orcamentos) => {
+        container.innerHTML = '';
+
+        if (!orcamentos.length) {
+            container.innerHTML = `<div class="empty card">Nenhum orçamento encontrado.</div>`;
+            return;
+        }
+
+        const headers = ['Nº Orçamento', 'Data', 'Válido até', 'Cliente', 'Total', 'Status', ''];
+        const rows = orcamentos.map(o => {
+            const status = statusOrcamento(o);
+            const venda = o.vendaId && store.data.vendas.find(v => v.id === o.vendaId);
+            const acoes = status === 'aceito'
+                ? `<span class="muted">${venda ? `Venda ${venda.numeroPedido}` : 'Convertido'}</span>`
+                : `<button class="btn" data-act="converter" data-id="${o.id}">Converter em Venda</button>
+                   <button class="btn secondary" data-act="edit" data-id="${o.id}">Editar</button>`;
+            return [
+                o.numero,
+                dataBR(o.data),
+                o.validade ? dataBR(o.validade) : '—',
+                o.cliente,
+                currency.format(o.total),
+                `<span class="${badges[status]}">${STATUS_ORCAMENTO[status]}</span>`,
+                `<div class="actions">
+                    ${acoes}
+                    <button class="btn danger" data-act="del" data-id="${o.id}">Excluir</button>
+                </div>`
+            ];
+        });
+
+        const tbl = table(headers, rows);
+        container.appendChild(tbl);
+
+        tbl.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-act]');
+            if (!btn) return;
+            const orcamento = store.data.orcamentos.find(o => o.id === btn.dataset.id);
+            if (!orcamento) return;
+
+            if (btn.dataset.act === 'converter') {
+                if (statusOrcamento(orcamento) === 'expirado' && !confirm(`O orçamento ${orcamento.numero} venceu. Os preços podem ter mudado. Deseja convertê-lo em venda mesmo assim?`)) {
+                    return;
+                }
+                const venda = vendaDoOrcamento(orcamento);
+                const bloqueioPrazo = verificarVendaAPrazo(venda);
+                if (bloqueioPrazo) {
+                    alert(bloqueioPrazo);
+                    return;
+                }
+                if (!confirmarFaltasEstoque(diferencaEstoqueVenda([], orcamento.itens), 'Deseja converter o orçamento mesmo assim? O estoque ficará negativo.')) {
+                    return;
+                }
+                converterOrcamentoEmVenda(orcamento, venda);
+                store.save();
+                toast(`Orçamento ${orcamento.numero} convertido na venda ${venda.numeroPedido}.`);
+                location.hash = '#/vendas/historico';
+            }
+
+            if (btn.dataset.act === 'edit') {
+                location.hash = `#/vendas/orcamentos/editar/${orcamento.id}`;
+            }
+
+            if (btn.dataset.act === 'del') {
+                if (confirm(`Deseja mesmo excluir o orçamento ${orcamento.numero}?`)) {
+                    store.data.orcamentos = store.data.orcamentos.filter(o => o.id !== orcamento.id);
+                    store.save();
+                    toast('Orçamento excluído.');
+                    filterAndRender();
+                }
+            }
+        });
+    };
+
+    const filterAndRender = () => {
+        const query = root.querySelector('#search-orcamentos').value.toLowerCase().trim();
+        // Os mais recentes primeiro.
+        const todos = [...store.data.orcamentos].sort((a, b) => b.data.localeCompare(a.data));
+
+        renderTable(!query ? todos : todos.filter(o =>
+            o.cliente.toLowerCase().includes(query) ||
+            o.data.includes(query) ||
+            o.numero.toLowerCase().includes(query) ||
+            STATUS_ORCAMENTO[statusOrcamento(o)].toLowerCase().includes(query)
+        ));
+    };
+
+    root.querySelector('#search-orcamentos').addEventListener('input', filterAndRender);
+    filterAndRender();
+
+    return root;
+}
+
+// --- TELA: Produção (Container com Abas) ---
+addRoute('producao', () => {
+    const root = document.createElement('div');
+    const subView = location.hash.split('/')[2] || 'em-producao';
+
+    root.innerHTML = `
+        <div class="tabs">
+            <a href="#/producao/em-producao" class="tab ${subView === 'em-producao' ? 'active' : ''}">Produção</a>
+            <a href="#/producao/historico" class="tab ${subView === 'historico' ? 'active' : ''}">Histórico de Produção</a>
+            <a href="#/producao/formulas" class="tab ${['formulas', 'versoes'].includes(subView) ? 'active' : ''}">Fórmulas</a>
+            <a href="#/producao/criar" class="tab ${['criar', 'editar-formula'].includes(subView) ? 'active' : ''}">Criar/Editar Fórmula</a>
+            <a href="#/producao/pigmentos" class="tab ${['pigmentos', 'criar-pigmento', 'editar-pigmento', 'movimentos-pigmento'].includes(subView) ? 'active' : ''}">Pigmentos</a>
+            <a href="#/producao/cores" class="tab ${subView === 'cores' ? 'active' : ''}">Cores de Fábrica</a>
+        </div>
+        <div id="producao-content"></div>
+    `;
+
+    const content = root.querySelector('#producao-content');
+
+    // Roteador interno da seção "Produção"
+    if (subView === 'pigmentos') {
+        content.appendChild(renderPigmentosListView());
+    } else if (subView === 'criar-pigmento' || subView === 'editar-pigmento') {
+        const pigmentoId = location.hash.split('/')[3];
+        const pigmentoToEdit = store.data.pigmentos.find(p => p.id === pigmentoId);
+        content.appendChild(renderCriarPigmentoView(pigmentoToEdit));
+    } else if (subView === 'movimentos-pigmento') {
+        const pigmentoId = location.hash.split('/')[3];
+        content.appendChild(renderMovimentosPigmentoView(store.data.pigmentos.find(p => p.id === pigmentoId)));
+    } else if (subView === 'criar' || subView === 'editar-formula') {
+        const formulaId = location.hash.split('/')[3];
+        const formulaToEdit = store.data.formulas.find(f => f.id === formulaId);
+        content.appendChild(renderCriarFormulaView(formulaToEdit));
+    } else if (subView === 'formulas') {
+        // Ex: #/producao/formulas/LA7W já abre a lista filtrada pelo código da cor.
+        // Um '%' solto digitado na URL não é um código válido: a busca usa o texto como veio.
+        const trecho = location.hash.split('/')[3] || '';
+        let busca = trecho;
+        try { busca = decodeURIComponent(trecho); } catch (e) { /* mantém o texto original */ }
+        content.appendChild(renderFormulasListView(busca));
+    } else if (subView === 'versoes') {
+        // Ex: #/producao/versoes/ID_DA_FORMULA
+        const formula = store.data.formulas.find(f => f.id === location.hash.split('/')[3]);
+        content.appendChild(formula ? renderVersoesFormulaView(formula) : renderFormulasListView());
+    } else if (subView === 'cores') {
+        // Ex: #/producao/cores, #/producao/cores/novo ou #/producao/cores/editar/ID
+        const acao = location.hash.split('/')[3];
+        const cor = store.data.codigosCor.find(c => c.id === location.hash.split('/')[4]);
+        content.appendChild(acao === 'novo' || cor ? renderFormCodigoCor(cor) : renderCodigosCorListView());
+    } else if (subView === 'historico') {
+        content.appendChild(renderHistoricoProducaoView());
+    } else { // 'em-producao' é o padrão
+        content.appendChild(renderEmProducaoView());
+    }
+
+    return root;
+});
+
+
+/**
+ * Aba "Pigmentos" (Listagem)
+ */
+function renderPigmentosListView() {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar" style="margin-bottom:16px;">
+            <h2 style="margin:0;">Estoque de Pigmentos</h2>
+            <div class="spacer"></div>
+            <button class="btn" onclick="location.hash='#/producao/criar-pigmento'">Novo Pigmento</button>
+        </div>
+        <div class="card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-pigmentos" type="text" placeholder="Pesquisar por nome ou código do pigmento...">
+        </div>
+        <div id="pigmentos-list-container"></div>
+    `;
+
+    const container = root.querySelector('#pigmentos-list-container');
+    const searchInput = root.querySelector('#search-pigmentos');
+
+    const renderTable = (pigmentos) => {
+        container.innerHTML = '';
+        if (!pigmentos.length) {
+            container.innerHTML = `<div class="empty card">Nenhum pigmento encontrado.</div>`;
+            return;
+        }
+        const headers = ['Nome', 'Código', 'Estoque', 'Densidade (g/ml)', 'Tolerância', 'Preço (por 900 ml ou g)', ''];
+        const rows = pigmentos.map(p => [
+            p.nome,
+            p.codigo,
+            // Sinaliza pigmentos com algum movimento que teria deixado o estoque negativo.
+            `${(p.quantidade / 1000).toFixed(2)} ${unidadePigmento(p.id) === 'g' ? 'kg' : 'L'}${store.data.movimentosPigmentos.some(m => m.pigmentoId === p.id && m.estoqueNegativo) ? ' <span class="badge-warn" title="Há movimentos que deixariam o estoque negativo">Verificar</span>' : ''}`,
+            densidadePigmento(p.id).toFixed(2),
+            p.tolerancia ? `${p.tolerancia} ${p.tipoTolerancia === '%' ? '%' : 'g'}` : '<span class="muted">Padrão</span>',
+            `${currency.format(p.preco)} <small class="muted">/ 900 ${unidadePigmento(p.id)}</small>`,
+            `<div class="actions">
+                <button class="btn secondary" data-act="movimentos" data-id="${p.id}">Movimentos</button>
+                <button class="btn secondary" data-act="editar" data-id="${p.id}">Editar</button>
+                <button class="btn danger" data-act="excluir" data-id="${p.id}">Excluir</button>
+            </div>`
+        ]);
+        const tbl = table(headers, rows);
+        container.appendChild(tbl);
+
+        tbl.addEventListener('click', e => {
+            const btn = e.target.closest('button[data-act]');
+            if (!btn) return;
+            const id = btn.dataset.id;
+            if (btn.dataset.act === 'excluir') {
+                if (confirm('Deseja realmente excluir este pigmento?')) {
+                    store.data.pigmentos = store.data.pigmentos.filter(p => p.id !== id);
+                    store.save();
+                    filterAndRender();
+                }
+            }
+            if (btn.dataset.act === 'editar') {
+                location.hash = `#/producao/editar-pigmento/${id}`;
+            }
+            if (btn.dataset.act === 'movimentos') {
+                location.hash = `#/producao/movimentos-pigmento/${id}`;
+            }
+        });
+    };
+
+    const filterAndRender = () => {
+        const query = searchInput.value.toLowerCase().trim();
+        const todosPigmentos = store.data.pigmentos || [];
+
+        const pigmentosFiltrados = query
+            ? todosPigmentos.filter(p =>
+                p.nome.toLowerCase().includes(query) ||
+                (p.codigo || '').toLowerCase().includes(query)
+            )
+            : todosPigmentos;
+
+        renderTable(pigmentosFiltrados);
+    };
+
+    searchInput.addEventListener('input', filterAndRender);
+    filterAndRender();
+    return root;
+}
+
+
+/**
+ * Aba "Pigmentos" > "Movimentos": entradas, consumos por produção e correções manuais de um pigmento.
+ * @param {object} pigmento - O pigmento cujos movimentos serão exibidos.
+ */
+function renderMovimentosPigmentoView(pigmento) {
+    const root = document.createElement('div');
+    if (!pigmento) {
+        root.innerHTML = `<div class="empty card">Pigmento não encontrado.</div>`;
+        return root;
+    }
+
+    root.innerHTML = `
+        <div class="toolbar" style="margin-bottom:16px;">
+            <div>
+                <h2 style="margin:0;">Movimentos: ${pigmento.nome}</h2>
+                <small>${pigmento.codigo} • Estoque atual: ${(Number(pigmento.quantidade) || 0).toFixed(2)} ${unidadePigmento(pigmento.id)}</small>
+            </div>
+            <div class="spacer"></div>
+            <button class="btn ghost" onclick="location.hash='#/producao/pigmentos'">Voltar para Pigmentos</button>
+        </div>
+        <div id="movimentos-pigmento-container"></div>
+    `;
+
+    const container = root.querySelector('#movimentos-pigmento-container');
+    const movimentos = (store.data.movimentosPigmentos || [])
+        .filter(m => m.pigmentoId === pigmento.id)
+        .sort((a, b) => new Date(b.data) - new Date(a.data));
+
+    if (!movimentos.length) {
+        container.innerHTML = `<div class="empty card">Nenhum movimento registrado para este pigmento.</div>`;
+        return root;
+    }
+
+    const unidade = unidadePigmento(pigmento.id);
+    const headers = ['Data', 'Tipo', 'Origem', 'Motivo', `Quantidade (${unidade})`, `Saldo (${unidade})`, ''];
+    const rows = movimentos.map(m => {
+        // Para consumos, mostramos a produção de origem com a data do registro.
+        const producao = m.producaoId && store.data.producaoHistorico.find(h => h.id === m.producaoId);
+        const origem = producao
+            ? `${producao.nomeFormula} <small class="muted">(produção de ${new Date(producao.data).toLocaleDateString('pt-BR')})</small>`
+            : (m.documento || '—');
+        return [
+            new Date(m.data).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' }),
+            TIPOS_MOVIMENTO_PIGMENTO[m.tipo] || m.tipo,
+            origem,
+            m.motivo || '—',
+            `${m.quantidade > 0 ? '+' : ''}${m.quantidade.toFixed(2)}`,
+            m.saldo.toFixed(2),
+            m.estoqueNegativo ? '<span class="badge-warn">Estoque negativo</span>' : ''
+        ];
+    });
+    container.appendChild(table(headers, rows));
+    return root;
+}
+
+/**
+ * Aba "Criar/Editar Pigmento"
+ */
+function renderCriarPigmentoView(pigmentoToEdit) {
+    const isEditing = !!pigmentoToEdit;
+    const unidadeAtual = pigmentoToEdit?.unidade === 'g' ? 'g' : 'ml';
+
+    // Usamos nosso formulário genérico para simplificar
+    const config = {
+        title: isEditing ? 'Editar Pigmento' : 'Novo Pigmento',
+        data: pigmentoToEdit,
+        fields: [
+            { key: 'nome', label: 'Nome do Pigmento', span: 6 },
+            { key: 'codigo', label: 'Código', span: 6 },
+            // A unidade de estoque não muda depois do cadastro: os movimentos já lançados estão nela.
+            {
+                key: 'unidade', label: 'Unidade de Estoque', span: 3,
+                html: `<select data-key="unidade" ${isEditing ? 'disabled' : ''}>
+                    <option value="ml" ${unidadeAtual === 'ml' ? 'selected' : ''}>ml (volume)</option>
+                    <option value="g" ${unidadeAtual === 'g' ? 'selected' : ''}>g (peso)</option>
+                </select>`
+            },
+            { key: 'densidade', label: 'Densidade (g/ml)', type: 'number', span: 3, placeholder: 'Ex: 1.25' },
+            { key: 'quantidade', label: 'Quantidade em Estoque (ml ou g)', type: 'number', span: 3, placeholder: 'Ex: 5000 para 5L' },
+            { key: 'preco', label: 'Preço (por 900 ml ou g)', type: 'number', span: 3, placeholder: 'Custo para uma lata base' },
+            { key: 'tolerancia', label: 'Tolerância de Excesso na Pesagem', type: 'number', span: 3, placeholder: 'Vazio: resolução da balança' },
+            {
+                key: 'tipoTolerancia', label: 'Tolerância em', span: 3,
+                html: `<select data-key="tipoTolerancia">
+                    <option value="g" ${pigmentoToEdit?.tipoTolerancia !== '%' ? 'selected' : ''}>g (fixa)</option>
+                    <option value="%" ${pigmentoToEdit?.tipoTolerancia === '%' ? 'selected' : ''}>% da quantidade</option>
+                </select>`
+            },
+            // O motivo só é pedido na edição, quando a quantidade em estoque for corrigida à mão.
+            ...(isEditing ? [{ key: 'motivo', label: 'Motivo da correção de estoque', span: 12, placeholder: 'Obrigatório se a quantidade for alterada. Ex: contagem física' }] : []),
+        ],
+        onSave: (item) => {
+            // Converte os valores para número para garantir consistência
+            const novaQuantidade = Number(item.quantidade) || 0;
+            const quantidadeAnterior = isEditing ? (Number(pigmentoToEdit.quantidade) || 0) : 0;
+            const motivo = (item.motivo || '').trim();
+            delete item.motivo; // O motivo fica no movimento, não no cadastro do pigmento.
+            item.preco = Number(item.preco);
+            item.unidade = item.unidade === 'g' ? 'g' : 'ml';
+            // Sem densidade informada, vale a da água (1 g/ml).
+            item.densidade = Number(item.densidade) > 0 ? Number(item.densidade) : 1;
+            item.tolerancia = Number(item.tolerancia) > 0 ? Number(item.tolerancia) : '';
+
+            if (isEditing && novaQuantidade !== quantidadeAnterior && !motivo) {
+                alert('Informe o motivo da correção de estoque.');
+                return;
+            }
+
+            // A quantidade não é sobrescrita direto: a diferença vira um movimento do pigmento.
+            item.quantidade = quantidadeAnterior;
+            if (novaQuantidade !== quantidadeAnterior) {
+                if (isEditing) {
+                    movimentarEstoquePigmento(item, novaQuantidade - quantidadeAnterior, 'ajuste', { descricao: 'Correção no cadastro', motivo });
+                } else {
+                    movimentarEstoquePigmento(item, novaQuantidade, 'entrada', { descricao: 'Estoque inicial' });
+                }
+            }
+
+            if (isEditing) {
+                const index = store.data.pigmentos.findIndex(p => p.id === item.id);
+                store.data.pigmentos[index] = item;
+            } else {
+                store.data.pigmentos.push(item);
+            }
+            store.save();
+            toast('Pigmento salvo com sucesso!');
+            location.hash = '#/producao/pigmentos';
+        },
+        onCancel: () => location.hash = '#/producao/pigmentos'
+    };
+
+    return genericForm(config);
+}
+
+/**
+ * Aba "Criar/Editar Fórmula"
+ * @param {object} formulaToEdit - A fórmula a ser editada (opcional).
+ */
+function renderCriarFormulaView(formulaToEdit) {
+    const isEditing = !!formulaToEdit;
+    const root = document.createElement('div');
+    root.className = 'formula-grid';
+
+    // A variável que guarda os pigmentos da fórmula.
+    let pigmentosDaFormula = isEditing ? JSON.parse(JSON.stringify(formulaToEdit.pigmentos)) : [];
+    // Unidade em que as quantidades são escritas ('ml' ou 'g'); só ela é guardada em cada linha.
+    let unidadeFormula = formulaToEdit?.unidade === 'g' ? 'g' : 'ml';
+
+    // Função central para calcular e exibir o custo total da fórmula.
+    function calcularEExibirCustoTotal() {
+        const totalEl = root.querySelector('#formula-valor-total');
+        if (!totalEl) return;
+        // O custo é calculado na unidade de estoque de cada pigmento.
+        totalEl.textContent = currency.format(custoPigmentos(pigmentosDaFormula));
+    }
+
+    // Texto da quantidade convertida para a outra unidade. Ex: '≈ 12.00 g'
+    function conversaoDaLinha(p) {
+        const outra = unidadeFormula === 'g' ? 'ml' : 'g';
+        return `≈ ${quantidadeNaUnidade(p, outra).toFixed(2)} ${outra}`;
+    }
+
+    // Função interna que desenha a lista de pigmentos na tela.
+    function renderPigmentosNaFormula() {
+        const container = root.querySelector('#pigmentos-formula-container');
+        container.innerHTML = '';
+
+        // O 'if' e o 'forEach' agora usam a variável correta: 'pigmentosDaFormula'
+        if (!pigmentosDaFormula.length) {
+            container.innerHTML = '<div class="muted" style="text-align:center;">Busque e adicione pigmentos à fórmula.</div>';
+        } else {
+            pigmentosDaFormula.forEach((p, index) => {
+                const row = document.createElement('div');
+                // Usamos a classe base e a modificadora para o layout correto de 5 colunas
+                row.className = 'pigmento-row pigmento-row--formula';
+
+                const pigmentoBase = store.data.pigmentos.find(base => base.id === p.id);
+                let custoDoPigmentoHtml = 'Preço indisponível';
+                if (pigmentoBase && pigmentoBase.preco) {
+                    custoDoPigmentoHtml = currency.format(custoPigmentos([p]));
+                }
+
+                // O HTML da linha agora está completo, com 5 colunas de conteúdo
+                row.innerHTML = `
+                    <div class="pigmento-nome">${p.nome} <small>(${p.codigo})</small></div>
+                    <div class="pigmento-valor">
+                        <input type="number" min="0.01" step="0.01" data-index="${index}" data-key="quantidade" value="${Number(quantidadeNaUnidade(p, unidadeFormula).toFixed(4))}" style="width: 80px; text-align: right;" />
+                    </div>
+                    <div class="pigmento-total">${unidadeFormula} <small class="muted" data-conversao>${conversaoDaLinha(p)}</small></div>
+                    <div class="pigmento-preco" style="font-weight: 500;">${custoDoPigmentoHtml}</div>
+                    <div class="pigmento-acao">
+                        <button class="btn danger" data-action="remove-pigmento" data-index="${index}">Remover</button>
+                    </div>
+                `;
+                container.appendChild(row);
+            });
+        }
+
+        // A chamada para calcular o custo total é feita aqui, após a lista ser redesenhada
+        calcularEExibirCustoTotal();
+    }
+
+    // HTML principal da tela.
+    // Dividimos o conteúdo em duas colunas: 'leftColumnHtml' e 'rightColumnHtml'.
+
+    // Coluna da esquerda: Formulário da fórmula e lista de pigmentos na fórmula.
+    const leftColumnHtml = `
+        <div class="card">
+            <div class="toolbar" style="justify-content:space-between; margin-bottom:10px;">
+                <h2 style="margin:0">${isEditing ? `Editar Fórmula <small class="muted">v${formulaToEdit.versao || 1}</small>` : 'Criar Nova Fórmula'}</h2>
+                <button class="btn" data-action="salvar-formula">${isEditing ? 'Salvar Nova Versão' : 'Salvar Fórmula'}</button>
+            </div>
+            <div class="form">
+                <div class="field" style="grid-column: span 4"><label>Nome da Fórmula</label><input id="f-nome" value="${formulaToEdit?.nome || ''}"></div>
+                <div class="field" style="grid-column: span 2"><label>Código</label><input id="f-codigo" value="${formulaToEdit?.codigo || ''}"></div>
+                <div class="field" style="grid-column: span 2"><label>Base (ml)</label><input id="f-base" type="number" value="${formulaToEdit?.base || 900}"></div>
+                <div class="field" style="grid-column: span 2">
+                    <label>Quantidades em</label>
+                    <select id="f-unidade">
+                        <option value="ml" ${unidadeFormula === 'ml' ? 'selected' : ''}>ml</option>
+                        <option value="g" ${unidadeFormula === 'g' ? 'selected' : ''}>g</option>
+                    </select>
+                </div>
+                <div class="field" style="grid-column: span 2; text-align: right;">
+                    <label>Valor Total da Fórmula</label>
+                    <div id="formula-valor-total" style="font-size: 1.5em; font-weight: 600; color: var(--primary);">${currency.format(0)}</div>
+                </div>
+                <div class="field" style="grid-column: span 6">
+                    <label>Cor de fábrica (catálogo)</label>
+                    <select id="f-codigo-cor">
+                        <option value="">Nenhuma</option>
+                        ${store.data.codigosCor.map(c => `<option value="${c.id}" ${formulaToEdit?.codigoCorId === c.id ? 'selected' : ''}>${descricaoCodigoCor(c)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="field" style="grid-column: span 6">
+                    <label>Produto gerado (entra no estoque ao finalizar a produção)</label>
+                    <select id="f-produto">
+                        <option value="">Nenhum</option>
+                        ${store.data.produtos.map(p => `<option value="${p.id}" ${formulaToEdit?.produtoId === p.id ? 'selected' : ''}>${p.nome} (${p.codigo || '—'})</option>`).join('')}
+                    </select>
+                </div>
+                <div class="field" style="grid-column: span 4">
+                    <label>Autor da Alteração</label>
+                    <input id="f-autor" value="${localStorage.getItem('gestao-tintas:autor') || ''}" placeholder="Quem está salvando">
+                </div>
+                <div class="field" style="grid-column: span 8">
+                    <label>Nota da Versão</label>
+                    <input id="f-nota" placeholder="${isEditing ? 'Ex: Ajuste de tonalidade, menos vermelho' : 'Versão inicial'}">
+                </div>
+            </div>
+
+            <div class="toolbar" style="margin-top:20px; border-top:1px solid var(--border); padding-top:10px;">
+                <h3>Pigmentos na Fórmula</h3>
+            </div>
+            <div id="pigmentos-formula-container" style="display:flex; flex-direction:column; gap:8px; margin-top:10px;">
+                </div>
+        </div>
+    `;
+
+    // Coluna da direita: Busca e adição de pigmentos.
+    const rightColumnHtml = `
+        <div class="card">
+            <label>Adicionar Pigmento à Fórmula</label>
+            <input id="pigmento-search" placeholder="Digite o nome ou código do pigmento..." style="width:100%; margin-top:8px;">
+            <div id="pigmento-search-results" style="margin-top:8px;"></div>
+        </div>
+    `;
+
+    // Juntamos as duas colunas dentro do elemento raiz 'root'.
+    root.innerHTML = `
+        <div>${leftColumnHtml}</div>
+        <div>${rightColumnHtml}</div>
+    `;
+
+    // Chamada inicial para desenhar a lista (importante para o modo de edição).
+    renderPigmentosNaFormula();
+
+    // Listener para o campo de busca de pigmentos.
+    root.querySelector('#pigmento-search').addEventListener('input', e => {
+        const query = e.target.value.toLowerCase().trim();
+        const resultsContainer = root.querySelector('#pigmento-search-results');
+        resultsContainer.innerHTML = '';
+        if (query.length < 2) return;
+
+        const results = store.data.pigmentos.filter(p => p.nome.toLowerCase().includes(query) || p.codigo.toLowerCase().includes(query));
+        results.forEach(p => {
+            const row = document.createElement('div');
+            row.className = 'prod-row search-result';
+            row.innerHTML = `<div><strong>${p.nome}</strong> <small>(${p.codigo})</small></div><button class="btn secondary" data-id="${p.id}">Adicionar</button>`;
+            row.querySelector('button').addEventListener('click', () => {
+                if (pigmentosDaFormula.some(pf => pf.id === p.id)) {
+                    toast('Este pigmento já está na fórmula.');
+                    return;
+                }
+                // Adiciona o pigmento selecionado à lista da fórmula.
+                pigmentosDaFormula.push({ id: p.id, nome: p.nome, codigo: p.codigo, [unidadeFormula]: 0 });
+                // E o mais importante: chama a função para redesenhar a lista na tela.
+                renderPigmentosNaFormula();
+                resultsContainer.innerHTML = ''; // Limpa os resultados
+                e.target.value = ''; // Limpa o campo de busca
+            });
+            resultsContainer.appendChild(row);
+        });
+    });
+
+    // Listener para as ações de salvar, remover, etc.
+    root.addEventListener('click', e => {
+        const action = e.target.dataset.action;
+        if (action === 'remove-pigmento') {
+            pigmentosDaFormula.splice(e.target.dataset.index, 1);
+            renderPigmentosNaFormula();
+        }
+        if (action === 'salvar-formula') {
+            const valorTotalCalculado = custoPigmentos(pigmentosDaFormula);
+
+            const formula = {
+                id: formulaToEdit?.id || uuid(),
+                nome: root.querySelector('#f-nome').value,
+                codigo: root.querySelector('#f-codigo').value,
+                base: Number(root.querySelector('#f-base').value) || 900,
+                unidade: unidadeFormula,
+                produtoId: root.querySelector('#f-produto').value || null,
+                codigoCorId: root.querySelector('#f-codigo-cor').value || null,
+                pigmentos: pigmentosDaFormula,
+                valorTotal: valorTotalCalculado,
+                // As versões anteriores vão junto; a nova é acrescentada abaixo.
+                versoes: formulaToEdit?.versoes || []
+            };
+            if (!formula.nome || !formula.pigmentos.length) {
+                alert('O nome da fórmula e ao menos um pigmento são obrigatórios.');
+                return;
+            }
+            // Um pigmento sem quantidade não tem o que pesar (e quebraria a proporção da correção de excesso).
+            const semQuantidade = formula.pigmentos.filter(p => !(Number(p[unidadeFormula]) > 0));
+            if (semQuantidade.length) {
+                alert(`Informe uma quantidade maior que zero para: ${semQuantidade.map(p => p.nome).join(', ')}.`);
+                return;
+            }
+            const autor = root.querySelector('#f-autor').value.trim();
+            if (!autor) {
+                alert('Informe o autor da alteração.');
+                return;
+            }
+            // Salvar sem mudar nada não cria uma versão nova.
+            if (isEditing && !formulaMudou(formulaToEdit, formula)) {
+                toast('Nenhuma alteração na fórmula.');
+                location.hash = '#/producao/formulas';
+                return;
+            }
+            localStorage.setItem('gestao-tintas:autor', autor);
+            const nota = root.querySelector('#f-nota').value.trim() || (isEditing ? '' : 'Versão inicial');
+            registrarVersaoFormula(formula, { autor, nota });
+            if (isEditing) {
+                const index = store.data.formulas.findIndex(f => f.id === formula.id);
+                store.data.formulas[index] = formula;
+            } else {
+                store.data.formulas.push(formula);
+            }
+            store.save();
+            toast(`Fórmula salva (versão ${formula.versao}).`);
+            location.hash = '#/producao/formulas';
+        }
+    });
+
+    // Trocar a unidade converte as quantidades já digitadas pela densidade de cada pigmento.
+    root.querySelector('#f-unidade').addEventListener('change', e => {
+        const novaUnidade = e.target.value;
+        pigmentosDaFormula = pigmentosDaFormula.map(({ ml, g, ...p }) =>
+            ({ ...p, [novaUnidade]: Number(quantidadeNaUnidade({ ...p, ml, g }, novaUnidade).toFixed(4)) }));
+        unidadeFormula = novaUnidade;
+        renderPigmentosNaFormula();
+    });
+
+    // Listener para atualizar a quantidade e os preços em tempo real.
+    root.addEventListener('input', e => {
+        const { key, index } = e.target.dataset;
+        // Verifica se o input alterado foi um campo de quantidade
+        if (key === 'quantidade' && index !== undefined) {
+            // 1. Atualiza o dado na memória, guardando só a unidade em que a fórmula é escrita.
+            const { ml, g, ...pigmento } = pigmentosDaFormula[index];
+            pigmentosDaFormula[index] = { ...pigmento, [unidadeFormula]: Number(e.target.value) || 0 };
+
+            // 2. Encontra a linha específica (o elemento <div> pai) que está sendo editada.
+            const row = e.target.closest('.pigmento-row');
+            if (!row) return; // Se não encontrar a linha, não faz nada.
+
+            // 3. Atualiza a conversão e o preço APENAS daquela linha.
+            row.querySelector('[data-conversao]').textContent = conversaoDaLinha(pigmentosDaFormula[index]);
+            const precoEl = row.querySelector('.pigmento-preco');
+            const pigmentoBase = store.data.pigmentos.find(base => base.id === pigmentosDaFormula[index].id);
+            if (precoEl && pigmentoBase && pigmentoBase.preco) {
+                precoEl.textContent = currency.format(custoPigmentos([pigmentosDaFormula[index]]));
+            }
+
+            // 4. Recalcula e atualiza o total geral (esta função já existe e só atualiza o total).
+            calcularEExibirCustoTotal();
+        }
+    });
+
+    return root;
+}
+
+
+/**
+ * Aba "Fórmulas" (Listagem)
+ */
+function renderFormulasListView(buscaInicial = '') {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar" style="margin-bottom:16px;">
+            <h2 style="margin:0;">Fórmulas Cadastradas</h2>
+            <div class="spacer"></div>
+            <button class="btn" onclick="location.hash='#/producao/criar'">Nova Fórmula</button>
+        </div>
+        <div class="card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-formulas" type="text" placeholder="Pesquisar por fórmula, montadora, modelo ou código da cor (ex: LA7W ou gol prata)...">
+        </div>
+        <div id="formulas-list-container"></div>
+    `;
+
+    const formulasContainer = root.querySelector('#formulas-list-container');
+    const searchInput = root.querySelector('#search-formulas');
+    // O texto vem da URL: vai pelo value, nunca pelo HTML.
+    searchInput.value = buscaInicial;
+    formulasContainer.className = 'card';
+
+    const renderList = (formulas) => {
+        formulasContainer.innerHTML = '';
+        if (!formulas.length) {
+            formulasContainer.innerHTML = `<div class="empty card">Nenhuma fórmula encontrada.</div>`;
+            return;
+        }
+        // 1. Cria o cabeçalho da lista.
+        const headerRow = document.createElement('div');
+        headerRow.className = 'formula-row header'; // Adiciona a classe 'header' para o estilo
+        headerRow.innerHTML = `
+            <div>Nome</div>
+            <div>Código</div>
+            <div>Cor de Fábrica</div>
+            <div>Base</div>
+            <div>Nº Pigmentos</div>
+            <div class="actions">Ações</div>
+        `;
+        formulasContainer.appendChild(headerRow);
+
+        // 2. Cria as linhas de dados, também usando a nova classe.
+        formulas.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'formula-row';
+            row.innerHTML = `
+                <div>${item.nome} <small class="muted">v${item.versao || 1}</small></div>
+                <div>${item.codigo || '—'}</div>
+                <div>${descricaoCodigoCor(codigoCorDaFormula(item)) || '—'}</div>
+                <div>${item.base} ${item.unidade}</div>
+                <div>${item.pigmentos.length}</div>
+                <div class="actions">
+                    <button class="btn" data-act="produzir" data-id="${item.id}">Produzir</button>
+                    <button class="btn secondary" data-act="editar" data-id="${item.id}">Editar</button>
+                    <button class="btn secondary" data-act="versoes" data-id="${item.id}">Versões</button>
+                    <button class="btn danger" data-act="excluir" data-id="${item.id}">Excluir</button>
+                </div>
+            `;
+            formulasContainer.appendChild(row);
+        });
+
+        // 3. Lógica de eventos para os botões
+        formulasContainer.addEventListener('click', e => {
+            const btn = e.target.closest('button[data-act]');
+            if (!btn) return;
+            const id = btn.dataset.id;
+            if (btn.dataset.act === 'excluir') {
+                if (confirm('Deseja realmente excluir esta fórmula?')) {
+                    store.data.formulas = store.data.formulas.filter(f => f.id !== id);
+                    store.save();
+                    navigate();
+                }
+            }
+            if (btn.dataset.act === 'editar') {
+                location.hash = `#/producao/editar-formula/${id}`;
+            }
+            if (btn.dataset.act === 'versoes') {
+                location.hash = `#/producao/versoes/${id}`;
+            }
+            if (btn.dataset.act === 'produzir') {
+                sessionStorage.setItem('formulaEmProducaoId', id);
+                location.hash = '#/producao/em-producao';
+            }
+        });
+    };
+
+    const filterAndRender = () => {
+        const query = searchInput.value.toLowerCase().trim();
+        const todasFormulas = store.data.formulas || [];
+
+        const formulasFiltradas = query
+            ? todasFormulas.filter(f => formulaCorrespondeBusca(f, query))
+            : todasFormulas;
+
+        renderList(formulasFiltradas);
+    };
+
+
+    searchInput.addEventListener('input', filterAndRender);
+    filterAndRender();
+    return root;
+}
+
+/**
+ * Versões de uma fórmula: lista todas as versões (autor, data e nota), compara os pigmentos
+ * entre duas delas e permite restaurar uma versão antiga (o que gera uma versão nova).
+ */
+function renderVersoesFormulaView(formula) {
+    const root = document.createElement('div');
+    const versoes = formula.versoes || [];
+    const atual = formula.versao || versoes[versoes.length - 1]?.versao;
+    let versaoA = versoes.length > 1 ? versoes[versoes.length - 2].versao : atual;
+    let versaoB = atual;
+
+    const opcoesVersao = (selecionada) => versoes.map(v =>
+        `<option value="${v.versao}" ${v.versao === selecionada ? 'selected' : ''}>v${v.versao} — ${new Date(v.data).toLocaleDateString('pt-BR')}</option>`
+    ).join('');
+
+    const rotuloSituacao = {
+        adicionado: '<span class="badge-soft">Adicionado</span>',
+        removido: '<span class="badge-danger">Removido</span>',
+        alterado: '<span class="badge-warn">Alterado</span>',
+        igual: '<span class="muted">Igual</span>'
+    };
+
+    function renderComparacao() {
+        const container = root.querySelector('#versoes-diff');
+        const a = versaoDaFormula(formula, versaoA);
+        const b = versaoDaFormula(formula, versaoB);
+        container.innerHTML = '';
+        if (!a || !b) return;
+
+        // Mudanças nos dados gerais da fórmula (nome, código, base e unidade).
+        const camposGerais = [['nome', 'Nome'], ['codigo', 'Código'], ['base', 'Base (ml)'], ['unidade', 'Unidade']]
+            .filter(([campo]) => String(a[campo] ?? '') !== String(b[campo] ?? ''))
+            .map(([campo, rotulo]) => `<li>${rotulo}: <s>${a[campo] || '—'}</s> → <strong>${b[campo] || '—'}</strong></li>`).join('');
+        if (camposGerais) container.insertAdjacentHTML('beforeend', `<ul style="margin:0 0 12px;">${camposGerais}</ul>`);
+
+        const linhas = diferencasVersoesFormula(a, b).map(d => [
+            `${d.nome} <small>(${d.codigo})</small>`,
+            `${d.qtdA.toFixed(2)} ${d.unidade}`,
+            `${d.qtdB.toFixed(2)} ${d.unidade}`,
+            `${d.qtdB - d.qtdA > 0 ? '+' : ''}${(d.qtdB - d.qtdA).toFixed(2)} ${d.unidade}`,
+            rotuloSituacao[d.situacao]
+        ]);
+        container.appendChild(table(['Pigmento', `v${a.versao}`, `v${b.versao}`, 'Diferença', 'Situação'], linhas));
+    }
+
+    root.innerHTML = `
+        <div class="toolbar" style="margin-bottom:16px;">
+            <h2 style="margin:0;">Versões: ${formula.nome}</h2>
+            <div class="spacer"></div>
+            <button class="btn ghost" onclick="location.hash='#/producao/formulas'">Voltar para Fórmulas</button>
+        </div>
+        <div id="versoes-lista"></div>
+        <div class="card" style="margin-top:16px;">
+            <div class="toolbar" style="margin-bottom:10px;">
+                <h3>Comparar Versões</h3>
+                <div class="spacer"></div>
+                <select id="versao-a" style="width:auto;">${opcoesVersao(versaoA)}</select>
+                <span>→</span>
+                <select id="versao-b" style="width:auto;">${opcoesVersao(versaoB)}</select>
+            </div>
+            <div id="versoes-diff"></div>
+        </div>
+    `;
+
+    const linhasVersoes = [...versoes].reverse().map(v => [
+        `<strong>v${v.versao}</strong>${v.versao === atual ? ' <span class="badge-soft">Atual</span>' : ''}`,
+        new Date(v.data).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' }),
+        v.autor || '—',
+        v.nota || '—',
+        v.pigmentos.length,
+        currency.format(custoPigmentos(v.pigmentos)),
+        v.versao === atual ? '' : `<div class="actions"><button class="btn secondary" data-act="restaurar" data-versao="${v.versao}">Restaurar</button></div>`
+    ]);
+    const listaEl = root.querySelector('#versoes-lista');
+    listaEl.appendChild(table(['Versão', 'Data', 'Autor', 'Nota', 'Pigmentos', 'Custo Atual', ''], linhasVersoes));
+
+    root.addEventListener('change', e => {
+        if (e.target.id === 'versao-a') versaoA = Number(e.target.value);
+        if (e.target.id === 'versao-b') versaoB = Number(e.target.value);
+        renderComparacao();
+    });
+
+    // Restaurar não apaga nada: a versão antiga vira uma versão nova no topo do histórico.
+    listaEl.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-act="restaurar"]');
+        if (!btn) return;
+        const antiga = versaoDaFormula(formula, btn.dataset.versao);
+        if (!confirm(`Restaurar a versão ${antiga.versao}? Ela será salva como uma nova versão da fórmula.`)) return;
+        CAMPOS_VERSAO_FORMULA.forEach(campo => formula[campo] = JSON.parse(JSON.stringify(antiga[campo] ?? null)));
+        formula.valorTotal = custoPigmentos(formula.pigmentos);
+        const versao = registrarVersaoFormula(formula, {
+            autor: localStorage.getItem('gestao-tintas:autor') || '',
+            nota: `Restaurada da versão ${antiga.versao}`
+        });
+        store.save();
+        toast(`Versão ${antiga.versao} restaurada como versão ${versao}.`);
+        navigate();
+    });
+
+    renderComparacao();
+    return root;
+}
+
+/**
+ * Aba "Cores de Fábrica" (Listagem do catálogo de códigos de cor das montadoras)
+ */
+function renderCodigosCorListView() {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar" style="margin-bottom:16px;">
+            <h2 style="margin:0;">Catálogo de Cores de Fábrica</h2>
+            <div class="spacer"></div>
+            <button class="btn" onclick="location.hash='#/producao/cores/novo'">Nova Cor</button>
+        </div>
+        <div class="card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-cores" type="text" placeholder="Pesquisar por montadora, código, nome da cor ou modelo...">
+        </div>
+        <div id="cores-list-container"></div>
+    `;
+
+    const container = root.querySelector('#cores-list-container');
+    const searchInput = root.querySelector('#search-cores');
+
+    const renderTable = (cores) => {
+        container.innerHTML = '';
+        if (!cores.length) {
+            container.innerHTML = `<div class="empty card">Nenhuma cor encontrada.</div>`;
+            return;
+        }
+        const headers = ['Montadora', 'Código', 'Nome da Cor', 'Anos', 'Modelos', 'Fórmulas', ''];
+        const rows = cores.map(c => [
+            c.montadora,
+            `<strong>${c.codigo}</strong>`,
+            c.nomeCor,
+            faixaAnosCor(c) || '—',
+            c.modelos || '—',
+            store.data.formulas.filter(f => f.codigoCorId === c.id).length,
+            `<div class="actions"><button class="btn" data-act="formulas" data-id="${c.id}">Ver Fórmulas</button><button class="btn secondary" data-act="edit" data-id="${c.id}">Editar</button><button class="btn danger" data-act="del" data-id="${c.id}">Excluir</button></div>`
+        ]);
+        const tbl = table(headers, rows);
+        container.appendChild(tbl);
+
+        tbl.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-act]');
+            if (!btn) return;
+            const cor = store.data.codigosCor.find(c => c.id === btn.dataset.id);
+            if (btn.dataset.act === 'formulas') location.hash = `#/producao/formulas/${encodeURIComponent(cor.codigo)}`;
+            if (btn.dataset.act === 'edit') location.hash = `#/producao/cores/editar/${cor.id}`;
+            if (btn.dataset.act === 'del') {
+                if (confirm(`Excluir a cor ${cor.codigo}? As fórmulas ligadas a ela continuam cadastradas, apenas sem a cor de fábrica.`)) {
+                    store.data.codigosCor = store.data.codigosCor.filter(c => c.id !== cor.id);
+                    store.data.formulas.forEach(f => { if (f.codigoCorId === cor.id) f.codigoCorId = null; });
+                    store.save();
+                    toast('Cor excluída.');
+                    filterAndRender();
+                }
+            }
+        });
+    };
+
+    const filterAndRender = () => {
+        const query = searchInput.value.trim();
+        const todasCores = store.data.codigosCor || [];
+        renderTable(query
+            ? todasCores.filter(c => termosNoTexto(query, [c.montadora, c.codigo, c.nomeCor, c.modelos].join(' ')))
+            : todasCores);
+    };
+
+    searchInput.addEventListener('input', filterAndRender);
+    filterAndRender();
+    return root;
+}
+
+// Formulário de uma cor do catálogo de cores de fábrica.
+function renderFormCodigoCor(cor) {
+    return genericForm({
+        title: cor ? 'Editar Cor de Fábrica' : 'Nova Cor de Fábrica',
+        data: cor,
+        fields: [
+            { key: 'montadora', label: 'Montadora', span: 4, placeholder: 'Ex: Volkswagen' },
+            { key: 'codigo', label: 'Código da Cor', span: 4, placeholder: 'Ex: LA7W' },
+            { key: 'nomeCor', label: 'Nome da Cor', span: 4, placeholder: 'Ex: Prata Sargas' },
+            { key: 'anoInicio', label: 'Ano Inicial', type: 'number', span: 3 },
+            { key: 'anoFim', label: 'Ano Final (vazio = atual)', type: 'number', span: 3 },
+            { key: 'modelos', label: 'Modelos', span: 6, placeholder: 'Ex: Gol, Polo, Voyage' },
+        ],
+        onSave: (item) => {
+            item.montadora = item.montadora.trim();
+            item.codigo = item.codigo.trim().toUpperCase();
+            if (!item.montadora || !item.codigo || !item.nomeCor.trim()) {
+                alert('Montadora, código e nome da cor são obrigatórios.');
+                return;
+            }
+            item.anoInicio = Number(item.anoInicio) || null;
+            item.anoFim = Number(item.anoFim) || null;
+            if (item.anoInicio && item.anoFim && item.anoFim < item.anoInicio) {
+                alert('O ano final não pode ser menor que o ano inicial.');
+                return;
+            }
+            // O mesmo código pode existir em montadoras diferentes, mas não duas vezes na mesma.
+            const duplicada = store.data.codigosCor.find(c => c.id !== item.id
+                && c.codigo === item.codigo && c.montadora.toLowerCase() === item.montadora.toLowerCase());
+            if (duplicada) {
+                alert(`A cor ${item.codigo} da ${item.montadora} já está no catálogo.`);
+                return;
+            }
+            if (cor) {
+                const index = store.data.codigosCor.findIndex(c => c.id === item.id);
+                store.data.codigosCor[index] = item;
+            } else {
+                store.data.codigosCor.push(item);
+            }
+            store.save();
+            toast('Cor salva no catálogo.');
+            location.hash = '#/producao/cores';
+        },
+        onCancel: () => location.hash = '#/producao/cores'
+    });
+}
+
+/**
+ * Aba "Produção" (pesagem pela balança IoT ou pelo simulador)
+ */
+let balancaProducao = null; // Conexão com a balança aberta pela tela de produção
+function renderEmProducaoView() {
+    const root = document.createElement('div');
+    // Cada vez que a tela é desenhada, a conexão anterior com a balança é fechada.
+    balancaProducao?.desconectar();
+    balancaProducao = null;
+    // Verifica se há um estado de produção para ser retomado
+    const resumeStateRaw = sessionStorage.getItem('resumeProductionState');
+    sessionStorage.removeItem('resumeProductionState'); // Limpa para não recarregar de novo
+    const resumeState = resumeStateRaw ? JSON.parse(resumeStateRaw) : null;
+
+    // Guardamos o ID do histórico que está sendo retomado (se houver).
+    const historicoEntryId = resumeState?.historicoEntryId; // <<<< ADICIONADO
+
+    // Se estivermos retomando, usamos o formulaId do estado salvo. Senão, pegamos o novo.
+    const formulaId = resumeState?.formulaId || sessionStorage.getItem('formulaEmProducaoId');
+    const formulaAtual = store.data.formulas.find(f => f.id === formulaId);
+    // Uma produção retomada continua com a versão da receita em que começou, mesmo que a fórmula tenha mudado.
+    const versaoRetomada = resumeState?.versaoFormula && versaoDaFormula(formulaAtual, resumeState.versaoFormula);
+    const formula = versaoRetomada ? { ...formulaAtual, ...versaoRetomada } : formulaAtual;
+
+
+    // Estado 1: Nenhuma fórmula em produção
+    if (!formula) {
+        root.innerHTML = `
+            <div class="empty card">
+                <h3>Nenhuma produção em andamento</h3>
+                <p>Selecione uma fórmula para iniciar a pesagem.</p>
+                <button class="btn" onclick="location.hash='#/producao/formulas'">Selecionar Fórmula</button>
+            </div>
+        `;
+        return root;
+    }
+
+    // Estado 2: Fórmula carregada, aguardando início
+    // A receita é escalada do volume base da fórmula para o volume pedido (por padrão, uma lata da base).
+    const base = Number(formula.base) || 900;
+    let volume = resumeState?.volume || base;
+    let fator = volume / base;
+    // A balança lê gramas: 'restante' é o que falta despejar, em g.
+    const pigmentosEscalados = () => escalarFormula(formula, volume).pigmentos.map(p => ({ ...p, restante: p.g, status: 'pendente' }));
+
+    // Se estivermos retomando, 'pigmentosEmProducao' começa com o estado salvo.
+    // Senão, começa do zero.
+    let pigmentosEmProducao = resumeState?.pigmentosEmProducao || pigmentosEscalados();
+    // Encontra o índice do primeiro pigmento que ainda não foi concluído.
+    let pigmentoAtualIndex = pigmentosEmProducao.findIndex(p => p.restante > 0 && p.status === 'pendente');
+    if (pigmentoAtualIndex === -1) pigmentoAtualIndex = 0; // Caso de segurança
+    let pesando = false;
+    let balancaConectada = false;
+    let ultimaLeitura = null; // Último peso lido na balança (g).
+    // Leitura da balança em que o pigmento atual começou, já descontado o que dele tinha sido despejado.
+    let referencia = 0;
+    const config = configBalanca();
+    // Excessos de pesagem desta sessão e como foram corrigidos (vão para o histórico).
+    const ajustesPesagem = [];
+    // O que já foi despejado de um pigmento: o lido na balança, ou (numa produção retomada) o previsto menos o que falta.
+    const gramasDespejadas = (p) => p.despejado ?? (p.g - p.restante);
+    const somaAlvos = () => pigmentosEmProducao.reduce((acc, p) => acc + p.g, 0);
+    // Volume e total previsto quando a pesagem começou, para reescalar o volume se um excesso for corrigido.
+    let inicioPesagem = null;
+
+    root.innerHTML = `
+        <div class="card">
+            <div class="toolbar" style="justify-content:space-between; margin-bottom:10px;">
+                <div>
+                    <h2 style="margin:0">Produzindo: ${formula.nome}</h2>
+                    <small>${formula.codigo} • versão ${formula.versao || 1}</small>
+                </div>
+                <div class="field" style="min-width:220px;">
+                    <label>Cliente</label>
+                    <select id="producao-cliente">
+                        <option value="">Sem cliente (estoque)</option>
+                        ${store.data.clientes.map(c => `<option value="${c.id}" ${resumeState?.clientId === c.id ? 'selected' : ''}>${c.nome}</option>`).join('')}
+                    </select>
+                </div>
+                <div id="production-controls">
+                    </div>
+            </div>
+            <div class="form" style="margin-bottom:12px;">
+                <div class="field" style="grid-column: span 3">
+                    <label>Volume a Produzir (ml)</label>
+                    <input id="producao-volume" type="number" min="1" step="1" value="${volume}" ${resumeState ? 'disabled' : ''}>
+                </div>
+                <div class="field" style="grid-column: span 3">
+                    <label>Nº de Latas (base ${base} ml)</label>
+                    <input id="producao-latas" type="number" min="0.01" step="0.25" value="${Number(fator.toFixed(2))}" ${resumeState ? 'disabled' : ''}>
+                </div>
+                <div class="field" style="grid-column: span 6">
+                    <label>Custo Previsto</label>
+                    <div id="producao-custo" style="font-size: 1.3em; font-weight: 600; color: var(--primary);"></div>
+                </div>
+            </div>
+            <div class="toolbar" style="margin-bottom:12px; gap:8px;">
+                <span id="balanca-status" class="badge-warn">Conectando à balança...</span>
+                <span>Leitura: <strong id="balanca-leitura">—</strong></span>
+                <div class="spacer"></div>
+                <button class="btn ghost" data-act="tara">Tarar</button>
+                <button class="btn ghost" data-act="zero">Zerar</button>
+            </div>
+            <div id="pigmentos-producao" style="display:flex; flex-direction:column; gap:8px;">
+                </div>
+        </div>
+    `;
+
+    /**
+     * Função centralizada para finalizar a produção.
+     * @param {boolean} tipoFinalizacao - Define se a produção foi concluída com sucesso ou cancelada.
+     */
+    function finalizarProducao(tipoFinalizacao) {
+        // MENSAGEM DE DEPURAÇÃO 1: Ver se a função é chamada.
+        console.log(`1. Função finalizarProducao chamada com o tipo: "${tipoFinalizacao}"`);
+
+        // A primeira coisa a fazer é parar de ler a balança.
+        balancaProducao?.desconectar();
+        balancaProducao = null;
+
+        // A produção fica registrada para o cliente escolhido (aparece no perfil dele).
+        const cliente = store.data.clientes.find(c => c.id === root.querySelector('#producao-cliente').value);
+
+        // 1. Determina a lista de pigmentos e quantidades a serem abatidas.
+        let pigmentosParaAbater = [];
+        let mensagemDeSucesso = '';
+
+        // Define o estado e calcula o preço com base no tipo de finalização.
+        let estadoFinal = '';
+        let precoFinal = 0;
+
+        if (tipoFinalizacao === 'completa') {
+            // Se a produção foi completa, usamos o que foi despejado de cada pigmento da receita escalada (excessos inclusos).
+            pigmentosParaAbater = pigmentosEmProducao.map(p => ({
+                ...linhaEmAmbasUnidades({ id: p.id }, gramasDespejadas(p), 'g'),
+                nome: p.nome,
+                codigo: p.codigo,
+                mlTotal: p.ml,
+                gTotal: p.g
+            }));
+            mensagemDeSucesso = 'Produção finalizada com sucesso e estoque atualizado!';
+            estadoFinal = 'Finalizada';
+            // Se foi completa, o preço é o custo da receita escalada.
+            precoFinal = custoPigmentos(pigmentosParaAbater);
+
+        } else if (tipoFinalizacao === 'manual') {
+            // Se foi manual, calculamos o que foi usado até agora (pesado em gramas, convertido para ml pela densidade).
+            pigmentosEmProducao.forEach(p => {
+                const gramasUsadas = gramasDespejadas(p);
+                // Só adicionamos à lista de abate se algo foi realmente usado.
+                if (gramasUsadas > 0.01) { // Usamos 0.01 para evitar imprecisões de ponto flutuante
+                    pigmentosParaAbater.push({
+                        ...linhaEmAmbasUnidades({ id: p.id }, gramasUsadas, 'g'),
+                        nome: p.nome,
+                        codigo: p.codigo,
+                        mlTotal: p.ml,
+                        gTotal: p.g
+                    });
+                }
+            });
+            mensagemDeSucesso = 'Produção finalizada manualmente. Estoque dos itens utilizados foi atualizado.';
+            estadoFinal = 'Não Finalizada';
+            // Se foi manual, recalculamos o preço com base apenas no que foi usado.
+            precoFinal = custoPigmentos(pigmentosParaAbater);
+        }
+
+        // MENSAGEM DE DEPURAÇÃO 2: Ver o que será abatido do estoque.
+        console.log('2. Pigmentos calculados para abater do estoque:', pigmentosParaAbater);
+
+        // 2. Abate o estoque e salva o histórico (APENAS se tiver algo para abater)
+        if (pigmentosParaAbater.length > 0) {
+            // MENSAGEM DE DEPURAÇÃO 3: Confirma que a lógica de salvar vai começar.
+            console.log('3. Entrando no bloco para abater o estoque e salvar o histórico.');
+            // Guardamos o ID do registro (existente ou novo) para referenciá-lo nos movimentos de estoque.
+            let registroId = historicoEntryId;
+            const originalEntry = historicoEntryId && store.data.producaoHistorico.find(h => h.id === historicoEntryId);
+            // Quantidades previstas de cada pigmento, já com as correções de excesso (usadas ao retomar).
+            const alvosPesagem = pigmentosEmProducao.map(p => ({ id: p.id, g: p.g }));
+
+            // Numa produção retomada, o que já foi usado antes já saiu do estoque: abatemos só o restante.
+            // As contas são feitas na unidade de estoque de cada pigmento (ml ou g).
+            const jaAbatido = {};
+            (originalEntry?.pigmentosUtilizados || []).forEach(p => jaAbatido[p.id] = (jaAbatido[p.id] || 0) + quantidadeNaUnidadeDoPigmento(p));
+
+            // Se existe um historicoEntryId, estamos atualizando um registro.
+            if (historicoEntryId) {
+                if (originalEntry) {
+                    // Atualiza o registro existente
+                    originalEntry.data = new Date().toISOString();
+                    originalEntry.pigmentosUtilizados = pigmentosParaAbater;
+                    originalEntry.estado = estadoFinal;
+                    originalEntry.preco = precoFinal;
+                    originalEntry.clientId = cliente?.id || null;
+                    originalEntry.cliente = cliente?.nome || '';
+                    originalEntry.volume = volume;
+                    originalEntry.fator = fator;
+                    originalEntry.versaoFormula = formula.versao || null;
+                    originalEntry.ajustesPesagem = [...(originalEntry.ajustesPesagem || []), ...ajustesPesagem];
+                    originalEntry.alvosPesagem = alvosPesagem;
+                }
+            } else {
+                // Se não, estamos criando um registro novo.
+                const historicoEntry = {
+                    id: uuid(),
+                    data: new Date().toISOString(),
+                    formulaId: formula.id,
+                    nomeFormula: formula.nome,
+                    codigoFormula: formula.codigo,
+                    pigmentosUtilizados: pigmentosParaAbater,
+                    estado: estadoFinal,
+                    preco: precoFinal,
+                    clientId: cliente?.id || null,
+                    cliente: cliente?.nome || '',
+                    volume,
+                    fator,
+                    // A versão exata da receita usada, para comparar com o que foi pesado.
+                    versaoFormula: formula.versao || null,
+                    ajustesPesagem,
+                    alvosPesagem
+                };
+                store.data.producaoHistorico.push(historicoEntry);
+                registroId = historicoEntry.id;
+            }
+
+            // Abate cada pigmento usado, registrando o consumo ligado a este registro de produção.
+            pigmentosParaAbater.forEach(pigmentoUsado => {
+                const pigmentoNoEstoque = store.data.pigmentos.find(p => p.id === pigmentoUsado.id); // Encontra o pigmento no estoque
+                const consumo = quantidadeNaUnidadeDoPigmento(pigmentoUsado) - (jaAbatido[pigmentoUsado.id] || 0);
+                if (pigmentoNoEstoque && consumo > 0.01) {
+                    movimentarEstoquePigmento(pigmentoNoEstoque, -consumo, 'producao', { producaoId: registroId, descricao: `Produção ${formula.nome}` });
+                }
+            });
+
+            // Uma produção completa gera uma unidade do produto ligado à fórmula para cada lata cheia (volume base).
+            // Frações de lata (ex: 250 ml para retoque) são entregues direto ao cliente e não entram no estoque,
+            // mas ficam no kardex como um movimento de quantidade zero, para o operador ver para onde foram.
+            const latasCheias = Math.floor(fator + 1e-9);
+            const fracaoMl = Math.round((volume - latasCheias * base) * 100) / 100;
+            const produtoGerado = tipoFinalizacao === 'completa' && store.data.produtos.find(p => p.id === formula.produtoId);
+            if (produtoGerado && latasCheias > 0) {
+                movimentarEstoqueProduto(produtoGerado, latasCheias, 'producao', { id: registroId, descricao: `Produção ${formula.nome}` });
+            }
+            if (produtoGerado && fracaoMl > 0.01) {
+                movimentarEstoqueProduto(produtoGerado, 0, 'producao', { id: registroId, descricao: `Produção ${formula.nome}: ${fracaoMl} ml (fração de lata) entregues direto ao cliente` });
+                mensagemDeSucesso += ` ${fracaoMl} ml fora de lata cheia foram entregues direto ao cliente, sem entrar no estoque.`;
+            }
+
+            store.save();
+            toast(mensagemDeSucesso, 3000);
+        } else {
+            // MENSAGEM DE DEPURAÇÃO 4: Informa se nada foi usado.
+            console.log('4. Nenhuma quantidade de pigmento foi usada, nada a salvar.');
+            toast('Produção finalizada sem uso de material.', 3000);
+        }
+
+        // 3. Ações de limpeza que sempre acontecem.
+        sessionStorage.removeItem('formulaEmProducaoId');
+        navigate();
+    }
+
+    function renderProducao() {
+        const container = root.querySelector('#pigmentos-producao');
+        if (!container) return;
+
+        const pigmentosHtml = pigmentosEmProducao.map((p, index) => {
+            const isAtual = index === pigmentoAtualIndex;
+            const isCompleto = p.status === 'completo';
+            const isExcedido = p.status === 'excedido';
+            const corBorda = isExcedido ? 'var(--danger)' : isAtual && !isCompleto ? 'var(--primary)' : 'var(--border)';
+            return `
+                <div class="pigmento-row ${isAtual && !isCompleto ? 'ativo' : ''}" style="border: 1px solid ${corBorda}; padding: 8px; border-radius: 10px;">
+                    <div class="pigmento-nome">${p.nome}</div>
+                    <div class="pigmento-valor">${p.restante.toFixed(2)} g</div>
+                    <div class="pigmento-total">de ${p.g.toFixed(2)} g <small class="muted">(${p.ml.toFixed(2)} ml)</small></div>
+                    <div class="pigmento-acao">
+                        ${isCompleto ? '<span class="status-completo">✔ Concluído</span>' : ''}
+                        ${isExcedido ? `<span class="badge-danger">Excesso de ${(gramasDespejadas(p) - p.g).toFixed(2)} g</span>` : ''}
+                        ${isAtual && (p.status === 'pesado' || isExcedido) ? '<button class="btn btn-proximo" data-act="proximo">Próximo</button>' : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = pigmentosHtml;
+    }
+
+    function updateControls(state) {
+        const controls = root.querySelector('#production-controls');
+        if (!controls) return;
+        if (state === 'produzindo') {
+            controls.innerHTML = `<button class="btn secondary" data-act="pausar">Pausar Produção</button>
+            <button class="btn danger" data-act="finalizar">Finalizar Produção</button>`;
+        } else if (state === 'pausado') {
+            controls.innerHTML = `<button class="btn" data-act="retomar">Retomar Produção</button>
+            <button class="btn danger" data-act="finalizar">Finalizar Produção</button>`;
+        } else { // 'ocioso' ou 'retomado'
+            controls.innerHTML = `<button class="btn" data-act="iniciar">Iniciar Produção</button>`;
+        }
+    }
+
+    // Começa (ou continua) a pesagem do pigmento atual a partir da leitura atual da balança.
+    function comecarPigmentoAtual() {
+        const pigmento = pigmentosEmProducao[pigmentoAtualIndex];
+        referencia = ultimaLeitura - (pigmento.g - pigmento.restante);
+        balancaProducao.despejarAte(ultimaLeitura + pigmento.restante);
+    }
+
+    // Muda a quantidade prevista de um pigmento, mantendo o que já foi despejado dele.
+    function redefinirAlvo(pigmento, gramas) {
+        const despejado = gramasDespejadas(pigmento);
+        Object.assign(pigmento, linhaEmAmbasUnidades(pigmento, arredondarPesagem(gramas), 'g'));
+        pigmento.restante = Math.max(0, pigmento.g - despejado);
+    }
+
+    /**
+     * Trata o excesso de um pigmento: registra o ocorrido e oferece recalcular os pigmentos que faltam
+     * e, se aceito, completar os já pesados, para a mistura manter a proporção da fórmula.
+     * Ex: 10 g previstos e 11 g despejados -> fator 1,1: os restantes passam a 110% e os já pesados ganham 10% a mais.
+     */
+    function tratarExcesso(pigmento) {
+        const despejado = gramasDespejadas(pigmento);
+        // Sem quantidade prevista não há proporção para corrigir: o excesso fica só registrado.
+        const fatorCorrecao = pigmento.g > 0 ? despejado / pigmento.g : null;
+        const ajuste = {
+            data: new Date().toISOString(),
+            pigmentoId: pigmento.id,
+            nome: pigmento.nome,
+            previsto: pigmento.g,
+            despejado,
+            excesso: despejado - pigmento.g,
+            tolerancia: toleranciaPigmento(pigmento),
+            fatorCorrecao,
+            correcao: 'nenhuma',
+            complementos: []
+        };
+        ajustesPesagem.push(ajuste);
+        if (fatorCorrecao === null) return;
+
+        const percentual = ((fatorCorrecao - 1) * 100).toFixed(1);
+        const restantes = pigmentosEmProducao.filter(p => p !== pigmento && p.status !== 'completo');
+        if (restantes.length) {
+            if (!confirm(`${pigmento.nome} passou ${ajuste.excesso.toFixed(2)} g do previsto (+${percentual}%).\n\nRecalcular os ${restantes.length} pigmento(s) restante(s) para manter a proporção da fórmula?`)) return;
+            restantes.forEach(p => redefinirAlvo(p, p.g * fatorCorrecao));
+            ajuste.correcao = 'restantes';
+            // Daqui em diante a proporção segue o que foi despejado deste pigmento.
+            redefinirAlvo(pigmento, despejado);
+            atualizarVolumeDoLote();
+        }
+
+        // Completar os já pesados só faz sentido se os restantes acompanharem a correção.
+        const complementos = pigmentosEmProducao
+            .filter(p => p !== pigmento && p.status === 'completo')
+            .map(p => ({ pigmento: p, novoAlvo: arredondarPesagem(p.g * fatorCorrecao) }))
+            .filter(c => c.novoAlvo - gramasDespejadas(c.pigmento) > resolucaoBalanca() / 2);
+        if (!complementos.length) return;
+        const lista = complementos.map(c => `${c.pigmento.nome}: +${(c.novoAlvo - gramasDespejadas(c.pigmento)).toFixed(2)} g`).join('\n');
+        if (!confirm(`Adicionar mais dos pigmentos já pesados para manter a proporção?\n\n${lista}`)) return;
+        complementos.forEach(({ pigmento: p, novoAlvo }) => {
+            ajuste.complementos.push({ pigmentoId: p.id, nome: p.nome, gramas: Number((novoAlvo - gramasDespejadas(p)).toFixed(4)) });
+            redefinirAlvo(p, novoAlvo);
+            p.status = 'pendente';
+        });
+        ajuste.correcao = 'todos';
+        redefinirAlvo(pigmento, despejado);
+        atualizarVolumeDoLote();
+    }
+
+    // Depois de uma correção, o lote cresce junto com o total previsto desde o início da pesagem.
+    // Vale também quando só os restantes foram recalculados: o que vai para a lata é a soma dos alvos.
+    function atualizarVolumeDoLote() {
+        volume = Number((inicioPesagem.volume * somaAlvos() / inicioPesagem.gramas).toFixed(2));
+        fator = volume / base;
+        root.querySelector('#producao-volume').value = volume;
+        root.querySelector('#producao-latas').value = Number(fator.toFixed(2));
+    }
+
+    // Cada leitura da balança atualiza quanto ainda falta despejar do pigmento atual.
+    function registrarLeitura(peso) {
+        ultimaLeitura = peso;
+        root.querySelector('#balanca-leitura').textContent = `${peso.toFixed(2)} g`;
+        const pigmento = pigmentosEmProducao[pigmentoAtualIndex];
+        if (!pesando || !pigmento || pigmento.status === 'completo') return;
+        pigmento.despejado = Math.max(0, peso - referencia);
+        pigmento.restante = Math.max(0, pigmento.g - pigmento.despejado);
+        const excesso = pigmento.despejado - pigmento.g;
+        const tolerancia = toleranciaPigmento(pigmento);
+        if (excesso > tolerancia) {
+            // O aviso sai uma vez, quando a leitura passa da tolerância.
+            if (pigmento.status !== 'excedido') {
+                toast(`Atenção: ${pigmento.nome} passou ${excesso.toFixed(2)} g do previsto (tolerância de ${tolerancia.toFixed(2)} g).`, 4000);
+            }
+            pigmento.status = 'excedido';
+        } else {
+            // Acertar o peso exato é difícil: meia resolução da balança de diferença já conta como pesado.
+            pigmento.status = pigmento.restante <= resolucaoBalanca() / 2 ? 'pesado' : 'pendente';
+        }
+        renderProducao();
+    }
+
+    function exibirStatusBalanca(status, motivo) {
+        const rotulos = {
+            conectando: ['badge-warn', 'Conectando à balança...'],
+            conectado: ['badge-soft', config.fonte === 'mqtt' ? 'Balança conectada' : FONTES_BALANCA.simulador],
+            desconectado: ['badge-danger', `Balança desconectada${motivo ? `: ${motivo}` : ''}`]
+        };
+        const statusEl = root.querySelector('#balanca-status');
+        [statusEl.className, statusEl.textContent] = rotulos[status];
+        balancaConectada = status === 'conectado';
+        // Sem leitura não dá para pesar: a produção em andamento é pausada até a balança voltar.
+        if (!balancaConectada && pesando) {
+            pesando = false;
+            updateControls('pausado');
+            toast('A balança desconectou. A produção foi pausada.', 3000);
+        }
+    }
+
+    root.addEventListener('click', e => {
+        const action = e.target.dataset.act;
+        if (!action) return;
+
+        if (action === 'iniciar' || action === 'retomar') {
+            if (!balancaConectada || ultimaLeitura === null) {
+                alert('A balança não está conectada ou ainda não enviou nenhuma leitura. Verifique em Configurações > Balança.');
+                return;
+            }
+            // Depois de começar a pesagem, o volume não pode mais mudar.
+            root.querySelector('#producao-volume').disabled = true;
+            root.querySelector('#producao-latas').disabled = true;
+            pesando = true;
+            inicioPesagem = inicioPesagem || { volume, gramas: somaAlvos() };
+            comecarPigmentoAtual();
+            updateControls('produzindo');
+        }
+        if (action === 'pausar') {
+            pesando = false;
+            balancaProducao.despejarAte(null);
+            updateControls('pausado');
+        }
+        if (action === 'tara' || action === 'zero') {
+            // Tarar no meio de um pigmento bagunçaria a conta do que já foi despejado.
+            if (pesando) {
+                toast('Pause a produção antes de tarar ou zerar a balança.');
+                return;
+            }
+            if (!balancaConectada) {
+                toast('A balança não está conectada.');
+                return;
+            }
+            balancaProducao.comando(action);
+        }
+        if (action === 'finalizar') {
+            if (confirm('Deseja realmente finalizar esta produção?')) {
+                // Chamamos a função com 'false', indicando que foi um cancelamento manual
+                // e que não deve salvar o histórico nem abater o estoque.
+                finalizarProducao('manual');
+            }
+        }
+        if (action === 'proximo') {
+            // Só marcamos como completo se o pigmento existir; um excesso é tratado antes de seguir.
+            const pigmentoAtual = pigmentosEmProducao[pigmentoAtualIndex];
+            if (pigmentoAtual) {
+                if (pigmentoAtual.status === 'excedido') tratarExcesso(pigmentoAtual);
+                pigmentoAtual.status = 'completo';
+            }
+
+            // Segue para o próximo pigmento não concluído (a correção de um excesso pode reabrir os já pesados).
+            pigmentoAtualIndex = pigmentosEmProducao.findIndex(p => p.status !== 'completo');
+            if (pigmentoAtualIndex === -1) {
+                finalizarProducao('completa');
+            } else {
+                comecarPigmentoAtual();
+                renderProducao();
+            }
+        }
+    });
+
+    const exibirCustoPrevisto = () => {
+        root.querySelector('#producao-custo').textContent = currency.format(custoPigmentos(pigmentosEmProducao));
+    };
+
+    // Volume e número de latas andam juntos: mudar um recalcula o outro e reescala a receita.
+    root.addEventListener('input', e => {
+        if (e.target.id !== 'producao-volume' && e.target.id !== 'producao-latas') return;
+        const valor = Number(e.target.value) || 0;
+        if (valor <= 0) return;
+        if (e.target.id === 'producao-volume') {
+            volume = valor;
+            root.querySelector('#producao-latas').value = Number((volume / base).toFixed(2));
+        } else {
+            volume = Number((valor * base).toFixed(2));
+            root.querySelector('#producao-volume').value = volume;
+        }
+        fator = volume / base;
+        pigmentosEmProducao = pigmentosEscalados();
+        pigmentoAtualIndex = 0;
+        renderProducao();
+        exibirCustoPrevisto();
+    });
+
+    renderProducao();
+    exibirCustoPrevisto();
+    updateControls(resumeState ? 'pausado' : 'ocioso');
+
+    // Liga a fonte de pesagem configurada (balança MQTT ou simulador) e a fecha ao sair da tela.
+    const conexao = conectarBalanca(config, { aoLer: registrarLeitura, aoMudarStatus: exibirStatusBalanca });
+    balancaProducao = conexao;
+    window.addEventListener('hashchange', () => conexao.desconectar(), { once: true });
+    return root;
+}
+
+// Aba "Histórico de Produção" (Listagem)
+function renderHistoricoProducaoView() {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar" style="margin-bottom:16px;">
+            <h2 style="margin:0;">Histórico de Produção</h2>
+        </div>
+        <div class="card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-hist-prod" type="text" placeholder="Pesquisar por fórmula, cliente ou data (DD/MM/AAAA)...">
+        </div>
+        <div id="hist-prod-container"></div>
+    `;
+
+    const historicoContainer = root.querySelector('#hist-prod-container');
+    historicoContainer.className = 'card';
+
+    const headerRow = document.createElement('div');
+    headerRow.className = 'hist-row header';
+    headerRow.style.fontWeight = '600';
+    headerRow.innerHTML = `
+        <div class="toggle-details"></div>
+        <div>Data</div>
+        <div>Nome da Fórmula</div>
+        <div>Preço</div>
+        <div>Estado</div>
+        <div class="actions">Ações</div>
+    `;
+    historicoContainer.appendChild(headerRow);
+
+    // Wrapper apenas para as linhas dinâmicas
+    const rowsWrapper = document.createElement('div');
+    rowsWrapper.id = 'hist-prod-rows';
+    historicoContainer.appendChild(rowsWrapper);
+
+    const searchInput = root.querySelector('#search-hist-prod');
+
+
+    const renderList = (historico) => {
+        rowsWrapper.innerHTML = '';
+        if (!historico.length) {
+            rowsWrapper.innerHTML = `<div class="empty card">Nenhum registro encontrado.</div>`;
+            return;
+        }
+        // Cria as linhas do histórico
+        historico.sort((a, b) => new Date(b.data) - new Date(a.data)).forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'hist-row';
+            row.dataset.histId = item.id; // ID para referência no clique
+
+            const estadoBadge = item.estado === 'Finalizada'
+                ? `<span class="badge-soft">${item.estado}</span>`
+                : `<span class="badge-danger">${item.estado}</span>`;
+
+            const acoesHtml = item.estado === 'Não Finalizada'
+                ? `<button class="btn secondary" data-act="retomar" data-id="${item.id}">Retomar</button>`
+                : '';
+
+            row.innerHTML = `
+                <div class="toggle-details">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M9 18L15 12L9 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                </div>
+                <div>${new Date(item.data).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}</div>
+                <div>${item.nomeFormula}${item.versaoFormula ? ` <small class="muted">v${item.versaoFormula}</small>` : ''}${item.volume ? ` <small class="muted">${item.volume} ml</small>` : ''}${item.cliente ? `<div class="muted" style="font-size:0.85rem;">${item.cliente}</div>` : ''}</div>
+                <div>${currency.format(item.preco || 0)}</div>
+                <div>${estadoBadge}${item.ajustesPesagem?.length ? ' <span class="badge-warn" title="Houve excesso na pesagem">Excesso</span>' : ''}</div>
+                <div class="actions">${acoesHtml}</div>
+            `;
+
+            const details = document.createElement('div');
+            details.className = 'hist-details';
+            details.dataset.detailsFor = item.id;
+
+            // 1. Buscamos a fórmula original correspondente a ESTE item do histórico,
+            // na versão exata que a produção usou (registros antigos usam a receita atual).
+            const formulaAtual = store.data.formulas.find(f => f.id === item.formulaId);
+            const formulaOriginal = versaoDaFormula(formulaAtual, item.versaoFormula) || formulaAtual;
+
+            // Cria a tabela de detalhes dos pigmentos
+            const pigmentosHeaders = ['Pigmento', 'Qtd. Usada', 'Qtd. Faltante', 'Total Necessário', 'Preço (Uso)'];
+            const pigmentosRows = item.pigmentosUtilizados.map(p => {
+                // 2. Usamos a 'formulaOriginal' que acabamos de encontrar.
+                // Adicionamos uma verificação (ternário) para o caso de a fórmula original ter sido deletada.
+                // O total necessário já vem gravado (escalado para o volume produzido); registros antigos usam a receita.
+                // Tudo é mostrado em gramas, como foi pesado; registros antigos (só em ml) são convertidos pela densidade.
+                const pigmentoNaFormula = formulaOriginal ? formulaOriginal.pigmentos.find(orig => orig.id === p.id) : null;
+                const gramasUsadas = gramasDaLinha(p);
+                const totalNecessario = p.gTotal
+                    ?? (p.mlTotal !== undefined ? gramasDaLinha({ id: p.id, ml: p.mlTotal })
+                        : pigmentoNaFormula ? gramasDaLinha(pigmentoNaFormula) * (item.fator || 1) : gramasUsadas); // se não encontrar, usa o próprio item
+
+                const faltante = Math.max(0, totalNecessario - gramasUsadas);
+                const precoUso = custoPigmentos([p]);
+
+                return [
+                    `${p.nome} (${p.codigo})`,
+                    `${gramasUsadas.toFixed(2)} g <small class="muted">(${mlDaLinha(p).toFixed(2)} ml)</small>`,
+                    `${faltante.toFixed(2)} g`,
+                    `${totalNecessario.toFixed(2)} g`,
+                    currency.format(precoUso)
+                ];
+            });
+            details.appendChild(table(pigmentosHeaders, pigmentosRows));
+
+            // Excessos de pesagem e a correção escolhida em cada um.
+            if (item.ajustesPesagem?.length) {
+                const ajustesRows = item.ajustesPesagem.map(a => [
+                    new Date(a.data).toLocaleTimeString('pt-BR', { timeStyle: 'short' }),
+                    a.nome,
+                    `${a.previsto.toFixed(2)} g`,
+                    `${a.despejado.toFixed(2)} g`,
+                    `+${a.excesso.toFixed(2)} g <small class="muted">(tolerância ${a.tolerancia.toFixed(2)} g)</small>`,
+                    `${CORRECOES_EXCESSO[a.correcao]}${a.correcao !== 'nenhuma' ? ` <small class="muted">(x${a.fatorCorrecao.toFixed(3)})</small>` : ''}`
+                        + (a.complementos.length ? `<br><small class="muted">${a.complementos.map(c => `${c.nome}: +${c.gramas.toFixed(2)} g`).join(', ')}</small>` : '')
+                ]);
+                details.insertAdjacentHTML('beforeend', '<h4 style="margin:12px 0 6px;">Excessos na Pesagem</h4>');
+                details.appendChild(table(['Hora', 'Pigmento', 'Previsto', 'Despejado', 'Excesso', 'Correção'], ajustesRows));
+            }
+
+            historicoContainer.appendChild(row);
+            historicoContainer.appendChild(details);
+        });
+
+        // Delegação de eventos (uma vez só)
+        historicoContainer.addEventListener('click', e => {
+            const target = e.target;
+            // Expandir/recolher
+            const rowHeader = target.closest('.hist-row');
+            if (rowHeader && rowHeader.dataset.histId && !target.closest('button')) {
+                const id = rowHeader.dataset.histId;
+                const detailsEl = historicoContainer.querySelector(`.hist-details[data-details-for="${id}"]`);
+                const toggleEl = rowHeader.querySelector('.toggle-details');
+                if (detailsEl) {
+                    const isVisible = detailsEl.style.display === 'block';
+                    detailsEl.style.display = isVisible ? 'none' : 'block';
+                    toggleEl?.classList.toggle('expanded', !isVisible);
+                }
+            }
+
+            // Lógica para o botão "Retomar"
+            if (target.dataset.act === 'retomar') {
+                e.stopPropagation(); // Impede que o evento de expandir seja acionado
+                const id = target.dataset.id;
+                const itemHistorico = store.data.producaoHistorico.find(h => h.id === id);
+                const formulaParaRetomar = store.data.formulas.find(f => f.id === itemHistorico.formulaId);
+
+                if (itemHistorico && formulaParaRetomar) {
+                    // A receita (na versão usada pela produção) é escalada de novo para o volume que estava sendo produzido.
+                    const receita = versaoDaFormula(formulaParaRetomar, itemHistorico.versaoFormula) || formulaParaRetomar;
+                    const volume = itemHistorico.volume || Number(receita.base) || 900;
+                    const resumeState = {
+                        historicoEntryId: itemHistorico.id, // <<<< ADICIONADO
+                        formulaId: itemHistorico.formulaId,
+                        versaoFormula: itemHistorico.versaoFormula || null,
+                        clientId: itemHistorico.clientId || null,
+                        volume,
+                        pigmentosEmProducao: escalarFormula(receita, volume).pigmentos.map(pigmentoEscalado => {
+                            // Se a pesagem teve correções de excesso, vale a quantidade prevista já corrigida.
+                            const alvo = (itemHistorico.alvosPesagem || []).find(a => a.id === pigmentoEscalado.id);
+                            const pigmentoOriginal = alvo ? linhaEmAmbasUnidades(pigmentoEscalado, alvo.g, 'g') : pigmentoEscalado;
+                            const pigmentoUsado = itemHistorico.pigmentosUtilizados.find(p => p.id === pigmentoOriginal.id);
+                            // O que falta é contado em gramas, como na pesagem (registros antigos só têm ml).
+                            const gramasUsadas = pigmentoUsado ? gramasDaLinha({ ...pigmentoUsado, ml: pigmentoUsado.ml || pigmentoUsado.mlUsado || 0 }) : 0;
+                            return {
+                                ...pigmentoOriginal,
+                                restante: Math.max(0, pigmentoOriginal.g - gramasUsadas),
+                                status: (pigmentoOriginal.g - gramasUsadas < 0.01) ? 'completo' : 'pendente'
+                            };
+                        })
+                    };
+                    sessionStorage.setItem('resumeProductionState', JSON.stringify(resumeState));
+                    location.hash = '#/producao/em-producao';
+                } else {
+                    alert('Não foi possível retomar a produção. A fórmula original pode ter sido excluída.');
+                }
+            }
+        });
+    };
+
+    // Função que filtra e renderiza a lista com base na busca
+    const filterAndRender = () => {
+        const query = searchInput.value.toLowerCase().trim();
+        const todosRegistros = store.data.producaoHistorico || [];
+
+        if (!query) {
+            renderList(todosRegistros); // Se a busca estiver vazia, mostra tudo
+            return;
+        }
+
+        const registrosFiltrados = todosRegistros.filter(item => {
+            const dataFormatada = new Date(item.data).toLocaleString('pt-BR');
+            return item.nomeFormula.toLowerCase().includes(query) || (item.cliente || '').toLowerCase().includes(query) || dataFormatada.includes(query);
+        });
+
+        renderList(registrosFiltrados);
+    };
+
+    // Adiciona o listener para o evento de 'input' (a cada letra digitada)
+    searchInput.addEventListener('input', filterAndRender);
+
+    // Renderiza a lista completa pela primeira vez
+    filterAndRender();
+    return root;
+}
+
+
+// --- TELA: Produtos (CRUD) ---
+addRoute('produtos', () => {
+    // Esta função cria uma "sub-rota". Se a URL for #/produtos/novo, ela mostra o formulário.
+    // Se for #/produtos, mostra a lista.
+    if (location.hash === '#/produtos/novo' || location.hash.startsWith('#/produtos/edit')) {
+        const id = location.hash.split('/')[3];
+        const produto = store.data.produtos.find(p => p.id === id);
+        return renderFormProduto(produto);
+    }
+    return renderListaProdutos();
+});
+
+// Lista de produtos
+function renderListaProdutos() {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar" style="margin:6px 0 12px">
+            <h2 style="margin:0">Produtos</h2>
+            <div class="spacer"></div>
+            <button class="btn" onclick="location.hash='#/produtos/novo'">Novo produto</button>
+        </div>
+        <div class="card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-produtos" type="text" placeholder="Pesquisar por nome ou código do produto...">
+        </div>
+        <div id="produtos-list-container"></div>
+    `;
+
+    const container = root.querySelector('#produtos-list-container');
+    const searchInput = root.querySelector('#search-produtos');
+
+    // Função que renderiza a tabela de produtos
+    const renderList = (produtos) => {
+        container.innerHTML = ''; // Limpa a lista antes de redesenhar
+        if (!produtos.length) {
+            container.innerHTML = `<div class="empty card">Nenhum produto encontrado.</div>`;
+            return;
+        }
+
+        const listWrapper = document.createElement('div');
+        listWrapper.className = 'card';
+
+        // 1. Cria o cabeçalho da lista.
+        const headerRow = document.createElement('div');
+        headerRow.className = 'prod-row header';
+        headerRow.innerHTML = `
+            <div class="toggle-details"></div>
+            <div>Nome</div>
+            <div>Código</div>
+            <div>Preço</div>
+            <div>Estoque</div>
+            <div class="actions">Ações</div>
         `;
-        formulasContainer.appendChild(headerRow);
+        listWrapper.appendChild(headerRow);
+
+        // 2. Cria as linhas de dados (visível e oculta) para cada produto.
+        produtos.forEach(p => {
+            const row = document.createElement('div');
+            row.className = 'prod-row';
+            row.dataset.prodId = p.id;
+
+            const estoqueStatusClass = Number(p.estoqueAtual) <= Number(p.estoqueMin) ? 'badge-warn' : 'badge-soft';
+
+            // Conteúdo da linha principal (visível)
+            row.innerHTML = `
+                <div class="toggle-details">
+                    <svg width="16" height="16" viewBox="0 0 24 24"><path d="M9 18L15 12L9 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>
+                </div>
+                <div>${p.nome}</div>
+                <div>${p.codigo || '—'}</div>
+                <div>${currency.format(p.preco || 0)}</div>
+                <div>${p.estoqueAtual} <span class="${estoqueStatusClass}" style="margin-left:6px">min ${p.estoqueMin}</span></div>
+                <div class="actions">
+                    <button class="btn secondary" data-act="edit" data-id="${p.id}">Editar</button>
+                    <button class="btn danger" data-act="del" data-id="${p.id}">Excluir</button>
+                </div>
+            `;
+
+            // Conteúdo do painel de detalhes (oculto)
+            const details = document.createElement('div');
+            details.className = 'prod-details';
+            details.dataset.detailsFor = p.id;
+            details.innerHTML = `
+                <div class="tabs">
+                    <button type="button" class="tab active" data-tab="detalhes">Detalhes</button>
+                    <button type="button" class="tab" data-tab="historico">Histórico de Estoque</button>
+                </div>
+                <div data-panel="detalhes">
+                    <div class="prod-details-grid">
+                        <div class="detail-item"><label>Categoria</label><span>${p.categoria || 'Não definida'}</span></div>
+                        <div class="detail-item"><label>Cor</label><span>${p.cor || 'Não definida'}</span></div>
+                        <div class="detail-item"><label>Unidade</label><span>${p.unidade || 'Não definida'}</span></div>
+                        <div class="detail-item"><label>Custo</label><span>${currency.format(p.custo || 0)}</span></div>
+                        <div class="detail-item"><label>Fornecedor</label><span>${p.fornecedor || 'Não definido'}</span></div>
+                        <div class="detail-item"><label>Catálogo de Fornecedores</label><span>${store.data.catalogoFornecedores
+                            .filter(c => c.tipo === 'produto' && c.itemId === p.id)
+                            .map(c => `${store.data.fornecedores.find(f => f.id === c.fornecedorId)?.nome || '—'}: ${currency.format(c.ultimoPreco || 0)}`)
+                            .join('<br>') || 'Nenhum'}</span></div>
+                    </div>
+                </div>
+                <div data-panel="historico" style="display:none"></div>
+            `;
+            details.querySelector('[data-panel="historico"]').appendChild(renderKardexProduto(p));
+
+            listWrapper.appendChild(row);
+            listWrapper.appendChild(details);
+        });
+
+        // 3. Adiciona o listener de eventos para a interatividade.
+        listWrapper.addEventListener('click', (e) => {
+            const target = e.target;
+
+            // Troca entre as abas "Detalhes" e "Histórico de Estoque" do painel
+            const tabBtn = target.closest('button[data-tab]');
+            if (tabBtn) {
+                const detailsEl = tabBtn.closest('.prod-details');
+                $$('button[data-tab]', detailsEl).forEach(b => b.classList.toggle('active', b === tabBtn));
+                $$('[data-panel]', detailsEl).forEach(panel => {
+                    panel.style.display = panel.dataset.panel === tabBtn.dataset.tab ? 'block' : 'none';
+                });
+                return;
+            }
+
+            // Lógica de expandir/recolher
+            const rowHeader = target.closest('.prod-row');
+            if (rowHeader && rowHeader.dataset.prodId && !target.closest('button')) {
+                const id = rowHeader.dataset.prodId;
+                const detailsEl = listWrapper.querySelector(`.prod-details[data-details-for="${id}"]`);
+                const toggleEl = rowHeader.querySelector('.toggle-details');
+                if (detailsEl && toggleEl) {
+                    const isVisible = detailsEl.style.display === 'block';
+                    detailsEl.style.display = isVisible ? 'none' : 'block';
+                    toggleEl.classList.toggle('expanded', !isVisible);
+                }
+            }
+            
+            // Lógica dos botões de ação (editar/excluir)
+            if (target.closest('button[data-act="edit"]')) {
+                location.hash = `#/produtos/edit/${target.closest('button').dataset.id}`;
+            }
+            if (target.closest('button[data-act="del"]')) {
+                if (confirm('Excluir este produto?')) {
+                    store.data.produtos = store.data.produtos.filter(x => x.id !== target.closest('button').dataset.id);
+                    store.save();
+                    filterAndRender(); // Redesenha a lista
+                    toast('Produto excluído.');
+                }
+            }
+        });
+
+        container.appendChild(listWrapper);
+    }; 
+
+    // Função que filtra e renderiza a lista com base na busca
+    const filterAndRender = () => {
+        const query = searchInput.value.toLowerCase().trim();
+        const todosProdutos = store.data.produtos || [];
+        const produtosFiltrados = query
+            ? todosProdutos.filter(p =>
+                p.nome.toLowerCase().includes(query) ||
+                (p.codigo || '').toLowerCase().includes(query)
+              )
+            : todosProdutos;
+        renderList(produtosFiltrados);
+    };
+
+    searchInput.addEventListener('input', filterAndRender);
+    filterAndRender();
+    return root;
+}
+
+/**
+ * Monta a tabela do kardex de um produto: cada movimento com data, tipo,
+ * documento de origem, quantidade e saldo após o movimento.
+ * @param {object} produto - O produto cujo histórico será exibido.
+ */
+function renderKardexProduto(produto) {
+    const movimentos = (store.data.movimentosEstoque || [])
+        .filter(m => m.produtoId === produto.id)
+        .sort((a, b) => new Date(a.data) - new Date(b.data));
+
+    if (!movimentos.length) {
+        const vazio = document.createElement('div');
+        vazio.className = 'muted';
+        vazio.textContent = 'Nenhuma movimentação registrada para este produto.';
+        return vazio;
+    }
+
+    const headers = ['Data', 'Tipo', 'Documento', 'Quantidade', 'Saldo'];
+    const rows = movimentos.map(m => [
+        new Date(m.data).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' }),
+        TIPOS_MOVIMENTO_ESTOQUE[m.tipo] || m.tipo,
+        m.documento || '—',
+        // Quantidade zero é a fração de uma produção que foi direto para o cliente.
+        m.quantidade > 0 ? `+${m.quantidade}` : m.quantidade === 0 ? '<span class="badge-info">Fora do estoque</span>' : `${m.quantidade}`,
+        m.saldo
+    ]);
+
+    // Produtos cadastrados antes do kardex já tinham estoque: mostramos esse saldo de abertura.
+    const saldoInicial = movimentos[0].saldo - movimentos[0].quantidade;
+    if (saldoInicial !== 0) {
+        rows.unshift(['—', 'Saldo inicial', 'Antes do histórico', '—', saldoInicial]);
+    }
+    return table(headers, rows);
+}
+
+// Formulário de produto (novo/edição)
+function renderFormProduto(produto) {
+    // Buscamos as categorias para popular o dropdown
+    const categorias = store.data.categoriasProdutos || [];
+    const categoriasOptionsHtml = categorias.map(c => 
+        // Marca a opção como 'selected' se o nome dela corresponder à categoria do produto
+        `<option value="${c.nome}" ${produto?.categoria === c.nome ? 'selected' : ''}>${c.nome}</option>`
+    ).join('');
+    // Mantemos como opção o fornecedor em texto livre de produtos antigos, mesmo sem cadastro.
+    const nomesFornecedores = store.data.fornecedores.map(f => f.nome);
+    if (produto?.fornecedor && !nomesFornecedores.includes(produto.fornecedor)) nomesFornecedores.push(produto.fornecedor);
+    const fornecedoresOptionsHtml = nomesFornecedores.map(nome =>
+        `<option value="${nome}" ${produto?.fornecedor === nome ? 'selected' : ''}>${nome}</option>`
+    ).join('');
+    // Reutiliza o componente genericForm para o formulário de produtos.
+    const config = {
+        title: produto ? 'Editar Produto' : 'Novo Produto',
+        data: produto,
+        fields: [
+            { key: 'nome', label: 'Nome', span: 6 }, { key: 'codigo', label: 'Código', span: 3 },
+            { key: 'categoria', label: 'Categoria', span: 3, 
+                // Usamos uma propriedade customizada 'html' para injetar nosso dropdown
+                html: `
+                    <select data-key="categoria">
+                        <option value="">Nenhuma</option>
+                        ${categoriasOptionsHtml}
+                    </select>
+                `
+            },
+            { key: 'unidade', label: 'Unidade', span: 3, placeholder: 'Ex: Lata 900ml' },
+            { key: 'preco', label: 'Preço de venda', span: 3, type: 'number' }, { key: 'custo', label: 'Custo', span: 3, type: 'number' },
+            { key: 'estoqueAtual', label: 'Estoque atual', span: 3, type: 'number' }, { key: 'estoqueMin', label: 'Estoque mínimo', span: 3, type: 'number' },
+            { key: 'fornecedor', label: 'Fornecedor', span: 6,
+                // Lista os fornecedores cadastrados; o nome continua sendo o valor salvo no produto.
+                html: `
+                    <select data-key="fornecedor">
+                        <option value="">Nenhum</option>
+                        ${fornecedoresOptionsHtml}
+                    </select>
+                `
+            },
+        ],
+        onSave: (item) => {
+            // O estoque não é sobrescrito direto: a diferença vira um ajuste manual no kardex.
+            const novoEstoque = Number(item.estoqueAtual) || 0;
+            const estoqueAnterior = produto ? (Number(produto.estoqueAtual) || 0) : 0;
+            item.estoqueAtual = estoqueAnterior;
+            if (novoEstoque !== estoqueAnterior) {
+                movimentarEstoqueProduto(item, novoEstoque - estoqueAnterior, 'ajuste', { descricao: produto ? 'Ajuste no cadastro' : 'Estoque inicial' });
+            }
+
+            if (produto) { // Se está editando, substitui o item existente.
+                const index = store.data.produtos.findIndex(p => p.id === item.id);
+                if (index > -1) store.data.produtos[index] = item;
+            } else { // Se é novo, adiciona ao final do array.
+                store.data.produtos.push(item);
+            }
+            store.save();
+            toast('Produto salvo.');
+            location.hash = '#/produtos';
+        },
+        onCancel: () => location.hash = '#/produtos'
+    };
+    return genericForm(config);
+}
+
+// --- TELA: Clientes (NOVA) ---
+addRoute('clientes', () => {
+    if (location.hash === '#/clientes/novo' || location.hash.startsWith('#/clientes/edit')) {
+        const id = location.hash.split('/')[3];
+        const cliente = store.data.clientes.find(c => c.id === id);
+        return renderFormCliente(cliente);
+    }
+    if (location.hash.startsWith('#/clientes/ver')) {
+        const cliente = store.data.clientes.find(c => c.id === location.hash.split('/')[3]);
+        if (cliente) return renderPerfilCliente(cliente);
+    }
+    return renderListaClientes();
+});
+
+function renderListaClientes() {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar" style="margin:6px 0 12px">
+            <h2 style="margin:0">Clientes</h2>
+            <div class="spacer"></div>
+            <button class="btn" onclick="location.hash='#/clientes/novo'">Novo Cliente</button>
+        </div>
+        <div class="card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-clientes" type="text" placeholder="Pesquisar por nome, telefone, email, CPF/CNPJ ou veículo (ex: gol prata)...">
+        </div>
+        <div id="clientes-list-container"></div>
+    `;
+
+    const container = root.querySelector('#clientes-list-container');
+    const searchInput = root.querySelector('#search-clientes');
+
+    const renderTable = (clientes) => {
+        container.innerHTML = '';
+        if (!clientes.length) {
+            container.innerHTML = `<div class="empty card">Nenhum cliente encontrado.</div>`;
+            return;
+        }
+        // 1. Pedidos e total comprado são calculados a partir das vendas do cliente.
+        const headers = ['Nome', 'Telefone', 'Email', 'Nº de Pedidos', 'Total Comprado', 'Tabela de Preço', 'Crédito na Loja', ''];
+        const rows = clientes.map(c => {
+            const estatisticas = estatisticasCliente(c.id);
+            return [
+                `${c.nome}${c.documento ? ` <small class="muted">${c.documento}</small>` : ''}${(c.veiculos || []).length ? `<div class="muted" style="font-size:0.85rem;">${c.veiculos.map(descricaoVeiculo).join(' • ')}</div>` : ''}`,
+                c.telefone || '—',
+                c.email || '—',
+                estatisticas.quantidadePedidos,
+                currency.format(estatisticas.totalComprado),
+                tabelaPrecoDoCliente(c.id)?.nome || '—',
+                Number(c.creditoLoja) ? currency.format(c.creditoLoja) : '—',
+                `<div class="actions"><button class="btn secondary" data-act="ver" data-id="${c.id}">Perfil</button><button class="btn secondary" data-act="edit" data-id="${c.id}">Editar</button><button class="btn danger" data-act="del" data-id="${c.id}">Excluir</button></div>`
+            ];
+        });
+        const tbl = table(headers, rows);
+        container.appendChild(tbl);
+
+        tbl.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-act]');
+            if (!btn) return;
+            const id = btn.dataset.id;
+            if (btn.dataset.act === 'ver') location.hash = `#/clientes/ver/${id}`;
+            if (btn.dataset.act === 'edit') location.hash = `#/clientes/edit/${id}`;
+            if (btn.dataset.act === 'del') {
+                if (confirm('Excluir este cliente?')) {
+                    store.data.clientes = store.data.clientes.filter(x => x.id !== id);
+                    store.save();
+                    toast('Cliente excluído.');
+                    filterAndRender();
+                }
+            }
+        });
+    };
+
+    const filterAndRender = () => {
+        const query = searchInput.value.toLowerCase().trim();
+        const todosClientes = store.data.clientes || [];
+
+        const clientesFiltrados = query
+            ? todosClientes.filter(c => clienteCorrespondeBusca(c, query))
+            : todosClientes;
+        renderTable(clientesFiltrados);
+    };
+
+    searchInput.addEventListener('input', filterAndRender);
+    filterAndRender();
+    return root;
+}
+
+/**
+ * Perfil do cliente: indicadores de compra, produtos mais comprados, histórico de vendas
+ * e fórmulas produzidas para ele. Tudo é calculado na hora a partir das vendas e da produção.
+ */
+function renderPerfilCliente(cliente) {
+    const estatisticas = estatisticasCliente(cliente.id);
+    const dataBR = (d) => new Date(d + 'T03:00:00Z').toLocaleDateString('pt-BR');
 
-        // 2. Cria as linhas de dados, também usando a nova classe.
-        formulas.forEach(item => {
-            const row = document.createElement('div');
-            row.className = 'formula-row';
-            row.innerHTML = `
-                <div>${item.nome}</div>
-                <div>${item.codigo || '—'}</div>
-                <div>${item.base} ${item.unidade}</div>
-                <div>${item.pigmentos.length}</div>
-                <div class="actions">
-                    <button class="btn" data-act="produzir" data-id="${item.id}">Produzir</button>
-                    <button class="btn secondary" data-act="editar" data-id="${item.id}">Editar</button>
-                    <button class="btn danger" data-act="excluir" data-id="${item.id}">Excluir</button>
-                </div>
-            `;
-            formulasContainer.appendChild(row);
-        });
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar" style="margin:6px 0 12px">
+            <div>
+                <h2 style="margin:0">${cliente.nome}</h2>
+                <small class="muted">${[cliente.documento, cliente.telefone, cliente.email].filter(Boolean).join(' • ') || 'Sem contato cadastrado'}</small>
+                ${enderecoResumido(cliente.endereco) ? `<div class="muted" style="font-size:0.85rem;">${enderecoResumido(cliente.endereco)}</div>` : ''}
+            </div>
+            <div class="spacer"></div>
+            <button class="btn ghost" onclick="location.hash='#/clientes'">Voltar</button>
+            <button class="btn secondary" onclick="location.hash='#/clientes/edit/${cliente.id}'">Editar</button>
+        </div>
+    `;
 
-        // 3. Lógica de eventos para os botões
-        formulasContainer.addEventListener('click', e => {
+    const cards = document.createElement('div');
+    cards.className = 'grid cards';
+    cards.style.marginBottom = '16px';
+    cards.append(
+        kpiCard('Pedidos', estatisticas.quantidadePedidos),
+        kpiCard('Total Comprado', currency.format(estatisticas.totalComprado)),
+        kpiCard('Ticket Médio', currency.format(estatisticas.ticketMedio)),
+        kpiCard('Última Compra', estatisticas.ultimaCompra ? dataBR(estatisticas.ultimaCompra) : '—'),
+        kpiCard('Saldo em Aberto (Fiado)', currency.format(saldoFiadoCliente(cliente.id))),
+        kpiCard('Crédito na Loja', currency.format(Number(cliente.creditoLoja) || 0))
+    );
+    root.appendChild(cards);
+
+    // O código da cor de fábrica do veículo leva direto às fórmulas daquela cor.
+    root.appendChild(secaoRelatorio('Veículos', ['Marca', 'Modelo', 'Ano', 'Cor', 'Placa', 'Código da Cor'],
+        (cliente.veiculos || []).map(v => [v.marca || '—', v.modelo || '—', v.ano || '—', v.cor || '—', v.placa || '—',
+            v.codigoCor ? `<a href="#/producao/formulas/${encodeURIComponent(v.codigoCor)}">${v.codigoCor}</a>` : '—']),
+        '', 'Nenhum veículo cadastrado.'));
+
+    root.appendChild(secaoRelatorio('Produtos Mais Comprados', ['Produto', 'Código', 'Quantidade', 'Valor'],
+        estatisticas.produtos.slice(0, 10).map(p => [p.nome, p.codigo || '—', p.qtd, currency.format(p.valor)]),
+        '', 'Nenhuma compra registrada.'));
+
+    const vendas = [...estatisticas.vendas].sort((a, b) => b.data.localeCompare(a.data));
+    const secaoVendas = secaoRelatorio('Histórico de Compras', ['Data', 'Nº Pedido', 'Itens', 'Pagamento', 'Total', ''],
+        vendas.map(v => [
+            dataBR(v.data),
+            v.numeroPedido,
+            v.itens.reduce((acc, i) => acc + (Number(i.qtd) || 0), 0),
+            v.pagamento || '—',
+            currency.format(v.total),
+            `<div class="actions"><button class="btn secondary" data-act="imprimir" data-id="${v.id}">Comprovante</button></div>`
+        ]),
+        '', 'Nenhuma compra registrada.');
+    secaoVendas.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-act="imprimir"]');
+        if (btn) location.hash = `#/vendas/imprimir/${btn.dataset.id}`;
+    });
+    root.appendChild(secaoVendas);
+
+    const producoes = (store.data.producaoHistorico || [])
+        .filter(h => h.clientId === cliente.id)
+        .sort((a, b) => new Date(b.data) - new Date(a.data));
+    root.appendChild(secaoRelatorio('Fórmulas Produzidas', ['Data', 'Fórmula', 'Código', 'Estado', 'Custo'],
+        producoes.map(h => [
+            new Date(h.data).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' }),
+            h.nomeFormula,
+            h.codigoFormula || '—',
+            h.estado === 'Finalizada' ? `<span class="badge-soft">${h.estado}</span>` : `<span class="badge-danger">${h.estado}</span>`,
+            currency.format(h.preco || 0)
+        ]),
+        '', 'Nenhuma fórmula produzida para este cliente.'));
+
+    return root;
+}
+
+function renderFormCliente(cliente) {
+    const tabelasOptionsHtml = (store.data.tabelasPreco || []).map(t =>
+        `<option value="${t.id}" ${cliente?.tabelaPrecoId === t.id ? 'selected' : ''}>${t.nome}</option>`
+    ).join('');
+    // Lista de veículos editada na própria tela; só vai para o cliente ao salvar.
+    let veiculos = JSON.parse(JSON.stringify(cliente?.veiculos || []));
+
+    const config = {
+        title: cliente ? 'Editar Cliente' : 'Novo Cliente',
+        // O endereço fica num objeto próprio, mas no formulário cada parte é um campo.
+        data: cliente ? { ...cliente, ...cliente.endereco } : undefined,
+        fields: [
+            { key: 'nome', label: 'Nome Completo / Razão Social', span: 6 },
+            { key: 'documento', label: 'CPF / CNPJ', span: 3, placeholder: 'Somente números ou com pontuação' },
+            { key: 'telefone', label: 'Telefone', span: 3 },
+            { key: 'email', label: 'Email', span: 6 },
+            { key: 'limiteCredito', label: 'Limite de Crédito (Fiado)', type: 'number', span: 3 },
+            { key: 'tabelaPrecoId', label: 'Tabela de Preço', span: 3,
+                html: `
+                    <select data-key="tabelaPrecoId">
+                        <option value="">Preço de venda normal</option>
+                        ${tabelasOptionsHtml}
+                    </select>
+                `
+            },
+            { key: 'cep', label: 'CEP', span: 3, placeholder: '00000-000' },
+            { key: 'logradouro', label: 'Logradouro', span: 6 },
+            { key: 'numero', label: 'Número', span: 3 },
+            { key: 'complemento', label: 'Complemento', span: 3 },
+            { key: 'bairro', label: 'Bairro', span: 3 },
+            { key: 'cidade', label: 'Cidade', span: 4 },
+            { key: 'uf', label: 'UF', span: 2, placeholder: 'PR' },
+            { key: 'obs', label: 'Observações', span: 12 },
+            { key: 'veiculos', label: 'Veículos', span: 12,
+                html: `
+                    <div data-container="veiculos" class="grid" style="gap:8px;"></div>
+                    <div><button class="btn ghost" data-act="add-veiculo" style="margin-top:8px;">Adicionar Veículo</button></div>
+                `
+            }
+        ],
+        onSave: (item) => {
+            // 1. CPF/CNPJ: opcional, mas quando informado precisa ter dígitos verificadores válidos.
+            const documento = somenteDigitos(item.documento);
+            if (documento) {
+                const valido = documento.length === 11 ? validarCpf(documento) : documento.length === 14 && validarCnpj(documento);
+                if (!valido) {
+                    alert('CPF ou CNPJ inválido. Confira os números digitados.');
+                    return;
+                }
+                const duplicado = store.data.clientes.find(c => c.id !== item.id && somenteDigitos(c.documento) === documento);
+                if (duplicado) {
+                    alert(`Este documento já está cadastrado para o cliente ${duplicado.nome}.`);
+                    return;
+                }
+            }
+            if (item.cep && somenteDigitos(item.cep).length !== 8) {
+                alert('O CEP deve ter 8 dígitos.');
+                return;
+            }
+
+            // 2. Veículos: linhas totalmente em branco são ignoradas; placas são validadas.
+            const veiculosPreenchidos = veiculos
+                .map(v => ({ ...v, placa: String(v.placa || '').toUpperCase().replace(/[^A-Z0-9]/g, '') }))
+                .filter(v => v.marca || v.modelo || v.placa || v.codigoCor);
+            const placaInvalida = veiculosPreenchidos.find(v => v.placa && !validarPlaca(v.placa));
+            if (placaInvalida) {
+                alert(`A placa ${placaInvalida.placa} é inválida. Use o padrão ABC1234 ou ABC1D23.`);
+                return;
+            }
+
+            // 3. Monta o cliente com o endereço agrupado.
+            item.documento = documento ? formatarDocumento(documento) : '';
+            item.endereco = {};
+            CAMPOS_ENDERECO.forEach(campo => {
+                item.endereco[campo] = String(item[campo] || '').trim();
+                delete item[campo];
+            });
+            item.endereco.cep = item.endereco.cep ? formatarCep(item.endereco.cep) : '';
+            item.endereco.uf = item.endereco.uf.toUpperCase();
+            item.veiculos = veiculosPreenchidos;
+            item.limiteCredito = Number(item.limiteCredito) || 0;
+            item.tabelaPrecoId = item.tabelaPrecoId || null;
+            if (cliente) {
+                const index = store.data.clientes.findIndex(c => c.id === item.id);
+                if (index > -1) store.data.clientes[index] = item;
+            } else {
+                store.data.clientes.push(item);
+            }
+            store.save();
+            toast('Cliente salvo.');
+            location.hash = '#/clientes';
+        },
+        onCancel: () => location.hash = '#/clientes'
+    };
+    const form = genericForm(config);
+    const veiculosEl = form.querySelector('[data-container="veiculos"]');
+
+    const renderVeiculos = () => {
+        veiculosEl.innerHTML = veiculos.length ? veiculos.map((v, idx) => `
+            <div class="toolbar" style="border:1px solid var(--border); border-radius:10px; padding:8px 10px;">
+                <input data-v="${idx}" data-vf="marca" value="${v.marca || ''}" placeholder="Marca" style="width:110px;">
+                <input data-v="${idx}" data-vf="modelo" value="${v.modelo || ''}" placeholder="Modelo" style="width:130px;">
+                <input data-v="${idx}" data-vf="ano" type="number" value="${v.ano || ''}" placeholder="Ano" style="width:80px;">
+                <input data-v="${idx}" data-vf="cor" value="${v.cor || ''}" placeholder="Cor" style="width:100px;">
+                <input data-v="${idx}" data-vf="placa" value="${v.placa || ''}" placeholder="Placa" style="width:100px;">
+                <input data-v="${idx}" data-vf="codigoCor" value="${v.codigoCor || ''}" placeholder="Código da cor de fábrica" style="flex:1; min-width:160px;">
+                <button class="btn ghost" data-act="rm-veiculo" data-v="${idx}">Remover</button>
+            </div>
+        `).join('') : '<div class="muted">Nenhum veículo cadastrado.</div>';
+    };
+
+    form.addEventListener('click', e => {
+        const act = e.target.dataset.act;
+        if (act === 'add-veiculo') {
+            veiculos.push({ id: uuid(), marca: '', modelo: '', ano: '', cor: '', placa: '', codigoCor: '' });
+            renderVeiculos();
+        }
+        if (act === 'rm-veiculo') {
+            veiculos.splice(Number(e.target.dataset.v), 1);
+            renderVeiculos();
+        }
+    });
+    form.addEventListener('input', e => {
+        const el = e.target;
+        if (el.dataset.v && el.dataset.vf) veiculos[Number(el.dataset.v)][el.dataset.vf] = el.value;
+    });
+
+    renderVeiculos();
+    return form;
+}
+
+
+// --- TELA: Fornecedores (NOVA) ---
+addRoute('fornecedores', () => {
+    if (location.hash === '#/fornecedores/novo' || location.hash.startsWith('#/fornecedores/edit')) {
+        const id = location.hash.split('/')[3];
+        const fornecedor = store.data.fornecedores.find(f => f.id === id);
+        return renderFormFornecedor(fornecedor);
+    }
+    if (location.hash.startsWith('#/fornecedores/catalogo')) {
+        const id = location.hash.split('/')[3];
+        return renderCatalogoFornecedorView(store.data.fornecedores.find(f => f.id === id));
+    }
+    return renderListaFornecedores();
+});
+
+// Saldo em aberto com o fornecedor, destacando o que já venceu.
+function saldoFornecedorHtml(fornecedorId) {
+    const contas = (store.data.contasPagar || []).filter(c => c.fornecedorId === fornecedorId);
+    const emAberto = contas.reduce((acc, c) => acc + saldoConta(c), 0);
+    const vencido = contas.filter(c => statusConta(c) === 'vencida').reduce((acc, c) => acc + saldoConta(c), 0);
+    if (emAberto < 0.005) return '—';
+    return `${currency.format(emAberto)}${vencido ? ` <span class="badge-danger">${currency.format(vencido)} vencido</span>` : ''}`;
+}
+
+function renderListaFornecedores() {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar" style="margin:6px 0 12px">
+            <h2 style="margin:0">Fornecedores</h2>
+            <div class="spacer"></div>
+            <button class="btn" onclick="location.hash='#/fornecedores/novo'">Novo Fornecedor</button>
+        </div>
+        <div class="card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-fornecedores" type="text" placeholder="Pesquisar por nome, contato ou telefone...">
+        </div>
+        <div id="fornecedores-list-container"></div>
+    `;
+
+    const container = root.querySelector('#fornecedores-list-container');
+    const searchInput = root.querySelector('#search-fornecedores');
+
+    const renderTable = (fornecedores) => {
+        container.innerHTML = '';
+        if (!fornecedores.length) {
+            container.innerHTML = `<div class="empty card">Nenhum fornecedor encontrado.</div>`;
+            return;
+        }
+        const headers = ['Nome', 'Contato', 'Telefone', 'Itens no Catálogo', 'Saldo a Pagar', ''];
+        const rows = fornecedores.map(f => [
+            f.nome, f.contato || '—', f.telefone || '—', catalogoDoFornecedor(f.id).length,
+            saldoFornecedorHtml(f.id),
+            `<div class="actions"><button class="btn secondary" data-act="catalogo" data-id="${f.id}">Catálogo</button><button class="btn secondary" data-act="edit" data-id="${f.id}">Editar</button><button class="btn danger" data-act="del" data-id="${f.id}">Excluir</button></div>`
+        ]);
+        const tbl = table(headers, rows);
+        container.appendChild(tbl);
+
+        tbl.addEventListener('click', (e) => {
             const btn = e.target.closest('button[data-act]');
             if (!btn) return;
             const id = btn.dataset.id;
-            if (btn.dataset.act === 'excluir') {
-                if (confirm('Deseja realmente excluir esta fórmula?')) {
-                    store.data.formulas = store.data.formulas.filter(f => f.id !== id);
+            if (btn.dataset.act === 'edit') location.hash = `#/fornecedores/edit/${id}`;
+            if (btn.dataset.act === 'catalogo') location.hash = `#/fornecedores/catalogo/${id}`;
+            if (btn.dataset.act === 'del') {
+                if (confirm('Excluir este fornecedor? Os produtos do catálogo dele também serão removidos.')) {
+                    store.data.fornecedores = store.data.fornecedores.filter(x => x.id !== id);
+                    store.data.catalogoFornecedores = (store.data.catalogoFornecedores || []).filter(c => c.fornecedorId !== id);
                     store.save();
-                    navigate();
+                    toast('Fornecedor excluído.');
+                    filterAndRender();
                 }
             }
-            if (btn.dataset.act === 'editar') {
-                location.hash = `#/producao/editar-formula/${id}`;
-            }
-            if (btn.dataset.act === 'produzir') {
-                sessionStorage.setItem('formulaEmProducaoId', id);
-                location.hash = '#/producao/em-producao';
-            }
         });
     };
-
+    
     const filterAndRender = () => {
         const query = searchInput.value.toLowerCase().trim();
-        const todasFormulas = store.data.formulas || [];
+        const todosFornecedores = store.data.fornecedores || [];
 
-        const formulasFiltradas = query
-            ? todasFormulas.filter(f =>
+        const fornecedoresFiltrados = query
+            ? todosFornecedores.filter(f => 
                 f.nome.toLowerCase().includes(query) ||
-                (f.codigo || '').toLowerCase().includes(query)
-            )
-            : todasFormulas;
+                (f.contato || '').toLowerCase().includes(query) ||
+                (f.telefone || '').toLowerCase().includes(query)
+              )
+            : todosFornecedores;
 
-        renderList(formulasFiltradas);
+        renderTable(fornecedoresFiltrados);
     };
 
-
     searchInput.addEventListener('input', filterAndRender);
     filterAndRender();
     return root;
 }
 
 /**
- * Aba "Produção" (Simulador IoT)
+ * Tela "Catálogo do Fornecedor": produtos e pigmentos que o fornecedor vende,
+ * com código do fornecedor, último preço, quantidade mínima e prazo de entrega.
+ * Segue o mesmo layout (lista + formulário lateral) das telas de Configurações.
+ * @param {object} fornecedor - O fornecedor dono do catálogo.
  */
-let producaoInterval = null; // Variável global para controlar o intervalo da simulação
-function renderEmProducaoView() {
+function renderCatalogoFornecedorView(fornecedor) {
     const root = document.createElement('div');
-    // Verifica se há um estado de produção para ser retomado
-    const resumeStateRaw = sessionStorage.getItem('resumeProductionState');
-    sessionStorage.removeItem('resumeProductionState'); // Limpa para não recarregar de novo
-    const resumeState = resumeStateRaw ? JSON.parse(resumeStateRaw) : null;
+    if (!fornecedor) {
+        root.innerHTML = `<div class="empty card">Fornecedor não encontrado.</div>`;
+        return root;
+    }
+    let editingId = null;
 
-    // Guardamos o ID do histórico que está sendo retomado (se houver).
-    const historicoEntryId = resumeState?.historicoEntryId; // <<<< ADICIONADO
+    function render() {
+        const entradas = catalogoDoFornecedor(fornecedor.id);
+        const itemEmEdicao = entradas.find(c => c.id === editingId);
+
+        const headers = ['Item', 'Cód. Fornecedor', 'Último Preço', 'Qtd. Mínima', 'Prazo', ''];
+        const rows = entradas.map(c => {
+            const item = itemDoCatalogo(c);
+            const sufixo = c.tipo === 'pigmento' ? ' L' : '';
+            return [
+                item ? `${item.nome} <small>(${item.codigo || '—'})</small>${c.tipo === 'pigmento' ? ' <span class="badge-soft">Pigmento</span>' : ''}` : '<span class="muted">(item excluído)</span>',
+                c.codigoFornecedor || '—',
+                `${currency.format(c.ultimoPreco || 0)}${c.tipo === 'pigmento' ? ' / L' : ''}`,
+                `${c.qtdMinima || 0}${sufixo}`,
+                `${c.prazoEntregaDias || 0} dias`,
+                `<div class="actions">
+                    <button class="btn secondary" data-act="edit" data-id="${c.id}">Editar</button>
+                    <button class="btn ghost danger" data-act="del" data-id="${c.id}">Excluir</button>
+                </div>`
+            ];
+        });
 
-    // Se estivermos retomando, usamos o formulaId do estado salvo. Senão, pegamos o novo.
-    const formulaId = resumeState?.formulaId || sessionStorage.getItem('formulaEmProducaoId');
-    const formula = store.data.formulas.find(f => f.id === formulaId);
+        // Opções do select: produtos e pigmentos, separados em grupos. O valor é 'tipo:id'.
+        const valorSelecionado = itemEmEdicao ? `${itemEmEdicao.tipo}:${itemEmEdicao.itemId}` : '';
+        const opcoes = (tipo, lista) => lista.map(x => `<option value="${tipo}:${x.id}" ${valorSelecionado === `${tipo}:${x.id}` ? 'selected' : ''}>${x.nome} (${x.codigo || '—'})</option>`).join('');
+
+        root.innerHTML = `
+            <div class="toolbar" style="margin-bottom:16px;">
+                <h2 style="margin:0;">Catálogo: ${fornecedor.nome}</h2>
+                <div class="spacer"></div>
+                <button class="btn ghost" onclick="location.hash='#/fornecedores'">Voltar para Fornecedores</button>
+            </div>
+            <div class="grid" style="grid-template-columns: 2fr 1fr; align-items: flex-start;">
+                <div id="catalogo-lista">${entradas.length ? '' : '<div class="card muted">Nenhum item no catálogo deste fornecedor.</div>'}</div>
+                <div class="card">
+                    <h4>${itemEmEdicao ? 'Editar Item do Catálogo' : 'Adicionar Item ao Catálogo'}</h4>
+                    <div class="form">
+                        <div class="field full">
+                            <label>Produto ou Pigmento</label>
+                            <select id="cat-item">
+                                <optgroup label="Produtos">${opcoes('produto', store.data.produtos)}</optgroup>
+                                <optgroup label="Pigmentos">${opcoes('pigmento', store.data.pigmentos)}</optgroup>
+                            </select>
+                        </div>
+                        <div class="field full"><label>Código no Fornecedor</label><input id="cat-codigo" value="${itemEmEdicao?.codigoFornecedor || ''}"></div>
+                        <div class="field full"><label>Último Preço (pigmentos: por litro)</label><input id="cat-preco" type="number" step="0.01" value="${itemEmEdicao?.ultimoPreco ?? ''}"></div>
+                        <div class="field" style="grid-column: span 6"><label>Qtd. Mínima</label><input id="cat-minimo" type="number" step="any" value="${itemEmEdicao?.qtdMinima ?? ''}"></div>
+                        <div class="field" style="grid-column: span 6"><label>Prazo (dias)</label><input id="cat-prazo" type="number" value="${itemEmEdicao?.prazoEntregaDias ?? ''}"></div>
+                        <button class="btn" data-act="save" style="grid-column: 1 / -1;">${itemEmEdicao ? 'Salvar Alterações' : 'Adicionar'}</button>
+                        ${itemEmEdicao ? '<button class="btn ghost" data-act="cancel-edit" style="grid-column: 1 / -1;">Cancelar Edição</button>' : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+        if (entradas.length) root.querySelector('#catalogo-lista').appendChild(table(headers, rows));
+    }
+
+    root.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-act]');
+        if (!btn) return;
+        const action = btn.dataset.act;
+        const id = btn.dataset.id;
+
+        if (action === 'edit') {
+            editingId = id;
+            render();
+        } else if (action === 'cancel-edit') {
+            editingId = null;
+            render();
+        } else if (action === 'del') {
+            if (confirm('Remover este item do catálogo do fornecedor?')) {
+                store.data.catalogoFornecedores = store.data.catalogoFornecedores.filter(c => c.id !== id);
+                store.save();
+                render();
+            }
+        } else if (action === 'save') {
+            const [tipo, itemId] = (root.querySelector('#cat-item').value || '').split(':');
+            if (!itemId) { alert('Selecione um produto ou pigmento.'); return; }
+            const duplicado = catalogoDoFornecedor(fornecedor.id).some(c => c.tipo === tipo && c.itemId === itemId && c.id !== editingId);
+            if (duplicado) { alert('Este item já está no catálogo do fornecedor.'); return; }
+
+            const dados = {
+                tipo,
+                itemId,
+                codigoFornecedor: root.querySelector('#cat-codigo').value.trim(),
+                ultimoPreco: Number(root.querySelector('#cat-preco').value) || 0,
+                qtdMinima: Number(root.querySelector('#cat-minimo').value) || 0,
+                prazoEntregaDias: Number(root.querySelector('#cat-prazo').value) || 0
+            };
+            if (editingId) {
+                Object.assign(store.data.catalogoFornecedores.find(c => c.id === editingId), dados);
+            } else {
+                store.data.catalogoFornecedores.push({ id: uuid(), fornecedorId: fornecedor.id, ...dados });
+            }
+            store.save();
+            editingId = null;
+            render();
+        }
+    });
+
+    render();
+    return root;
+}
 
+function renderFormFornecedor(fornecedor) {
+    const config = {
+        title: fornecedor ? 'Editar Fornecedor' : 'Novo Fornecedor',
+        data: fornecedor,
+        fields: [
+            { key: 'nome', label: 'Nome do Fornecedor', span: 6 },
+            { key: 'contato', label: 'Nome do Contato', span: 6 },
+            { key: 'telefone', label: 'Telefone', span: 6 },
+            { key: 'email', label: 'Email', span: 6 },
+        ],
+        onSave: (item) => {
+            if (fornecedor) {
+                const index = store.data.fornecedores.findIndex(f => f.id === item.id);
+                if (index > -1) store.data.fornecedores[index] = item;
+            } else {
+                store.data.fornecedores.push(item);
+            }
+            store.save();
+            toast('Fornecedor salvo.');
+            location.hash = '#/fornecedores';
+        },
+        onCancel: () => location.hash = '#/fornecedores'
+    };
+    return genericForm(config);
+}
 
-    // Estado 1: Nenhuma fórmula em produção
-    if (!formula) {
-        root.innerHTML = `
-            <div class="empty card">
-                <h3>Nenhuma produção em andamento</h3>
-                <p>Selecione uma fórmula para iniciar a pesagem.</p>
-                <button class="btn" onclick="location.hash='#/producao/formulas'">Selecionar Fórmula</button>
-            </div>
-        `;
-        return root;
-    }
 
-    // Estado 2: Fórmula carregada, aguardando início
-    // Se estivermos retomando, 'pigmentosEmProducao' começa com o estado salvo.
-    // Senão, começa do zero.
-    let pigmentosEmProducao = resumeState?.pigmentosEmProducao || JSON.parse(JSON.stringify(formula.pigmentos)).map(p => ({ ...p, restante: p.ml, status: 'pendente' }));
-    // Encontra o índice do primeiro pigmento que ainda não foi concluído.
-    let pigmentoAtualIndex = pigmentosEmProducao.findIndex(p => p.restante > 0 && p.status === 'pendente');
-    if (pigmentoAtualIndex === -1) pigmentoAtualIndex = 0; // Caso de segurança
-    let isPaused = false;
+/* --- TELA: Pedidos --- */
+/**
+ * Roteador Principal da Seção "Pedidos"
+ * Cria as abas e direciona para a tela correta (Lista ou Registrar).
+ */
+addRoute('pedidos', () => {
+    const root = document.createElement('div');
+    const subView = location.hash.split('/')[2] || 'lista'; // 'lista' é a tela padrão
 
     root.innerHTML = `
-        <div class="card">
-            <div class="toolbar" style="justify-content:space-between; margin-bottom:10px;">
-                <div>
-                    <h2 style="margin:0">Produzindo: ${formula.nome}</h2>
-                    <small>${formula.codigo}</small>
-                </div>
-                <div id="production-controls">
-                    </div>
-            </div>
-            <div id="pigmentos-producao" style="display:flex; flex-direction:column; gap:8px;">
-                </div>
+        <div class="tabs">
+            <a href="#/pedidos/registrar" class="tab ${['registrar', 'editar'].includes(subView) ? 'active' : ''}">Registrar Pedido</a>
+            <a href="#/pedidos/lista" class="tab ${['lista', 'receber'].includes(subView) ? 'active' : ''}">Pedidos</a>
         </div>
+        <div id="pedidos-content"></div>
     `;
 
-    /**
-     * Função centralizada para finalizar a produção.
-     * @param {boolean} tipoFinalizacao - Define se a produção foi concluída com sucesso ou cancelada.
-     */
-    function finalizarProducao(tipoFinalizacao) {
-        // MENSAGEM DE DEPURAÇÃO 1: Ver se a função é chamada.
-        console.log(`1. Função finalizarProducao chamada com o tipo: "${tipoFinalizacao}"`);
+    const content = root.querySelector('#pedidos-content');
+    if (subView === 'registrar') {
+        content.appendChild(renderRegistrarPedidoView());
+    } else if (subView === 'editar') {
+        const pedidoId = location.hash.split('/')[3];
+        const pedidoToEdit = store.data.pedidos.find(p => p.id === pedidoId);
+        content.appendChild(renderRegistrarPedidoView(pedidoToEdit));
+    } else if (subView === 'receber') {
+        const pedidoId = location.hash.split('/')[3];
+        content.appendChild(renderReceberPedidoView(store.data.pedidos.find(p => p.id === pedidoId)));
+    } else { // 'lista'
+        content.appendChild(renderPedidosListView());
+    }
+    return root;
+});
 
-        // A primeira coisa a fazer é parar a simulação de pesagem.
-        clearInterval(producaoInterval);
 
-        // 1. Determina a lista de pigmentos e quantidades a serem abatidas.
-        let pigmentosParaAbater = [];
-        let mensagemDeSucesso = '';
+/**
+ * Tela "Pedidos": Exibe a lista de todos os pedidos registrados.
+ * Inclui uma barra de pesquisa.
+ */
+function renderPedidosListView() {
+    const root = document.createElement('div');
+    root.innerHTML = `
+        <div class="toolbar" style="margin-bottom:16px;">
+            <h2 style="margin:0;">Pedidos</h2>
+        </div>
+        <div class="card" style="padding: 12px; margin-bottom: 16px;">
+            <input id="search-pedidos" type="text" placeholder="Pesquisar por ID, fornecedor, status ou data (DD/MM/AAAA)...">
+        </div>
+        <div id="pedidos-list-container"></div>
+    `;
 
-        // Define o estado e calcula o preço com base no tipo de finalização.
-        let estadoFinal = '';
-        let precoFinal = 0;
+    const container = root.querySelector('#pedidos-list-container');
+    const searchInput = root.querySelector('#search-pedidos');
 
-        if (tipoFinalizacao === 'completa') {
-            // Se a produção foi completa, usamos a receita inteira da fórmula.
-            pigmentosParaAbater = formula.pigmentos;
-            mensagemDeSucesso = 'Produção finalizada com sucesso e estoque atualizado!';
-            estadoFinal = 'Finalizada';
-            // Se foi completa, o preço é o valor total já calculado da fórmula.
-            precoFinal = formula.valorTotal || 0;
+    // Cada status libera apenas as ações que fazem sentido naquele momento do pedido.
+    const acoesPorStatus = (p) => {
+        const botoes = [];
+        if (p.status === 'rascunho') botoes.push(`<button class="btn" data-act="enviar" data-id="${p.id}">Marcar como Enviado</button>`);
+        if (['enviado', 'parcial'].includes(p.status)) botoes.push(`<button class="btn" data-act="receber" data-id="${p.id}">Receber</button>`);
+        if (p.status === 'parcial') botoes.push(`<button class="btn secondary" data-act="encerrar" data-id="${p.id}">Encerrar</button>`);
+        if (p.status !== 'cancelado') botoes.push(`<button class="btn secondary" data-act="edit" data-id="${p.id}">Editar</button>`);
+        if (p.status !== 'cancelado') botoes.push(`<button class="btn ghost danger" data-act="cancelar" data-id="${p.id}">Cancelar</button>`);
+        // Só rascunhos podem ser apagados: os demais ficam no histórico, no máximo como cancelados.
+        if (p.status === 'rascunho') botoes.push(`<button class="btn ghost danger" data-act="del" data-id="${p.id}">Remover</button>`);
+        return `<div class="actions">${botoes.join('')}</div>`;
+    };
 
-        } else if (tipoFinalizacao === 'manual') {
-            // Se foi manual, calculamos o que foi usado até agora.
-            pigmentosEmProducao.forEach(p => {
-                const quantidadeUsada = p.ml - p.restante;
-                // Só adicionamos à lista de abate se algo foi realmente usado.
-                if (quantidadeUsada > 0.01) { // Usamos 0.01 para evitar imprecisões de ponto flutuante
-                    pigmentosParaAbater.push({
-                        id: p.id,
-                        ml: quantidadeUsada,
-                        nome: p.nome,
-                        codigo: p.codigo,
-                        mlTotal: p.ml
-                    });
-                }
-            });
-            mensagemDeSucesso = 'Produção finalizada manualmente. Estoque dos itens utilizados foi atualizado.';
-            estadoFinal = 'Não Finalizada';
-            // Se foi manual, recalculamos o preço com base apenas no que foi usado.
-            precoFinal = pigmentosParaAbater.reduce((acc, p) => {
-                const pigmentoBase = store.data.pigmentos.find(base => base.id === p.id);
-                return acc + (pigmentoBase ? (pigmentoBase.preco / 900) * p.ml : 0);
-            }, 0);
+    const renderTable = (pedidos) => {
+        container.innerHTML = '';
+        if (!pedidos.length) {
+            container.innerHTML = `<div class="empty card">Nenhum pedido encontrado.</div>`;
+            return;
         }
+        const headers = ['ID do Pedido', 'Data', 'Fornecedor', 'Valor Total', 'Status', 'Ações'];
+        const rows = pedidos.map(p => [
+            codigoPedido(p), // Mostra apenas os 8 primeiros caracteres do ID
+            new Date(p.data + 'T03:00:00Z').toLocaleDateString('pt-BR'),
+            p.fornecedor.nome,
+            currency.format(p.valorTotal || 0),
+            badgeStatusPedido(p),
+            acoesPorStatus(p)
+        ]);
+        const tbl = table(headers, rows);
+        container.appendChild(tbl);
+    };
 
-        // MENSAGEM DE DEPURAÇÃO 2: Ver o que será abatido do estoque.
-        console.log('2. Pigmentos calculados para abater do estoque:', pigmentosParaAbater);
-
-        // 2. Abate o estoque e salva o histórico (APENAS se tiver algo para abater)
-        if (pigmentosParaAbater.length > 0) {
-            // MENSAGEM DE DEPURAÇÃO 3: Confirma que a lógica de salvar vai começar.
-            console.log('3. Entrando no bloco para abater o estoque e salvar o histórico.');
-            pigmentosParaAbater.forEach(pigmentoUsado => {
-                const pigmentoNoEstoque = store.data.pigmentos.find(p => p.id === pigmentoUsado.id); // Encontra o pigmento no estoque
-                if (pigmentoNoEstoque) {
-                    pigmentoNoEstoque.quantidade = Math.max(0, pigmentoNoEstoque.quantidade - pigmentoUsado.ml); // Abate a quantidade usada
-                }
-            });
-
-            // Se existe um historicoEntryId, estamos atualizando um registro.
-            if (historicoEntryId) {
-                const originalEntry = store.data.producaoHistorico.find(h => h.id === historicoEntryId);
-                if (originalEntry) {
-                    // Atualiza o registro existente
-                    originalEntry.data = new Date().toISOString();
-                    originalEntry.pigmentosUtilizados = pigmentosParaAbater;
-                    originalEntry.estado = estadoFinal;
-                    originalEntry.preco = precoFinal;
-                }
-            } else {
-                // Se não, estamos criando um registro novo.
-                const historicoEntry = {
-                    id: uuid(),
-                    data: new Date().toISOString(),
-                    formulaId: formula.id,
-                    nomeFormula: formula.nome,
-                    codigoFormula: formula.codigo,
-                    pigmentosUtilizados: pigmentosParaAbater,
-                    estado: estadoFinal,
-                    preco: precoFinal
-                };
-                store.data.producaoHistorico.push(historicoEntry);
-            }
+    const filterAndRender = () => {
+        const query = searchInput.value.toLowerCase().trim();
+        const todosPedidos = store.data.pedidos || [];
+        const pedidosFiltrados = query
+            ? todosPedidos.filter(p =>
+                p.id.toLowerCase().includes(query) ||
+                p.fornecedor.nome.toLowerCase().includes(query) ||
+                (STATUS_PEDIDO[p.status] || '').toLowerCase().includes(query) ||
+                new Date(p.data + 'T03:00:00Z').toLocaleDateString('pt-BR').includes(query)
+              )
+            : todosPedidos;
+        renderTable(pedidosFiltrados.sort((a, b) => new Date(b.data) - new Date(a.data)));
+    };
 
+    container.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-act]');
+        if (!btn) return;
+        const pedido = store.data.pedidos.find(p => p.id === btn.dataset.id);
+        if (!pedido) return;
+
+        if (btn.dataset.act === 'enviar') {
+            pedido.status = 'enviado';
+            pedido.dataEnvio = new Date().toISOString();
+            atualizarCatalogoComPedido(pedido);
+            atualizarContasPagarPedido(pedido);
             store.save();
-            toast(mensagemDeSucesso, 3000);
-        } else {
-            // MENSAGEM DE DEPURAÇÃO 4: Informa se nada foi usado.
-            console.log('4. Nenhuma quantidade de pigmento foi usada, nada a salvar.');
-            toast('Produção finalizada sem uso de material.', 3000);
-        }
-
-        // 3. Ações de limpeza que sempre acontecem.
-        sessionStorage.removeItem('formulaEmProducaoId');
-        navigate();
-    }
-
-    function renderProducao() {
-        const container = root.querySelector('#pigmentos-producao');
-        if (!container) return;
-
-        const pigmentosHtml = pigmentosEmProducao.map((p, index) => {
-            const isAtual = index === pigmentoAtualIndex;
-            const isCompleto = p.status === 'completo';
-            return `
-                <div class="pigmento-row ${isAtual && !isCompleto ? 'ativo' : ''}" style="border: 1px solid ${isAtual && !isCompleto ? 'var(--primary)' : 'var(--border)'}; padding: 8px; border-radius: 10px;">
-                    <div class="pigmento-nome">${p.nome}</div>
-                    <div class="pigmento-valor">${p.restante.toFixed(2)} ml</div>
-                    <div class="pigmento-total">de ${p.ml.toFixed(2)} ml</div>
-                    <div class="pigmento-acao">
-                        ${isCompleto ? '<span class="status-completo">✔ Concluído</span>' : ''}
-                        ${isAtual && p.status === 'pesado' ? '<button class="btn btn-proximo" data-act="proximo">Próximo</button>' : ''}
-                    </div>
-                </div>
-            `;
-        }).join('');
-
-        container.innerHTML = pigmentosHtml;
-    }
-
-    function updateControls(state) {
-        const controls = root.querySelector('#production-controls');
-        if (!controls) return;
-        if (state === 'produzindo') {
-            controls.innerHTML = `<button class="btn secondary" data-act="pausar">Pausar Produção</button>
-            <button class="btn danger" data-act="finalizar">Finalizar Produção</button>`;
-        } else if (state === 'pausado') {
-            controls.innerHTML = `<button class="btn" data-act="retomar">Retomar Produção</button>
-            <button class="btn danger" data-act="finalizar">Finalizar Produção</button>`;
-        } else { // 'ocioso' ou 'retomado'
-            controls.innerHTML = `<button class="btn" data-act="iniciar">Iniciar Produção</button>`;
-        }
-    }
-
-    function simularPesagem() {
-        if (isPaused) return;
-        const pigmento = pigmentosEmProducao[pigmentoAtualIndex];
-        if (pigmento && pigmento.restante > 0) {
-            pigmento.restante -= Math.random() * 2.5; // simula a pesagem
-            if (pigmento.restante < 0) pigmento.restante = 0;
+            filterAndRender();
+            toast(`Pedido ${codigoPedido(pedido)} marcado como enviado.`);
         }
-        if (pigmento && pigmento.restante === 0) {
-            pigmento.status = 'pesado';
-            clearInterval(producaoInterval);
+        if (btn.dataset.act === 'receber') {
+            location.hash = `#/pedidos/receber/${pedido.id}`;
         }
-        // A simulação só chama a função que renderiza a lista.
-        renderProducao();
-    }
-
-    root.addEventListener('click', e => {
-        const action = e.target.dataset.act;
-        if (!action) return;
-
-        if (action === 'iniciar' || action === 'retomar') {
-            isPaused = false;
-            producaoInterval = setInterval(simularPesagem, 100);
-            updateControls('produzindo');
+        if (btn.dataset.act === 'encerrar') {
+            if (confirm('Encerrar este pedido? As quantidades pendentes não serão mais aguardadas.')) {
+                pedido.status = 'recebido';
+                pedido.encerradoComPendencia = true;
+                store.save();
+                filterAndRender();
+                toast('Pedido encerrado.');
+            }
         }
-        if (action === 'pausar') {
-            isPaused = true;
-            clearInterval(producaoInterval);
-            updateControls('pausado');
+        if (btn.dataset.act === 'edit') {
+            location.hash = `#/pedidos/editar/${pedido.id}`;
         }
-        if (action === 'finalizar') {
-            if (confirm('Deseja realmente finalizar esta produção?')) {
-                // Chamamos a função com 'false', indicando que foi um cancelamento manual
-                // e que não deve salvar o histórico nem abater o estoque.
-                finalizarProducao('manual');
+        if (btn.dataset.act === 'cancelar') {
+            const recebeuAlgo = pedido.itens.some(item => Number(item.quantidadeRecebida) > 0);
+            const aviso = recebeuAlgo
+                ? 'Cancelar este pedido? Tudo o que já foi recebido será retirado do estoque. O pedido continuará na lista como cancelado.'
+                : 'Cancelar este pedido? Ele continuará na lista como cancelado.';
+            if (confirm(aviso)) {
+                cancelarPedido(pedido);
+                store.save();
+                filterAndRender();
+                toast(recebeuAlgo ? 'Pedido cancelado e entrada de estoque estornada.' : 'Pedido cancelado.');
             }
         }
-        if (action === 'proximo') {
-            // Só marcamos como completo e avançamos se o pigmento existir.
-            if (pigmentosEmProducao[pigmentoAtualIndex]) {
-                pigmentosEmProducao[pigmentoAtualIndex].status = 'completo';
-                pigmentoAtualIndex++;
+        if (btn.dataset.act === 'del') {
+            if (confirm('Deseja remover este rascunho de pedido?')) {
+                store.data.pedidos = store.data.pedidos.filter(p => p.id !== pedido.id);
+                store.save();
+                filterAndRender();
+                toast('Pedido removido.');
             }
+        }
+    });
 
-            // A verificação agora acontece após a tentativa de avanço.
-            if (pigmentoAtualIndex >= pigmentosEmProducao.length) {
-                finalizarProducao('completa');
-            } else {
-                producaoInterval = setInterval(simularPesagem, 100);
-            }
+    searchInput.addEventListener('input', filterAndRender);
+    filterAndRender();
+    return root;
+}
+
+/**
+ * Badge com o status do pedido. Pedidos parciais mostram quantos itens ainda estão pendentes.
+ */
+function badgeStatusPedido(pedido) {
+    const classes = { rascunho: 'badge-info', enviado: 'badge-info', parcial: 'badge-warn', recebido: 'badge-soft', cancelado: 'badge-danger' };
+    const pendentes = pedido.itens.filter(item => pendenteItemPedido(item) > 0).length;
+    const complemento = pedido.status === 'parcial' ? ` (${pendentes} ${pendentes === 1 ? 'item pendente' : 'itens pendentes'})`
+        : pedido.encerradoComPendencia ? ' (encerrado com pendências)' : '';
+    return `<span class="${classes[pedido.status] || 'badge-soft'}">${STATUS_PEDIDO[pedido.status] || pedido.status}${complemento}</span>`;
+}
+
+/**
+ * Tela "Receber Pedido": registra, item a item, as quantidades que realmente chegaram.
+ * @param {object} pedido - O pedido a ser recebido.
+ */
+function renderReceberPedidoView(pedido) {
+    const root = document.createElement('div');
+    if (!pedido || !['enviado', 'parcial'].includes(pedido.status)) {
+        root.innerHTML = `<div class="empty card">Este pedido não está aguardando recebimento.</div>`;
+        return root;
+    }
+
+    const unidade = (item) => item.tipo === 'pigmento' ? ` ${item.unidade}` : '';
+    const headers = ['Item', 'Pedido', 'Já Recebido', 'Pendente', 'Recebido Agora'];
+    const rows = pedido.itens.map((item, idx) => [
+        `${item.nome} <small>(${item.codigo})</small>`,
+        `${item.quantidade}${unidade(item)}`,
+        `${Number(item.quantidadeRecebida) || 0}${unidade(item)}`,
+        `${pendenteItemPedido(item)}${unidade(item)}`,
+        `<input type="number" min="0" step="any" value="${pendenteItemPedido(item)}" data-idx="${idx}" style="width:110px;" ${pendenteItemPedido(item) === 0 ? 'disabled' : ''}>`
+    ]);
+
+    root.innerHTML = `
+        <div class="toolbar" style="margin-bottom:16px;">
+            <div>
+                <h2 style="margin:0;">Receber Pedido ${codigoPedido(pedido)}</h2>
+                <small>${pedido.fornecedor.nome} • ${badgeStatusPedido(pedido)}</small>
+            </div>
+            <div class="spacer"></div>
+            <button class="btn ghost" onclick="location.hash='#/pedidos/lista'">Voltar para Pedidos</button>
+            <button class="btn" data-act="confirmar">Registrar Recebimento</button>
+        </div>
+    `;
+    root.appendChild(table(headers, rows));
+
+    root.querySelector('[data-act="confirmar"]').addEventListener('click', () => {
+        const quantidades = pedido.itens.map(() => 0);
+        let excedeu = false;
+        $$('input[data-idx]', root).forEach(input => {
+            const idx = Number(input.dataset.idx);
+            quantidades[idx] = Math.max(0, Number(input.value) || 0);
+            if (quantidades[idx] > pendenteItemPedido(pedido.itens[idx])) excedeu = true;
+        });
+        if (excedeu && !confirm('Algum item chegou em quantidade maior que a pendente. Deseja registrar assim mesmo?')) return;
+
+        if (!registrarRecebimentoPedido(pedido, quantidades)) {
+            alert('Informe a quantidade recebida de ao menos um item.');
+            return;
         }
+        store.save();
+        toast(pedido.status === 'recebido' ? 'Pedido recebido por completo e estoque atualizado!' : 'Recebimento parcial registrado e estoque atualizado.');
+        location.hash = '#/pedidos/lista';
     });
 
-    renderProducao();
-    updateControls(resumeState ? 'pausado' : 'ocioso');
     return root;
 }
 
-// Aba "Histórico de Produção" (Listagem)
-function renderHistoricoProducaoView() {
+
+/**
+ * Tela "Registrar Pedido": Formulário para criar um novo pedido de produtos e/ou pigmentos.
+ * @param {object} pedidoToEdit - (Opcional) O pedido a ser editado.
+ */
+function renderRegistrarPedidoView(pedidoToEdit) {
     const root = document.createElement('div');
+    const isEditing = !!pedidoToEdit;
+    if (pedidoToEdit?.status === 'cancelado') {
+        root.innerHTML = `<div class="empty card">Pedidos cancelados não podem ser editados.</div>`;
+        return root;
+    }
+    root.className = 'pedidos-grid';
+
+    // Estado local do formulário
+    let itensDoPedido = isEditing ? JSON.parse(JSON.stringify(pedidoToEdit.itens)) : [];
+    let selectedFornecedor = isEditing ? pedidoToEdit.fornecedor : null;
+    const pedidoId = pedidoToEdit?.id || uuid(); // Gerado já aqui para que o ID exibido seja o mesmo que será salvo.
+    // Em pedidos que já tiveram recebimento, a quantidade recebida também pode ser corrigida.
+    const editaRecebido = isEditing && ['parcial', 'recebido'].includes(pedidoToEdit.status);
+    // Condição de pagamento (boletos). Se alguma parcela já foi paga, ela não pode mais mudar.
+    const condicao = pedidoToEdit?.condicaoPagamento || { parcelas: 1, primeiroVencimento: somarDias(new Date().toISOString().slice(0, 10), 30), intervaloDias: 30 };
+    const parcelasPagas = isEditing && contasPagarDoPedido(pedidoToEdit.id).some(c => c.baixas.length);
+
+    // Rascunhos escolhem entre continuar rascunho ou enviar; os demais pedidos só salvam as alterações.
+    const botoesHtml = isEditing && pedidoToEdit.status !== 'rascunho'
+        ? `<button class="btn" data-status="${pedidoToEdit.status}" style="grid-column: 1 / -1; margin-top:12px;">Salvar Alterações</button>`
+        : `<button class="btn secondary" data-status="rascunho" style="grid-column: span 6; margin-top:12px;">Salvar como Rascunho</button>
+           <button class="btn" data-status="enviado" style="grid-column: span 6; margin-top:12px;">Salvar e Marcar como Enviado</button>`;
+
     root.innerHTML = `
-        <div class="toolbar" style="margin-bottom:16px;">
-            <h2 style="margin:0;">Histórico de Produção</h2>
+        <div class="card">
+            <div class="toolbar"><h2 style="margin:0">${isEditing ? `Editar Pedido ${codigoPedido(pedidoToEdit)}` : 'Registrar Pedido'}</h2>${isEditing ? badgeStatusPedido(pedidoToEdit) : ''}</div>
+            <div class="form">
+                <div class="field" style="grid-column: span 3"><label>ID do Pedido</label><input value="${codigoPedido({ id: pedidoId })}" disabled /></div>
+                <div class="field autocomplete-container" style="grid-column: span 6">
+                    <label>Fornecedor</label>
+                    <input id="pedido-fornecedor" value="${selectedFornecedor?.nome || ''}" placeholder="Digite para buscar..." autocomplete="off" />
+                    <div class="autocomplete-results"></div>
+                </div>
+                <div class="field" style="grid-column: span 3"><label>Data</label><input id="pedido-data" type="date" value="${pedidoToEdit?.data || new Date().toISOString().slice(0,10)}"/></div>
+                <div class="field full"><label>Itens no Pedido</label><div id="pedido-itens-lista" style="border:1px dashed var(--border); padding:10px; border-radius:10px; min-height:120px;"></div></div>
+                <div class="field" style="grid-column: span 2"><label>Parcelas (boleto)</label><input id="pedido-parcelas" type="number" min="1" step="1" value="${condicao.parcelas}" ${parcelasPagas ? 'disabled' : ''}/></div>
+                <div class="field" style="grid-column: span 3"><label>1º Vencimento</label><input id="pedido-vencimento" type="date" value="${condicao.primeiroVencimento}" ${parcelasPagas ? 'disabled' : ''}/></div>
+                <div class="field" style="grid-column: span 2"><label>Intervalo (dias)</label><input id="pedido-intervalo" type="number" min="1" step="1" value="${condicao.intervaloDias}" ${parcelasPagas ? 'disabled' : ''}/></div>
+                <div class="field" style="grid-column: 8 / -1; text-align:right;">
+                    <label>Valor Total do Pedido</label>
+                    <div id="pedido-valor-total" style="font-size: 1.8em; font-weight: 600;">${currency.format(0)}</div>
+                    <div id="pedido-parcelas-info" class="muted" style="font-size:0.85rem;"></div>
+                </div>
+                ${parcelasPagas ? '<div class="field full muted" style="font-size:0.85rem;">Este pedido já tem parcelas pagas: a condição de pagamento e as contas a pagar não serão alteradas.</div>' : ''}
+                ${botoesHtml}
+            </div>
         </div>
-        <div class="card" style="padding: 12px; margin-bottom: 16px;">
-            <input id="search-hist-prod" type="text" placeholder="Pesquisar por nome da fórmula ou data (DD/MM/AAAA)...">
+        <div class="card">
+            <label>Adicionar Produto ou Pigmento ao Pedido</label>
+            <input id="pedido-produto-search" placeholder="Digite nome ou código e pressione Enter..." style="width:100%; margin-top:8px;">
+            <div id="pedido-produto-results" class="prod-search-results"></div>
         </div>
-        <div id="hist-prod-container"></div>
-    `;
-
-    const historicoContainer = root.querySelector('#hist-prod-container');
-    historicoContainer.className = 'card';
-
-    const headerRow = document.createElement('div');
-    headerRow.className = 'hist-row header';
-    headerRow.style.fontWeight = '600';
-    headerRow.innerHTML = `
-        <div class="toggle-details"></div>
-        <div>Data</div>
-        <div>Nome da Fórmula</div>
-        <div>Preço</div>
-        <div>Estado</div>
-        <div class="actions">Ações</div>
     `;
-    historicoContainer.appendChild(headerRow);
-
-    // Wrapper apenas para as linhas dinâmicas
-    const rowsWrapper = document.createElement('div');
-    rowsWrapper.id = 'hist-prod-rows';
-    historicoContainer.appendChild(rowsWrapper);
-
-    const searchInput = root.querySelector('#search-hist-prod');
 
+    // --- Lógica das funções internas ---
+    const fornecedorInput = root.querySelector('#pedido-fornecedor');
+    const fornecedorResults = fornecedorInput.nextElementSibling;
+    const produtoSearchInput = root.querySelector('#pedido-produto-search');
+    const produtoResults = root.querySelector('#pedido-produto-results');
+    const itensListaContainer = root.querySelector('#pedido-itens-lista');
+    const valorTotalEl = root.querySelector('#pedido-valor-total');
 
-    const renderList = (historico) => {
-        rowsWrapper.innerHTML = '';
-        if (!historico.length) {
-            rowsWrapper.innerHTML = `<div class="empty card">Nenhum registro encontrado.</div>`;
-            return;
-        }
-        // Cria as linhas do histórico
-        historico.sort((a, b) => new Date(b.data) - new Date(a.data)).forEach(item => {
+    // Desenha a lista de itens adicionados. Pigmentos ganham a escolha da unidade (ml ou L).
+    const renderItens = () => {
+        itensListaContainer.innerHTML = '';
+        if(!itensDoPedido.length) return;
+        itensDoPedido.forEach((item, idx) => {
             const row = document.createElement('div');
-            row.className = 'hist-row';
-            row.dataset.histId = item.id; // ID para referência no clique
-
-            const estadoBadge = item.estado === 'Finalizada'
-                ? `<span class="badge-soft">${item.estado}</span>`
-                : `<span class="badge-danger">${item.estado}</span>`;
-
-            const acoesHtml = item.estado === 'Não Finalizada'
-                ? `<button class="btn secondary" data-act="retomar" data-id="${item.id}">Retomar</button>`
+            row.className = 'toolbar'; row.style.padding = '8px 0';
+            const unidadeHtml = item.tipo === 'pigmento'
+                ? `<select data-idx="${idx}" data-key="unidade" style="width:70px;">
+                       <option value="L" ${item.unidade === 'L' ? 'selected' : ''}>L</option>
+                       <option value="ml" ${item.unidade === 'ml' ? 'selected' : ''}>ml</option>
+                   </select>`
+                : '';
+            // Dicas do catálogo do fornecedor: quantidade mínima e prazo de entrega.
+            const catalogo = entradaCatalogo(item.tipo, item.id);
+            const dicaCatalogo = catalogo
+                ? `<div style="font-size:12px;color:var(--muted)">Cód. fornecedor: ${catalogo.codigoFornecedor || '—'} • Mín.: ${catalogo.qtdMinima || 0}${item.tipo === 'pigmento' ? ' L' : ''} • Prazo: ${catalogo.prazoEntregaDias || 0} dias</div>`
                 : '';
-
             row.innerHTML = `
-                <div class="toggle-details">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M9 18L15 12L9 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                    </svg>
-                </div>
-                <div>${new Date(item.data).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}</div>
-                <div>${item.nomeFormula}</div>
-                <div>${currency.format(item.preco || 0)}</div>
-                <div>${estadoBadge}</div>
-                <div class="actions">${acoesHtml}</div>
+                <div style="flex:1;"><strong>${item.nome}</strong> <small>(${item.codigo})</small> ${item.tipo === 'pigmento' ? '<span class="badge-soft">Pigmento</span>' : ''}${dicaCatalogo}</div>
+                Qtd: <input type="number" value="${item.quantidade}" min="1" data-idx="${idx}" data-key="quantidade" style="width:80px;">
+                ${unidadeHtml}
+                Preço UN: <input type="number" value="${item.precoUnitario}" step="0.01" data-idx="${idx}" data-key="precoUnitario" style="width:100px;">
+                ${editaRecebido ? `Recebido: <input type="number" value="${Number(item.quantidadeRecebida) || 0}" min="0" data-idx="${idx}" data-key="quantidadeRecebida" style="width:80px;">` : ''}
+                Total: <strong>${currency.format(item.precoTotal)}</strong>
+                <button class="btn ghost danger" data-idx="${idx}" data-act="remover-item">X</button>
             `;
+            itensListaContainer.appendChild(row);
+        });
+    };
 
-            const details = document.createElement('div');
-            details.className = 'hist-details';
-            details.dataset.detailsFor = item.id;
+    // Calcula todos os totais
+    const calcularTotais = () => {
+        let totalGeral = 0;
+        itensDoPedido.forEach(item => {
+            item.precoTotal = (item.quantidade || 0) * (item.precoUnitario || 0);
+            totalGeral += item.precoTotal;
+        });
+        valorTotalEl.textContent = currency.format(totalGeral);
+        const parcelas = Math.max(1, Number(root.querySelector('#pedido-parcelas').value) || 1);
+        root.querySelector('#pedido-parcelas-info').textContent = parcelas > 1 ? `${parcelas} boletos de ${currency.format(totalGeral / parcelas)}` : '';
+        renderItens();
+    };
 
-            // 1. Buscamos a fórmula original correspondente a ESTE item do histórico.
-            const formulaOriginal = store.data.formulas.find(f => f.id === item.formulaId);
+    root.querySelector('#pedido-parcelas').addEventListener('input', calcularTotais);
+
+    // Entrada do catálogo do fornecedor selecionado para um item (se houver).
+    const entradaCatalogo = (tipo, id) => selectedFornecedor?.id
+        ? catalogoDoFornecedor(selectedFornecedor.id).find(c => c.tipo === tipo && c.itemId === id)
+        : null;
+
+    // Pré-preenche o pedido com os itens do catálogo do fornecedor escolhido, pelo último preço.
+    // Itens que já estavam no pedido só têm o preço atualizado.
+    const preencherComCatalogo = (fornecedorId) => {
+        const entradas = catalogoDoFornecedor(fornecedorId).filter(itemDoCatalogo);
+        entradas.forEach(entrada => {
+            const base = itemDoCatalogo(entrada);
+            const existente = itensDoPedido.find(i => i.tipo === entrada.tipo && i.id === entrada.itemId);
+            const precoLitroOuUnidade = Number(entrada.ultimoPreco) || 0;
+            if (existente) {
+                existente.precoUnitario = existente.unidade === 'ml' ? precoLitroOuUnidade / 1000 : precoLitroOuUnidade;
+                return;
+            }
+            itensDoPedido.push({
+                tipo: entrada.tipo, id: base.id, nome: base.nome, codigo: base.codigo,
+                quantidade: Number(entrada.qtdMinima) || 1,
+                ...(entrada.tipo === 'pigmento' ? { unidade: 'L' } : {}),
+                precoUnitario: precoLitroOuUnidade, precoTotal: 0
+            });
+        });
+        calcularTotais();
+        if (entradas.length) toast(`Itens e preços do catálogo de ${selectedFornecedor.nome} aplicados ao pedido.`);
+    };
 
-            // Cria a tabela de detalhes dos pigmentos
-            const pigmentosHeaders = ['Pigmento', 'Qtd. Usada', 'Qtd. Faltante', 'Total Necessário', 'Preço (Uso)'];
-            const pigmentosRows = item.pigmentosUtilizados.map(p => {
-                // 2. Usamos a 'formulaOriginal' que acabamos de encontrar.
-                // Adicionamos uma verificação (ternário) para o caso de a fórmula original ter sido deletada.
-                const pigmentoNaFormula = formulaOriginal ? formulaOriginal.pigmentos.find(orig => orig.id === p.id) : null;
-                const totalNecessario = pigmentoNaFormula ? pigmentoNaFormula.ml : p.ml; // se não encontrar, usa o ml do próprio item
+    // Adiciona um item ao pedido, evitando duplicados do mesmo tipo.
+    const adicionarItem = (novoItem) => {
+        if (itensDoPedido.some(item => item.tipo === novoItem.tipo && item.id === novoItem.id)) { toast('Item já está no pedido.'); return; }
+        itensDoPedido.push(novoItem);
+        calcularTotais();
+        produtoSearchInput.value = '';
+        produtoResults.innerHTML = '';
+    };
 
-                const faltante = Math.max(0, totalNecessario - p.ml);
-                const precoBase = store.data.pigmentos.find(base => base.id === p.id)?.preco || 0;
-                const precoUso = (precoBase / 900) * p.ml;
+    // --- Lógica dos Event Listeners ---
 
-                return [
-                    `${p.nome} (${p.codigo})`,
-                    `${p.ml.toFixed(2)} ml`,
-                    `${faltante.toFixed(2)} ml`,
-                    `${totalNecessario.toFixed(2)} ml`,
-                    currency.format(precoUso)
-                ];
-            });
-            details.appendChild(table(pigmentosHeaders, pigmentosRows));
+    // Autocomplete do Fornecedor (mesma lógica do autocomplete de Clientes na venda)
+    fornecedorInput.addEventListener('input', () => {
+        const query = fornecedorInput.value.toLowerCase().trim();
+        fornecedorResults.innerHTML = '';
 
-            historicoContainer.appendChild(row);
-            historicoContainer.appendChild(details);
+        // Se o texto não é mais o do fornecedor escolhido, a seleção deixa de valer.
+        if (selectedFornecedor && fornecedorInput.value !== selectedFornecedor.nome) selectedFornecedor = null;
+        if (!query) return;
+
+        store.data.fornecedores.filter(f => f.nome.toLowerCase().includes(query)).forEach(fornecedor => {
+            const itemEl = document.createElement('div');
+            itemEl.className = 'autocomplete-item';
+            itemEl.textContent = fornecedor.nome;
+            itemEl.dataset.id = fornecedor.id;
+            fornecedorResults.appendChild(itemEl);
         });
+    });
 
-        // Delegação de eventos (uma vez só)
-        historicoContainer.addEventListener('click', e => {
-            const target = e.target;
-            // Expandir/recolher
-            const rowHeader = target.closest('.hist-row');
-            if (rowHeader && rowHeader.dataset.histId && !target.closest('button')) {
-                const id = rowHeader.dataset.histId;
-                const detailsEl = historicoContainer.querySelector(`.hist-details[data-details-for="${id}"]`);
-                const toggleEl = rowHeader.querySelector('.toggle-details');
-                if (detailsEl) {
-                    const isVisible = detailsEl.style.display === 'block';
-                    detailsEl.style.display = isVisible ? 'none' : 'block';
-                    toggleEl?.classList.toggle('expanded', !isVisible);
-                }
-            }
+    fornecedorResults.addEventListener('click', e => {
+        if (!e.target.classList.contains('autocomplete-item')) return;
+        const fornecedor = store.data.fornecedores.find(f => f.id === e.target.dataset.id);
+        if (!fornecedor) return;
+        fornecedorInput.value = fornecedor.nome;
+        selectedFornecedor = { id: fornecedor.id, nome: fornecedor.nome };
+        fornecedorResults.innerHTML = '';
+        preencherComCatalogo(fornecedor.id);
+    });
 
-            // Lógica para o botão "Retomar"
-            if (target.dataset.act === 'retomar') {
-                e.stopPropagation(); // Impede que o evento de expandir seja acionado
-                const id = target.dataset.id;
-                const itemHistorico = store.data.producaoHistorico.find(h => h.id === id);
-                const formulaParaRetomar = store.data.formulas.find(f => f.id === itemHistorico.formulaId);
+    // Busca de Produtos e Pigmentos
+    produtoSearchInput.addEventListener('keydown', e => {
+        if (e.key !== 'Enter') return;
+        const query = produtoSearchInput.value.toLowerCase().trim();
+        const corresponde = x => x.nome.toLowerCase().includes(query) || (x.codigo || '').toLowerCase().includes(query);
+        produtoResults.innerHTML = '';
 
-                if (itemHistorico && formulaParaRetomar) {
-                    const resumeState = {
-                        historicoEntryId: itemHistorico.id, // <<<< ADICIONADO
-                        formulaId: itemHistorico.formulaId,
-                        pigmentosEmProducao: formulaParaRetomar.pigmentos.map(pigmentoOriginal => {
-                            const pigmentoUsado = itemHistorico.pigmentosUtilizados.find(p => p.id === pigmentoOriginal.id);
-                            const mlUsado = pigmentoUsado ? (pigmentoUsado.ml || pigmentoUsado.mlUsado || 0) : 0;
-                            return {
-                                ...pigmentoOriginal,
-                                restante: Math.max(0, pigmentoOriginal.ml - mlUsado),
-                                status: (pigmentoOriginal.ml - mlUsado < 0.01) ? 'completo' : 'pendente'
-                            };
-                        })
-                    };
-                    sessionStorage.setItem('resumeProductionState', JSON.stringify(resumeState));
-                    location.hash = '#/producao/em-producao';
-                } else {
-                    alert('Não foi possível retomar a produção. A fórmula original pode ter sido excluída.');
-                }
-            }
+        store.data.produtos.filter(corresponde).forEach(p => {
+            const row = document.createElement('div');
+            row.className = 'prod-row search-result';
+            row.innerHTML = `<div><strong>${p.nome}</strong> <small>(${p.codigo})</small></div> <button class="btn secondary">Adicionar</button>`;
+            row.querySelector('button').addEventListener('click', () => {
+                // O preço do catálogo do fornecedor tem prioridade sobre o custo cadastrado no produto.
+                const preco = entradaCatalogo('produto', p.id)?.ultimoPreco ?? (Number(p.custo) || 0);
+                adicionarItem({ tipo: 'produto', id: p.id, nome: p.nome, codigo: p.codigo, quantidade: 1, precoUnitario: Number(preco) || 0, precoTotal: Number(preco) || 0 });
+            });
+            produtoResults.appendChild(row);
         });
-    };
 
-    // Função que filtra e renderiza a lista com base na busca
-    const filterAndRender = () => {
-        const query = searchInput.value.toLowerCase().trim();
-        const todosRegistros = store.data.producaoHistorico || [];
+        // Pigmentos entram em litros, pelo preço do fornecedor (cadastrado por 900 ml ou 900 g) convertido para 1L.
+        store.data.pigmentos.filter(corresponde).forEach(p => {
+            const row = document.createElement('div');
+            row.className = 'prod-row search-result';
+            row.innerHTML = `<div><strong>${p.nome}</strong> <small>(${p.codigo})</small> <span class="badge-soft">Pigmento</span></div> <button class="btn secondary">Adicionar</button>`;
+            row.querySelector('button').addEventListener('click', () => {
+                const precoLitro = entradaCatalogo('pigmento', p.id)?.ultimoPreco ?? custoPigmentos([{ id: p.id, ml: 1000 }]);
+                adicionarItem({ tipo: 'pigmento', id: p.id, nome: p.nome, codigo: p.codigo, quantidade: 1, unidade: 'L', precoUnitario: Number(precoLitro.toFixed(2)), precoTotal: precoLitro });
+            });
+            produtoResults.appendChild(row);
+        });
 
-        if (!query) {
-            renderList(todosRegistros); // Se a busca estiver vazia, mostra tudo
-            return;
+        if (!produtoResults.children.length) {
+            produtoResults.innerHTML = '<div class="empty">Nenhum produto ou pigmento encontrado</div>';
         }
+    });
 
-        const registrosFiltrados = todosRegistros.filter(item => {
-            const dataFormatada = new Date(item.data).toLocaleString('pt-BR');
-            return item.nomeFormula.toLowerCase().includes(query) || dataFormatada.includes(query);
-        });
+    // Alterar quantidade ou preço de um item
+    itensListaContainer.addEventListener('input', e => {
+        const idx = e.target.dataset.idx;
+        if(idx && e.target.dataset.key !== 'unidade') {
+            itensDoPedido[idx][e.target.dataset.key] = Number(e.target.value);
+            calcularTotais();
+        }
+    });
 
-        renderList(registrosFiltrados);
-    };
+    // Trocar a unidade de um pigmento converte quantidade e preço, mantendo o total do item.
+    itensListaContainer.addEventListener('change', e => {
+        if (e.target.dataset.key !== 'unidade') return;
+        const item = itensDoPedido[e.target.dataset.idx];
+        const novaUnidade = e.target.value;
+        if (item.unidade === novaUnidade) return;
+        const fator = novaUnidade === 'ml' ? 1000 : 1 / 1000;
+        item.quantidade = Number((item.quantidade * fator).toFixed(3));
+        item.quantidadeRecebida = Number(((Number(item.quantidadeRecebida) || 0) * fator).toFixed(3));
+        item.precoUnitario = Number((item.precoUnitario / fator).toFixed(6));
+        item.unidade = novaUnidade;
+        calcularTotais();
+    });
 
-    // Adiciona o listener para o evento de 'input' (a cada letra digitada)
-    searchInput.addEventListener('input', filterAndRender);
+    // Remover um item
+    itensListaContainer.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-act="remover-item"]');
+        if(btn) {
+            itensDoPedido.splice(btn.dataset.idx, 1);
+            calcularTotais();
+        }
+    });
 
-    // Renderiza a lista completa pela primeira vez
-    filterAndRender();
+    // Salvar Pedido (rascunho ou enviado). O estoque só muda quando as mercadorias forem recebidas;
+    // na edição, apenas a diferença no que consta como recebido é lançada no estoque.
+    $$('button[data-status]', root).forEach(btn => btn.addEventListener('click', () => {
+        if (!selectedFornecedor) { alert('Por favor, selecione um fornecedor.'); return; }
+        if (!itensDoPedido.length) { alert('Adicione ao menos um item ao pedido.'); return; }
+
+        // 1. Cria o objeto do pedido
+        const status = btn.dataset.status;
+        const pedidoSalvo = {
+            ...(pedidoToEdit || {}),
+            id: pedidoId,
+            data: root.querySelector('#pedido-data').value,
+            fornecedor: selectedFornecedor,
+            itens: itensDoPedido.map(item => ({ ...item, quantidadeRecebida: Number(item.quantidadeRecebida) || 0 })),
+            valorTotal: itensDoPedido.reduce((acc, item) => acc + item.precoTotal, 0),
+            status,
+            dataEnvio: pedidoToEdit?.dataEnvio || (status === 'enviado' ? new Date().toISOString() : null),
+            recebimentos: pedidoToEdit?.recebimentos || [],
+            condicaoPagamento: parcelasPagas ? condicao : {
+                parcelas: Math.max(1, Math.floor(Number(root.querySelector('#pedido-parcelas').value) || 1)),
+                primeiroVencimento: root.querySelector('#pedido-vencimento').value || somarDias(root.querySelector('#pedido-data').value, 30),
+                intervaloDias: Math.max(1, Math.floor(Number(root.querySelector('#pedido-intervalo').value) || 30))
+            }
+        };
+
+        // 2. Pedidos que saem do rascunho atualizam o último preço no catálogo do fornecedor
+        if (status !== 'rascunho') atualizarCatalogoComPedido(pedidoSalvo);
+
+        // 3. Salva no store
+        if (isEditing) {
+            aplicarEdicaoPedido(pedidoToEdit.itens, pedidoSalvo);
+            atualizarStatusPedido(pedidoSalvo);
+            const index = store.data.pedidos.findIndex(p => p.id === pedidoSalvo.id);
+            store.data.pedidos[index] = pedidoSalvo;
+        } else {
+            store.data.pedidos.push(pedidoSalvo);
+        }
+        // 4. Pedidos enviados geram as contas a pagar ao fornecedor
+        const contasRefeitas = atualizarContasPagarPedido(pedidoSalvo);
+        store.save();
+
+        if (!contasRefeitas && Math.abs(pedidoSalvo.valorTotal - pedidoToEdit.valorTotal) > 0.005) toast('Pedido atualizado. As contas a pagar já têm pagamentos e não foram alteradas.', 4000);
+        else if (isEditing) toast('Pedido atualizado.');
+        else toast(status === 'enviado' ? 'Pedido registrado como enviado. Registre o recebimento quando as mercadorias chegarem.' : 'Rascunho do pedido salvo.');
+        location.hash = '#/pedidos/lista';
+    }));
+
+    calcularTotais(); // Desenha os itens já existentes (modo de edição).
     return root;
 }
 
 
-// --- TELA: Produtos (CRUD) ---
-addRoute('produtos', () => {
-    // Esta função cria uma "sub-rota". Se a URL for #/produtos/novo, ela mostra o formulário.
-    // Se for #/produtos, mostra a lista.
-    if (location.hash === '#/produtos/novo' || location.hash.startsWith('#/produtos/edit')) {
-        const id = location.hash.split('/')[3];
-        const produto = store.data.produtos.find(p => p.id === id);
-        return renderFormProduto(produto);
-    }
-    return renderListaProdutos();
-});
-
-// Lista de produtos
-function renderListaProdutos() {
+// --- TELA: Financeiro ---
+/**
+ * Roteador da seção "Financeiro".
+ */
+addRoute('financeiro', () => {
     const root = document.createElement('div');
+    const subView = location.hash.split('/')[2] || 'receber';
+
     root.innerHTML = `
-        <div class="toolbar" style="margin:6px 0 12px">
-            <h2 style="margin:0">Produtos</h2>
-            <div class="spacer"></div>
-            <button class="btn" onclick="location.hash='#/produtos/novo'">Novo produto</button>
-        </div>
-        <div class="card" style="padding: 12px; margin-bottom: 16px;">
-            <input id="search-produtos" type="text" placeholder="Pesquisar por nome ou código do produto...">
+        <div class="tabs">
+            <a href="#/financeiro/receber" class="tab ${subView === 'receber' ? 'active' : ''}">Contas a Receber</a>
+            <a href="#/financeiro/pagar" class="tab ${subView === 'pagar' ? 'active' : ''}">Contas a Pagar</a>
+            <a href="#/financeiro/caixa" class="tab ${subView === 'caixa' ? 'active' : ''}">Caixa</a>
         </div>
-        <div id="produtos-list-container"></div>
+        <div id="financeiro-content"></div>
     `;
 
-    const container = root.querySelector('#produtos-list-container');
-    const searchInput = root.querySelector('#search-produtos');
-
-    // Função que renderiza a tabela de produtos
-    const renderList = (produtos) => {
-        container.innerHTML = ''; // Limpa a lista antes de redesenhar
-        if (!produtos.length) {
-            container.innerHTML = `<div class="empty card">Nenhum produto encontrado.</div>`;
-            return;
+    const content = root.querySelector('#financeiro-content');
+    const hashParts = location.hash.split('/'); // Ex: ['#', 'financeiro', 'caixa', 'relatorio', 'ID_DO_CAIXA']
+    if (subView === 'pagar') {
+        content.appendChild(renderContasPagarView());
+    } else if (subView === 'caixa') {
+        const caixa = caixaAberto();
+        const caixaDoRelatorio = hashParts[3] === 'relatorio' && store.data.caixas.find(c => c.id === hashParts[4] && c.status === 'fechado');
+        if (hashParts[3] === 'fechar' && caixa) {
+            content.appendChild(renderFechamentoCaixaView(caixa));
+        } else if (caixaDoRelatorio) {
+            content.appendChild(renderRelatorioCaixaView(caixaDoRelatorio));
+        } else {
+            content.appendChild(renderCaixaView());
         }
+    } else {
+        content.appendChild(renderContasReceberView());
+    }
+    return root;
+});
 
-        const listWrapper = document.createElement('div');
-        listWrapper.className = 'card';
+/**
+ * Cria o card com o formulário de pagamento (baixa) de uma parcela, usado nas contas a receber e a pagar.
+ * Os botões usam data-act 'cancelar-baixa' e 'confirmar-baixa'; os campos são #baixa-valor, #baixa-data e #baixa-forma.
+ */
+function formularioBaixaConta(titulo, conta) {
+    const formas = (store.data.formasPagamento || []).filter(f => !f.aPrazo);
+    const form = document.createElement('div');
+    form.className = 'card';
+    form.style.marginBottom = '16px';
+    form.innerHTML = `
+        <h3>${titulo}</h3>
+        <div class="muted" style="margin-bottom:10px;">Vencimento ${new Date(conta.vencimento + 'T03:00:00Z').toLocaleDateString('pt-BR')} • Saldo ${currency.format(saldoConta(conta))}</div>
+        <div class="form">
+            <div class="field" style="grid-column: span 3"><label>Valor Pago</label><input id="baixa-valor" type="number" step="0.01" min="0" value="${saldoConta(conta).toFixed(2)}"></div>
+            <div class="field" style="grid-column: span 3"><label>Data</label><input id="baixa-data" type="date" value="${new Date().toISOString().slice(0, 10)}"></div>
+            <div class="field" style="grid-column: span 3"><label>Forma</label>
+                <select id="baixa-forma">${formas.map(f => `<option value="${f.nome}">${f.nome}</option>`).join('')}</select>
+            </div>
+            <div class="toolbar" style="grid-column: span 3; align-self:end;">
+                <button class="btn ghost" data-act="cancelar-baixa">Cancelar</button>
+                <button class="btn" data-act="confirmar-baixa">Confirmar</button>
+            </div>
+        </div>
+    `;
+    return form;
+}
 
-        // 1. Cria o cabeçalho da lista.
-        const headerRow = document.createElement('div');
-        headerRow.className = 'prod-row header';
-        headerRow.innerHTML = `
-            <div class="toggle-details"></div>
-            <div>Nome</div>
-            <div>Código</div>
-            <div>Preço</div>
-            <div>Estoque</div>
-            <div class="actions">Ações</div>
-        `;
-        listWrapper.appendChild(headerRow);
+/**
+ * Lê o formulário de baixa e registra o pagamento na conta. Retorna a baixa, ou null se o valor for inválido.
+ */
+function confirmarBaixaConta(root, conta) {
+    const valor = Number(root.querySelector('#baixa-valor').value) || 0;
+    if (valor <= 0) { alert('Informe o valor pago.'); return null; }
+    if (valor > saldoConta(conta) + 0.005 && !confirm(`O valor é maior que o saldo da parcela (${currency.format(saldoConta(conta))}). Registrar apenas o saldo?`)) {
+        return null;
+    }
+    return registrarBaixaConta(conta, valor, root.querySelector('#baixa-forma').value, root.querySelector('#baixa-data').value);
+}
 
-        // 2. Cria as linhas de dados (visível e oculta) para cada produto.
-        produtos.forEach(p => {
-            const row = document.createElement('div');
-            row.className = 'prod-row';
-            row.dataset.prodId = p.id;
+/**
+ * Contas a Receber (fiado): saldos por cliente, parcelas vencidas e o registro de
+ * pagamentos totais ou parciais de cada parcela.
+ */
+function renderContasReceberView() {
+    const root = document.createElement('div');
+    // Estado: a conta que está recebendo um pagamento e o filtro da lista.
+    let recebendoId = null;
+    let filtroStatus = 'pendentes';
+    let busca = '';
 
-            const estoqueStatusClass = Number(p.estoqueAtual) <= Number(p.estoqueMin) ? 'badge-warn' : 'badge-soft';
+    const dataBR = d => new Date(d + 'T03:00:00Z').toLocaleDateString('pt-BR');
+    const badges = { aberta: 'badge-info', parcial: 'badge-warn', vencida: 'badge-danger', quitada: 'badge-soft' };
 
-            // Conteúdo da linha principal (visível)
-            row.innerHTML = `
-                <div class="toggle-details">
-                    <svg width="16" height="16" viewBox="0 0 24 24"><path d="M9 18L15 12L9 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>
-                </div>
-                <div>${p.nome}</div>
-                <div>${p.codigo || '—'}</div>
-                <div>${currency.format(p.preco || 0)}</div>
-                <div>${p.estoqueAtual} <span class="${estoqueStatusClass}" style="margin-left:6px">min ${p.estoqueMin}</span></div>
-                <div class="actions">
-                    <button class="btn secondary" data-act="edit" data-id="${p.id}">Editar</button>
-                    <button class="btn danger" data-act="del" data-id="${p.id}">Excluir</button>
-                </div>
-            `;
+    function render() {
+        const contas = store.data.contasReceber || [];
+        const hoje = new Date().toISOString().slice(0, 10);
+        const emAberto = contas.reduce((acc, c) => acc + saldoConta(c), 0);
+        const vencido = contas.filter(c => statusConta(c) === 'vencida').reduce((acc, c) => acc + saldoConta(c), 0);
+        const recebidoNoMes = contas.flatMap(c => c.baixas).filter(b => b.data.slice(0, 7) === hoje.slice(0, 7)).reduce((acc, b) => acc + b.valor, 0);
+
+        root.innerHTML = '';
+
+        // 1. Resumo
+        const cards = document.createElement('div');
+        cards.className = 'grid cards';
+        cards.style.marginBottom = '16px';
+        cards.append(
+            kpiCard('Total a Receber', currency.format(emAberto)),
+            kpiCard('Vencido', currency.format(vencido), vencido ? '<span class="badge-danger">Cobrar</span>' : ''),
+            kpiCard('Recebido no Mês', currency.format(recebidoNoMes))
+        );
+        root.appendChild(cards);
 
-            // Conteúdo do painel de detalhes (oculto)
-            const details = document.createElement('div');
-            details.className = 'prod-details';
-            details.dataset.detailsFor = p.id;
-            details.innerHTML = `
-                <div class="prod-details-grid">
-                    <div class="detail-item"><label>Categoria</label><span>${p.categoria || 'Não definida'}</span></div>
-                    <div class="detail-item"><label>Cor</label><span>${p.cor || 'Não definida'}</span></div>
-                    <div class="detail-item"><label>Unidade</label><span>${p.unidade || 'Não definida'}</span></div>
-                    <div class="detail-item"><label>Custo</label><span>${currency.format(p.custo || 0)}</span></div>
-                    <div class="detail-item"><label>Fornecedor</label><span>${p.fornecedor || 'Não definido'}</span></div>
-                </div>
-            `;
+        // 2. Formulário de recebimento da conta selecionada
+        const conta = contas.find(c => c.id === recebendoId);
+        if (conta) {
+            root.appendChild(formularioBaixaConta(`Receber Parcela ${conta.parcela}/${conta.totalParcelas} da Venda ${conta.numeroVenda} — ${conta.cliente}`, conta));
+        }
 
-            listWrapper.appendChild(row);
-            listWrapper.appendChild(details);
+        // 3. Saldos por cliente
+        const porCliente = {};
+        contas.filter(c => saldoConta(c) > 0.005).forEach(c => {
+            porCliente[c.clientId] = porCliente[c.clientId] || { nome: c.cliente, emAberto: 0, vencido: 0, proximo: null };
+            const saldo = saldoConta(c);
+            porCliente[c.clientId].emAberto += saldo;
+            if (statusConta(c) === 'vencida') porCliente[c.clientId].vencido += saldo;
+            else if (!porCliente[c.clientId].proximo || c.vencimento < porCliente[c.clientId].proximo) porCliente[c.clientId].proximo = c.vencimento;
         });
+        root.appendChild(secaoRelatorio('Saldos por Cliente', ['Cliente', 'Em Aberto', 'Vencido', 'Próximo Vencimento', 'Limite', 'Disponível'],
+            Object.entries(porCliente)
+                .sort(([, a], [, b]) => b.vencido - a.vencido || b.emAberto - a.emAberto)
+                .map(([clientId, c]) => {
+                    const limite = Number(store.data.clientes.find(cl => cl.id === clientId)?.limiteCredito) || 0;
+                    return [
+                        c.nome,
+                        currency.format(c.emAberto),
+                        c.vencido ? `<span class="badge-danger">${currency.format(c.vencido)}</span>` : '—',
+                        c.proximo ? dataBR(c.proximo) : '—',
+                        limite ? currency.format(limite) : '—',
+                        limite ? currency.format(Math.max(0, limite - c.emAberto)) : '—'
+                    ];
+                }),
+            '', 'Nenhum cliente com saldo em aberto.'
+        ));
+
+        // 4. Lista de parcelas
+        const filtros = {
+            pendentes: c => statusConta(c) !== 'quitada',
+            vencidas: c => statusConta(c) === 'vencida',
+            quitadas: c => statusConta(c) === 'quitada',
+            todas: () => true
+        };
+        const lista = contas
+            .filter(filtros[filtroStatus])
+            .filter(c => !busca || c.cliente.toLowerCase().includes(busca) || c.numeroVenda.toLowerCase().includes(busca))
+            .sort((a, b) => a.vencimento.localeCompare(b.vencimento));
+
+        const card = secaoRelatorio('Parcelas', ['Venda', 'Cliente', 'Parcela', 'Vencimento', 'Valor', 'Recebido', 'Saldo', 'Status', ''],
+            lista.map(c => {
+                const status = statusConta(c);
+                return [
+                    c.numeroVenda,
+                    c.cliente,
+                    `${c.parcela}/${c.totalParcelas}`,
+                    dataBR(c.vencimento),
+                    currency.format(c.valor),
+                    currency.format(c.valor - saldoConta(c)),
+                    currency.format(saldoConta(c)),
+                    `<span class="${badges[status]}">${STATUS_CONTA[status]}</span>`,
+                    status === 'quitada' ? '' : `<button class="btn secondary" data-act="receber" data-id="${c.id}">Receber</button>`
+                ];
+            }),
+            `<input id="busca-contas" placeholder="Cliente ou venda..." value="${busca}" style="width:auto;">
+             <select id="filtro-contas" style="width:auto;">
+                <option value="pendentes" ${filtroStatus === 'pendentes' ? 'selected' : ''}>Pendentes</option>
+                <option value="vencidas" ${filtroStatus === 'vencidas' ? 'selected' : ''}>Vencidas</option>
+                <option value="quitadas" ${filtroStatus === 'quitadas' ? 'selected' : ''}>Quitadas</option>
+                <option value="todas" ${filtroStatus === 'todas' ? 'selected' : ''}>Todas</option>
+             </select>`,
+            'Nenhuma parcela encontrada.'
+        );
+        root.appendChild(card);
+    }
 
-        // 3. Adiciona o listener de eventos para a interatividade.
-        listWrapper.addEventListener('click', (e) => {
-            const target = e.target;
+    root.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-act]');
+        if (!btn) return;
+        const act = btn.dataset.act;
 
-            // Lógica de expandir/recolher
-            const rowHeader = target.closest('.prod-row');
-            if (rowHeader && rowHeader.dataset.prodId && !target.closest('button')) {
-                const id = rowHeader.dataset.prodId;
-                const detailsEl = listWrapper.querySelector(`.prod-details[data-details-for="${id}"]`);
-                const toggleEl = rowHeader.querySelector('.toggle-details');
-                if (detailsEl && toggleEl) {
-                    const isVisible = detailsEl.style.display === 'block';
-                    detailsEl.style.display = isVisible ? 'none' : 'block';
-                    toggleEl.classList.toggle('expanded', !isVisible);
-                }
-            }
-            
-            // Lógica dos botões de ação (editar/excluir)
-            if (target.closest('button[data-act="edit"]')) {
-                location.hash = `#/produtos/edit/${target.closest('button').dataset.id}`;
-            }
-            if (target.closest('button[data-act="del"]')) {
-                if (confirm('Excluir este produto?')) {
-                    store.data.produtos = store.data.produtos.filter(x => x.id !== target.closest('button').dataset.id);
-                    store.save();
-                    filterAndRender(); // Redesenha a lista
-                    toast('Produto excluído.');
-                }
-            }
-        });
+        if (act === 'receber') {
+            recebendoId = btn.dataset.id;
+            render();
+        } else if (act === 'cancelar-baixa') {
+            recebendoId = null;
+            render();
+        } else if (act === 'confirmar-baixa') {
+            const conta = store.data.contasReceber.find(c => c.id === recebendoId);
+            const baixa = confirmarBaixaConta(root, conta);
+            if (!baixa) return;
+            // O valor recebido entra no caixa do turno aberto.
+            baixa.caixaId = caixaAberto()?.id || null;
+            store.save();
+            toast(`${currency.format(baixa.valor)} recebidos de ${conta.cliente}.`);
+            recebendoId = null;
+            render();
+        }
+    });
 
-        container.appendChild(listWrapper);
-    }; 
+    root.addEventListener('change', e => {
+        if (e.target.id === 'filtro-contas') {
+            filtroStatus = e.target.value;
+            render();
+        }
+    });
 
-    // Função que filtra e renderiza a lista com base na busca
-    const filterAndRender = () => {
-        const query = searchInput.value.toLowerCase().trim();
-        const todosProdutos = store.data.produtos || [];
-        const produtosFiltrados = query
-            ? todosProdutos.filter(p =>
-                p.nome.toLowerCase().includes(query) ||
-                (p.codigo || '').toLowerCase().includes(query)
-              )
-            : todosProdutos;
-        renderList(produtosFiltrados);
-    };
+    root.addEventListener('input', e => {
+        if (e.target.id === 'busca-contas') {
+            busca = e.target.value.toLowerCase().trim();
+            render();
+            const input = root.querySelector('#busca-contas');
+            input.focus();
+            input.setSelectionRange(input.value.length, input.value.length);
+        }
+    });
 
-    searchInput.addEventListener('input', filterAndRender);
-    filterAndRender();
+    render();
     return root;
 }
 
-// Formulário de produto (novo/edição)
-function renderFormProduto(produto) {
-    // Buscamos as categorias para popular o dropdown
-    const categorias = store.data.categoriasProdutos || [];
-    const categoriasOptionsHtml = categorias.map(c => 
-        // Marca a opção como 'selected' se o nome dela corresponder à categoria do produto
-        `<option value="${c.nome}" ${produto?.categoria === c.nome ? 'selected' : ''}>${c.nome}</option>`
-    ).join('');
-    // Reutiliza o componente genericForm para o formulário de produtos.
-    const config = {
-        title: produto ? 'Editar Produto' : 'Novo Produto',
-        data: produto,
-        fields: [
-            { key: 'nome', label: 'Nome', span: 6 }, { key: 'codigo', label: 'Código', span: 3 },
-            { key: 'categoria', label: 'Categoria', span: 3, 
-                // Usamos uma propriedade customizada 'html' para injetar nosso dropdown
-                html: `
-                    <select data-key="categoria">
-                        <option value="">Nenhuma</option>
-                        ${categoriasOptionsHtml}
-                    </select>
-                `
-            },
-            { key: 'unidade', label: 'Unidade', span: 3, placeholder: 'Ex: Lata 900ml' },
-            { key: 'preco', label: 'Preço de venda', span: 3, type: 'number' }, { key: 'custo', label: 'Custo', span: 3, type: 'number' },
-            { key: 'estoqueAtual', label: 'Estoque atual', span: 3, type: 'number' }, { key: 'estoqueMin', label: 'Estoque mínimo', span: 3, type: 'number' },
-            { key: 'fornecedor', label: 'Fornecedor', span: 6 },
-        ],
-        onSave: (item) => {
-            if (produto) { // Se está editando, substitui o item existente.
-                const index = store.data.produtos.findIndex(p => p.id === item.id);
-                if (index > -1) store.data.produtos[index] = item;
-            } else { // Se é novo, adiciona ao final do array.
-                store.data.produtos.push(item);
-            }
-            store.save();
-            toast('Produto salvo.');
-            location.hash = '#/produtos';
-        },
-        onCancel: () => location.hash = '#/produtos'
-    };
-    return genericForm(config);
-}
-
-// --- TELA: Clientes (NOVA) ---
-addRoute('clientes', () => {
-    if (location.hash === '#/clientes/novo' || location.hash.startsWith('#/clientes/edit')) {
-        const id = location.hash.split('/')[3];
-        const cliente = store.data.clientes.find(c => c.id === id);
-        return renderFormCliente(cliente);
-    }
-    return renderListaClientes();
-});
 
-function renderListaClientes() {
+/**
+ * Contas a Pagar: boletos gerados pelos pedidos de compra, com o que vence nesta semana,
+ * saldos por fornecedor e o registro de pagamentos de cada parcela.
+ */
+function renderContasPagarView() {
     const root = document.createElement('div');
-    root.innerHTML = `
-        <div class="toolbar" style="margin:6px 0 12px">
-            <h2 style="margin:0">Clientes</h2>
-            <div class="spacer"></div>
-            <button class="btn" onclick="location.hash='#/clientes/novo'">Novo Cliente</button>
-        </div>
-        <div class="card" style="padding: 12px; margin-bottom: 16px;">
-            <input id="search-clientes" type="text" placeholder="Pesquisar por nome, telefone ou email...">
-        </div>
-        <div id="clientes-list-container"></div>
-    `;
+    // Estado: a conta que está sendo paga e o filtro da lista.
+    let pagandoId = null;
+    let filtroStatus = 'pendentes';
+
+    const dataBR = d => new Date(d + 'T03:00:00Z').toLocaleDateString('pt-BR');
+    const badges = { aberta: 'badge-info', parcial: 'badge-warn', vencida: 'badge-danger', quitada: 'badge-soft' };
+
+    const linhaConta = c => {
+        const status = statusConta(c);
+        return [
+            c.codigoPedido,
+            c.fornecedor,
+            `${c.parcela}/${c.totalParcelas}`,
+            dataBR(c.vencimento),
+            currency.format(c.valor),
+            currency.format(saldoConta(c)),
+            `<span class="${badges[status]}">${STATUS_CONTA[status]}</span>`,
+            status === 'quitada' ? '' : `<button class="btn secondary" data-act="pagar" data-id="${c.id}">Pagar</button>`
+        ];
+    };
+    const headers = ['Pedido', 'Fornecedor', 'Parcela', 'Vencimento', 'Valor', 'Saldo', 'Status', ''];
 
-    const container = root.querySelector('#clientes-list-container');
-    const searchInput = root.querySelector('#search-clientes');
+    function render() {
+        const contas = store.data.contasPagar || [];
+        const hoje = new Date().toISOString().slice(0, 10);
+        // A semana vai de segunda a domingo; o que já venceu também entra na lista da semana.
+        const fimDaSemana = somarDias(chavePeriodo(hoje, 'semana'), 6);
+        const pendentes = contas.filter(c => statusConta(c) !== 'quitada');
+        const daSemana = pendentes.filter(c => c.vencimento <= fimDaSemana).sort((a, b) => a.vencimento.localeCompare(b.vencimento));
+        const vencido = pendentes.filter(c => statusConta(c) === 'vencida').reduce((acc, c) => acc + saldoConta(c), 0);
+        const pagoNoMes = contas.flatMap(c => c.baixas).filter(b => b.data.slice(0, 7) === hoje.slice(0, 7)).reduce((acc, b) => acc + b.valor, 0);
+
+        root.innerHTML = '';
+
+        // 1. Resumo
+        const cards = document.createElement('div');
+        cards.className = 'grid cards';
+        cards.style.marginBottom = '16px';
+        cards.append(
+            kpiCard('Total a Pagar', currency.format(pendentes.reduce((acc, c) => acc + saldoConta(c), 0))),
+            kpiCard('Vencido', currency.format(vencido), vencido ? '<span class="badge-danger">Atrasado</span>' : ''),
+            kpiCard('Vence esta Semana', currency.format(daSemana.reduce((acc, c) => acc + saldoConta(c), 0))),
+            kpiCard('Pago no Mês', currency.format(pagoNoMes))
+        );
+        root.appendChild(cards);
 
-    const renderTable = (clientes) => {
-        container.innerHTML = '';
-        if (!clientes.length) {
-            container.innerHTML = `<div class="empty card">Nenhum cliente encontrado.</div>`;
-            return;
+        // 2. Formulário de pagamento da conta selecionada
+        const conta = contas.find(c => c.id === pagandoId);
+        if (conta) {
+            root.appendChild(formularioBaixaConta(`Pagar Parcela ${conta.parcela}/${conta.totalParcelas} do Pedido ${conta.codigoPedido} — ${conta.fornecedor}`, conta));
         }
-        // 1. Adicionamos a nova coluna 'Nº de Pedidos'
-        const headers = ['Nome', 'Telefone', 'Email', 'Nº de Pedidos', ''];
-        const rows = clientes.map(c => [
-            c.nome,
-            c.telefone || '—',
-            c.email || '—',
-            // 2. Exibimos a quantidade de pedidos. Se não houver, mostra 0.
-            c.quantidadePedidos || 0,
-            `<div class="actions"><button class="btn secondary" data-act="edit" data-id="${c.id}">Editar</button><button class="btn danger" data-act="del" data-id="${c.id}">Excluir</button></div>`
-        ]);
-        const tbl = table(headers, rows);
-        container.appendChild(tbl);
 
-        tbl.addEventListener('click', (e) => {
-            const btn = e.target.closest('button[data-act]');
-            if (!btn) return;
-            const id = btn.dataset.id;
-            if (btn.dataset.act === 'edit') location.hash = `#/clientes/edit/${id}`;
-            if (btn.dataset.act === 'del') {
-                if (confirm('Excluir este cliente?')) {
-                    store.data.clientes = store.data.clientes.filter(x => x.id !== id);
-                    store.save();
-                    toast('Cliente excluído.');
-                    filterAndRender();
-                }
-            }
+        // 3. O que vence nesta semana
+        root.appendChild(secaoRelatorio(`A Pagar até ${dataBR(fimDaSemana)}`, headers, daSemana.map(linhaConta), '', 'Nada a pagar nesta semana.'));
+
+        // 4. Saldos por fornecedor
+        const porFornecedor = {};
+        pendentes.forEach(c => {
+            porFornecedor[c.fornecedorId] = porFornecedor[c.fornecedorId] || { nome: c.fornecedor, emAberto: 0, vencido: 0 };
+            porFornecedor[c.fornecedorId].emAberto += saldoConta(c);
+            if (statusConta(c) === 'vencida') porFornecedor[c.fornecedorId].vencido += saldoConta(c);
         });
-    };
+        root.appendChild(secaoRelatorio('Saldos por Fornecedor', ['Fornecedor', 'Em Aberto', 'Vencido'],
+            Object.values(porFornecedor)
+                .sort((a, b) => b.emAberto - a.emAberto)
+                .map(f => [f.nome, currency.format(f.emAberto), f.vencido ? `<span class="badge-danger">${currency.format(f.vencido)}</span>` : '—']),
+            '', 'Nenhum fornecedor com saldo em aberto.'
+        ));
+
+        // 5. Todas as parcelas
+        const filtros = {
+            pendentes: c => statusConta(c) !== 'quitada',
+            vencidas: c => statusConta(c) === 'vencida',
+            quitadas: c => statusConta(c) === 'quitada',
+            todas: () => true
+        };
+        root.appendChild(secaoRelatorio('Parcelas', headers,
+            contas.filter(filtros[filtroStatus]).sort((a, b) => a.vencimento.localeCompare(b.vencimento)).map(linhaConta),
+            `<select id="filtro-contas" style="width:auto;">
+                <option value="pendentes" ${filtroStatus === 'pendentes' ? 'selected' : ''}>Pendentes</option>
+                <option value="vencidas" ${filtroStatus === 'vencidas' ? 'selected' : ''}>Vencidas</option>
+                <option value="quitadas" ${filtroStatus === 'quitadas' ? 'selected' : ''}>Quitadas</option>
+                <option value="todas" ${filtroStatus === 'todas' ? 'selected' : ''}>Todas</option>
+             </select>`,
+            'Nenhuma parcela encontrada.'
+        ));
+    }
 
-    const filterAndRender = () => {
-        const query = searchInput.value.toLowerCase().trim();
-        const todosClientes = store.data.clientes || [];
+    root.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-act]');
+        if (!btn) return;
+        const act = btn.dataset.act;
+
+        if (act === 'pagar') {
+            pagandoId = btn.dataset.id;
+            render();
+        } else if (act === 'cancelar-baixa') {
+            pagandoId = null;
+            render();
+        } else if (act === 'confirmar-baixa') {
+            const conta = store.data.contasPagar.find(c => c.id === pagandoId);
+            const baixa = confirmarBaixaConta(root, conta);
+            if (!baixa) return;
+            // O valor pago sai do caixa do turno aberto.
+            baixa.caixaId = caixaAberto()?.id || null;
+            store.save();
+            toast(`${currency.format(baixa.valor)} pagos a ${conta.fornecedor}.`);
+            pagandoId = null;
+            render();
+        }
+    });
 
-        const clientesFiltrados = query
-            ? todosClientes.filter(c => 
-                c.nome.toLowerCase().includes(query) ||
-                (c.telefone || '').toLowerCase().includes(query) ||
-                (c.email || '').toLowerCase().includes(query)
-              )
-            : todosClientes;
-        renderTable(clientesFiltrados);
-    };
+    root.addEventListener('change', e => {
+        if (e.target.id === 'filtro-contas') {
+            filtroStatus = e.target.value;
+            render();
+        }
+    });
 
-    searchInput.addEventListener('input', filterAndRender);
-    filterAndRender();
+    render();
     return root;
 }
 
-function renderFormCliente(cliente) {
-    const config = {
-        title: cliente ? 'Editar Cliente' : 'Novo Cliente',
-        data: cliente,
-        fields: [
-            { key: 'nome', label: 'Nome Completo / Razão Social', span: 6 },
-            { key: 'telefone', label: 'Telefone', span: 3 },
-            { key: 'email', label: 'Email', span: 3 },
-            { key: 'obs', label: 'Observações', span: 12 }
-        ],
-        onSave: (item) => {
-            if (cliente) {
-                const index = store.data.clientes.findIndex(c => c.id === item.id);
-                if (index > -1) store.data.clientes[index] = item;
-            } else {
-                store.data.clientes.push(item);
-            }
-            store.save();
-            toast('Cliente salvo.');
-            location.hash = '#/clientes';
-        },
-        onCancel: () => location.hash = '#/clientes'
-    };
-    return genericForm(config);
+
+// Data e hora de um registro ISO. Ex: '18/09/2025 14:32'
+const dataHoraBR = iso => new Date(iso).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+
+// Card com as vendas ligadas a um turno de caixa.
+function secaoVendasCaixa(caixa) {
+    const vendas = store.data.vendas.filter(v => v.caixaId === caixa.id);
+    return secaoRelatorio(`Vendas do Turno (${vendas.length})`, ['Nº Pedido', 'Cliente', 'Pagamento', 'Total'],
+        vendas.map(v => [v.numeroPedido, v.cliente, v.pagamento || '—', currency.format(v.total)]),
+        '', 'Nenhuma venda neste turno.');
 }
 
+// Card com as sangrias e reforços de um turno de caixa.
+function secaoMovimentosCaixa(caixa) {
+    return secaoRelatorio('Sangrias e Reforços', ['Horário', 'Tipo', 'Valor', 'Motivo'],
+        caixa.movimentos.map(m => [
+            dataHoraBR(m.data),
+            `<span class="${m.tipo === 'sangria' ? 'badge-warn' : 'badge-info'}">${TIPOS_MOVIMENTO_CAIXA[m.tipo]}</span>`,
+            currency.format(m.tipo === 'sangria' ? -m.valor : m.valor),
+            m.motivo || '—'
+        ]),
+        '', 'Nenhuma sangria ou reforço.');
+}
 
-// --- TELA: Fornecedores (NOVA) ---
-addRoute('fornecedores', () => {
-    if (location.hash === '#/fornecedores/novo' || location.hash.startsWith('#/fornecedores/edit')) {
-        const id = location.hash.split('/')[3];
-        const fornecedor = store.data.fornecedores.find(f => f.id === id);
-        return renderFormFornecedor(fornecedor);
+/**
+ * Caixa: abre o turno com o troco inicial; com o turno aberto, mostra o esperado por forma
+ * de pagamento e registra sangrias e reforços. Abaixo, os turnos já fechados.
+ */
+function renderCaixaView() {
+    const root = document.createElement('div');
+    const caixa = caixaAberto();
+
+    if (!caixa) {
+        root.innerHTML = `
+            <div class="card" style="margin-bottom:16px;">
+                <h3>Abrir Caixa</h3>
+                <div class="muted" style="margin-bottom:10px;">As vendas registradas enquanto o caixa estiver aberto ficam ligadas a este turno.</div>
+                <div class="form">
+                    <div class="field" style="grid-column: span 4"><label>Troco Inicial (R$)</label><input id="caixa-valor-inicial" type="number" step="0.01" min="0" value="0"></div>
+                    <div class="field" style="grid-column: span 5"><label>Operador</label><input id="caixa-operador" placeholder="Opcional"></div>
+                    <button class="btn" data-act="abrir" style="grid-column: span 3; align-self:end;">Abrir Caixa</button>
+                </div>
+            </div>
+        `;
+    } else {
+        const resumo = resumoCaixa(caixa);
+        const vendas = store.data.vendas.filter(v => v.caixaId === caixa.id);
+        root.innerHTML = `
+            <div class="toolbar card" style="padding: 12px; margin-bottom: 16px;">
+                <span class="badge-soft">Caixa aberto</span>
+                <div>Desde ${dataHoraBR(caixa.abertura)}${caixa.operador ? ` • ${caixa.operador}` : ''}</div>
+                <div class="spacer"></div>
+                <button class="btn danger" data-act="fechar">Fechar Caixa</button>
+            </div>
+        `;
+
+        const cards = document.createElement('div');
+        cards.className = 'grid cards';
+        cards.style.marginBottom = '16px';
+        cards.append(
+            kpiCard('Troco Inicial', currency.format(caixa.valorInicial)),
+            kpiCard('Vendas no Turno', vendas.length, currency.format(vendas.reduce((acc, v) => acc + (Number(v.total) || 0), 0))),
+            kpiCard(`${FORMA_DINHEIRO} na Gaveta`, currency.format(resumo[FORMA_DINHEIRO]?.esperado || 0))
+        );
+        root.appendChild(cards);
+
+        const movimento = document.createElement('div');
+        movimento.className = 'card';
+        movimento.style.marginBottom = '16px';
+        movimento.innerHTML = `
+            <h3>Sangria ou Reforço</h3>
+            <div class="form">
+                <div class="field" style="grid-column: span 3"><label>Tipo</label>
+                    <select id="mov-tipo">${Object.entries(TIPOS_MOVIMENTO_CAIXA).map(([valor, rotulo]) => `<option value="${valor}">${rotulo}</option>`).join('')}</select>
+                </div>
+                <div class="field" style="grid-column: span 3"><label>Valor (R$)</label><input id="mov-valor" type="number" step="0.01" min="0"></div>
+                <div class="field" style="grid-column: span 4"><label>Motivo</label><input id="mov-motivo" placeholder="Ex: depósito no banco, troco extra..."></div>
+                <button class="btn secondary" data-act="movimento" style="grid-column: span 2; align-self:end;">Registrar</button>
+            </div>
+        `;
+        root.appendChild(movimento);
+
+        root.appendChild(secaoRelatorio('Esperado por Forma de Pagamento', ['Forma', 'Vendas', 'Recebimentos', 'Devoluções', 'Pagamentos', 'Troco / Movimentos', 'Esperado'],
+            Object.entries(resumo).map(([forma, f]) => [
+                forma,
+                currency.format(f.vendas),
+                currency.format(f.recebimentos),
+                currency.format(f.devolucoes ? -f.devolucoes : 0),
+                currency.format(f.pagamentos ? -f.pagamentos : 0),
+                currency.format(f.movimentos),
+                `<strong>${currency.format(f.esperado)}</strong>`
+            ])));
+        root.appendChild(secaoMovimentosCaixa(caixa));
+        root.appendChild(secaoVendasCaixa(caixa));
     }
-    return renderListaFornecedores();
-});
 
-function renderListaFornecedores() {
-    const root = document.createElement('div');
-    root.innerHTML = `
-        <div class="toolbar" style="margin:6px 0 12px">
-            <h2 style="margin:0">Fornecedores</h2>
-            <div class="spacer"></div>
-            <button class="btn" onclick="location.hash='#/fornecedores/novo'">Novo Fornecedor</button>
-        </div>
-        <div class="card" style="padding: 12px; margin-bottom: 16px;">
-            <input id="search-fornecedores" type="text" placeholder="Pesquisar por nome, contato ou telefone...">
-        </div>
-        <div id="fornecedores-list-container"></div>
-    `;
+    // Turnos fechados, do mais recente para o mais antigo
+    const fechados = store.data.caixas.filter(c => c.status === 'fechado').sort((a, b) => b.fechamento.localeCompare(a.fechamento));
+    root.appendChild(secaoRelatorio('Turnos Fechados', ['Abertura', 'Fechamento', 'Operador', 'Esperado', 'Contado', 'Diferença', ''],
+        fechados.map(c => {
+            const esperado = c.conferencia.reduce((acc, f) => acc + f.esperado, 0);
+            const contado = c.conferencia.reduce((acc, f) => acc + f.contado, 0);
+            const diferenca = contado - esperado;
+            return [
+                dataHoraBR(c.abertura),
+                dataHoraBR(c.fechamento),
+                c.operador || '—',
+                currency.format(esperado),
+                currency.format(contado),
+                Math.abs(diferenca) < 0.005 ? '<span class="badge-soft">Sem diferença</span>' : `<span class="badge-danger">${currency.format(diferenca)}</span>`,
+                `<button class="btn secondary" data-act="relatorio" data-id="${c.id}">Relatório</button>`
+            ];
+        }),
+        '', 'Nenhum turno fechado.'));
 
-    const container = root.querySelector('#fornecedores-list-container');
-    const searchInput = root.querySelector('#search-fornecedores');
+    root.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-act]');
+        if (!btn) return;
+        const act = btn.dataset.act;
 
-    const renderTable = (fornecedores) => {
-        container.innerHTML = '';
-        if (!fornecedores.length) {
-            container.innerHTML = `<div class="empty card">Nenhum fornecedor encontrado.</div>`;
-            return;
+        if (act === 'abrir') {
+            abrirCaixa(root.querySelector('#caixa-valor-inicial').value, root.querySelector('#caixa-operador').value.trim());
+            store.save();
+            toast('Caixa aberto.');
+            navigate();
         }
-        const headers = ['Nome', 'Contato', 'Telefone', ''];
-        const rows = fornecedores.map(f => [
-            f.nome, f.contato || '—', f.telefone || '—',
-            `<div class="actions"><button class="btn secondary" data-act="edit" data-id="${f.id}">Editar</button><button class="btn danger" data-act="del" data-id="${f.id}">Excluir</button></div>`
-        ]);
-        const tbl = table(headers, rows);
-        container.appendChild(tbl);
-
-        tbl.addEventListener('click', (e) => {
-            const btn = e.target.closest('button[data-act]');
-            if (!btn) return;
-            const id = btn.dataset.id;
-            if (btn.dataset.act === 'edit') location.hash = `#/fornecedores/edit/${id}`;
-            if (btn.dataset.act === 'del') {
-                if (confirm('Excluir este fornecedor?')) {
-                    store.data.fornecedores = store.data.fornecedores.filter(x => x.id !== id);
-                    store.save();
-                    toast('Fornecedor excluído.');
-                    filterAndRender();
-                }
+        if (act === 'movimento') {
+            const valor = Number(root.querySelector('#mov-valor').value) || 0;
+            if (valor <= 0) { alert('Informe o valor.'); return; }
+            const tipo = root.querySelector('#mov-tipo').value;
+            // A sangria não pode tirar mais dinheiro do que deveria haver na gaveta.
+            const dinheiroEsperado = resumoCaixa(caixa)[FORMA_DINHEIRO].esperado;
+            if (tipo === 'sangria' && valor > dinheiroEsperado + 0.005) {
+                alert(`A sangria (${currency.format(valor)}) é maior que o dinheiro esperado na gaveta (${currency.format(dinheiroEsperado)}).`);
+                return;
             }
-        });
-    };
-    
-    const filterAndRender = () => {
-        const query = searchInput.value.toLowerCase().trim();
-        const todosFornecedores = store.data.fornecedores || [];
+            caixa.movimentos.push({ id: uuid(), data: new Date().toISOString(), tipo, valor, motivo: root.querySelector('#mov-motivo').value.trim() });
+            store.save();
+            toast(`Movimento registrado: ${TIPOS_MOVIMENTO_CAIXA[tipo]} de ${currency.format(valor)}.`);
+            navigate();
+        }
+        if (act === 'fechar') location.hash = '#/financeiro/caixa/fechar';
+        if (act === 'relatorio') location.hash = `#/financeiro/caixa/relatorio/${btn.dataset.id}`;
+    });
 
-        const fornecedoresFiltrados = query
-            ? todosFornecedores.filter(f => 
-                f.nome.toLowerCase().includes(query) ||
-                (f.contato || '').toLowerCase().includes(query) ||
-                (f.telefone || '').toLowerCase().includes(query)
-              )
-            : todosFornecedores;
+    return root;
+}
 
-        renderTable(fornecedoresFiltrados);
+/**
+ * Fechamento do caixa: compara o esperado de cada forma de pagamento com o valor contado
+ * e registra a diferença.
+ */
+function renderFechamentoCaixaView(caixa) {
+    const root = document.createElement('div');
+    const resumo = resumoCaixa(caixa);
+    // Todas as formas que passam pelo caixa aparecem, mesmo sem movimento no turno.
+    const formas = [...new Set([...Object.keys(resumo), ...store.data.formasPagamento.filter(f => !f.aPrazo).map(f => f.nome)])];
+
+    root.innerHTML = `
+        <div class="card" style="margin-bottom:16px;">
+            <div class="toolbar" style="margin-bottom:10px;">
+                <h2 style="margin:0">Fechar Caixa</h2>
+                <div class="spacer"></div>
+                <button class="btn ghost" data-act="voltar">Voltar</button>
+            </div>
+            <div class="muted" style="margin-bottom:10px;">Turno aberto em ${dataHoraBR(caixa.abertura)}${caixa.operador ? ` por ${caixa.operador}` : ''}. Informe o valor contado em cada forma de pagamento.</div>
+            <div id="fechamento-tabela"></div>
+            <div class="form" style="margin-top:12px;">
+                <div class="field" style="grid-column: span 9"><label>Observação</label><input id="fechamento-obs" placeholder="Ex: diferença de troco, comprovante extraviado..."></div>
+                <button class="btn" data-act="confirmar" style="grid-column: span 3; align-self:end;">Confirmar Fechamento</button>
+            </div>
+        </div>
+    `;
+
+    root.querySelector('#fechamento-tabela').appendChild(table(['Forma', 'Esperado', 'Contado', 'Diferença'],
+        formas.map(forma => [
+            forma,
+            currency.format(resumo[forma]?.esperado || 0),
+            `<input type="number" step="0.01" min="0" data-forma="${forma}" value="${(resumo[forma]?.esperado || 0).toFixed(2)}" style="width:120px;">`,
+            `<span data-diferenca="${forma}"></span>`
+        ])));
+
+    const contagem = () => Object.fromEntries($$('input[data-forma]', root).map(input => [input.dataset.forma, Number(input.value) || 0]));
+
+    const atualizarDiferencas = () => {
+        Object.entries(contagem()).forEach(([forma, contado]) => {
+            const diferenca = contado - (resumo[forma]?.esperado || 0);
+            root.querySelector(`[data-diferenca="${forma}"]`).innerHTML = Math.abs(diferenca) < 0.005
+                ? '<span class="badge-soft">OK</span>'
+                : `<span class="badge-danger">${currency.format(diferenca)}</span>`;
+        });
     };
 
-    searchInput.addEventListener('input', filterAndRender);
-    filterAndRender();
-    return root;
-}
+    root.addEventListener('input', atualizarDiferencas);
 
-function renderFormFornecedor(fornecedor) {
-    const config = {
-        title: fornecedor ? 'Editar Fornecedor' : 'Novo Fornecedor',
-        data: fornecedor,
-        fields: [
-            { key: 'nome', label: 'Nome do Fornecedor', span: 6 },
-            { key: 'contato', label: 'Nome do Contato', span: 6 },
-            { key: 'telefone', label: 'Telefone', span: 6 },
-            { key: 'email', label: 'Email', span: 6 },
-        ],
-        onSave: (item) => {
-            if (fornecedor) {
-                const index = store.data.fornecedores.findIndex(f => f.id === item.id);
-                if (index > -1) store.data.fornecedores[index] = item;
-            } else {
-                store.data.fornecedores.push(item);
+    root.addEventListener('click', e => {
+        const act = e.target.dataset.act;
+        if (act === 'voltar') location.hash = '#/financeiro/caixa';
+        if (act === 'confirmar') {
+            const valores = contagem();
+            const diferenca = Object.entries(valores).reduce((acc, [forma, contado]) => acc + contado - (resumo[forma]?.esperado || 0), 0);
+            if (Math.abs(diferenca) >= 0.005 && !confirm(`O caixa tem uma diferença de ${currency.format(diferenca)}. Deseja fechar mesmo assim?`)) {
+                return;
             }
+            fecharCaixa(caixa, valores, root.querySelector('#fechamento-obs').value.trim());
             store.save();
-            toast('Fornecedor salvo.');
-            location.hash = '#/fornecedores';
-        },
-        onCancel: () => location.hash = '#/fornecedores'
-    };
-    return genericForm(config);
-}
+            toast('Caixa fechado.');
+            location.hash = `#/financeiro/caixa/relatorio/${caixa.id}`;
+        }
+    });
 
+    atualizarDiferencas();
+    return root;
+}
 
-/* --- TELA: Pedidos --- */
 /**
- * Roteador Principal da Seção "Pedidos"
- * Cria as abas e direciona para a tela correta (Lista ou Registrar).
+ * Relatório de um turno fechado: conferência por forma de pagamento, movimentos e vendas.
  */
-addRoute('pedidos', () => {
+function renderRelatorioCaixaView(caixa) {
     const root = document.createElement('div');
-    const subView = location.hash.split('/')[2] || 'lista'; // 'lista' é a tela padrão
+    const diferencaTotal = caixa.conferencia.reduce((acc, f) => acc + f.diferenca, 0);
 
     root.innerHTML = `
-        <div class="tabs">
-            <a href="#/pedidos/registrar" class="tab ${subView === 'registrar' ? 'active' : ''}">Registrar Pedido de Produtos</a>
-            <a href="#/pedidos/lista" class="tab ${subView === 'lista' ? 'active' : ''}">Pedidos</a>
+        <div class="card" style="margin-bottom:16px;">
+            <div class="toolbar" style="margin-bottom:10px;">
+                <h2 style="margin:0">Relatório do Caixa</h2>
+                <div class="spacer"></div>
+                <button class="btn ghost" data-act="voltar">Voltar</button>
+                <button class="btn secondary" data-act="imprimir">Imprimir</button>
+            </div>
+            <div class="muted">
+                Abertura: ${dataHoraBR(caixa.abertura)} • Fechamento: ${dataHoraBR(caixa.fechamento)}${caixa.operador ? ` • Operador: ${caixa.operador}` : ''}
+                • Troco inicial: ${currency.format(caixa.valorInicial)}
+                ${caixa.observacao ? `<br>Observação: ${caixa.observacao}` : ''}
+            </div>
         </div>
-        <div id="pedidos-content"></div>
     `;
 
-    const content = root.querySelector('#pedidos-content');
-    if (subView === 'registrar') {
-        content.appendChild(renderRegistrarPedidoView());
-    } else { // 'lista'
-        content.appendChild(renderPedidosListView());
-    }
+    root.appendChild(secaoRelatorio('Conferência', ['Forma', 'Esperado', 'Contado', 'Diferença'],
+        [...caixa.conferencia.map(f => [
+            f.forma,
+            currency.format(f.esperado),
+            currency.format(f.contado),
+            Math.abs(f.diferenca) < 0.005 ? '—' : `<span class="badge-danger">${currency.format(f.diferenca)}</span>`
+        ]), [
+            '<strong>Total</strong>',
+            `<strong>${currency.format(caixa.conferencia.reduce((acc, f) => acc + f.esperado, 0))}</strong>`,
+            `<strong>${currency.format(caixa.conferencia.reduce((acc, f) => acc + f.contado, 0))}</strong>`,
+            `<strong>${currency.format(diferencaTotal)}</strong>`
+        ]]));
+    root.appendChild(secaoMovimentosCaixa(caixa));
+    root.appendChild(secaoVendasCaixa(caixa));
+
+    root.addEventListener('click', e => {
+        const act = e.target.dataset.act;
+        if (act === 'voltar') location.hash = '#/financeiro/caixa';
+        if (act === 'imprimir') window.print();
+    });
+
     return root;
-});
+}
 
 
+// --- TELA: Relatórios ---
 /**
- * Tela "Pedidos": Exibe a lista de todos os pedidos registrados.
- * Inclui uma barra de pesquisa.
+ * Roteador da seção "Relatórios". Cada aba é um relatório com seu próprio filtro de período.
  */
-function renderPedidosListView() {
+addRoute('relatorios', () => {
     const root = document.createElement('div');
+    const subView = location.hash.split('/')[2] || 'vendas';
+
     root.innerHTML = `
-        <div class="toolbar" style="margin-bottom:16px;">
-            <h2 style="margin:0;">Pedidos</h2>
-        </div>
-        <div class="card" style="padding: 12px; margin-bottom: 16px;">
-            <input id="search-pedidos" type="text" placeholder="Pesquisar por ID, fornecedor ou data (DD/MM/AAAA)...">
+        <div class="tabs">
+            <a href="#/relatorios/vendas" class="tab ${subView === 'vendas' ? 'active' : ''}">Vendas</a>
+            <a href="#/relatorios/producao" class="tab ${subView === 'producao' ? 'active' : ''}">Produção</a>
         </div>
-        <div id="pedidos-list-container"></div>
+        <div id="relatorios-content"></div>
     `;
 
-    const container = root.querySelector('#pedidos-list-container');
-    const searchInput = root.querySelector('#search-pedidos');
+    const content = root.querySelector('#relatorios-content');
+    if (subView === 'producao') {
+        content.appendChild(renderRelatorioProducaoView());
+    } else {
+        content.appendChild(renderRelatorioVendasView());
+    }
+    return root;
+});
 
-    const renderTable = (pedidos) => {
-        container.innerHTML = '';
-        if (!pedidos.length) {
-            container.innerHTML = `<div class="empty card">Nenhum pedido encontrado.</div>`;
-            return;
-        }
-        const headers = ['ID do Pedido', 'Data', 'Fornecedor', 'Valor Total', 'Ações'];
-        const rows = pedidos.map(p => [
-            p.id.slice(0, 8).toUpperCase(), // Mostra apenas os 8 primeiros caracteres do ID
-            new Date(p.data + 'T03:00:00Z').toLocaleDateString('pt-BR'),
-            p.fornecedor.nome,
-            currency.format(p.valorTotal || 0),
-            `<div class="actions">
-                <button class="btn secondary" data-act="edit" data-id="${p.id}" disabled title="Em breve">Editar</button>
-                <button class="btn ghost danger" data-act="del" data-id="${p.id}">Remover</button>
-            </div>`
-        ]);
-        const tbl = table(headers, rows);
-        container.appendChild(tbl);
+/**
+ * Cria a barra de filtro por período (De / Até) usada pelos relatórios.
+ * Começa no primeiro dia do mês atual até hoje e chama 'onChange' a cada alteração.
+ * @returns {{ el: HTMLElement, periodo: () => { de: string, ate: string } }}
+ */
+function criarFiltroPeriodo(onChange) {
+    const hoje = new Date().toISOString().slice(0, 10);
+    const el = document.createElement('div');
+    el.className = 'toolbar card';
+    el.style.padding = '12px';
+    el.style.marginBottom = '16px';
+    el.innerHTML = `
+        <label>De</label><input type="date" data-periodo="de" value="${hoje.slice(0, 8)}01" style="width:auto;">
+        <label>Até</label><input type="date" data-periodo="ate" value="${hoje}" style="width:auto;">
+    `;
+    el.addEventListener('change', onChange);
+    return {
+        el,
+        periodo: () => ({ de: $('[data-periodo="de"]', el).value, ate: $('[data-periodo="ate"]', el).value })
     };
+}
 
-    const filterAndRender = () => {
-        const query = searchInput.value.toLowerCase().trim();
-        const todosPedidos = store.data.pedidos || [];
-        const pedidosFiltrados = query
-            ? todosPedidos.filter(p =>
-                p.id.toLowerCase().includes(query) ||
-                p.fornecedor.nome.toLowerCase().includes(query) ||
-                new Date(p.data + 'T03:00:00Z').toLocaleDateString('pt-BR').includes(query)
-              )
-            : todosPedidos;
-        renderTable(pedidosFiltrados.sort((a, b) => new Date(b.data) - new Date(a.data)));
-    };
+/**
+ * Cria um card de relatório com título, ações opcionais no cabeçalho e a tabela de resultados.
+ */
+function secaoRelatorio(titulo, headers, rows, acoesHtml = '', mensagemVazio = 'Nenhum dado no período.') {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.style.marginBottom = '16px';
+    card.innerHTML = `
+        <div class="toolbar" style="margin-bottom:10px;">
+            <h3>${titulo}</h3>
+            <div class="spacer"></div>
+            ${acoesHtml}
+        </div>
+    `;
+    if (rows.length) {
+        card.appendChild(table(headers, rows));
+    } else {
+        card.insertAdjacentHTML('beforeend', `<div class="muted">${mensagemVazio}</div>`);
+    }
+    return card;
+}
 
-    container.addEventListener('click', e => {
-        const btn = e.target.closest('button[data-act="del"]');
-        if (btn) {
-            if (confirm('Atenção: remover um pedido NÃO irá reverter a entrada de estoque. Deseja continuar?')) {
-                store.data.pedidos = store.data.pedidos.filter(p => p.id !== btn.dataset.id);
-                store.save();
-                filterAndRender();
-                toast('Pedido removido.');
-            }
-        }
-    });
+/**
+ * Chave de agrupamento de uma data 'AAAA-MM-DD' por dia, semana (começando na segunda) ou mês.
+ * Ex: chavePeriodo('2025-09-18', 'semana') -> '2025-09-15'
+ */
+function chavePeriodo(data, agrupamento) {
+    if (agrupamento === 'mes') return data.slice(0, 7);
+    if (agrupamento === 'semana') {
+        const d = new Date(data + 'T12:00:00Z');
+        d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+        return d.toISOString().slice(0, 10);
+    }
+    return data;
+}
 
-    searchInput.addEventListener('input', filterAndRender);
-    filterAndRender();
-    return root;
+// Rótulo legível de uma chave gerada por chavePeriodo().
+function rotuloPeriodo(chave, agrupamento) {
+    if (agrupamento === 'mes') return `${chave.slice(5, 7)}/${chave.slice(0, 4)}`;
+    const data = new Date(chave + 'T03:00:00Z').toLocaleDateString('pt-BR');
+    return agrupamento === 'semana' ? `Semana de ${data}` : data;
 }
 
+/**
+ * Linhas de pagamento de uma venda, com o valor pago e o líquido recebido em cada uma.
+ * Ex: [{ forma: 'PIX', valor: 150, valorLiquido: 150 }]
+ */
+function pagamentosDaVenda(venda) {
+    if (venda.pagamentos?.length) return venda.pagamentos;
+    const total = Number(venda.total) || 0;
+    return [{ forma: venda.pagamento || 'Não informado', valor: total, valorLiquido: total }];
+}
 
 /**
- * Tela "Registrar Pedido de Produtos": Formulário para criar um novo pedido.
+ * Relatório de Vendas: faturamento por dia/semana/mês, produtos mais vendidos,
+ * vendas por cliente, totais por forma de pagamento e ticket médio.
  */
-function renderRegistrarPedidoView() {
+function renderRelatorioVendasView() {
     const root = document.createElement('div');
-    root.className = 'pedidos-grid';
-
-    // Estado local do formulário
-    let itensDoPedido = [];
-    let selectedFornecedor = null;
+    const container = document.createElement('div');
+    let agrupamento = 'dia';
+    let ordenarProdutosPor = 'qtd';
 
-    root.innerHTML = `
-        <div class="card">
-            <div class="toolbar"><h2 style="margin:0">Registrar Pedido</h2></div>
-            <div class="form">
-                <div class="field" style="grid-column: span 3"><label>ID do Pedido</label><input value="${uuid().slice(0, 8).toUpperCase()}" disabled /></div>
-                <div class="field autocomplete-container" style="grid-column: span 6">
-                    <label>Fornecedor</label>
-                    <input id="pedido-fornecedor" placeholder="Digite para buscar..." autocomplete="off" />
-                    <div class="autocomplete-results"></div>
-                </div>
-                <div class="field" style="grid-column: span 3"><label>Data</label><input id="pedido-data" type="date" value="${new Date().toISOString().slice(0,10)}"/></div>
-                <div class="field full"><label>Produtos no Pedido</label><div id="pedido-itens-lista" style="border:1px dashed var(--border); padding:10px; border-radius:10px; min-height:120px;"></div></div>
-                <div class="field" style="grid-column: 8 / -1; text-align:right;">
-                    <label>Valor Total do Pedido</label>
-                    <div id="pedido-valor-total" style="font-size: 1.8em; font-weight: 600;">${currency.format(0)}</div>
-                </div>
-                <button id="finalizar-pedido" class="btn" style="grid-column: 1 / -1; margin-top:12px;">Finalizar e Adicionar ao Estoque</button>
-            </div>
-        </div>
-        <div class="card">
-            <label>Adicionar Produto ao Pedido</label>
-            <input id="pedido-produto-search" placeholder="Digite nome ou código do produto..." style="width:100%; margin-top:8px;">
-            <div id="pedido-produto-results" class="prod-search-results"></div>
-        </div>
-    `;
+    const render = () => {
+        const { de, ate } = filtro.periodo();
+        const vendas = (store.data.vendas || []).filter(v => (!de || v.data >= de) && (!ate || v.data <= ate));
+        const faturamento = vendas.reduce((acc, v) => acc + (Number(v.total) || 0), 0);
+        const descontos = vendas.reduce((acc, v) => acc + (Number(v.desconto) || 0), 0);
+        const ticketMedio = vendas.length ? faturamento / vendas.length : 0;
 
-    // --- Lógica das funções internas ---
-    const fornecedorInput = root.querySelector('#pedido-fornecedor');
-    const fornecedorResults = fornecedorInput.nextElementSibling;
-    const produtoSearchInput = root.querySelector('#pedido-produto-search');
-    const produtoResults = root.querySelector('#pedido-produto-results');
-    const itensListaContainer = root.querySelector('#pedido-itens-lista');
-    const valorTotalEl = root.querySelector('#pedido-valor-total');
+        container.innerHTML = '';
 
-    // Desenha a lista de produtos adicionados
-    const renderItens = () => {
-        itensListaContainer.innerHTML = '';
-        if(!itensDoPedido.length) return;
-        itensDoPedido.forEach((item, idx) => {
-            const row = document.createElement('div');
-            row.className = 'toolbar'; row.style.padding = '8px 0';
-            row.innerHTML = `
-                <div style="flex:1;"><strong>${item.nome}</strong> <small>(${item.codigo})</small></div>
-                Qtd: <input type="number" value="${item.quantidade}" min="1" data-idx="${idx}" data-key="quantidade" style="width:80px;">
-                Preço UN: <input type="number" value="${item.precoUnitario}" step="0.01" data-idx="${idx}" data-key="precoUnitario" style="width:100px;">
-                Total: <strong>${currency.format(item.precoTotal)}</strong>
-                <button class="btn ghost danger" data-idx="${idx}" data-act="remover-item">X</button>
-            `;
-            itensListaContainer.appendChild(row);
+        // 1. Resumo do período
+        const cards = document.createElement('div');
+        cards.className = 'grid cards';
+        cards.style.marginBottom = '16px';
+        cards.append(
+            kpiCard('Faturamento', currency.format(faturamento)),
+            kpiCard('Nº de Vendas', vendas.length),
+            kpiCard('Ticket Médio', currency.format(ticketMedio)),
+            kpiCard('Descontos Concedidos', currency.format(descontos))
+        );
+        container.appendChild(cards);
+
+        // 2. Faturamento por período
+        const porPeriodo = {};
+        vendas.forEach(v => {
+            const chave = chavePeriodo(v.data, agrupamento);
+            porPeriodo[chave] = porPeriodo[chave] || { vendas: 0, total: 0 };
+            porPeriodo[chave].vendas++;
+            porPeriodo[chave].total += Number(v.total) || 0;
         });
-    };
-
-    // Calcula todos os totais
-    const calcularTotais = () => {
-        let totalGeral = 0;
-        itensDoPedido.forEach(item => {
-            item.precoTotal = (item.quantidade || 0) * (item.precoUnitario || 0);
-            totalGeral += item.precoTotal;
+        const periodoRows = Object.keys(porPeriodo).sort().map(chave => [
+            rotuloPeriodo(chave, agrupamento),
+            porPeriodo[chave].vendas,
+            currency.format(porPeriodo[chave].total),
+            currency.format(porPeriodo[chave].total / porPeriodo[chave].vendas)
+        ]);
+        container.appendChild(secaoRelatorio('Faturamento por Período', ['Período', 'Vendas', 'Faturamento', 'Ticket Médio'], periodoRows, `
+            <select data-filtro="agrupamento" style="width:auto;">
+                <option value="dia" ${agrupamento === 'dia' ? 'selected' : ''}>Por dia</option>
+                <option value="semana" ${agrupamento === 'semana' ? 'selected' : ''}>Por semana</option>
+                <option value="mes" ${agrupamento === 'mes' ? 'selected' : ''}>Por mês</option>
+            </select>`));
+
+        // 3. Produtos mais vendidos. O desconto da venda é rateado entre os itens pelo valor de cada um.
+        const porProduto = {};
+        vendas.forEach(v => {
+            const fatorDesconto = v.subtotal ? (Number(v.total) || 0) / v.subtotal : 1;
+            v.itens.forEach(i => {
+                porProduto[i.id] = porProduto[i.id] || { nome: i.nome, codigo: i.codigo, qtd: 0, total: 0 };
+                porProduto[i.id].qtd += Number(i.qtd) || 0;
+                porProduto[i.id].total += (Number(i.preco) || 0) * (Number(i.qtd) || 0) * fatorDesconto;
+            });
         });
-        valorTotalEl.textContent = currency.format(totalGeral);
-        renderItens();
+        const produtoRows = Object.values(porProduto)
+            .sort((a, b) => b[ordenarProdutosPor] - a[ordenarProdutosPor])
+            .slice(0, 10)
+            .map((p, idx) => [`${idx + 1}º`, `${p.nome} <small>(${p.codigo || '—'})</small>`, p.qtd, currency.format(p.total)]);
+        container.appendChild(secaoRelatorio('Produtos Mais Vendidos (Top 10)', ['#', 'Produto', 'Quantidade', 'Faturamento'], produtoRows, `
+            <select data-filtro="ordem-produtos" style="width:auto;">
+                <option value="qtd" ${ordenarProdutosPor === 'qtd' ? 'selected' : ''}>Por quantidade</option>
+                <option value="total" ${ordenarProdutosPor === 'total' ? 'selected' : ''}>Por faturamento</option>
+            </select>`));
+
+        // 4. Vendas por cliente
+        const porCliente = {};
+        vendas.forEach(v => {
+            const chave = v.clientId || v.cliente;
+            porCliente[chave] = porCliente[chave] || { nome: v.cliente, vendas: 0, total: 0 };
+            porCliente[chave].vendas++;
+            porCliente[chave].total += Number(v.total) || 0;
+        });
+        const clienteRows = Object.values(porCliente)
+            .sort((a, b) => b.total - a.total)
+            .map(c => [c.nome, c.vendas, currency.format(c.total), currency.format(c.total / c.vendas)]);
+        container.appendChild(secaoRelatorio('Vendas por Cliente', ['Cliente', 'Vendas', 'Total', 'Ticket Médio'], clienteRows));
+
+        // 5. Totais por forma de pagamento
+        const porForma = {};
+        vendas.forEach(v => pagamentosDaVenda(v).forEach(pg => {
+            porForma[pg.forma] = porForma[pg.forma] || { vendas: 0, total: 0, liquido: 0 };
+            porForma[pg.forma].vendas++;
+            porForma[pg.forma].total += Number(pg.valor) || 0;
+            porForma[pg.forma].liquido += Number(pg.valorLiquido ?? pg.valor) || 0;
+        }));
+        const formaRows = Object.entries(porForma)
+            .sort(([, a], [, b]) => b.total - a.total)
+            .map(([forma, f]) => [
+                forma,
+                f.vendas,
+                currency.format(f.total),
+                currency.format(f.total - f.liquido),
+                currency.format(f.liquido),
+                faturamento ? `${(f.total / faturamento * 100).toFixed(1)}%` : '—'
+            ]);
+        container.appendChild(secaoRelatorio('Totais por Forma de Pagamento', ['Forma de Pagamento', 'Pagamentos', 'Total', 'Taxas', 'Líquido Recebido', '% do Faturamento'], formaRows));
     };
 
-    // --- Lógica dos Event Listeners ---
-
-    // Autocomplete do Fornecedor
-    fornecedorInput.addEventListener('input', () => { /* ... (lógica de autocomplete igual a de Clientes) ... */ });
-    fornecedorResults.addEventListener('click', e => { /* ... (lógica de clique igual a de Clientes) ... */ });
+    const filtro = criarFiltroPeriodo(render);
+    root.append(filtro.el, container);
 
-    // Busca de Produtos
-    produtoSearchInput.addEventListener('keydown', e => {
-        if (e.key !== 'Enter') return;
-        const query = produtoSearchInput.value.toLowerCase().trim();
-        produtoResults.innerHTML = '';
-        store.data.produtos.filter(p => p.nome.toLowerCase().includes(query) || p.codigo.toLowerCase().includes(query))
-            .forEach(p => {
-                const row = document.createElement('div');
-                row.className = 'prod-row search-result';
-                row.innerHTML = `<div><strong>${p.nome}</strong> <small>(${p.codigo})</small></div> <button class="btn secondary">Adicionar</button>`;
-                row.querySelector('button').addEventListener('click', () => {
-                    if (itensDoPedido.some(item => item.id === p.id)) { toast('Produto já está no pedido.'); return; }
-                    itensDoPedido.push({ id: p.id, nome: p.nome, codigo: p.codigo, quantidade: 1, precoUnitario: p.custo || 0, precoTotal: p.custo || 0 });
-                    calcularTotais();
-                    produtoSearchInput.value = '';
-                    produtoResults.innerHTML = '';
-                });
-                produtoResults.appendChild(row);
-            });
+    // Os selects de agrupamento/ordenação ficam dentro das seções e são redesenhados junto com elas.
+    container.addEventListener('change', e => {
+        if (e.target.dataset.filtro === 'agrupamento') agrupamento = e.target.value;
+        if (e.target.dataset.filtro === 'ordem-produtos') ordenarProdutosPor = e.target.value;
+        render();
     });
 
-    // Alterar quantidade ou preço de um item
-    itensListaContainer.addEventListener('input', e => {
-        const idx = e.target.dataset.idx;
-        if(idx) {
-            itensDoPedido[idx][e.target.dataset.key] = Number(e.target.value);
-            calcularTotais();
-        }
-    });
+    render();
+    return root;
+}
 
-    // Remover um item
-    itensListaContainer.addEventListener('click', e => {
-        const btn = e.target.closest('button[data-act="remover-item"]');
-        if(btn) {
-            itensDoPedido.splice(btn.dataset.idx, 1);
-            calcularTotais();
-        }
-    });
 
-    // Finalizar Pedido
-    root.querySelector('#finalizar-pedido').addEventListener('click', () => {
-        if (!selectedFornecedor) { alert('Por favor, selecione um fornecedor.'); return; }
-        if (!itensDoPedido.length) { alert('Adicione ao menos um produto ao pedido.'); return; }
+/**
+ * Custo unitário da tinta produzida por uma fórmula: média das produções finalizadas
+ * (o que realmente foi gasto) ou, se ainda não houver nenhuma, o valor atual da receita.
+ */
+function custoProducaoFormula(formula) {
+    const finalizadas = (store.data.producaoHistorico || []).filter(h => h.formulaId === formula.id && h.estado === 'Finalizada');
+    if (!finalizadas.length) return Number(formula.valorTotal) || 0;
+    // Produções em volumes diferentes são trazidas para o volume base (uma lata) antes da média.
+    return finalizadas.reduce((acc, h) => acc + (Number(h.preco) || 0) / (Number(h.fator) || 1), 0) / finalizadas.length;
+}
 
-        // 1. Aumenta o estoque dos produtos
-        itensDoPedido.forEach(itemPedido => {
-            const produtoNoEstoque = store.data.produtos.find(p => p.id === itemPedido.id);
-            if (produtoNoEstoque) {
-                produtoNoEstoque.estoqueAtual = (produtoNoEstoque.estoqueAtual || 0) + itemPedido.quantidade;
-            }
+/**
+ * Relatório de Produção: gasto com pigmentos por período e por fórmula, material desperdiçado
+ * em produções não finalizadas e margem bruta das tintas produzidas que foram vendidas.
+ */
+function renderRelatorioProducaoView() {
+    const root = document.createElement('div');
+    const container = document.createElement('div');
+    let agrupamento = 'dia';
+
+    const render = () => {
+        const { de, ate } = filtro.periodo();
+        // O histórico guarda data e hora (ISO); comparamos só a parte da data.
+        const noPeriodo = d => (!de || d.slice(0, 10) >= de) && (!ate || d.slice(0, 10) <= ate);
+        const producoes = (store.data.producaoHistorico || []).filter(h => noPeriodo(h.data));
+        const naoFinalizadas = producoes.filter(h => h.estado === 'Não Finalizada');
+        const gastoTotal = producoes.reduce((acc, h) => acc + (Number(h.preco) || 0), 0);
+        const desperdicio = naoFinalizadas.reduce((acc, h) => acc + (Number(h.preco) || 0), 0);
+        // Pigmentos são pesados em gramas; registros antigos (só em ml) são convertidos pela densidade.
+        const gramasDe = h => (h.pigmentosUtilizados || []).reduce((acc, p) => acc + gramasDaLinha(p), 0);
+
+        container.innerHTML = '';
+
+        // 1. Resumo do período
+        const cards = document.createElement('div');
+        cards.className = 'grid cards';
+        cards.style.marginBottom = '16px';
+        cards.append(
+            kpiCard('Gasto com Pigmentos', currency.format(gastoTotal)),
+            kpiCard('Produções', producoes.length),
+            kpiCard('Não Finalizadas', naoFinalizadas.length),
+            kpiCard('Material Desperdiçado', currency.format(desperdicio), naoFinalizadas.length ? `<span class="badge-warn">${naoFinalizadas.reduce((acc, h) => acc + gramasDe(h), 0).toFixed(2)} g</span>` : '')
+        );
+        container.appendChild(cards);
+
+        // 2. Gasto por período
+        const porPeriodo = {};
+        producoes.forEach(h => {
+            const chave = chavePeriodo(h.data.slice(0, 10), agrupamento);
+            porPeriodo[chave] = porPeriodo[chave] || { producoes: 0, total: 0, desperdicio: 0 };
+            porPeriodo[chave].producoes++;
+            porPeriodo[chave].total += Number(h.preco) || 0;
+            if (h.estado === 'Não Finalizada') porPeriodo[chave].desperdicio += Number(h.preco) || 0;
         });
-        
-        // 2. Cria o objeto do pedido
-        const novoPedido = {
-            id: uuid(),
-            data: root.querySelector('#pedido-data').value,
-            fornecedor: selectedFornecedor,
-            produtos: itensDoPedido,
-            valorTotal: itensDoPedido.reduce((acc, item) => acc + item.precoTotal, 0)
-        };
-        
-        // 3. Salva no store
-        store.data.pedidos.push(novoPedido);
-        store.save();
-        
-        toast('Pedido registrado e estoque atualizado com sucesso!');
-        location.hash = '#/pedidos/lista';
+        const periodoRows = Object.keys(porPeriodo).sort().map(chave => [
+            rotuloPeriodo(chave, agrupamento),
+            porPeriodo[chave].producoes,
+            currency.format(porPeriodo[chave].total),
+            currency.format(porPeriodo[chave].desperdicio)
+        ]);
+        container.appendChild(secaoRelatorio('Gasto com Pigmentos por Período', ['Período', 'Produções', 'Gasto', 'Desperdício'], periodoRows, `
+            <select data-filtro="agrupamento" style="width:auto;">
+                <option value="dia" ${agrupamento === 'dia' ? 'selected' : ''}>Por dia</option>
+                <option value="semana" ${agrupamento === 'semana' ? 'selected' : ''}>Por semana</option>
+                <option value="mes" ${agrupamento === 'mes' ? 'selected' : ''}>Por mês</option>
+            </select>`));
+
+        // 3. Gasto por fórmula
+        const porFormula = {};
+        producoes.forEach(h => {
+            porFormula[h.formulaId] = porFormula[h.formulaId] || { nome: h.nomeFormula, codigo: h.codigoFormula, finalizadas: 0, naoFinalizadas: 0, total: 0 };
+            porFormula[h.formulaId][h.estado === 'Finalizada' ? 'finalizadas' : 'naoFinalizadas']++;
+            porFormula[h.formulaId].total += Number(h.preco) || 0;
+        });
+        const formulaRows = Object.values(porFormula)
+            .sort((a, b) => b.total - a.total)
+            .map(f => [`${f.nome} <small>(${f.codigo || '—'})</small>`, f.finalizadas, f.naoFinalizadas, currency.format(f.total)]);
+        container.appendChild(secaoRelatorio('Gasto por Fórmula', ['Fórmula', 'Finalizadas', 'Não Finalizadas', 'Gasto Total'], formulaRows));
+
+        // 4. Desperdício: pigmentos consumidos em produções que não chegaram ao fim
+        const desperdicioRows = naoFinalizadas
+            .sort((a, b) => b.data.localeCompare(a.data))
+            .map(h => [
+                new Date(h.data).toLocaleString('pt-BR'),
+                h.nomeFormula,
+                (h.pigmentosUtilizados || []).map(p => `${p.nome}: ${gramasDaLinha(p).toFixed(2)} g`).join('<br>'),
+                currency.format(Number(h.preco) || 0)
+            ]);
+        container.appendChild(secaoRelatorio('Material Desperdiçado (Não Finalizadas)', ['Data', 'Fórmula', 'Pigmentos Usados', 'Custo'], desperdicioRows));
+
+        // 5. Margem bruta das tintas produzidas vendidas no período.
+        // Só entram produtos ligados a uma fórmula; o desconto da venda é rateado entre os itens.
+        const formulaPorProduto = {};
+        (store.data.formulas || []).forEach(f => { if (f.produtoId) formulaPorProduto[f.produtoId] = f; });
+        const porProduto = {};
+        (store.data.vendas || []).filter(v => noPeriodo(v.data)).forEach(v => {
+            const fatorDesconto = v.subtotal ? (Number(v.total) || 0) / v.subtotal : 1;
+            v.itens.forEach(i => {
+                const formula = formulaPorProduto[i.id];
+                if (!formula) return;
+                porProduto[i.id] = porProduto[i.id] || { nome: i.nome, formula, qtd: 0, receita: 0 };
+                porProduto[i.id].qtd += Number(i.qtd) || 0;
+                porProduto[i.id].receita += (Number(i.preco) || 0) * (Number(i.qtd) || 0) * fatorDesconto;
+            });
+        });
+        const margemRows = Object.values(porProduto).map(p => {
+            const custoUnitario = custoProducaoFormula(p.formula);
+            const custo = custoUnitario * p.qtd;
+            const margem = p.receita - custo;
+            return [
+                `${p.nome} <small>(${p.formula.nome})</small>`,
+                p.qtd,
+                currency.format(p.receita / p.qtd),
+                currency.format(custoUnitario),
+                currency.format(margem),
+                p.receita ? `<span class="${margem < 0 ? 'badge-danger' : 'badge-soft'}">${(margem / p.receita * 100).toFixed(1)}%</span>` : '—'
+            ];
+        });
+        container.appendChild(secaoRelatorio('Margem Bruta das Tintas Produzidas', ['Produto (Fórmula)', 'Qtd. Vendida', 'Preço Médio', 'Custo Unitário', 'Margem Bruta', 'Margem %'], margemRows));
+        container.insertAdjacentHTML('beforeend', `<div class="muted" style="font-size:0.85rem;">O custo unitário é a média das produções finalizadas da fórmula (ou o valor atual da receita, se ainda não houver produção).</div>`);
+    };
+
+    const filtro = criarFiltroPeriodo(render);
+    root.append(filtro.el, container);
+
+    container.addEventListener('change', e => {
+        if (e.target.dataset.filtro === 'agrupamento') agrupamento = e.target.value;
+        render();
     });
 
+    render();
     return root;
 }
 
@@ -2289,6 +6749,15 @@ addRoute('config', () => {
     if (location.hash === '#/config/categorias') {
         return renderCategoriasCRUD();
     }
+    if (location.hash === '#/config/empresa') {
+        return renderDadosEmpresaForm();
+    }
+    if (location.hash === '#/config/tabelas-preco') {
+        return renderTabelasPrecoCRUD();
+    }
+    if (location.hash === '#/config/balanca') {
+        return renderConfigBalancaForm();
+    }
 
     // Senão, mostra a tela principal de Configurações
     const root = document.createElement('div');
@@ -2296,6 +6765,12 @@ addRoute('config', () => {
     root.innerHTML = `
         <h2 style='margin:0 0 16px'>Configurações</h2>
         <div class="form">
+            <div class="field full" style="padding: 16px; border: 1px solid var(--border); border-radius: 10px; margin-bottom: 16px;">
+                <label style="font-size: 1.1em; color: var(--text);">Dados da Loja</label>
+                <p style="color: var(--muted); margin: 4px 0 12px;">Nome, CNPJ, endereço e mensagem de rodapé exibidos nos comprovantes de venda.</p>
+                <button class="btn" onclick="location.hash='#/config/empresa'">Alterar Dados da Loja</button>
+            </div>
+
             <div class="field full" style="padding: 16px; border: 1px solid var(--border); border-radius: 10px; margin-bottom: 16px;">
                 <label style="font-size: 1.1em; color: var(--text);">Categorias de Produtos</label>
                 <p style="color: var(--muted); margin: 4px 0 12px;">Gerencie as categorias utilizadas para classificar seus produtos.</p>
@@ -2308,6 +6783,18 @@ addRoute('config', () => {
                 <button class="btn" onclick="location.hash='#/config/pagamentos'">Alterar Formas de Pagamento</button>
             </div>
 
+            <div class="field full" style="padding: 16px; border: 1px solid var(--border); border-radius: 10px; margin-bottom: 16px;">
+                <label style="font-size: 1.1em; color: var(--text);">Tabelas de Preço</label>
+                <p style="color: var(--muted); margin: 4px 0 12px;">Crie tabelas com desconto percentual ou preços fixos por produto e atribua-as aos clientes.</p>
+                <button class="btn" onclick="location.hash='#/config/tabelas-preco'">Alterar Tabelas de Preço</button>
+            </div>
+
+            <div class="field full" style="padding: 16px; border: 1px solid var(--border); border-radius: 10px; margin-bottom: 16px;">
+                <label style="font-size: 1.1em; color: var(--text);">Balança</label>
+                <p style="color: var(--muted); margin: 4px 0 12px;">Conexão com a balança IoT (MQTT) ou simulador, e a resolução usada na produção. As fórmulas escaladas são arredondadas para ela.</p>
+                <button class="btn" onclick="location.hash='#/config/balanca'">Alterar Balança</button>
+            </div>
+
             <div class="field full" style="padding: 16px; border: 1px solid var(--border); border-radius: 10px;">
                 <label style="font-size: 1.1em; color: var(--text);">Exportar Dados</label>
                 <p style="color: var(--muted); margin: 4px 0 12px;">Faça o download de todos os dados da aplicação em um único arquivo JSON.</p>
@@ -2331,6 +6818,135 @@ addRoute('config', () => {
     return root;
 });
 
+/**
+ * Formulário dos dados da loja usados no cabeçalho e no rodapé dos comprovantes.
+ */
+function renderDadosEmpresaForm() {
+    return genericForm({
+        title: 'Dados da Loja',
+        data: store.data.empresa,
+        fields: [
+            { key: 'nome', label: 'Nome da Loja', span: 6, placeholder: 'Gestão Tintas' },
+            { key: 'cnpj', label: 'CNPJ', span: 3 },
+            { key: 'telefone', label: 'Telefone', span: 3 },
+            { key: 'endereco', label: 'Endereço', span: 12 },
+            { key: 'rodape', label: 'Mensagem do Rodapé', span: 12, placeholder: 'Obrigado pela preferência!' },
+        ],
+        onSave: (empresa) => {
+            store.data.empresa = empresa;
+            store.save();
+            toast('Dados da loja salvos!');
+            location.hash = '#/config';
+        },
+        onCancel: () => location.hash = '#/config',
+    });
+}
+
+/**
+ * Formulário de configuração da balança de pesagem: resolução, fonte das leituras
+ * (simulador ou balança MQTT) e os dados do broker e dos tópicos.
+ */
+function renderConfigBalancaForm() {
+    const balanca = configBalanca();
+    const resolucoes = [0.01, 0.1, 1];
+    let conexaoTeste = null;
+
+    // Salvar e testar exigem um endereço WebSocket e os dois tópicos quando a fonte é MQTT.
+    const dadosMqttValidos = (item) => {
+        if (item.fonte !== 'mqtt') return true;
+        if (!/^wss?:\/\//.test(item.url.trim())) {
+            alert('O endereço do broker deve começar com ws:// ou wss://.');
+            return false;
+        }
+        if (!item.topicoLeitura.trim() || !item.topicoComando.trim()) {
+            alert('Informe os tópicos de leitura e de comando da balança.');
+            return false;
+        }
+        return true;
+    };
+
+    const form = genericForm({
+        title: 'Balança',
+        data: balanca,
+        fields: [
+            { key: 'resolucao', label: 'Resolução (menor quantidade medida)', span: 6,
+                html: `
+                    <select data-key="resolucao">
+                        ${resolucoes.map(r => `<option value="${r}" ${resolucaoBalanca() === r ? 'selected' : ''}>${String(r).replace('.', ',')} g</option>`).join('')}
+                    </select>
+                `
+            },
+            { key: 'fonte', label: 'Fonte das Leituras', span: 6,
+                html: `
+                    <select data-key="fonte">
+                        ${Object.entries(FONTES_BALANCA).map(([valor, rotulo]) => `<option value="${valor}" ${balanca.fonte === valor ? 'selected' : ''}>${rotulo}</option>`).join('')}
+                    </select>
+                `
+            },
+            { key: 'url', label: 'Endereço do Broker (WebSocket)', span: 6, placeholder: 'Ex: ws://localhost:9001' },
+            { key: 'usuario', label: 'Usuário (opcional)', span: 3 },
+            { key: 'senha', label: 'Senha (opcional)', span: 3, type: 'password' },
+            { key: 'topicoLeitura', label: 'Tópico das Leituras de Peso', span: 6, placeholder: 'A balança publica o peso em gramas' },
+            { key: 'topicoComando', label: 'Tópico de Comandos (tara / zero)', span: 6 },
+            { key: 'teste', label: 'Teste da Conexão', span: 12,
+                html: `<div style="display:flex; gap:8px; align-items:center;">
+                    <button class="btn secondary" type="button" data-act="testar">Testar Conexão</button>
+                    <span id="balanca-teste" class="muted">Conecta com os dados acima e mostra a primeira leitura recebida.</span>
+                </div>`
+            },
+        ],
+        onSave: (item) => {
+            delete item.teste;
+            if (!dadosMqttValidos(item)) return;
+            conexaoTeste?.desconectar();
+            store.data.balanca = {
+                ...item,
+                url: item.url.trim(),
+                topicoLeitura: item.topicoLeitura.trim(),
+                topicoComando: item.topicoComando.trim(),
+                resolucao: Number(item.resolucao) || 0.1
+            };
+            store.save();
+            toast('Configuração da balança salva!');
+            location.hash = '#/config';
+        },
+        onCancel: () => {
+            conexaoTeste?.desconectar();
+            location.hash = '#/config';
+        },
+    });
+
+    // O teste usa o que está no formulário, mesmo antes de salvar, e desliga ao receber a primeira leitura.
+    form.querySelector('[data-act="testar"]').addEventListener('click', () => {
+        const valores = {};
+        $$('[data-key]', form).forEach(input => valores[input.dataset.key] = input.value.trim());
+        const resultadoEl = form.querySelector('#balanca-teste');
+        conexaoTeste?.desconectar();
+        conexaoTeste = null;
+        if (!dadosMqttValidos(valores)) return;
+        const conexao = conectarBalanca({ ...configBalanca(), ...valores }, {
+            aoLer: (peso) => {
+                resultadoEl.className = 'badge-soft';
+                resultadoEl.textContent = `Conectado. Leitura recebida: ${peso.toFixed(2)} g`;
+                conexao.desconectar();
+            },
+            aoMudarStatus: (status, motivo) => {
+                const rotulos = {
+                    conectando: ['badge-warn', 'Conectando...'],
+                    conectado: ['badge-warn', 'Conectado. Aguardando uma leitura da balança...'],
+                    desconectado: ['badge-danger', `Falha na conexão${motivo ? `: ${motivo}` : ''}`]
+                };
+                [resultadoEl.className, resultadoEl.textContent] = rotulos[status];
+                if (status === 'desconectado') conexao.desconectar();
+            }
+        });
+        conexaoTeste = conexao;
+    });
+    // Sair pelo menu lateral também encerra o teste que estiver em andamento.
+    window.addEventListener('hashchange', () => conexaoTeste?.desconectar(), { once: true });
+    return form;
+}
+
 /**
  * Tela de CRUD para Formas de Pagamento.
  */
@@ -2347,7 +6963,12 @@ function renderFormasPagamentoCRUD() {
         // Gera a lista de formas de pagamento
         const listHtml = formasPagamento.map(f => `
             <div class="toolbar" style="border-bottom: 1px solid var(--border); padding: 8px 0;">
-                <div style="flex: 1;">${f.nome}</div>
+                <div style="flex: 1;">
+                    ${f.nome}
+                    <div class="muted" style="font-size:0.85rem;">
+                        ${f.aPrazo ? `<span class="badge-info">Fiado • ${f.prazoDias || 30} dias</span> • ` : ''}${Number(f.maxParcelas) > 1 ? `Até ${f.maxParcelas}x` : 'Somente à vista'} • Taxa ${Number(f.taxa) || 0}%${Number(f.maxParcelas) > 1 ? ` • Parcelado ${Number(f.taxaParcelado) || 0}%` : ''}
+                    </div>
+                </div>
                 <div class="actions">
                     <button class="btn secondary" data-act="edit" data-id="${f.id}">Editar</button>
                     <button class="btn danger" data-act="del" data-id="${f.id}">Excluir</button>
@@ -2371,6 +6992,25 @@ function renderFormasPagamentoCRUD() {
                             <label>Nome</label>
                             <input id="fp-nome" value="${itemEmEdicao?.nome || ''}" placeholder="Ex: Boleto Bancário">
                         </div>
+                        <div class="field full">
+                            <label>Máximo de Parcelas</label>
+                            <input id="fp-parcelas" type="number" min="1" step="1" value="${itemEmEdicao?.maxParcelas || 1}">
+                        </div>
+                        <div class="field" style="grid-column: span 6">
+                            <label>Taxa à Vista (%)</label>
+                            <input id="fp-taxa" type="number" min="0" step="0.01" value="${itemEmEdicao?.taxa || 0}">
+                        </div>
+                        <div class="field" style="grid-column: span 6">
+                            <label>Taxa Parcelado (%)</label>
+                            <input id="fp-taxa-parcelado" type="number" min="0" step="0.01" value="${itemEmEdicao?.taxaParcelado || 0}">
+                        </div>
+                        <div class="field" style="grid-column: span 6">
+                            <label><input id="fp-a-prazo" type="checkbox" ${itemEmEdicao?.aPrazo ? 'checked' : ''} style="width:auto;"> Venda a prazo (fiado)</label>
+                        </div>
+                        <div class="field" style="grid-column: span 6">
+                            <label>Prazo entre Parcelas (dias)</label>
+                            <input id="fp-prazo" type="number" min="1" step="1" value="${itemEmEdicao?.prazoDias || 30}">
+                        </div>
                         <button class="btn" data-act="save">${itemEmEdicao ? 'Salvar Alterações' : 'Adicionar'}</button>
                         ${itemEmEdicao ? '<button class="btn ghost" data-act="cancel-edit">Cancelar Edição</button>' : ''}
                     </div>
@@ -2403,14 +7043,23 @@ function renderFormasPagamentoCRUD() {
         } else if (action === 'save') {
             const nome = nomeInput.value.trim();
             if (!nome) { alert('O nome é obrigatório.'); return; }
+            // Parcelas e taxas definem o valor líquido recebido em cada venda.
+            const configuracao = {
+                maxParcelas: Math.max(1, Math.floor(Number(root.querySelector('#fp-parcelas').value) || 1)),
+                taxa: Math.max(0, Number(root.querySelector('#fp-taxa').value) || 0),
+                taxaParcelado: Math.max(0, Number(root.querySelector('#fp-taxa-parcelado').value) || 0),
+                // Formas a prazo geram contas a receber para o cliente em vez de entrar no caixa.
+                aPrazo: root.querySelector('#fp-a-prazo').checked,
+                prazoDias: Math.max(1, Math.floor(Number(root.querySelector('#fp-prazo').value) || 30))
+            };
 
             if (editingId) {
                 // Atualiza um item existente
                 const item = store.data.formasPagamento.find(f => f.id === editingId);
-                item.nome = nome;
+                Object.assign(item, { nome }, configuracao);
             } else {
                 // Cria um novo item
-                store.data.formasPagamento.push({ id: uuid(), nome: nome });
+                store.data.formasPagamento.push({ id: uuid(), nome: nome, ...configuracao });
             }
             store.save();
             editingId = null; // Reseta o modo de edição
@@ -2504,15 +7153,121 @@ function renderCategoriasCRUD() {
     return root;
 }
 
+/**
+ * Tela de CRUD para Tabelas de Preço.
+ * Uma tabela tem um desconto percentual sobre o preço de venda e, opcionalmente,
+ * preços fixos para alguns produtos (que ignoram o percentual).
+ */
+function renderTabelasPrecoCRUD() {
+    const root = document.createElement('div');
+    let editingId = null;
+
+    function render() {
+        const tabelas = store.data.tabelasPreco || [];
+        const itemEmEdicao = tabelas.find(t => t.id === editingId);
+
+        const listHtml = tabelas.map(t => {
+            const totalClientes = store.data.clientes.filter(c => c.tabelaPrecoId === t.id).length;
+            return `
+            <div class="toolbar" style="border-bottom: 1px solid var(--border); padding: 8px 0;">
+                <div style="flex: 1;">
+                    ${t.nome}
+                    <div class="muted" style="font-size:0.85rem;">
+                        ${Number(t.descontoPercentual) ? `-${t.descontoPercentual}% sobre o preço de venda` : 'Sem desconto percentual'}${(t.precos || []).length ? ` • ${t.precos.length} preço(s) fixo(s)` : ''} • ${totalClientes} cliente(s)
+                    </div>
+                </div>
+                <div class="actions">
+                    <button class="btn secondary" data-act="edit" data-id="${t.id}">Editar</button>
+                    <button class="btn ghost danger" data-act="del" data-id="${t.id}">Excluir</button>
+                </div>
+            </div>`;
+        }).join('');
+
+        // Cada produto pode ter um preço fixo na tabela; em branco, vale o percentual.
+        const precosHtml = store.data.produtos.map(p => {
+            const precoFixo = (itemEmEdicao?.precos || []).find(x => x.produtoId === p.id);
+            return `
+                <div class="toolbar" style="padding: 4px 0;">
+                    <div style="flex: 1;">${p.nome} <small class="muted">${currency.format(Number(p.preco) || 0)}</small></div>
+                    <input type="number" step="0.01" min="0" data-preco-fixo="${p.id}" value="${precoFixo?.preco ?? ''}" placeholder="—" style="width:100px;">
+                </div>`;
+        }).join('');
+
+        root.innerHTML = `
+            <div class="toolbar" style="margin-bottom:16px;">
+                <h2 style="margin:0;">Gerenciar Tabelas de Preço</h2>
+                <div class="spacer"></div>
+                <button class="btn ghost" onclick="location.hash='#/config'">Voltar para Configurações</button>
+            </div>
+            <div class="grid" style="grid-template-columns: 2fr 1fr; align-items: flex-start;">
+                <div class="card">${listHtml || '<div class="muted">Nenhuma tabela de preço cadastrada.</div>'}</div>
+                <div class="card">
+                    <h4>${itemEmEdicao ? 'Editar Tabela' : 'Adicionar Nova Tabela'}</h4>
+                    <div class="form">
+                        <div class="field full">
+                            <label>Nome da Tabela</label>
+                            <input id="tp-nome" value="${itemEmEdicao?.nome || ''}" placeholder="Ex: Oficinas">
+                        </div>
+                        <div class="field full">
+                            <label>Desconto sobre o Preço de Venda (%)</label>
+                            <input id="tp-desconto" type="number" step="0.1" min="0" max="100" value="${itemEmEdicao?.descontoPercentual || 0}">
+                        </div>
+                        <div class="field full">
+                            <label>Preços Fixos por Produto</label>
+                            <div>${precosHtml || '<div class="muted">Nenhum produto cadastrado.</div>'}</div>
+                        </div>
+                        <button class="btn" data-act="save">${itemEmEdicao ? 'Salvar Alterações' : 'Adicionar'}</button>
+                        ${itemEmEdicao ? '<button class="btn ghost" data-act="cancel-edit">Cancelar Edição</button>' : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    root.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-act]');
+        if (!btn) return;
+        const action = btn.dataset.act;
+        const id = btn.dataset.id;
+
+        if (action === 'edit') {
+            editingId = id;
+            render();
+        } else if (action === 'cancel-edit') {
+            editingId = null;
+            render();
+        } else if (action === 'del') {
+            if (confirm('Deseja realmente excluir esta tabela? Os clientes que a usam voltarão ao preço de venda normal.')) {
+                store.data.tabelasPreco = store.data.tabelasPreco.filter(t => t.id !== id);
+                store.data.clientes.forEach(c => { if (c.tabelaPrecoId === id) c.tabelaPrecoId = null; });
+                store.save();
+                render();
+            }
+        } else if (action === 'save') {
+            const nome = root.querySelector('#tp-nome').value.trim();
+            const descontoPercentual = Number(root.querySelector('#tp-desconto').value) || 0;
+            if (!nome) { alert('O nome é obrigatório.'); return; }
+            if (descontoPercentual < 0 || descontoPercentual > 100) { alert('O desconto deve estar entre 0% e 100%.'); return; }
+            const precos = $$('[data-preco-fixo]', root)
+                .filter(input => input.value !== '')
+                .map(input => ({ produtoId: input.dataset.precoFixo, preco: Number(input.value) || 0 }));
+
+            if (editingId) {
+                Object.assign(store.data.tabelasPreco.find(t => t.id === editingId), { nome, descontoPercentual, precos });
+            } else {
+                store.data.tabelasPreco.push({ id: uuid(), nome, descontoPercentual, precos });
+            }
+            store.save();
+            toast('Tabela de preço salva!');
+            editingId = null;
+            render();
+        }
+    });
+
+    render();
+    return root;
+}
 
-// Mantenha as outras rotas placeholder que ainda não foram implementadas
-['relatorios'].forEach(name =>
-    addRoute(name, () => {
-        const root = document.createElement('div');
-        root.innerHTML = `<div class='card'><h2 style='margin:0 0 8px'>${name[0].toUpperCase() + name.slice(1)}</h2><div class='muted'>Esta tela está pronta para ser implementada...</div></div>`;
-        return root;
-    })
-);
 
 // ===== 6. INIT (Inicialização da Aplicação) =====
 
@@ -2546,6 +7301,7 @@ function init() {
         else if (page === 'producao') location.hash = '#/producao/criar-pigmento';
         else if (page === 'clientes') location.hash = '#/clientes/novo';
         else if (page === 'fornecedores') location.hash = '#/fornecedores/novo';
+        else if (location.hash.startsWith('#/vendas/orcamentos')) location.hash = '#/vendas/orcamentos/novo';
         else location.hash = '#/vendas/registrar';
     });
 